@@ -2,102 +2,1442 @@
  * BitBLT2 - A JavaScript implementation of Bit Block Transfer with packed pixels
  *
  * This implementation packs 32 pixels into each 32-bit integer for memory efficiency
- * and faster bitwise operations.
+ * and faster bitwise operations. Bitmaps with more bits per pixel pack 32 / depth
+ * pixels into each integer.
  */
 
 /**
- * Enum for BitBLT operation types
+ * Enum for BitBLT operation types.
+ *
+ * Together these are the 16 two-operand Boolean combination rules of Smalltalk
+ * BitBlt. The original four operations keep their historical values; the
+ * Smalltalk rule number of each operation is given in its description.
  * @enum {number}
  */
 const BitBltOp = {
-  /** Copy source to destination */
+  /** Copy source to destination (rule 3) */
   COPY: 0,
-  /** Bitwise AND of source and destination */
+  /** Bitwise AND of source and destination (rule 1) */
   AND: 1,
-  /** Bitwise OR of source and destination */
+  /** Bitwise OR of source and destination (rule 7) */
   OR: 2,
-  /** Bitwise XOR of source and destination */
+  /** Bitwise XOR of source and destination (rule 6) */
   XOR: 3,
+  /** Clear destination to 0 (rule 0) */
+  CLEAR: 4,
+  /** Source AND NOT destination (rule 2) */
+  AND_REVERSE: 5,
+  /** NOT source AND destination - clears destination where source is set (rule 4) */
+  AND_INVERTED: 6,
+  /** Leave destination unchanged (rule 5) */
+  NOOP: 7,
+  /** NOT (source OR destination) (rule 8) */
+  NOR: 8,
+  /** NOT (source XOR destination) (rule 9) */
+  XNOR: 9,
+  /** Invert destination (rule 10) */
+  INVERT: 10,
+  /** Source OR NOT destination (rule 11) */
+  OR_REVERSE: 11,
+  /** Copy inverted source to destination (rule 12) */
+  COPY_INVERTED: 12,
+  /** NOT source OR destination (rule 13) */
+  OR_INVERTED: 13,
+  /** NOT (source AND destination) (rule 14) */
+  NAND: 14,
+  /** Set destination to 1 (rule 15) */
+  SET: 15,
+  /** Source plus destination, saturating at the largest pixel value */
+  ADD: 16,
+  /** Destination minus source, saturating at 0 */
+  SUBTRACT: 17,
+  /** Larger of source and destination */
+  MAX: 18,
+  /** Smaller of source and destination */
+  MIN: 19,
+  /** Mean of source and destination, rounded down */
+  AVERAGE: 20,
+  /** Source where it is not 0, destination elsewhere (source 0 is transparent) */
+  PAINT: 21,
+  /** 32-bit ARGB source over destination, with straight (non-premultiplied) alpha */
+  BLEND: 22,
+  /** 32-bit ARGB source over destination, with premultiplied alpha */
+  BLEND_PREMULTIPLIED: 23,
+};
+
+/**
+ * Operations (from BitBltOp enum) that treat pixels as unsigned numbers
+ * instead of combining them bit by bit. They are meant for multi-bit pixels;
+ * on 1-bit pixels they reduce to Boolean rules.
+ */
+const ARITHMETIC_OPS = new Set([
+  BitBltOp.ADD,
+  BitBltOp.SUBTRACT,
+  BitBltOp.MAX,
+  BitBltOp.MIN,
+  BitBltOp.AVERAGE,
+  BitBltOp.PAINT,
+]);
+
+/**
+ * Offset added to a constant alpha to form its BitBLT operation value.
+ */
+const CONSTANT_ALPHA_BASE = 0x200;
+
+/**
+ * Truth table of each BitBLT operation. Bit (2 * source + destination) of the
+ * table holds the result for that combination of source and destination bits.
+ */
+const TRUTH_TABLES = {
+  [BitBltOp.CLEAR]: 0b0000,
+  [BitBltOp.NOR]: 0b0001,
+  [BitBltOp.AND_INVERTED]: 0b0010,
+  [BitBltOp.COPY_INVERTED]: 0b0011,
+  [BitBltOp.AND_REVERSE]: 0b0100,
+  [BitBltOp.INVERT]: 0b0101,
+  [BitBltOp.XOR]: 0b0110,
+  [BitBltOp.NAND]: 0b0111,
+  [BitBltOp.AND]: 0b1000,
+  [BitBltOp.XNOR]: 0b1001,
+  [BitBltOp.NOOP]: 0b1010,
+  [BitBltOp.OR_INVERTED]: 0b1011,
+  [BitBltOp.COPY]: 0b1100,
+  [BitBltOp.OR_REVERSE]: 0b1101,
+  [BitBltOp.OR]: 0b1110,
+  [BitBltOp.SET]: 0b1111,
+};
+
+/**
+ * Gets the truth table of a BitBLT operation.
+ *
+ * @param {number} op - Operation (from BitBltOp enum)
+ * @returns {number} - 4-bit truth table, indexed by (2 * source + destination)
+ */
+function getTruthTable(op) {
+  const table = TRUTH_TABLES[op];
+
+  if (isArithmeticOp(op)) {
+    throw new Error(
+      `BitBLT operation ${op} is arithmetic and has no truth table`
+    );
+  }
+  if (table === undefined) {
+    throw new Error(`Unknown BitBLT operation: ${op}`);
+  }
+
+  return table;
+}
+
+/**
+ * Operation (from BitBltOp enum) for each 4-bit truth table.
+ */
+const TABLE_OPS = [];
+for (const op of Object.values(BitBltOp)) {
+  if (!isArithmeticOp(op)) {
+    TABLE_OPS[TRUTH_TABLES[op]] = op;
+  }
+}
+
+/**
+ * Offset added to a ternary raster operation code to form its BitBLT operation value.
+ */
+const ROP3_BASE = 0x100;
+
+/**
+ * Creates the BitBLT operation for a ternary raster operation (ROP3) code.
+ * Bit (4 * pattern + 2 * source + destination) of the code holds the result
+ * for that combination of pattern, source and destination bits.
+ *
+ * @param {number} code - Ternary raster operation code (0-255)
+ * @returns {number} - The BitBLT operation that performs it
+ */
+function rop3(code) {
+  if (!Number.isInteger(code) || code < 0 || code > 0xff) {
+    throw new Error(`Invalid ternary raster operation code: ${code}`);
+  }
+
+  return ROP3_BASE + code;
+}
+
+/**
+ * Enum for common ternary raster operations that combine a tiled pattern,
+ * the source and the destination. Values are BitBLT operations; use rop3()
+ * for any of the other 256 codes.
+ * @enum {number}
+ */
+const Rop3 = {
+  /** Clear destination to 0 */
+  BLACKNESS: rop3(0x00),
+  /** NOT (source OR destination) */
+  NOTSRCERASE: rop3(0x11),
+  /** Copy inverted source */
+  NOTSRCCOPY: rop3(0x33),
+  /** Source AND NOT destination */
+  SRCERASE: rop3(0x44),
+  /** Invert destination */
+  DSTINVERT: rop3(0x55),
+  /** Pattern XOR destination */
+  PATINVERT: rop3(0x5a),
+  /** Source XOR destination */
+  SRCINVERT: rop3(0x66),
+  /** Source AND destination */
+  SRCAND: rop3(0x88),
+  /** Copy source where pattern is 1, destination elsewhere */
+  PSDPxax: rop3(0xb8),
+  /** NOT source OR destination */
+  MERGEPAINT: rop3(0xbb),
+  /** Pattern AND source */
+  MERGECOPY: rop3(0xc0),
+  /** Copy source */
+  SRCCOPY: rop3(0xcc),
+  /** Copy source where pattern is 0, destination elsewhere */
+  DSPDxax: rop3(0xe2),
+  /** Source OR destination */
+  SRCPAINT: rop3(0xee),
+  /** Copy pattern */
+  PATCOPY: rop3(0xf0),
+  /** Pattern OR NOT source OR destination */
+  PATPAINT: rop3(0xfb),
+  /** Set destination to 1 */
+  WHITENESS: rop3(0xff),
 };
 
+/**
+ * Checks whether a BitBLT operation is one of the arithmetic rules (ADD,
+ * SUBTRACT, MAX, MIN, AVERAGE and PAINT) or an alpha blend.
+ *
+ * @param {number} op - Operation (from BitBltOp or Rop3 enum)
+ * @returns {boolean} - True if the operation treats pixels as numbers
+ */
+function isArithmeticOp(op) {
+  return ARITHMETIC_OPS.has(op) || isBlendOp(op);
+}
+
+/**
+ * Creates the BitBLT operation that blends 32-bit ARGB pixels with a
+ * constant alpha, ignoring the alpha channel of the source: every channel,
+ * alpha included, becomes src * alpha + dst * (1 - alpha).
+ *
+ * @param {number} alpha - Weight of the source (0-255)
+ * @returns {number} - The BitBLT operation that performs the blend
+ */
+function blendConstant(alpha) {
+  if (!Number.isInteger(alpha) || alpha < 0 || alpha > 0xff) {
+    throw new Error(`Invalid constant alpha: ${alpha}`);
+  }
+
+  return CONSTANT_ALPHA_BASE + alpha;
+}
+
+/**
+ * Checks whether a BitBLT operation blends with a constant alpha.
+ *
+ * @param {number} op - Operation (from BitBltOp or Rop3 enum)
+ * @returns {boolean} - True if the operation was created by blendConstant()
+ */
+function isConstantAlphaBlend(op) {
+  return (
+    Number.isInteger(op) &&
+    op >= CONSTANT_ALPHA_BASE &&
+    op <= CONSTANT_ALPHA_BASE + 0xff
+  );
+}
+
+/**
+ * Gets the alpha of an operation created by blendConstant().
+ *
+ * @param {number} op - Operation created by blendConstant()
+ * @returns {number} - The constant alpha (0-255)
+ */
+function getConstantAlpha(op) {
+  return op - CONSTANT_ALPHA_BASE;
+}
+
+/**
+ * Checks whether a BitBLT operation alpha-blends 32-bit ARGB pixels.
+ *
+ * @param {number} op - Operation (from BitBltOp or Rop3 enum)
+ * @returns {boolean} - True for BLEND, BLEND_PREMULTIPLIED and blendConstant() operations
+ */
+function isBlendOp(op) {
+  return (
+    op === BitBltOp.BLEND ||
+    op === BitBltOp.BLEND_PREMULTIPLIED ||
+    isConstantAlphaBlend(op)
+  );
+}
+
+/**
+ * Packs alpha, red, green and blue channels into a 32-bit ARGB pixel.
+ *
+ * @param {number} alpha - Alpha channel (0-255)
+ * @param {number} red - Red channel (0-255)
+ * @param {number} green - Green channel (0-255)
+ * @param {number} blue - Blue channel (0-255)
+ * @returns {number} - The pixel, 0xAARRGGBB
+ */
+function argb(alpha, red, green, blue) {
+  return (
+    (((alpha & 0xff) << 24) |
+      ((red & 0xff) << 16) |
+      ((green & 0xff) << 8) |
+      (blue & 0xff)) >>>
+    0
+  );
+}
+
+/**
+ * Checks whether a BitBLT operation is a ternary raster operation.
+ *
+ * @param {number} op - Operation (from BitBltOp or Rop3 enum)
+ * @returns {boolean} - True if the operation was created by rop3()
+ */
+function isRop3(op) {
+  return Number.isInteger(op) && op >= ROP3_BASE && op <= ROP3_BASE + 0xff;
+}
+
+/**
+ * Gets the ternary raster operation code of a BitBLT operation. Two-operand
+ * operations give the code that ignores the pattern.
+ *
+ * @param {number} op - Operation (from BitBltOp or Rop3 enum)
+ * @returns {number} - 8-bit ternary raster operation code
+ */
+function getRop3Code(op) {
+  if (isRop3(op)) {
+    return op - ROP3_BASE;
+  }
+
+  const table = getTruthTable(op);
+  return (table << 4) | table;
+}
+
+/**
+ * Checks whether a BitBLT operation reads the pattern bitmap.
+ *
+ * @param {number} op - Operation (from BitBltOp or Rop3 enum)
+ * @returns {boolean} - True if the result depends on the pattern
+ */
+function usesPattern(op) {
+  if (isArithmeticOp(op)) {
+    return false;
+  }
+
+  const code = getRop3Code(op);
+  return code >> 4 !== (code & 0xf);
+}
+
+/**
+ * Combines a source and a destination word according to a BitBLT operation.
+ * All 32 bits are combined in parallel; callers combining single pixels
+ * should mask the result with the pixel mask. Arithmetic operations treat
+ * the word as 32 / depth separate pixels, so a single pixel can also be
+ * passed on its own.
+ *
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @param {number} src - Source word
+ * @param {number} dst - Destination word
+ * @param {number} pattern - Pattern word (only used by ternary raster operations)
+ * @param {number} depth - Bits per pixel (only used by arithmetic operations)
+ * @returns {number} - The combined word
+ */
+function applyOp(op, src, dst, pattern = 0, depth = 1) {
+  if (isArithmeticOp(op)) {
+    return applyArithmeticOp(op, src, dst, depth);
+  }
+  if (isRop3(op)) {
+    // Select between the pattern-0 and pattern-1 halves of the code bit by bit
+    const code = op - ROP3_BASE;
+    const whenClear = applyOp(TABLE_OPS[code & 0xf], src, dst);
+    const whenSet = applyOp(TABLE_OPS[code >> 4], src, dst);
+    return whenClear ^ (pattern & (whenClear ^ whenSet));
+  }
+
+  switch (op) {
+    case BitBltOp.COPY:
+      return src;
+    case BitBltOp.AND:
+      return src & dst;
+    case BitBltOp.OR:
+      return src | dst;
+    case BitBltOp.XOR:
+      return src ^ dst;
+    case BitBltOp.CLEAR:
+      return 0;
+    case BitBltOp.AND_REVERSE:
+      return src & ~dst;
+    case BitBltOp.AND_INVERTED:
+      return ~src & dst;
+    case BitBltOp.NOOP:
+      return dst;
+    case BitBltOp.NOR:
+      return ~(src | dst);
+    case BitBltOp.XNOR:
+      return ~(src ^ dst);
+    case BitBltOp.INVERT:
+      return ~dst;
+    case BitBltOp.OR_REVERSE:
+      return src | ~dst;
+    case BitBltOp.COPY_INVERTED:
+      return ~src;
+    case BitBltOp.OR_INVERTED:
+      return ~src | dst;
+    case BitBltOp.NAND:
+      return ~(src & dst);
+    case BitBltOp.SET:
+      return ~0;
+    default:
+      throw new Error(`Unknown BitBLT operation: ${op}`);
+  }
+}
+
+/**
+ * Combines the pixels packed in a source and a destination word with an
+ * arithmetic operation, all pixels at once. The low bits of each pixel are
+ * added or subtracted separately from its high bit, so carries and borrows
+ * never cross into the neighbouring pixel; the carry or borrow out of each
+ * high bit then selects whole pixels.
+ *
+ * @param {number} op - Operation to perform (an arithmetic BitBltOp)
+ * @param {number} src - Source word
+ * @param {number} dst - Destination word
+ * @param {number} depth - Bits per pixel
+ * @returns {number} - The combined word
+ * @private
+ */
+function applyArithmeticOp(op, src, dst, depth) {
+  if (isBlendOp(op)) {
+    return blendPixel(op, src, dst);
+  }
+
+  const { high, low, pixelMask } = getFieldConstants(depth);
+  const rest = ~high;
+
+  // Spreads the high bits of selected pixels over those whole pixels
+  const spread = (bits) => ((bits >>> (depth - 1)) * pixelMask) | 0;
+
+  switch (op) {
+    case BitBltOp.ADD: {
+      const sum = (src & rest) + (dst & rest);
+      const carry = ((src & dst) | ((src | dst) & sum)) & high;
+      return ((sum ^ ((src ^ dst) & high)) | spread(carry)) >>> 0;
+    }
+    case BitBltOp.SUBTRACT:
+    case BitBltOp.MAX:
+    case BitBltOp.MIN: {
+      const difference = (dst | high) - (src & rest);
+      const borrow = ((~dst & src) | (~(dst ^ src) & ~difference)) & high;
+      const below = spread(borrow); // Pixels where dst < src
+      if (op === BitBltOp.SUBTRACT) {
+        return ((difference ^ ((dst ^ ~src) & high)) & ~below) >>> 0;
+      }
+      return op === BitBltOp.MAX
+        ? (dst ^ ((dst ^ src) & below)) >>> 0
+        : (src ^ ((src ^ dst) & below)) >>> 0;
+    }
+    case BitBltOp.AVERAGE:
+      return ((src & dst) + (((src ^ dst) & ~low) >>> 1)) >>> 0;
+    case BitBltOp.PAINT: {
+      const nonZero = (((src & rest) + rest) | src) & high;
+      return (dst ^ ((dst ^ src) & spread(nonZero))) >>> 0;
+    }
+    default:
+      throw new Error(`Unknown BitBLT operation: ${op}`);
+  }
+}
+
+/**
+ * Blends a 32-bit ARGB source pixel over a destination pixel. Two channels
+ * are weighted at once, red with blue and alpha with green, each in its own
+ * 16-bit lane, and divided by 255 with rounding.
+ *
+ * As in Smalltalk's alphaBlend rule, BLEND weights the colors by the source
+ * alpha and sets the result alpha to a + dstAlpha * (1 - a), which is exact
+ * for opaque destinations. BLEND_PREMULTIPLIED expects colors that are
+ * already multiplied by their alpha (no channel above the alpha).
+ *
+ * @param {number} op - Blend operation
+ * @param {number} src - Source pixel
+ * @param {number} dst - Destination pixel
+ * @returns {number} - The blended pixel
+ * @private
+ */
+function blendPixel(op, src, dst) {
+  const dstRB = dst & 0x00ff00ff;
+  const dstAG = (dst >>> 8) & 0x00ff00ff;
+
+  if (op === BitBltOp.BLEND_PREMULTIPLIED) {
+    const weight = 255 - (src >>> 24);
+    const rb = (src & 0x00ff00ff) + divideLanesBy255(dstRB * weight);
+    const ag = ((src >>> 8) & 0x00ff00ff) + divideLanesBy255(dstAG * weight);
+    return ((ag << 8) | rb) >>> 0;
+  }
+
+  // BLEND weights an alpha of 255 in place of the source alpha, which
+  // gives a + dstAlpha * (1 - a) in the alpha lane
+  const alpha = op === BitBltOp.BLEND ? src >>> 24 : getConstantAlpha(op);
+  const srcAG =
+    op === BitBltOp.BLEND
+      ? ((src >>> 8) & 0xff) | 0x00ff0000
+      : (src >>> 8) & 0x00ff00ff;
+  const rb = divideLanesBy255(
+    (src & 0x00ff00ff) * alpha + dstRB * (255 - alpha)
+  );
+  const ag = divideLanesBy255(srcAG * alpha + dstAG * (255 - alpha));
+  return ((ag << 8) | rb) >>> 0;
+}
+
+/**
+ * Divides the two 16-bit lanes of a word by 255, rounding to nearest. Each
+ * lane must hold at most 255 * 255.
+ *
+ * @param {number} lanes - Word with values in bits 0-15 and 16-31
+ * @returns {number} - Word with the quotients in bits 0-7 and 16-23
+ * @private
+ */
+function divideLanesBy255(lanes) {
+  const rounded = lanes + 0x00800080;
+  return ((rounded + ((rounded >>> 8) & 0x00ff00ff)) >>> 8) & 0x00ff00ff;
+}
+
+/**
+ * Gets the words that arithmetic operations use to treat the pixels of a
+ * word separately: the high bit of every pixel, the low bit of every pixel,
+ * and the mask of a single pixel.
+ *
+ * @param {number} depth - Bits per pixel
+ * @returns {Object} - `high`, `low` and `pixelMask`, as unsigned numbers
+ * @private
+ */
+function getFieldConstants(depth) {
+  let constants = FIELD_CONSTANTS.get(depth);
+  if (!constants) {
+    constants = {
+      high: replicatePixel(2 ** (depth - 1), depth),
+      low: replicatePixel(1, depth),
+      pixelMask: getPixelMask(depth) >>> 0,
+    };
+    FIELD_CONSTANTS.set(depth, constants);
+  }
+  return constants;
+}
+
+/**
+ * Field constants from getFieldConstants(), by depth.
+ */
+const FIELD_CONSTANTS = new Map();
+
+/**
+ * Enum for the order of pixels within each 32-bit word of a bitmap.
+ * @enum {string}
+ */
+const BitOrder = {
+  /** The leftmost pixel is the most significant bit (the default) */
+  MSB_FIRST: "msb",
+  /** The leftmost pixel is the least significant bit, as in X11 and XBM bitmaps */
+  LSB_FIRST: "lsb",
+};
+
+/**
+ * Pixel depths a bitmap can have, in bits per pixel. Each divides 32, so a
+ * pixel never straddles two words.
+ */
+const PIXEL_DEPTHS = [1, 2, 4, 8, 16, 32];
+
+/**
+ * Reverses the order of the 32 bits of a word, converting a word of 1-bit
+ * pixels between MSB-first and LSB-first order.
+ *
+ * @param {number} word - The word to reverse
+ * @returns {number} - The reversed word (unsigned)
+ */
+function reverseBits(word) {
+  return reversePixels(word, 1);
+}
+
+/**
+ * Reverses the order of the pixels of a word while keeping the bits of each
+ * pixel in place, converting a word of pixels of the given depth between
+ * MSB-first and LSB-first order.
+ *
+ * @param {number} word - The word to reverse
+ * @param {number} depth - Bits per pixel
+ * @returns {number} - The reversed word (unsigned)
+ */
+function reversePixels(word, depth) {
+  if (depth <= 1) {
+    word = ((word >>> 1) & 0x55555555) | ((word & 0x55555555) << 1);
+  }
+  if (depth <= 2) {
+    word = ((word >>> 2) & 0x33333333) | ((word & 0x33333333) << 2);
+  }
+  if (depth <= 4) {
+    word = ((word >>> 4) & 0x0f0f0f0f) | ((word & 0x0f0f0f0f) << 4);
+  }
+  if (depth <= 8) {
+    word = ((word >>> 8) & 0x00ff00ff) | ((word & 0x00ff00ff) << 8);
+  }
+  if (depth <= 16) {
+    word = (word >>> 16) | (word << 16);
+  }
+  return word >>> 0;
+}
+
+/**
+ * Gets the mask of the bits of a single pixel of the given depth.
+ *
+ * @param {number} depth - Bits per pixel
+ * @returns {number} - The largest pixel value
+ */
+function getPixelMask(depth) {
+  return depth === 32 ? 0xffffffff : (1 << depth) - 1;
+}
+
+/**
+ * Repeats a pixel value across a whole word.
+ *
+ * @param {number} value - The pixel value
+ * @param {number} depth - Bits per pixel
+ * @returns {number} - The word holding 32 / depth copies of the value (unsigned)
+ */
+function replicatePixel(value, depth) {
+  const pixel = value & getPixelMask(depth);
+  let word = 0;
+  for (let shift = 0; shift < 32; shift += depth) {
+    word |= pixel << shift;
+  }
+  return word >>> 0;
+}
+
 /**
  * Creates a new bitmap with the specified dimensions.
- * Each pixel is represented as a single bit (0 or 1).
- * 32 pixels are packed into each 32-bit integer.
+ * By default each pixel is represented as a single bit (0 or 1) and 32 pixels
+ * are packed into each 32-bit integer, stored in a Uint32Array. With a depth
+ * of 2, 4, 8, 16 or 32 bits per pixel, 32 / depth pixels are packed into each
+ * integer and a pixel holds a value from 0 to 2^depth - 1.
+ *
+ * The words can be placed in a caller-supplied ArrayBuffer or
+ * SharedArrayBuffer, for example to share a bitmap with a worker or with
+ * WebAssembly memory. The buffer's existing contents become the pixels.
  *
  * @param {number} width - Width of the bitmap in pixels
  * @param {number} height - Height of the bitmap in pixels
+ * @param {Object} options - Additional options
+ * @param {ArrayBuffer|SharedArrayBuffer} options.buffer - Buffer to hold the pixel words (optional)
+ * @param {number} options.byteOffset - Byte offset of the first word in the buffer (multiple of 4, default 0)
+ * @param {number} options.stride - Words from the start of one row to the start of the next (default: as few as fit the width)
+ * @param {string} options.bitOrder - Order of the pixels within each word (from BitOrder enum, default MSB_FIRST)
+ * @param {number} options.depth - Bits per pixel: 1, 2, 4, 8, 16 or 32 (default 1)
  * @returns {Object} - The created bitmap object
  */
-function createBitmap(width, height) {
+function createBitmap(width, height, options = {}) {
+  const depth = options.depth ?? 1;
+  validateDepth(depth);
+
   // Calculate how many 32-bit integers we need per row
-  // Each integer holds 32 pixels, so we divide width by 32 and round up
-  const intsPerRow = Math.ceil(width / 32);
+  // Each integer holds 32 / depth pixels, so we divide the row's bits by 32
+  // and round up, unless the caller asks for padded rows
+  const intsPerRow = options.stride ?? Math.ceil((width * depth) / 32);
+  validateStride(width, intsPerRow, depth);
+  const length = height * intsPerRow;
 
   // Create the data array to hold the bitmap data
-  const data = new Array(height * intsPerRow).fill(0);
+  let data;
+  if (options.buffer) {
+    const byteOffset = options.byteOffset || 0;
+    if (byteOffset % 4 !== 0) {
+      throw new Error(
+        `Bitmap byte offset must be a multiple of 4: ${byteOffset}`
+      );
+    }
+    if (byteOffset + length * 4 > options.buffer.byteLength) {
+      throw new Error(
+        `Buffer of ${options.buffer.byteLength} bytes is too small for a ${width}x${height} bitmap at byte offset ${byteOffset}`
+      );
+    }
+    data = new Uint32Array(options.buffer, byteOffset, length);
+  } else {
+    data = new Uint32Array(length);
+  }
+
+  return wrapBitmap(data, width, height, intsPerRow, {
+    bitOrder: options.bitOrder,
+    depth,
+  });
+}
+
+/**
+ * Wraps existing pixel words as a bitmap without copying them, for example
+ * rows read from a file format or a framebuffer whose rows are padded.
+ *
+ * @param {Uint32Array|ArrayBuffer|SharedArrayBuffer} data - The pixel words, 32 / depth pixels per word
+ * @param {number} width - Width of the bitmap in pixels
+ * @param {number} height - Height of the bitmap in pixels
+ * @param {number} stride - Words from the start of one row to the start of the next (default: as few as fit the width)
+ * @param {Object} options - Additional options
+ * @param {string} options.bitOrder - Order of the pixels within each word (from BitOrder enum, default MSB_FIRST)
+ * @param {number} options.depth - Bits per pixel: 1, 2, 4, 8, 16 or 32 (default 1)
+ * @returns {Object} - The bitmap object
+ */
+function wrapBitmap(data, width, height, stride, options = {}) {
+  const depth = options.depth ?? 1;
+  validateDepth(depth);
+
+  stride = stride ?? Math.ceil((width * depth) / 32);
+  validateStride(width, stride, depth);
+
+  const bitOrder = options.bitOrder || BitOrder.MSB_FIRST;
+  if (bitOrder !== BitOrder.MSB_FIRST && bitOrder !== BitOrder.LSB_FIRST) {
+    throw new Error(`Unknown bit order: ${bitOrder}`);
+  }
+
+  const words = data instanceof Uint32Array ? data : new Uint32Array(data);
+
+  // The last row only needs the words that hold pixels, not its padding
+  const needed =
+    height > 0 ? (height - 1) * stride + Math.ceil((width * depth) / 32) : 0;
+  if (words.length < needed) {
+    throw new Error(
+      `${words.length} words are too few for a ${width}x${height} bitmap with a stride of ${stride}`
+    );
+  }
 
   return {
     width,
     height,
-    intsPerRow,
-    data,
+    intsPerRow: stride,
+    data: words,
+    offsetX: 0,
+    offsetY: 0,
+    bitOrder,
+    depth,
+  };
+}
+
+/**
+ * Checks that a pixel depth is supported.
+ *
+ * @param {number} depth - Bits per pixel
+ * @private
+ */
+function validateDepth(depth) {
+  if (!PIXEL_DEPTHS.includes(depth)) {
+    throw new Error(
+      `Unsupported pixel depth ${depth}; use one of ${PIXEL_DEPTHS.join(", ")}`
+    );
+  }
+}
+
+/**
+ * Checks that a row stride can hold a row of the given width.
+ *
+ * @param {number} width - Width of the bitmap in pixels
+ * @param {number} stride - Words per row
+ * @param {number} depth - Bits per pixel
+ * @private
+ */
+function validateStride(width, stride, depth = 1) {
+  if (!Number.isInteger(stride) || stride < Math.ceil((width * depth) / 32)) {
+    throw new Error(
+      `Invalid stride ${stride} for a bitmap ${width} pixels wide at ${depth} bits per pixel`
+    );
+  }
+}
+
+/**
+ * Creates a view of a rectangular window into a bitmap. The view has its own
+ * width, height and coordinate origin but shares the parent's pixel data, so
+ * drawing into the view draws into the parent and vice versa. Views of views
+ * are allowed.
+ *
+ * Pixel (x, y) of a bitmap is stored at pixel (x + offsetX, y + offsetY) of its
+ * data, where each row of the data is intsPerRow words long.
+ *
+ * @param {Object} parent - The bitmap to look into
+ * @param {number} x - X coordinate of the window in the parent
+ * @param {number} y - Y coordinate of the window in the parent
+ * @param {number} width - Width of the window
+ * @param {number} height - Height of the window
+ * @returns {Object} - The sub-bitmap
+ */
+function createSubBitmap(parent, x, y, width, height) {
+  if (
+    x < 0 ||
+    y < 0 ||
+    width < 0 ||
+    height < 0 ||
+    x + width > parent.width ||
+    y + height > parent.height
+  ) {
+    throw new Error(
+      `Sub-bitmap ${width}x${height} at (${x}, ${y}) does not fit in a ${parent.width}x${parent.height} bitmap`
+    );
+  }
+
+  const view = {
+    width,
+    height,
+    intsPerRow: parent.intsPerRow,
+    data: parent.data,
+    offsetX: parent.offsetX + x,
+    offsetY: parent.offsetY + y,
+    bitOrder: parent.bitOrder,
+    depth: parent.depth,
   };
+
+  // Words that can move, such as those of bitmaps in WebAssembly memory, are
+  // read through an accessor, which the view shares
+  const dataProperty = Object.getOwnPropertyDescriptor(parent, "data");
+  if (dataProperty.get) {
+    Object.defineProperty(view, "data", dataProperty);
+  }
+
+  return view;
 }
 
 /**
- * Sets a pixel in the bitmap to 0 or 1.
+ * Sets a pixel in the bitmap to 0 or 1, or for deeper bitmaps to a value from
+ * 0 to 2^depth - 1.
  *
  * @param {Object} bitmap - The bitmap to modify
  * @param {number} x - X coordinate of the pixel
  * @param {number} y - Y coordinate of the pixel
- * @param {number} value - Value to set (0 or 1)
+ * @param {number} value - Value to set
  */
 function setPixel(bitmap, x, y, value) {
   if (x < 0 || x >= bitmap.width || y < 0 || y >= bitmap.height) {
     return; // Out of bounds
   }
 
-  // Calculate which integer in the data array contains this pixel
-  const intIndex = y * bitmap.intsPerRow + Math.floor(x / 32);
+  // Position of the pixel in the data, which sub-bitmaps share with their parent
+  const dataX = x + bitmap.offsetX;
+  const dataY = y + bitmap.offsetY;
+
+  // Calculate which integer in the data array contains this pixel
+  const intIndex =
+    dataY * bitmap.intsPerRow + Math.floor(dataX / (32 / bitmap.depth));
+
+  // Calculate which bits within that integer represent this pixel
+  const bitIndex = getBitIndex(bitmap, dataX);
+  const pixelMask = getPixelMask(bitmap.depth);
+
+  // Replace the pixel's bits with the value
+  bitmap.data[intIndex] =
+    (bitmap.data[intIndex] & ~(pixelMask << bitIndex)) |
+    ((value & pixelMask) << bitIndex);
+}
+
+/**
+ * Gets the value of a pixel in the bitmap (0 or 1, or for deeper bitmaps a
+ * value from 0 to 2^depth - 1).
+ *
+ * @param {Object} bitmap - The bitmap to read from
+ * @param {number} x - X coordinate of the pixel
+ * @param {number} y - Y coordinate of the pixel
+ * @returns {number} - The pixel value
+ */
+function getPixel(bitmap, x, y) {
+  if (x < 0 || x >= bitmap.width || y < 0 || y >= bitmap.height) {
+    return 0; // Out of bounds
+  }
+
+  // Position of the pixel in the data, which sub-bitmaps share with their parent
+  const dataX = x + bitmap.offsetX;
+  const dataY = y + bitmap.offsetY;
+
+  // Calculate which integer in the data array contains this pixel
+  const intIndex =
+    dataY * bitmap.intsPerRow + Math.floor(dataX / (32 / bitmap.depth));
+
+  // Calculate which bits within that integer represent this pixel
+  const bitIndex = getBitIndex(bitmap, dataX);
+
+  // Extract and return the pixel value
+  return (
+    ((bitmap.data[intIndex] >>> bitIndex) & getPixelMask(bitmap.depth)) >>> 0
+  );
+}
+
+/**
+ * Gets the lowest bit of a word that holds a pixel. Pixels are placed from the
+ * most significant end of the word for MSB-first bitmaps and from the least
+ * significant end for LSB-first bitmaps.
+ *
+ * @param {Object} bitmap - The bitmap
+ * @param {number} dataX - X coordinate of the pixel in the bitmap's data
+ * @returns {number} - The bit index (0 is the least significant bit)
+ * @private
+ */
+function getBitIndex(bitmap, dataX) {
+  const bit = (dataX * bitmap.depth) % 32;
+  return bitmap.bitOrder === BitOrder.LSB_FIRST ? bit : 32 - bitmap.depth - bit;
+}
+
+/**
+ * Expands a pattern bitmap into whole 32-bit words, so that the pattern can
+ * be tiled across a destination one word at a time. The pattern is aligned to
+ * destination coordinates: destination pixel (x, y) uses pattern pixel
+ * (x mod pattern.width, y mod pattern.height).
+ *
+ * The tile is indexed by position in the destination's data. For a
+ * sub-bitmap, pass its offsetX and offsetY so the pattern stays aligned to the
+ * sub-bitmap's own coordinates, and its bit order so the words line up with
+ * the destination's words. The words are packed at the pattern's depth, which
+ * must be the destination's depth.
+ *
+ * @param {Object} pattern - The pattern bitmap
+ * @param {number} originX - Data X coordinate of destination pixel (0, y)
+ * @param {number} originY - Data Y coordinate of destination pixel (x, 0)
+ * @param {string} bitOrder - Bit order of the destination (from BitOrder enum)
+ * @returns {Object} - The pattern tile: `rows` holds `wordsPerRow` words for each of `height` rows
+ */
+function createPatternTile(
+  pattern,
+  originX = 0,
+  originY = 0,
+  bitOrder = BitOrder.MSB_FIRST
+) {
+  const lsbFirst = bitOrder === BitOrder.LSB_FIRST;
+  const depth = pattern.depth;
+  const pixelsPerWord = 32 / depth;
+
+  // The tile repeats after lcm(pattern.width * depth, 32) bits
+  let divisor = pattern.width * depth;
+  for (let b = 32; b !== 0; ) {
+    [divisor, b] = [b, divisor % b];
+  }
+  const wordsPerRow = (pattern.width * depth) / divisor;
+
+  const rows = [];
+  for (let row = 0; row < pattern.height; row++) {
+    const y =
+      (row - (originY % pattern.height) + pattern.height) % pattern.height;
+    const words = [];
+    for (let i = 0; i < wordsPerRow; i++) {
+      let word = 0;
+      for (let k = 0; k < pixelsPerWord; k++) {
+        const x =
+          (i * pixelsPerWord + k - (originX % pattern.width) + pattern.width) %
+          pattern.width;
+        const shift = lsbFirst ? k * depth : 32 - depth - k * depth;
+        word |= getPixel(pattern, x, y) << shift;
+      }
+      words.push(word);
+    }
+    rows.push(words);
+  }
+
+  return { rows, wordsPerRow, height: pattern.height };
+}
+
+/**
+ * Gets the pattern pixel that covers a destination pixel.
+ *
+ * @param {Object} pattern - The pattern bitmap
+ * @param {number} x - X coordinate in the destination bitmap
+ * @param {number} y - Y coordinate in the destination bitmap
+ * @returns {number} - The pattern pixel value
+ */
+function getPatternPixel(pattern, x, y) {
+  const px = ((x % pattern.width) + pattern.width) % pattern.width;
+  const py = ((y % pattern.height) + pattern.height) % pattern.height;
+  return getPixel(pattern, px, py);
+}
+
+/**
+ * Checks that a pattern, if given, is a bitmap, that one is present when the
+ * operation needs it, and that its pixels are as deep as the destination's.
+ *
+ * @param {number} op - Operation (from BitBltOp or Rop3 enum)
+ * @param {Object} pattern - The pattern bitmap, or null
+ * @param {Object} dst - Destination bitmap
+ */
+function validatePattern(op, pattern, dst) {
+  if (pattern && !(pattern.data instanceof Uint32Array)) {
+    throw new Error(`Pattern must be a bitmap, not ${typeof pattern}`);
+  }
+  if (!usesPattern(op)) {
+    return;
+  }
+  if (!pattern) {
+    throw new Error(`BitBLT operation ${op} requires a pattern bitmap`);
+  }
+  if (pattern.depth !== dst.depth) {
+    throw new Error(
+      `Pattern depth ${pattern.depth} does not match destination depth ${dst.depth}`
+    );
+  }
+}
+
+/**
+ * Checks that the destination can hold the result of an operation: alpha
+ * blends need 32-bit ARGB pixels.
+ *
+ * @param {number} op - Operation (from BitBltOp or Rop3 enum)
+ * @param {Object} dst - Destination bitmap
+ */
+function validateOp(op, dst) {
+  if (isBlendOp(op) && dst.depth !== 32) {
+    throw new Error(
+      `Blend operation ${op} needs 32-bit ARGB pixels, not ${dst.depth}-bit`
+    );
+  }
+}
+
+/**
+ * Checks that source pixels can be combined with destination pixels: either
+ * both bitmaps have the same depth, or a color map translates source values
+ * into destination values.
+ *
+ * @param {Object} dst - Destination bitmap
+ * @param {Object} src - Source bitmap
+ * @param {Array|Uint32Array} colorMap - Color map, or null
+ */
+function validateDepths(dst, src, colorMap = null) {
+  if (colorMap) {
+    validateColorMap(colorMap, src.depth);
+  } else if (src.depth !== dst.depth) {
+    throw new Error(
+      `Source depth ${src.depth} does not match destination depth ${dst.depth}; pass a color map to convert`
+    );
+  }
+}
+
+/**
+ * Checks that a color map has one entry for every source pixel value.
+ *
+ * @param {Array|Uint32Array} colorMap - The color map
+ * @param {number} srcDepth - Bits per pixel of the source
+ * @private
+ */
+function validateColorMap(colorMap, srcDepth) {
+  if (srcDepth > 16) {
+    throw new Error(
+      `Color maps need a source of at most 16 bits per pixel, not ${srcDepth}`
+    );
+  }
+  if (colorMap.length !== 2 ** srcDepth) {
+    throw new Error(
+      `A color map for ${srcDepth}-bit pixels needs ${
+        2 ** srcDepth
+      } entries, not ${colorMap.length}`
+    );
+  }
+}
+
+/**
+ * Enum for the kinds of color map, which code generators specialize.
+ * @enum {string}
+ */
+const ColorMapKind = {
+  /** Every value maps to itself */
+  IDENTITY: "identity",
+  /** 1-bit source: 0 maps to a background value and 1 to a foreground value */
+  EXPAND: "expand",
+  /** 1-bit destination: values below a threshold map to 0, the rest to 1 */
+  THRESHOLD: "threshold",
+  /** Any other map, looked up entry by entry */
+  TABLE: "table",
+};
+
+/**
+ * Builds a color map that expands 1-bit pixels, for example glyphs, into
+ * foreground and background values of a deeper destination.
+ *
+ * @param {number} foreground - Destination value for source pixels that are 1
+ * @param {number} background - Destination value for source pixels that are 0
+ * @returns {Uint32Array} - The color map
+ */
+function expandColorMap(foreground, background = 0) {
+  return Uint32Array.of(background, foreground);
+}
+
+/**
+ * Builds a color map that reduces pixels to 1 bit: values at or above the
+ * threshold become 1 and values below it become 0.
+ *
+ * @param {number} srcDepth - Bits per pixel of the source (at most 16)
+ * @param {number} threshold - Smallest source value that maps to 1
+ * @returns {Uint32Array} - The color map
+ */
+function thresholdColorMap(srcDepth, threshold) {
+  validateDepth(srcDepth);
+  if (srcDepth > 16) {
+    throw new Error(
+      `Color maps need a source of at most 16 bits per pixel, not ${srcDepth}`
+    );
+  }
+  const colorMap = new Uint32Array(2 ** srcDepth);
+  for (let value = 0; value < colorMap.length; value++) {
+    colorMap[value] = value >= threshold ? 1 : 0;
+  }
+  return colorMap;
+}
+
+/**
+ * Works out which kind of color map a map is, so that code generators can
+ * emit a comparison or a choice between two constants instead of a lookup.
+ * Entries are taken modulo the destination depth.
+ *
+ * @param {Array|Uint32Array} colorMap - The color map
+ * @param {number} srcDepth - Bits per pixel of the source
+ * @param {number} dstDepth - Bits per pixel of the destination
+ * @returns {Object} - `kind` (from ColorMapKind enum), with `foreground` and
+ *   `background` for EXPAND maps and `threshold` for THRESHOLD maps
+ */
+function analyzeColorMap(colorMap, srcDepth, dstDepth) {
+  const pixelMask = getPixelMask(dstDepth);
+  const entries = Array.from(colorMap, (value) => (value & pixelMask) >>> 0);
+
+  if (
+    srcDepth === dstDepth &&
+    entries.every((value, index) => value === index)
+  ) {
+    return { kind: ColorMapKind.IDENTITY };
+  }
+  if (srcDepth === 1) {
+    return {
+      kind: ColorMapKind.EXPAND,
+      background: entries[0],
+      foreground: entries[1],
+    };
+  }
+
+  // A threshold map is a run of 0s followed by a run of 1s
+  const threshold =
+    entries.indexOf(1) === -1 ? entries.length : entries.indexOf(1);
+  if (
+    dstDepth === 1 &&
+    entries.every((value, index) => value === (index >= threshold ? 1 : 0))
+  ) {
+    return { kind: ColorMapKind.THRESHOLD, threshold };
+  }
+
+  return { kind: ColorMapKind.TABLE };
+}
+
+/**
+ * Translates a clipped source rectangle through a color map into a temporary
+ * bitmap in the destination's depth and bit order. The returned view starts
+ * at the same position within a word as the destination rectangle, so the
+ * word engine can copy it without a skew.
+ *
+ * @param {Object} src - Source bitmap
+ * @param {Object} rect - Clipped rectangle from clipBitBlt() or clipMaskBlt()
+ * @param {Array|Uint32Array} colorMap - Destination value for each source value
+ * @param {Object} dst - Destination bitmap
+ * @returns {Object} - The translated pixels, as a view at (0, 0)
+ * @private
+ */
+function mapPixels(src, rect, colorMap, dst) {
+  const { width, height } = rect;
+  const srcPixelsPerWord = 32 / src.depth;
+  const srcPixelMask = getPixelMask(src.depth);
+  const dstPixelMask = getPixelMask(dst.depth);
+
+  const lead = (rect.dstX + dst.offsetX) % (32 / dst.depth);
+  const mapped = createBitmap(lead + width, height, {
+    depth: dst.depth,
+    bitOrder: dst.bitOrder,
+  });
+
+  for (let y = 0; y < height; y++) {
+    const srcRowIndex = (rect.srcY + src.offsetY + y) * src.intsPerRow;
+    const mappedRowIndex = y * mapped.intsPerRow;
+
+    for (let x = 0; x < width; x++) {
+      const srcDataX = rect.srcX + src.offsetX + x;
+      const srcWord =
+        src.data[srcRowIndex + Math.floor(srcDataX / srcPixelsPerWord)];
+      const value = (srcWord >>> getBitIndex(src, srcDataX)) & srcPixelMask;
+
+      // The temporary bitmap starts out clear, so the pixel can be ORed in
+      const mappedX = lead + x;
+      mapped.data[mappedRowIndex + Math.floor(mappedX / (32 / dst.depth))] |=
+        (colorMap[value] & dstPixelMask) << getBitIndex(mapped, mappedX);
+    }
+  }
+
+  return createSubBitmap(mapped, lead, 0, width, height);
+}
+
+/**
+ * Sets the clip rectangle of a bitmap. Transfers and fills that write to the
+ * bitmap only change pixels inside the clip rectangle.
+ *
+ * @param {Object} bitmap - The bitmap to clip
+ * @param {number} x - X coordinate of the top-left corner
+ * @param {number} y - Y coordinate of the top-left corner
+ * @param {number} width - Width of the clip rectangle
+ * @param {number} height - Height of the clip rectangle
+ */
+function setClipRect(bitmap, x, y, width, height) {
+  bitmap.clipRect = { x, y, width, height };
+}
+
+/**
+ * Removes the clip rectangle of a bitmap, so that only its bounds clip.
+ *
+ * @param {Object} bitmap - The bitmap to unclip
+ */
+function clearClipRect(bitmap) {
+  bitmap.clipRect = null;
+}
+
+/**
+ * Clips a transfer to the destination bitmap's bounds, its clip rectangle,
+ * an optional caller-supplied clip rectangle and the bounds of the source.
+ * Clipping the left or top edge advances the source and destination origins
+ * together, so negative coordinates keep the two in register.
+ *
+ * @param {Object} dst - Destination bitmap
+ * @param {number} dstX - X coordinate in destination bitmap
+ * @param {number} dstY - Y coordinate in destination bitmap
+ * @param {number} width - Width of the rectangle to transfer
+ * @param {number} height - Height of the rectangle to transfer
+ * @param {Object} src - Source bitmap, or null for fills
+ * @param {number} srcX - X coordinate in source bitmap
+ * @param {number} srcY - Y coordinate in source bitmap
+ * @param {Object} clipRect - Additional clip rectangle in destination coordinates (optional)
+ * @returns {Object} - The clipped dstX, dstY, srcX, srcY, width and height (width or height 0 if nothing is left)
+ */
+function clipBitBlt(
+  dst,
+  dstX,
+  dstY,
+  width,
+  height,
+  src,
+  srcX,
+  srcY,
+  clipRect = null
+) {
+  // The destination area that may be written
+  let left = 0;
+  let top = 0;
+  let right = dst.width;
+  let bottom = dst.height;
+
+  for (const rect of [dst.clipRect, clipRect]) {
+    if (rect) {
+      left = Math.max(left, rect.x);
+      top = Math.max(top, rect.y);
+      right = Math.min(right, rect.x + rect.width);
+      bottom = Math.min(bottom, rect.y + rect.height);
+    }
+  }
+
+  // Clip against the destination area, advancing both origins
+  if (dstX < left) {
+    srcX += left - dstX;
+    width -= left - dstX;
+    dstX = left;
+  }
+  if (dstY < top) {
+    srcY += top - dstY;
+    height -= top - dstY;
+    dstY = top;
+  }
+  width = Math.min(width, right - dstX);
+  height = Math.min(height, bottom - dstY);
+
+  // Clip against the source bitmap, advancing both origins
+  if (src) {
+    if (srcX < 0) {
+      dstX -= srcX;
+      width += srcX;
+      srcX = 0;
+    }
+    if (srcY < 0) {
+      dstY -= srcY;
+      height += srcY;
+      srcY = 0;
+    }
+    width = Math.min(width, src.width - srcX);
+    height = Math.min(height, src.height - srcY);
+  }
+
+  return {
+    dstX,
+    dstY,
+    srcX,
+    srcY,
+    width: Math.max(width, 0),
+    height: Math.max(height, 0),
+  };
+}
+
+/**
+ * Clips a masked transfer like clipBitBlt(), and additionally to the bounds of
+ * the mask bitmap. The source, destination and mask origins advance together.
+ *
+ * @param {Object} dst - Destination bitmap
+ * @param {number} dstX - X coordinate in destination bitmap
+ * @param {number} dstY - Y coordinate in destination bitmap
+ * @param {number} width - Width of the rectangle to transfer
+ * @param {number} height - Height of the rectangle to transfer
+ * @param {Object} src - Source bitmap
+ * @param {number} srcX - X coordinate in source bitmap
+ * @param {number} srcY - Y coordinate in source bitmap
+ * @param {Object} mask - Mask bitmap
+ * @param {number} maskX - X coordinate in mask bitmap
+ * @param {number} maskY - Y coordinate in mask bitmap
+ * @param {Object} clipRect - Additional clip rectangle in destination coordinates (optional)
+ * @returns {Object} - The clipped dstX, dstY, srcX, srcY, maskX, maskY, width and height
+ */
+function clipMaskBlt(
+  dst,
+  dstX,
+  dstY,
+  width,
+  height,
+  src,
+  srcX,
+  srcY,
+  mask,
+  maskX,
+  maskY,
+  clipRect = null
+) {
+  const clipped = clipBitBlt(
+    dst,
+    dstX,
+    dstY,
+    width,
+    height,
+    src,
+    srcX,
+    srcY,
+    clipRect
+  );
+
+  // Clip the remaining rectangle against the mask, treating it as the source
+  const masked = clipBitBlt(
+    dst,
+    clipped.dstX,
+    clipped.dstY,
+    clipped.width,
+    clipped.height,
+    mask,
+    maskX + clipped.dstX - dstX,
+    maskY + clipped.dstY - dstY
+  );
+
+  return {
+    dstX: masked.dstX,
+    dstY: masked.dstY,
+    srcX: clipped.srcX + masked.dstX - clipped.dstX,
+    srcY: clipped.srcY + masked.dstY - clipped.dstY,
+    maskX: masked.srcX,
+    maskY: masked.srcY,
+    width: masked.width,
+    height: masked.height,
+  };
+}
+
+/**
+ * BitBLT operation - transfers a rectangular block of pixels from source to destination bitmap.
+ *
+ * Transfers at any alignment are performed a word at a time: each source word is
+ * shifted into line with the destination and partial words at the left and right
+ * edges are merged through masks.
+ *
+ * @param {Object} dst - Destination bitmap
+ * @param {number} dstX - X coordinate in destination bitmap
+ * @param {number} dstY - Y coordinate in destination bitmap
+ * @param {number} width - Width of the rectangle to transfer
+ * @param {number} height - Height of the rectangle to transfer
+ * @param {Object} src - Source bitmap
+ * @param {number} srcX - X coordinate in source bitmap
+ * @param {number} srcY - Y coordinate in source bitmap
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @param {Object} pattern - Pattern bitmap tiled across the destination (ternary raster operations only)
+ * @param {Object} options - Additional options
+ * @param {Object} options.clipRect - Clip rectangle in destination coordinates, applied on top of dst.clipRect
+ * @param {Array|Uint32Array} options.colorMap - Destination value for each source value, indexed by source value (optional)
+ */
+function bitblt(
+  dst,
+  dstX,
+  dstY,
+  width,
+  height,
+  src,
+  srcX,
+  srcY,
+  op = BitBltOp.COPY,
+  pattern = null,
+  options = {}
+) {
+  validatePattern(op, pattern, dst);
+  validateOp(op, dst);
+  validateDepths(dst, src, options.colorMap);
+
+  // Validate input parameters
+  if (width <= 0 || height <= 0) {
+    return; // Nothing to do
+  }
 
-  // Calculate which bit within that integer represents this pixel
-  const bitIndex = 31 - (x % 32); // We count from the most significant bit
+  // Clip the operation to the clip rectangles and the bounds of both bitmaps
+  const clipped = clipBitBlt(
+    dst,
+    dstX,
+    dstY,
+    width,
+    height,
+    src,
+    srcX,
+    srcY,
+    options.clipRect
+  );
 
-  if (value === 1) {
-    // Set the bit to 1
-    bitmap.data[intIndex] |= 1 << bitIndex;
-  } else {
-    // Set the bit to 0
-    bitmap.data[intIndex] &= ~(1 << bitIndex);
+  if (clipped.width === 0 || clipped.height === 0) {
+    return; // Nothing left after clipping
   }
-}
 
-/**
- * Gets the value of a pixel in the bitmap (0 or 1).
- *
- * @param {Object} bitmap - The bitmap to read from
- * @param {number} x - X coordinate of the pixel
- * @param {number} y - Y coordinate of the pixel
- * @returns {number} - The pixel value (0 or 1)
- */
-function getPixel(bitmap, x, y) {
-  if (x < 0 || x >= bitmap.width || y < 0 || y >= bitmap.height) {
-    return 0; // Out of bounds
+  // Translate the source through the color map first. The translated pixels
+  // are read in full before the destination is written, so overlap is safe
+  if (options.colorMap) {
+    src = mapPixels(src, clipped, options.colorMap, dst);
+    clipped.srcX = 0;
+    clipped.srcY = 0;
   }
 
-  // Calculate which integer in the data array contains this pixel
-  const intIndex = y * bitmap.intsPerRow + Math.floor(x / 32);
-
-  // Calculate which bit within that integer represents this pixel
-  const bitIndex = 31 - (x % 32); // We count from the most significant bit
+  const patternTile = usesPattern(op)
+    ? createPatternTile(pattern, dst.offsetX, dst.offsetY, dst.bitOrder)
+    : null;
 
-  // Extract and return the bit value
-  return bitmap.data[intIndex] & (1 << bitIndex) ? 1 : 0;
+  copyBits(
+    dst,
+    clipped.dstX,
+    clipped.dstY,
+    clipped.width,
+    clipped.height,
+    src,
+    clipped.srcX,
+    clipped.srcY,
+    op,
+    patternTile
+  );
 }
 
 /**
- * BitBLT operation - transfers a rectangular block of pixels from source to destination bitmap.
+ * Word engine behind bitblt. Transfers an already clipped rectangle one
+ * destination word at a time. Coordinates are translated to positions in the
+ * bitmaps' data first, so sub-bitmaps are handled like any other bitmap.
+ *
+ * The source is read with a skew: each destination word is assembled from two
+ * adjacent source words shifted by (srcX - dstX) mod 32. The first source word
+ * of each row is preloaded, so every source word is read exactly once and read
+ * before the destination word that may share its storage is written. Partial
+ * words at the left and right edges are merged through edge masks.
+ *
+ * Words are processed in the destination's bit order. Source and mask words
+ * in the other order are bit-reversed as they are read.
+ *
+ * Pixels deeper than one bit are transferred as runs of adjacent bits: each
+ * position and width is scaled by the depth, and each mask pixel covers all
+ * bits of its destination pixel.
  *
  * @param {Object} dst - Destination bitmap
  * @param {number} dstX - X coordinate in destination bitmap
@@ -107,9 +1447,15 @@ function getPixel(bitmap, x, y) {
  * @param {Object} src - Source bitmap
  * @param {number} srcX - X coordinate in source bitmap
  * @param {number} srcY - Y coordinate in source bitmap
- * @param {number} op - Operation to perform: BitBltOp.COPY, BitBltOp.AND, BitBltOp.OR, BitBltOp.XOR
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @param {Object} patternTile - Expanded pattern from createPatternTile(), or null
+ * @param {Object} mask - Mask bitmap selecting the pixels to change, or null for all
+ * @param {number} maskX - X coordinate in mask bitmap
+ * @param {number} maskY - Y coordinate in mask bitmap
+ * @param {number} key - Source pixel value to leave out, or null to transfer every pixel
+ * @private
  */
-function bitblt(
+function copyBits(
   dst,
   dstX,
   dstY,
@@ -118,94 +1464,231 @@ function bitblt(
   src,
   srcX,
   srcY,
-  op = BitBltOp.COPY
+  op,
+  patternTile,
+  mask = null,
+  maskX = 0,
+  maskY = 0,
+  key = null
 ) {
-  // Validate input parameters
-  if (width <= 0 || height <= 0) {
-    return; // Nothing to do
+  // Work in data coordinates, which sub-bitmaps share with their parent
+  dstX += dst.offsetX;
+  dstY += dst.offsetY;
+  srcX += src.offsetX;
+  srcY += src.offsetY;
+  if (mask) {
+    maskX += mask.offsetX;
+    maskY += mask.offsetY;
   }
 
-  // Clip the operation to the bounds of both bitmaps
-  const srcMaxX = Math.min(srcX + width, src.width);
-  const srcMaxY = Math.min(srcY + height, src.height);
-  const dstMaxX = Math.min(dstX + width, dst.width);
-  const dstMaxY = Math.min(dstY + height, dst.height);
+  // Work in bits from here on, except in the 1-bit mask
+  const depth = dst.depth;
+  dstX *= depth;
+  srcX *= depth;
+  width *= depth;
 
-  // Calculate actual dimensions after clipping
-  const actualWidth = Math.min(srcMaxX - srcX, dstMaxX - dstX);
-  const actualHeight = Math.min(srcMaxY - srcY, dstMaxY - dstY);
+  // Destination words touched by each row, and the masks for the partial edge words
+  const lsbFirst = dst.bitOrder === BitOrder.LSB_FIRST;
+  const firstWord = dstX >> 5;
+  const lastWord = (dstX + width - 1) >> 5;
+  const wordCount = lastWord - firstWord + 1;
+  const leftMask = getEdgeMask(dstX & 31, 31, lsbFirst);
+  const rightMask = getEdgeMask(0, (dstX + width - 1) & 31, lsbFirst);
+  const convertSrc = src.bitOrder !== dst.bitOrder;
 
-  // Check if source and destination are the same bitmap and regions overlap
-  const sameBuffer = src === dst;
-  const overlapHorizontal =
-    sameBuffer &&
-    ((srcX < dstX && srcX + actualWidth > dstX) || // Source starts before dest and overlaps
-      (dstX < srcX && dstX + actualWidth > srcX)); // Dest starts before source and overlaps
-  const overlapVertical =
-    sameBuffer &&
-    ((srcY < dstY && srcY + actualHeight > dstY) || // Source starts before dest and overlaps
-      (dstY < srcY && dstY + actualHeight > srcY)); // Dest starts before source and overlaps
+  // Source word feeding the first destination word, and the shift between them
+  const delta = srcX - dstX;
+  const skew = delta & 31;
+  const srcFirstWord = (firstWord * 32 + delta) >> 5;
 
-  // Determine the direction to process pixels based on overlap
-  let xStart, xEnd, xStep;
-  let yStart, yEnd, yStep;
+  // Choose the processing order so overlapping regions of the same data
+  // are read before they are overwritten
+  const sameBuffer = src.data === dst.data;
+  const bottomUp = sameBuffer && srcY < dstY;
+  const rightToLeft = sameBuffer && srcY === dstY && srcX < dstX;
 
-  if (overlapHorizontal && srcX < dstX) {
-    // Source is to the left of destination, process right-to-left
-    xStart = actualWidth - 1;
-    xEnd = -1;
-    xStep = -1;
-  } else {
-    // No horizontal overlap or source is to the right of destination, process left-to-right
-    xStart = 0;
-    xEnd = actualWidth;
-    xStep = 1;
-  }
+  const srcData = src.data;
+  const dstData = dst.data;
+  const keyWord = key !== null ? replicatePixel(key, depth) : 0;
 
-  if (overlapVertical && srcY < dstY) {
-    // Source is above destination, process bottom-to-top
-    yStart = actualHeight - 1;
-    yEnd = -1;
-    yStep = -1;
-  } else {
-    // No vertical overlap or source is below destination, process top-to-bottom
-    yStart = 0;
-    yEnd = actualHeight;
-    yStep = 1;
-  }
+  for (let row = 0; row < height; row++) {
+    const y = bottomUp ? height - 1 - row : row;
+    const srcRowIndex = (srcY + y) * src.intsPerRow + srcFirstWord;
+    const dstRowIndex = (dstY + y) * dst.intsPerRow + firstWord;
+    const patRow = patternTile
+      ? patternTile.rows[(dstY + y) % patternTile.height]
+      : null;
+    const maskRowIndex = mask ? (maskY + y) * mask.intsPerRow : 0;
 
-  // Perform the bit block transfer with the appropriate direction
-  for (let y = yStart; y !== yEnd; y += yStep) {
-    for (let x = xStart; x !== xEnd; x += xStep) {
-      const srcPixel = getPixel(src, srcX + x, srcY + y);
-      const dstPixel = getPixel(dst, dstX + x, dstY + y);
+    // Preload the source word that starts the row in the processing direction
+    let carry = srcData[srcRowIndex + (rightToLeft ? wordCount : 0)];
+    if (convertSrc) {
+      carry = reversePixels(carry, depth);
+    }
 
-      let resultPixel;
+    for (let step = 0; step < wordCount; step++) {
+      const i = rightToLeft ? wordCount - 1 - step : step;
 
-      // Apply the requested operation
-      switch (op) {
-        case BitBltOp.AND:
-          resultPixel = srcPixel & dstPixel;
-          break;
-        case BitBltOp.OR:
-          resultPixel = srcPixel | dstPixel;
-          break;
-        case BitBltOp.XOR:
-          resultPixel = srcPixel ^ dstPixel;
-          break;
-        case BitBltOp.COPY:
-        default:
-          resultPixel = srcPixel;
-          break;
+      // Assemble the source word aligned with destination word i
+      let srcInt;
+      if (rightToLeft) {
+        const next = carry;
+        carry = srcData[srcRowIndex + i];
+        if (convertSrc) {
+          carry = reversePixels(carry, depth);
+        }
+        srcInt = shiftPixels(carry, next, skew, lsbFirst);
+      } else {
+        let next = srcData[srcRowIndex + i + 1];
+        if (convertSrc) {
+          next = reversePixels(next, depth);
+        }
+        srcInt = shiftPixels(carry, next, skew, lsbFirst);
+        carry = next;
+      }
+
+      const dstInt = dstData[dstRowIndex + i];
+      const patInt = patRow
+        ? patRow[(firstWord + i) % patternTile.wordsPerRow]
+        : 0;
+      const result = applyOp(op, srcInt, dstInt, patInt, depth);
+
+      // Merge partial edge words, and pixels outside the mask bitmap, through masks
+      let writeMask = 0xffffffff;
+      if (i === 0) {
+        writeMask &= leftMask;
       }
+      if (i === wordCount - 1) {
+        writeMask &= rightMask;
+      }
+      if (mask) {
+        const maskWord = getSkewedWord(
+          mask,
+          maskRowIndex,
+          ((firstWord + i) * 32 - dstX) / depth + maskX,
+          dst.bitOrder
+        );
+        writeMask &=
+          depth === 1 ? maskWord : expandMask(maskWord, depth, lsbFirst);
+      }
+      if (key !== null) {
+        writeMask &= getOpaqueMask(srcInt, keyWord, depth);
+      }
+
+      dstData[dstRowIndex + i] =
+        writeMask === 0xffffffff
+          ? result
+          : (dstInt & ~writeMask) | (result & writeMask);
+    }
+  }
+}
+
+/**
+ * Finds the pixels of a word that differ from a key value, the way
+ * applyArithmeticOp() finds the non-zero pixels for PAINT.
+ *
+ * @param {number} srcInt - Word of source pixels
+ * @param {number} keyWord - The key value replicated across a word
+ * @param {number} depth - Bits per pixel
+ * @returns {number} - Word with all bits of every pixel that differs from the key set
+ * @private
+ */
+function getOpaqueMask(srcInt, keyWord, depth) {
+  const { high, pixelMask } = getFieldConstants(depth);
+  const rest = ~high;
+  const difference = srcInt ^ keyWord;
+  const nonZero = (((difference & rest) + rest) | difference) & high;
+  return ((nonZero >>> (depth - 1)) * pixelMask) | 0;
+}
+
+/**
+ * Reads the 32 pixels of a bitmap row that start at any bit position.
+ * Words outside the data read as 0; callers mask off the bits they do not use.
+ *
+ * @param {Object} bitmap - The bitmap to read from
+ * @param {number} rowIndex - Index of the first word of the row
+ * @param {number} bit - Position of the first pixel, relative to the row
+ * @param {string} bitOrder - Bit order of the returned word (from BitOrder enum)
+ * @returns {number} - The 32 pixels
+ * @private
+ */
+function getSkewedWord(bitmap, rowIndex, bit, bitOrder) {
+  const index = rowIndex + (bit >> 5);
+  let first = bitmap.data[index] | 0;
+  let second = bitmap.data[index + 1] | 0;
+
+  if (bitmap.bitOrder !== bitOrder) {
+    first = reverseBits(first);
+    second = reverseBits(second);
+  }
+
+  return shiftPixels(first, second, bit & 31, bitOrder === BitOrder.LSB_FIRST);
+}
+
+/**
+ * Widens the first 32 / depth pixels of a 1-bit mask word so that each covers
+ * the bits of one pixel of the given depth.
+ *
+ * @param {number} word - The mask pixels
+ * @param {number} depth - Bits per pixel of the destination
+ * @param {boolean} lsbFirst - Whether the words are in LSB-first order
+ * @returns {number} - The widened mask
+ * @private
+ */
+function expandMask(word, depth, lsbFirst) {
+  const pixelMask = getPixelMask(depth);
+  let result = 0;
 
-      setPixel(dst, dstX + x, dstY + y, resultPixel);
+  for (let k = 0; k < 32 / depth; k++) {
+    const bit = lsbFirst ? (word >>> k) & 1 : (word >>> (31 - k)) & 1;
+    if (bit) {
+      result |= pixelMask << (lsbFirst ? k * depth : 32 - depth - k * depth);
     }
   }
+
+  return result;
+}
+
+/**
+ * Joins two adjacent words of pixels and returns the 32 pixels that start
+ * `shift` pixels into the first word.
+ *
+ * @param {number} first - Word holding the first pixels
+ * @param {number} second - The word that follows it
+ * @param {number} shift - Number of bits to skip (0-31)
+ * @param {boolean} lsbFirst - Whether the words are in LSB-first order
+ * @returns {number} - The 32 pixels
+ * @private
+ */
+function shiftPixels(first, second, shift, lsbFirst) {
+  if (shift === 0) {
+    return first;
+  }
+
+  return lsbFirst
+    ? (first >>> shift) | (second << (32 - shift))
+    : (first << shift) | (second >>> (32 - shift));
+}
+
+/**
+ * Builds a mask that selects the pixels from position `from` to position `to`
+ * (inclusive, 0-31) of a word.
+ *
+ * @param {number} from - First pixel to select
+ * @param {number} to - Last pixel to select
+ * @param {boolean} lsbFirst - Whether the word is in LSB-first order
+ * @returns {number} - The mask
+ * @private
+ */
+function getEdgeMask(from, to, lsbFirst) {
+  const mask = (0xffffffff >>> from) & (0xffffffff << (31 - to));
+  return lsbFirst ? reverseBits(mask) : mask;
 }
 
 /**
- * Optimized BitBLT for aligned blocks - much faster when blocks align with 32-bit boundaries
+ * Optimized BitBLT for aligned blocks - much faster when blocks align with 32-bit boundaries.
+ * For deeper pixels the positions and width only need to be multiples of 32 / depth.
+ * Transfers through a color map are handed to bitblt.
  *
  * @param {Object} dst - Destination bitmap
  * @param {number} dstX - X coordinate in destination bitmap (must be multiple of 32)
@@ -215,7 +1698,11 @@ function bitblt(
  * @param {Object} src - Source bitmap
  * @param {number} srcX - X coordinate in source bitmap (must be multiple of 32)
  * @param {number} srcY - Y coordinate in source bitmap
- * @param {number} op - Operation to perform: BitBltOp.COPY, BitBltOp.AND, BitBltOp.OR, BitBltOp.XOR
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @param {Object} pattern - Pattern bitmap tiled across the destination (ternary raster operations only)
+ * @param {Object} options - Additional options
+ * @param {Object} options.clipRect - Clip rectangle in destination coordinates, applied on top of dst.clipRect
+ * @param {Array|Uint32Array} options.colorMap - Destination value for each source value, indexed by source value (optional)
  */
 function bitbltAligned(
   dst,
@@ -226,25 +1713,95 @@ function bitbltAligned(
   src,
   srcX,
   srcY,
-  op = BitBltOp.COPY
+  op = BitBltOp.COPY,
+  pattern = null,
+  options = {}
 ) {
-  // Validate that coordinates are aligned to 32-bit boundaries
-  if (dstX % 32 !== 0 || srcX % 32 !== 0 || width % 32 !== 0) {
+  validatePattern(op, pattern, dst);
+  validateOp(op, dst);
+  validateDepths(dst, src, options.colorMap);
+
+  if (options.colorMap) {
+    return bitblt(
+      dst,
+      dstX,
+      dstY,
+      width,
+      height,
+      src,
+      srcX,
+      srcY,
+      op,
+      pattern,
+      options
+    );
+  }
+
+  // Clip first: the clipped rectangle decides whether the fast path applies
+  const clipped = clipBitBlt(
+    dst,
+    dstX,
+    dstY,
+    width,
+    height,
+    src,
+    srcX,
+    srcY,
+    options.clipRect
+  );
+
+  if (clipped.width === 0 || clipped.height === 0) {
+    return; // Nothing left after clipping
+  }
+
+  // Validate that the data coordinates are aligned to 32-bit boundaries
+  const depth = dst.depth;
+  if (
+    ((clipped.dstX + dst.offsetX) * depth) % 32 !== 0 ||
+    ((clipped.srcX + src.offsetX) * depth) % 32 !== 0 ||
+    (clipped.width * depth) % 32 !== 0
+  ) {
     // Fall back to regular bitblt for unaligned operations
-    return bitblt(dst, dstX, dstY, width, height, src, srcX, srcY, op);
+    return bitblt(
+      dst,
+      dstX,
+      dstY,
+      width,
+      height,
+      src,
+      srcX,
+      srcY,
+      op,
+      pattern,
+      options
+    );
   }
 
+  ({ dstX, dstY, srcX, srcY, width, height } = clipped);
+  const patternTile = usesPattern(op)
+    ? createPatternTile(pattern, dst.offsetX, dst.offsetY, dst.bitOrder)
+    : null;
+
+  // Work in data coordinates, which sub-bitmaps share with their parent
+  dstX += dst.offsetX;
+  dstY += dst.offsetY;
+  srcX += src.offsetX;
+  srcY += src.offsetY;
+
   // Calculate starting indices and how many integers per row to copy
   const srcStartRow = srcY;
   const dstStartRow = dstY;
-  const intsPerRow = width / 32;
+  const intsPerRow = (width * depth) / 32;
 
   // Calculate starting integer indices
-  const srcStartIntX = srcX / 32;
-  const dstStartIntX = dstX / 32;
+  const srcStartIntX = (srcX * depth) / 32;
+  const dstStartIntX = (dstX * depth) / 32;
 
-  // Check if source and destination are the same bitmap and regions overlap
-  const sameBuffer = src === dst;
+  // Source words in the other bit order are reversed as they are read
+  const convertSrc = src.bitOrder !== dst.bitOrder;
+
+  // Check if source and destination share data and regions overlap
+  const sameBuffer = src.data === dst.data;
   const overlapHorizontal =
     sameBuffer &&
     ((srcStartIntX < dstStartIntX &&
@@ -288,96 +1845,572 @@ function bitbltAligned(
   for (let y = yStart; y !== yEnd; y += yStep) {
     const srcRowIndex = (srcStartRow + y) * src.intsPerRow + srcStartIntX;
     const dstRowIndex = (dstStartRow + y) * dst.intsPerRow + dstStartIntX;
+    const patRow = patternTile
+      ? patternTile.rows[(dstStartRow + y) % patternTile.height]
+      : null;
 
     for (let i = iStart; i !== iEnd; i += iStep) {
-      const srcInt = src.data[srcRowIndex + i];
+      const srcInt = convertSrc
+        ? reversePixels(src.data[srcRowIndex + i], depth)
+        : src.data[srcRowIndex + i];
       const dstInt = dst.data[dstRowIndex + i];
+      const patInt = patRow
+        ? patRow[(dstStartIntX + i) % patternTile.wordsPerRow]
+        : 0;
 
       // Apply the requested operation
-      switch (op) {
-        case BitBltOp.AND:
-          dst.data[dstRowIndex + i] = srcInt & dstInt;
-          break;
-        case BitBltOp.OR:
-          dst.data[dstRowIndex + i] = srcInt | dstInt;
-          break;
-        case BitBltOp.XOR:
-          dst.data[dstRowIndex + i] = srcInt ^ dstInt;
-          break;
-        case BitBltOp.COPY:
-        default:
-          dst.data[dstRowIndex + i] = srcInt;
-          break;
-      }
+      dst.data[dstRowIndex + i] = applyOp(op, srcInt, dstInt, patInt, depth);
+    }
+  }
+}
+
+/**
+ * Transparent BitBLT operation - transfers a rectangular block of pixels but
+ * leaves out source pixels equal to a key value, so sprites can be drawn
+ * without a separate mask. The other source pixels are combined with the
+ * destination according to the operation.
+ *
+ * Clipping and overlapping transfers within one bitmap are handled as in
+ * bitblt; the key is compared with whole source words at once. Copying 1-bit
+ * pixels around a key of 0 is an OR, and around a key of 1 an AND, so those
+ * transfers are handed to bitblt as such.
+ *
+ * @param {Object} dst - Destination bitmap
+ * @param {number} dstX - X coordinate in destination bitmap
+ * @param {number} dstY - Y coordinate in destination bitmap
+ * @param {number} width - Width of the rectangle to transfer
+ * @param {number} height - Height of the rectangle to transfer
+ * @param {Object} src - Source bitmap
+ * @param {number} srcX - X coordinate in source bitmap
+ * @param {number} srcY - Y coordinate in source bitmap
+ * @param {number} key - Source pixel value that is transparent
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @param {Object} pattern - Pattern bitmap tiled across the destination (ternary raster operations only)
+ * @param {Object} options - Additional options
+ * @param {Object} options.clipRect - Clip rectangle in destination coordinates, applied on top of dst.clipRect
+ */
+function transparentBlt(
+  dst,
+  dstX,
+  dstY,
+  width,
+  height,
+  src,
+  srcX,
+  srcY,
+  key,
+  op = BitBltOp.COPY,
+  pattern = null,
+  options = {}
+) {
+  validatePattern(op, pattern, dst);
+  validateOp(op, dst);
+  validateDepths(dst, src);
+  validateKey(key, src);
+
+  if (options.colorMap) {
+    throw new Error("transparentBlt does not take a color map");
+  }
+
+  if (dst.depth === 1 && op === BitBltOp.COPY) {
+    return bitblt(
+      dst,
+      dstX,
+      dstY,
+      width,
+      height,
+      src,
+      srcX,
+      srcY,
+      key ? BitBltOp.AND : BitBltOp.OR,
+      null,
+      options
+    );
+  }
+
+  // Validate input parameters
+  if (width <= 0 || height <= 0) {
+    return; // Nothing to do
+  }
+
+  // Clip the operation to the clip rectangles and the bounds of both bitmaps
+  const clipped = clipBitBlt(
+    dst,
+    dstX,
+    dstY,
+    width,
+    height,
+    src,
+    srcX,
+    srcY,
+    options.clipRect
+  );
+
+  if (clipped.width === 0 || clipped.height === 0) {
+    return; // Nothing left after clipping
+  }
+
+  const patternTile = usesPattern(op)
+    ? createPatternTile(pattern, dst.offsetX, dst.offsetY, dst.bitOrder)
+    : null;
+
+  copyBits(
+    dst,
+    clipped.dstX,
+    clipped.dstY,
+    clipped.width,
+    clipped.height,
+    src,
+    clipped.srcX,
+    clipped.srcY,
+    op,
+    patternTile,
+    null,
+    0,
+    0,
+    key
+  );
+}
+
+/**
+ * Checks that a transparent key is a pixel value of the source.
+ *
+ * @param {number} key - The key value
+ * @param {Object} src - Source bitmap
+ */
+function validateKey(key, src) {
+  if (
+    !Number.isInteger(key) ||
+    key < 0 ||
+    key > getPixelMask(src.depth) >>> 0
+  ) {
+    throw new Error(
+      `Invalid transparent key ${key} for ${src.depth}-bit pixels`
+    );
+  }
+}
+
+/**
+ * Masked BitBLT operation - transfers a rectangular block of pixels through a
+ * 1-bit mask bitmap. Destination pixels whose mask pixel is 1 are combined with
+ * the source according to the operation; pixels whose mask pixel is 0, or that
+ * fall outside the mask bitmap, are left untouched.
+ *
+ * Clipping and overlapping transfers within one bitmap are handled as in
+ * bitblt. The mask is always 1-bit; each mask pixel selects one destination
+ * pixel of any depth. 1-bit transfers whose destination, source and mask are
+ * all word-aligned take a fast path that merges whole words through the mask.
+ *
+ * @param {Object} dst - Destination bitmap
+ * @param {number} dstX - X coordinate in destination bitmap
+ * @param {number} dstY - Y coordinate in destination bitmap
+ * @param {number} width - Width of the rectangle to transfer
+ * @param {number} height - Height of the rectangle to transfer
+ * @param {Object} src - Source bitmap
+ * @param {number} srcX - X coordinate in source bitmap
+ * @param {number} srcY - Y coordinate in source bitmap
+ * @param {Object} mask - Mask bitmap selecting the destination pixels to change
+ * @param {number} maskX - X coordinate in mask bitmap
+ * @param {number} maskY - Y coordinate in mask bitmap
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @param {Object} pattern - Pattern bitmap tiled across the destination (ternary raster operations only)
+ * @param {Object} options - Additional options
+ * @param {Object} options.clipRect - Clip rectangle in destination coordinates, applied on top of dst.clipRect
+ * @param {Array|Uint32Array} options.colorMap - Destination value for each source value, indexed by source value (optional)
+ */
+function maskBlt(
+  dst,
+  dstX,
+  dstY,
+  width,
+  height,
+  src,
+  srcX,
+  srcY,
+  mask,
+  maskX,
+  maskY,
+  op = BitBltOp.COPY,
+  pattern = null,
+  options = {}
+) {
+  validatePattern(op, pattern, dst);
+  validateOp(op, dst);
+  validateDepths(dst, src, options.colorMap);
+
+  if (!mask) {
+    throw new Error("maskBlt requires a mask bitmap");
+  }
+  if (mask.depth !== 1) {
+    throw new Error("maskBlt requires a 1-bit mask bitmap");
+  }
+
+  // Clip the operation to the clip rectangles and the bounds of all three bitmaps
+  const clipped = clipMaskBlt(
+    dst,
+    dstX,
+    dstY,
+    width,
+    height,
+    src,
+    srcX,
+    srcY,
+    mask,
+    maskX,
+    maskY,
+    options.clipRect
+  );
+
+  if (clipped.width === 0 || clipped.height === 0) {
+    return; // Nothing left after clipping
+  }
+
+  // Translate the source through the color map first, as in bitblt
+  if (options.colorMap) {
+    src = mapPixels(src, clipped, options.colorMap, dst);
+    clipped.srcX = 0;
+    clipped.srcY = 0;
+  }
+
+  const patternTile = usesPattern(op)
+    ? createPatternTile(pattern, dst.offsetX, dst.offsetY, dst.bitOrder)
+    : null;
+
+  if (
+    dst.depth === 1 &&
+    (clipped.dstX + dst.offsetX) % 32 === 0 &&
+    (clipped.srcX + src.offsetX) % 32 === 0 &&
+    (clipped.maskX + mask.offsetX) % 32 === 0 &&
+    clipped.width % 32 === 0
+  ) {
+    maskBitsAligned(dst, src, mask, clipped, op, patternTile);
+  } else {
+    copyBits(
+      dst,
+      clipped.dstX,
+      clipped.dstY,
+      clipped.width,
+      clipped.height,
+      src,
+      clipped.srcX,
+      clipped.srcY,
+      op,
+      patternTile,
+      mask,
+      clipped.maskX,
+      clipped.maskY
+    );
+  }
+}
+
+/**
+ * Aligned fast path of 1-bit maskBlt. Every mask word lines up with a destination
+ * word, so the result is merged into the destination one whole word at a time.
+ *
+ * @param {Object} dst - Destination bitmap
+ * @param {Object} src - Source bitmap
+ * @param {Object} mask - Mask bitmap
+ * @param {Object} rect - Clipped, word-aligned rectangle from clipMaskBlt()
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @param {Object} patternTile - Expanded pattern from createPatternTile(), or null
+ * @private
+ */
+function maskBitsAligned(dst, src, mask, rect, op, patternTile) {
+  const { width, height } = rect;
+
+  // Work in data coordinates, which sub-bitmaps share with their parent
+  const dstX = rect.dstX + dst.offsetX;
+  const dstY = rect.dstY + dst.offsetY;
+  const srcX = rect.srcX + src.offsetX;
+  const srcY = rect.srcY + src.offsetY;
+  const maskX = rect.maskX + mask.offsetX;
+  const maskY = rect.maskY + mask.offsetY;
+  const intsPerRow = width / 32;
+  const dstStartIntX = dstX / 32;
+  const srcStartIntX = srcX / 32;
+  const maskStartIntX = maskX / 32;
+
+  // Source and mask words in the other bit order are reversed as they are read
+  const convertSrc = src.bitOrder !== dst.bitOrder;
+  const convertMask = mask.bitOrder !== dst.bitOrder;
+
+  // Choose the processing order so overlapping regions of the same data
+  // are read before they are overwritten
+  const sameBuffer = src.data === dst.data;
+  const bottomUp = sameBuffer && srcY < dstY;
+  const rightToLeft = sameBuffer && srcY === dstY && srcX < dstX;
+
+  for (let row = 0; row < height; row++) {
+    const y = bottomUp ? height - 1 - row : row;
+    const srcRowIndex = (srcY + y) * src.intsPerRow + srcStartIntX;
+    const dstRowIndex = (dstY + y) * dst.intsPerRow + dstStartIntX;
+    const maskRowIndex = (maskY + y) * mask.intsPerRow + maskStartIntX;
+    const patRow = patternTile
+      ? patternTile.rows[(dstY + y) % patternTile.height]
+      : null;
+
+    for (let step = 0; step < intsPerRow; step++) {
+      const i = rightToLeft ? intsPerRow - 1 - step : step;
+      const dstInt = dst.data[dstRowIndex + i];
+      const srcInt = src.data[srcRowIndex + i];
+      const maskInt = mask.data[maskRowIndex + i];
+      const patInt = patRow
+        ? patRow[(dstStartIntX + i) % patternTile.wordsPerRow]
+        : 0;
+      const result = applyOp(
+        op,
+        convertSrc ? reverseBits(srcInt) : srcInt,
+        dstInt,
+        patInt
+      );
+
+      const writeMask = convertMask ? reverseBits(maskInt) : maskInt;
+      dst.data[dstRowIndex + i] = (dstInt & ~writeMask) | (result & writeMask);
     }
   }
 }
 
 /**
- * Fills a rectangular area of the bitmap with a specified value (0 or 1).
+ * Fills a rectangular area of the bitmap with a specified value (0 or 1, or up
+ * to 2^depth - 1 for deeper bitmaps).
+ *
+ * The fill value acts as the source of a BitBLT operation, so besides setting
+ * pixels a fill can AND, OR, XOR or invert the rectangle. Whole words are
+ * written in the middle of each row and partial words at the left and right
+ * edges are merged through masks, so any alignment is fast.
+ *
+ * @param {Object} bitmap - The bitmap to modify
+ * @param {number} x - X coordinate of the top-left corner
+ * @param {number} y - Y coordinate of the top-left corner
+ * @param {number} width - Width of the rectangle
+ * @param {number} height - Height of the rectangle
+ * @param {number} value - Value to fill with (0 or 1, or up to 2^depth - 1)
+ * @param {number} op - Operation combining the value with the bitmap (from BitBltOp or Rop3 enum)
+ * @param {Object} pattern - Pattern bitmap tiled across the bitmap (ternary raster operations only)
+ * @param {Object} options - Additional options
+ * @param {Object} options.clipRect - Clip rectangle, applied on top of bitmap.clipRect
+ */
+function fillRect(
+  bitmap,
+  x,
+  y,
+  width,
+  height,
+  value,
+  op = BitBltOp.COPY,
+  pattern = null,
+  options = {}
+) {
+  validatePattern(op, pattern, bitmap);
+  validateOp(op, bitmap);
+
+  // Clip the rectangle to the clip rectangles and the bounds of the bitmap
+  const clipped = clipBitBlt(
+    bitmap,
+    x,
+    y,
+    width,
+    height,
+    null,
+    0,
+    0,
+    options.clipRect
+  );
+
+  if (clipped.width === 0 || clipped.height === 0) {
+    return; // Nothing to do
+  }
+
+  const patternTile = usesPattern(op)
+    ? createPatternTile(
+        pattern,
+        bitmap.offsetX,
+        bitmap.offsetY,
+        bitmap.bitOrder
+      )
+    : null;
+
+  fillBits(
+    bitmap,
+    clipped.dstX,
+    clipped.dstY,
+    clipped.width,
+    clipped.height,
+    replicatePixel(value, bitmap.depth),
+    op,
+    patternTile
+  );
+}
+
+/**
+ * Word engine behind fillRect. Combines a constant source word with an already
+ * clipped rectangle one word at a time, masking the partial edge words.
  *
  * @param {Object} bitmap - The bitmap to modify
  * @param {number} x - X coordinate of the top-left corner
  * @param {number} y - Y coordinate of the top-left corner
  * @param {number} width - Width of the rectangle
  * @param {number} height - Height of the rectangle
- * @param {number} value - Value to fill with (0 or 1)
+ * @param {number} srcInt - Source word combined with every destination word
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @param {Object} patternTile - Expanded pattern from createPatternTile(), or null
+ * @private
  */
-function fillRect(bitmap, x, y, width, height, value) {
-  for (let row = y; row < y + height && row < bitmap.height; row++) {
-    for (let col = x; col < x + width && col < bitmap.width; col++) {
-      setPixel(bitmap, col, row, value);
+function fillBits(bitmap, x, y, width, height, srcInt, op, patternTile) {
+  // Work in data coordinates, which sub-bitmaps share with their parent,
+  // and in bits across each row
+  x = (x + bitmap.offsetX) * bitmap.depth;
+  y += bitmap.offsetY;
+  width *= bitmap.depth;
+
+  // Words touched by each row, and the masks for the partial edge words
+  const firstWord = x >> 5;
+  const lastWord = (x + width - 1) >> 5;
+  const lsbFirst = bitmap.bitOrder === BitOrder.LSB_FIRST;
+  const leftMask = getEdgeMask(x & 31, 31, lsbFirst);
+  const rightMask = getEdgeMask(0, (x + width - 1) & 31, lsbFirst);
+
+  const data = bitmap.data;
+
+  for (let row = y; row < y + height; row++) {
+    const rowIndex = row * bitmap.intsPerRow;
+    const patRow = patternTile
+      ? patternTile.rows[row % patternTile.height]
+      : null;
+
+    for (let word = firstWord; word <= lastWord; word++) {
+      const dstInt = data[rowIndex + word];
+      const patInt = patRow ? patRow[word % patternTile.wordsPerRow] : 0;
+      const result = applyOp(op, srcInt, dstInt, patInt, bitmap.depth);
+
+      // Merge partial edge words through their masks
+      let mask = 0xffffffff;
+      if (word === firstWord) {
+        mask &= leftMask;
+      }
+      if (word === lastWord) {
+        mask &= rightMask;
+      }
+
+      data[rowIndex + word] =
+        mask === 0xffffffff ? result : (dstInt & ~mask) | (result & mask);
     }
   }
 }
 
 /**
- * Optimized fill for aligned rectangles - much faster when rectangles align with 32-bit boundaries
+ * Optimized fill for aligned rectangles - much faster when rectangles align with 32-bit boundaries.
+ * For deeper pixels the position and width only need to be multiples of 32 / depth.
  *
  * @param {Object} bitmap - The bitmap to modify
  * @param {number} x - X coordinate of the top-left corner (must be multiple of 32)
  * @param {number} y - Y coordinate of the top-left corner
  * @param {number} width - Width of the rectangle (must be multiple of 32)
  * @param {number} height - Height of the rectangle
- * @param {number} value - Value to fill with (0 or 1)
+ * @param {number} value - Value to fill with (0 or 1, or up to 2^depth - 1)
+ * @param {number} op - Operation combining the value with the bitmap (from BitBltOp or Rop3 enum)
+ * @param {Object} pattern - Pattern bitmap tiled across the bitmap (ternary raster operations only)
+ * @param {Object} options - Additional options
+ * @param {Object} options.clipRect - Clip rectangle, applied on top of bitmap.clipRect
  */
-function fillRectAligned(bitmap, x, y, width, height, value) {
-  // Validate that coordinates are aligned to 32-bit boundaries
-  if (x % 32 !== 0 || width % 32 !== 0) {
+function fillRectAligned(
+  bitmap,
+  x,
+  y,
+  width,
+  height,
+  value,
+  op = BitBltOp.COPY,
+  pattern = null,
+  options = {}
+) {
+  validatePattern(op, pattern, bitmap);
+  validateOp(op, bitmap);
+
+  // Clip first: the clipped rectangle decides whether the fast path applies
+  const clipped = clipBitBlt(
+    bitmap,
+    x,
+    y,
+    width,
+    height,
+    null,
+    0,
+    0,
+    options.clipRect
+  );
+
+  if (clipped.width === 0 || clipped.height === 0) {
+    return; // Nothing to do
+  }
+
+  // Validate that the data coordinates are aligned to 32-bit boundaries
+  const depth = bitmap.depth;
+  if (
+    ((clipped.dstX + bitmap.offsetX) * depth) % 32 !== 0 ||
+    (clipped.width * depth) % 32 !== 0
+  ) {
     // Fall back to regular fillRect for unaligned operations
-    return fillRect(bitmap, x, y, width, height, value);
+    return fillRect(bitmap, x, y, width, height, value, op, pattern, options);
   }
 
-  // Calculate starting indices and how many integers per row to fill
-  const startRow = y;
-  const intsPerRow = width / 32;
-  const startIntX = x / 32;
+  const patternTile = usesPattern(op)
+    ? createPatternTile(
+        pattern,
+        bitmap.offsetX,
+        bitmap.offsetY,
+        bitmap.bitOrder
+      )
+    : null;
+
+  // Calculate starting indices and how many integers per row to fill, in
+  // data coordinates, which sub-bitmaps share with their parent
+  const startRow = clipped.dstY + bitmap.offsetY;
+  const intsPerRow = (clipped.width * depth) / 32;
+  const startIntX = ((clipped.dstX + bitmap.offsetX) * depth) / 32;
 
-  // The value to fill with (all 0s or all 1s)
-  const fillValue = value === 1 ? 0xffffffff : 0;
+  // The value to fill with, repeated in every pixel of a word
+  const fillValue = replicatePixel(value, depth);
 
   // Perform the fill operation directly on the 32-bit integers
-  for (let row = 0; row < height && startRow + row < bitmap.height; row++) {
+  for (let row = 0; row < clipped.height; row++) {
     const rowIndex = (startRow + row) * bitmap.intsPerRow + startIntX;
+    const patRow = patternTile
+      ? patternTile.rows[(startRow + row) % patternTile.height]
+      : null;
 
-    for (let i = 0; i < intsPerRow && startIntX + i < bitmap.intsPerRow; i++) {
-      bitmap.data[rowIndex + i] = fillValue;
+    for (let i = 0; i < intsPerRow; i++) {
+      const patInt = patRow
+        ? patRow[(startIntX + i) % patternTile.wordsPerRow]
+        : 0;
+      bitmap.data[rowIndex + i] = applyOp(
+        op,
+        fillValue,
+        bitmap.data[rowIndex + i],
+        patInt,
+        depth
+      );
     }
   }
 }
 
 /**
- * Converts the bitmap to a string representation for debugging.
+ * Converts the bitmap to a string representation for debugging. 1-bit pixels
+ * are drawn as blank or full blocks; deeper pixels are drawn in five shades
+ * from blank (0) to a full block (the largest value).
  *
  * @param {Object} bitmap - The bitmap to convert
  * @returns {string} - String representation of the bitmap
  */
 function bitmapToString(bitmap) {
+  const shades = " ░▒▓█";
+  const maxValue = getPixelMask(bitmap.depth);
   let result = "";
 
   for (let y = 0; y < bitmap.height; y++) {
     for (let x = 0; x < bitmap.width; x++) {
-      result += getPixel(bitmap, x, y) ? "█" : " ";
+      const value = getPixel(bitmap, x, y);
+      result += shades[Math.round((value / maxValue) * (shades.length - 1))];
     }
     result += "\n";
   }
@@ -389,14 +2422,49 @@ function bitmapToString(bitmap) {
 module.exports = {
   // Enums
   BitBltOp,
+  Rop3,
+  BitOrder,
+  ColorMapKind,
 
   // Functions
+  setClipRect,
+  clearClipRect,
+  clipBitBlt,
+  clipMaskBlt,
+  getTruthTable,
+  rop3,
+  isRop3,
+  getRop3Code,
+  usesPattern,
+  isArithmeticOp,
+  blendConstant,
+  isConstantAlphaBlend,
+  getConstantAlpha,
+  isBlendOp,
+  argb,
+  applyOp,
+  createPatternTile,
+  getPatternPixel,
+  reverseBits,
+  reversePixels,
+  replicatePixel,
+  expandColorMap,
+  thresholdColorMap,
+  analyzeColorMap,
   createBitmap,
+  createSubBitmap,
+  wrapBitmap,
   setPixel,
   getPixel,
   bitblt,
   bitbltAligned,
+  maskBlt,
+  transparentBlt,
   fillRect,
   fillRectAligned,
   bitmapToString,
+  validatePattern,
+  validateOp,
+  validateDepths,
+  validateKey,
 };
@@ -0,0 +1,235 @@
+/**
+ * Bounded cache of generated code for the JIT executor.
+ * Entries are evicted least recently used first once the cache holds more
+ * entries or more bytes of generated code than its limits allow.
+ */
+
+/** Default limits of a code cache */
+const DEFAULT_CACHE_LIMITS = {
+  /** Maximum number of cached functions */
+  maxEntries: 512,
+  /** Maximum approximate bytes of generated source and module binaries */
+  maxBytes: 16 * 1024 * 1024
+};
+
+class CodeCache {
+  /**
+   * Creates an empty code cache.
+   *
+   * @param {Object} limits - Limits of the cache (see DEFAULT_CACHE_LIMITS)
+   * @param {number} limits.maxEntries - Maximum number of entries (Infinity for no limit)
+   * @param {number} limits.maxBytes - Maximum approximate bytes of generated code (Infinity for no limit)
+   */
+  constructor(limits = {}) {
+    // Entries in order of use, least recently used first
+    this.entries = new Map();
+    this.bytes = 0;
+    this.setLimits({ ...DEFAULT_CACHE_LIMITS, ...limits });
+    this.resetStats();
+  }
+
+  /**
+   * Number of cached entries.
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Changes the limits of the cache, evicting entries that no longer fit.
+   *
+   * @param {Object} limits - The limits to change: maxEntries and/or maxBytes
+   */
+  setLimits(limits) {
+    const { maxEntries = this.maxEntries, maxBytes = this.maxBytes } = limits;
+
+    if (!(maxEntries >= 1) || !(maxBytes >= 0)) {
+      throw new Error(`Invalid code cache limits: ${maxEntries} entries, ${maxBytes} bytes`);
+    }
+
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this._evict();
+  }
+
+  /**
+   * Looks up the code for a key, counting a hit or a miss. A hit makes the
+   * entry the most recently used.
+   *
+   * @param {string} key - The cache key
+   * @returns {Object|undefined} - The generated code, or undefined if not cached
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    this.hits++;
+    entry.uses++;
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.code;
+  }
+
+  /**
+   * Looks up the code for a key without counting a hit or a miss, or a use.
+   *
+   * @param {string} key - The cache key
+   * @returns {Object|undefined} - The generated code, or undefined if not cached
+   */
+  peek(key) {
+    const entry = this.entries.get(key);
+    return entry && entry.code;
+  }
+
+  /**
+   * Adds the code generated for a key after a miss, and evicts the least
+   * recently used entries until the cache is within its limits again. The
+   * new entry is kept even if it alone exceeds the byte limit.
+   *
+   * @param {string} key - The cache key
+   * @param {Object} code - The generated code
+   * @param {number} compileTime - Milliseconds taken to generate the code (optional)
+   * @param {number} uses - Uses of the code so far (default 1, the operation that missed; 0 when compiled ahead of time)
+   * @returns {CodeCache} - This cache
+   */
+  set(key, code, compileTime = 0, uses = 1) {
+    this.delete(key);
+
+    const bytes = estimateCodeSize(code);
+    this.entries.set(key, { code, bytes, uses, compileTime });
+    this.bytes += bytes;
+    this.compileTime += compileTime;
+    this._evict();
+    return this;
+  }
+
+  /**
+   * Checks whether a key is cached, without counting a hit or a miss.
+   *
+   * @param {string} key - The cache key
+   * @returns {boolean} - True if the key is cached
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Removes the entry for a key.
+   *
+   * @param {string} key - The cache key
+   * @returns {boolean} - True if an entry was removed
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return false;
+    }
+
+    this.bytes -= entry.bytes;
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Removes every entry. Statistics are kept (see resetStats()).
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Iterates over the cache keys, least recently used first.
+   *
+   * @returns {Iterator<string>} - The keys
+   */
+  keys() {
+    return this.entries.keys();
+  }
+
+  /**
+   * Iterates over the cached code, least recently used first.
+   *
+   * @returns {Iterator<Object>} - The generated code objects
+   */
+  *values() {
+    for (const entry of this.entries.values()) {
+      yield entry.code;
+    }
+  }
+
+  /**
+   * Gets the statistics of the cache.
+   *
+   * @returns {Object} - The number of entries and their approximate bytes, the limits, hits, misses,
+   *   evictions, total compile time in milliseconds, and the uses, bytes and compile time of each
+   *   cached key, most recently used first
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      compileTime: this.compileTime,
+      keys: [...this.entries].reverse().map(([key, { uses, bytes, compileTime }]) => ({
+        key, uses, bytes, compileTime
+      }))
+    };
+  }
+
+  /**
+   * Resets the hit, miss and eviction counts and the total compile time.
+   * The use counts of cached keys are kept.
+   */
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+    this.compileTime = 0;
+  }
+
+  /**
+   * Evicts least recently used entries until the cache is within its limits,
+   * keeping at least the most recently used one.
+   *
+   * @private
+   */
+  _evict() {
+    while (this.entries.size > 1 &&
+           (this.entries.size > this.maxEntries || this.bytes > this.maxBytes)) {
+      const [oldest] = this.entries.keys();
+      this.delete(oldest);
+      this.evictions++;
+    }
+  }
+}
+
+/**
+ * Estimates the memory taken by generated code: the length of its JavaScript
+ * source or the size of its WebAssembly binary.
+ *
+ * @param {Object} code - The generated code
+ * @returns {number} - Approximate size in bytes
+ * @private
+ */
+function estimateCodeSize(code) {
+  if (code.binary) {
+    return code.binary.byteLength;
+  }
+  return typeof code.code === 'string' ? code.code.length : 0;
+}
+
+module.exports = {
+  CodeCache,
+  DEFAULT_CACHE_LIMITS
+};
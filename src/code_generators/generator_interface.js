@@ -2,6 +2,13 @@
  * Abstract interface for BitBLT code generators.
  * Different backends (JS, WASM, etc.) should implement this interface.
  */
+const { ColorMapKind, analyzeColorMap, clipBitBlt, clipMaskBlt } = require('../bitblt');
+
+// Color map analyses by operation parameters. A color map can change between
+// operations, so its analysis is kept for one operation only, where the cache
+// key and the code generated both need it
+const colorMapAnalyses = new WeakMap();
+
 class CodeGeneratorInterface {
   /**
    * Generates code for a BitBLT operation.
@@ -15,7 +22,14 @@ class CodeGeneratorInterface {
    * @param {Object} params.src - Source bitmap
    * @param {number} params.srcX - X coordinate in source bitmap
    * @param {number} params.srcY - Y coordinate in source bitmap
-   * @param {number} params.op - Operation to perform (from BitBltOp enum)
+   * @param {Object} params.mask - Mask bitmap selecting the destination pixels to change (optional)
+   * @param {number} params.maskX - X coordinate in mask bitmap (with params.mask)
+   * @param {number} params.maskY - Y coordinate in mask bitmap (with params.mask)
+   * @param {number} params.op - Operation to perform (from BitBltOp or Rop3 enum)
+   * @param {Object} params.pattern - Pattern bitmap tiled across the destination (optional)
+   * @param {Object} params.clipRect - Clip rectangle in destination coordinates, applied on top of dst.clipRect (optional)
+   * @param {Array|Uint32Array} params.colorMap - Destination value for each source value (optional)
+   * @param {number} params.key - Source pixel value left out as transparent (optional)
    * @param {boolean} params.aligned - Whether the operation is aligned to 32-bit boundaries
    * @returns {Object} - An object containing the generated code and metadata
    */
@@ -24,14 +38,31 @@ class CodeGeneratorInterface {
   }
 
   /**
-   * Executes the generated code.
+   * Tells whether generateCode() returns the generated code itself rather
+   * than a promise, so that operations can compile code when they run
+   * synchronously.
+   * 
+   * @returns {boolean} - True if code is generated synchronously
+   */
+  isSynchronous() {
+    return true;
+  }
+
+  /**
+   * Executes the generated code. Generated code is shared by every operation
+   * with the same cache key, so the rectangle to transfer is passed here
+   * rather than built into the code.
    * 
    * @param {Object} generatedCode - The code generated by generateCode()
    * @param {Object} dst - Destination bitmap
    * @param {Object} src - Source bitmap
+   * @param {Object} pattern - Pattern bitmap (optional)
+   * @param {Object} mask - Mask bitmap (optional)
+   * @param {Array|Uint32Array} colorMap - Color map (optional)
+   * @param {Object} rect - The rectangle from getRect()
    * @returns {void}
    */
-  executeCode(generatedCode, dst, src) {
+  executeCode(generatedCode, dst, src, pattern, mask, colorMap, rect) {
     throw new Error('Method executeCode() must be implemented by subclasses');
   }
 
@@ -42,12 +73,143 @@ class CodeGeneratorInterface {
    * @returns {string} - A unique key for the operation
    */
   getCacheKey(params) {
-    // Default implementation creates a key based on the operation parameters
+    // Default implementation creates a key from the shape of the operation,
+    // not its position, since generated code takes the rectangle at run time.
+    // Aligned code serves rectangles that are still word-aligned once
+    // clipped and per-pixel code serves any skew; the scan directions, which
+    // depend on whether source and destination share data and overlap, and
+    // the depths and bit orders, which decide how pixels are addressed and
+    // whether words are reversed, are built into the code. Color maps that
+    // reduce to constants are baked in; other tables are read at run time
+    const { dst, src, mask, op, colorMap, key } = params;
+    const rect = this.getRect(params);
+    const aligned = Boolean(params.aligned) && this._isWordAligned(params, rect);
+    const sameBuffer = src.data === dst.data;
+    const { reverseX, reverseY } = this._getScanDirections(params, rect);
+    const directions = `${reverseX ? 'rtl' : 'ltr'},${reverseY ? 'btt' : 'ttb'}`;
+    const formats = `${src.depth}${src.bitOrder},${dst.depth}${dst.bitOrder}`;
+    const maskKey = mask ? `,mask ${mask.bitOrder}` : '';
+    const mapKey = colorMap ? `,map ${Object.values(this._analyzeColorMap(params)).join(' ')}` : '';
+    const transparentKey = key !== undefined && key !== null ? `,key ${key}` : '';
+    
+    return `${op},${aligned},${sameBuffer},${directions},${formats}${maskKey}${mapKey}${transparentKey}`;
+  }
+
+  /**
+   * Gets the rectangle that generated code transfers: the operation clipped
+   * to the clip rectangles and the bounds of all bitmaps, in data
+   * coordinates (see _toDataCoordinates()).
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Object} - The dstX, dstY, srcX, srcY, maskX, maskY, width and height to pass to executeCode()
+   */
+  getRect(params) {
+    return this._toDataCoordinates(params, this._clip(params));
+  }
+
+  /**
+   * Works out which kind of color map the operation uses, scanning the
+   * color map once however often it is asked for the same parameters.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Object} - Color map analysis from analyzeColorMap()
+   * @protected
+   */
+  _analyzeColorMap(params) {
+    const { dst, src, colorMap } = params;
+    if (!colorMap) {
+      return { kind: ColorMapKind.IDENTITY };
+    }
+    
+    let analysis = colorMapAnalyses.get(params);
+    if (!analysis) {
+      analysis = analyzeColorMap(colorMap, src.depth, dst.depth);
+      colorMapAnalyses.set(params, analysis);
+    }
+    return analysis;
+  }
+
+  /**
+   * Clips the operation described by the parameters.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Object} - The clipped dstX, dstY, srcX, srcY, width and height (and maskX, maskY with a mask)
+   * @protected
+   */
+  _clip(params) {
     const {
-      dstX, dstY, width, height, srcX, srcY, op, aligned
+      dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, clipRect
     } = params;
     
-    return `${dstX},${dstY},${width},${height},${srcX},${srcY},${op},${aligned}`;
+    if (mask) {
+      return clipMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, clipRect);
+    }
+    
+    return clipBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, clipRect);
+  }
+
+  /**
+   * Works out the directions in which to visit the columns and rows so that,
+   * when source and destination share data and the source starts before an
+   * overlapping destination, every source pixel is read before it is
+   * overwritten.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {Object} rect - The rectangle from getRect() (default: worked out from params)
+   * @returns {Object} - Whether to visit the columns (reverseX) and the rows (reverseY) backwards
+   * @protected
+   */
+  _getScanDirections(params, rect = this.getRect(params)) {
+    const sameBuffer = params.src.data === params.dst.data;
+    const overlapsAhead = (srcStart, dstStart, length) =>
+      sameBuffer && srcStart < dstStart && srcStart + length > dstStart;
+    
+    return {
+      reverseX: overlapsAhead(rect.srcX, rect.dstX, rect.width),
+      reverseY: overlapsAhead(rect.srcY, rect.dstY, rect.height)
+    };
+  }
+
+  /**
+   * Checks whether a rectangle from getRect() starts and ends on word
+   * boundaries in source and destination, which clipping can undo. Mask
+   * words only line up with destination words for 1-bit pixels.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {Object} rect - The rectangle from getRect()
+   * @returns {boolean} - True if aligned code can transfer the rectangle
+   * @protected
+   */
+  _isWordAligned(params, rect) {
+    const depth = params.dst.depth;
+    
+    return (rect.dstX * depth) % 32 === 0 && (rect.srcX * depth) % 32 === 0 &&
+      (rect.width * depth) % 32 === 0 &&
+      (!params.mask || (depth === 1 && rect.maskX % 32 === 0));
+  }
+
+  /**
+   * Translates a clipped rectangle to positions in the bitmaps' data, which
+   * sub-bitmaps share with their parent. Generated code works in these
+   * coordinates.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {Object} rect - Clipped rectangle from _clip()
+   * @returns {Object} - The rectangle with data coordinates
+   * @protected
+   */
+  _toDataCoordinates(params, rect) {
+    const { dst, src, mask } = params;
+    
+    return {
+      ...rect,
+      dstX: rect.dstX + dst.offsetX,
+      dstY: rect.dstY + dst.offsetY,
+      srcX: rect.srcX + src.offsetX,
+      srcY: rect.srcY + src.offsetY,
+      maskX: mask ? rect.maskX + mask.offsetX : 0,
+      maskY: mask ? rect.maskY + mask.offsetY : 0
+    };
   }
 }
 
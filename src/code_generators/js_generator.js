@@ -2,21 +2,28 @@
  * JavaScript code generator for BitBLT operations.
  */
 const CodeGeneratorInterface = require('./generator_interface');
-const { BitBltOp } = require('../bitblt');
+const {
+  BitOrder, ColorMapKind, usesPattern, createPatternTile, reversePixels
+} = require('../bitblt');
+const {
+  getOpExpression, getBitIndexExpression, getPixelExpression, getPixelMaskLiteral, getColorMapExpression,
+  getOpaqueMaskExpression
+} = require('./op_expressions');
 
 class JavaScriptGenerator extends CodeGeneratorInterface {
   /**
-   * Generates JavaScript code for a BitBLT operation.
+   * Generates JavaScript code for a BitBLT operation. The function takes the
+   * rectangle to transfer when it is called, so it serves every operation
+   * with the same cache key.
    * 
    * @param {Object} params - Parameters for the BitBLT operation
    * @returns {Object} - An object containing the generated function and metadata
    */
   generateCode(params) {
-    const {
-      dst, dstX, dstY, width, height, src, srcX, srcY, op, aligned
-    } = params;
-
-    if (aligned) {
+    // Clipping can leave a rectangle that is no longer aligned, and
+    // translating pixels through a color map needs the per-pixel code
+    if (params.aligned && this._isWordAligned(params, this.getRect(params)) &&
+        this._analyzeColorMap(params).kind === ColorMapKind.IDENTITY) {
       return this._generateAlignedCode(params);
     } else {
       return this._generateStandardCode(params);
@@ -29,11 +36,15 @@ class JavaScriptGenerator extends CodeGeneratorInterface {
    * @param {Object} generatedCode - The code generated by generateCode()
    * @param {Object} dst - Destination bitmap
    * @param {Object} src - Source bitmap
+   * @param {Object} pattern - Pattern bitmap (optional)
+   * @param {Object} mask - Mask bitmap (optional)
+   * @param {Array|Uint32Array} colorMap - Color map (optional)
+   * @param {Object} rect - The rectangle from getRect()
    * @returns {void}
    */
-  executeCode(generatedCode, dst, src) {
+  executeCode(generatedCode, dst, src, pattern = null, mask = null, colorMap = null, rect) {
     // Execute the generated function
-    generatedCode.func(src, dst);
+    generatedCode.func(src, dst, pattern, mask, colorMap, rect);
   }
 
   /**
@@ -44,109 +55,86 @@ class JavaScriptGenerator extends CodeGeneratorInterface {
    * @private
    */
   _generateStandardCode(params) {
-    const {
-      dst, dstX, dstY, width, height, src, srcX, srcY, op
-    } = params;
+    const { dst, src, op } = params;
 
-    // Clip the operation to the bounds of both bitmaps
-    const srcMaxX = Math.min(srcX + width, src.width);
-    const srcMaxY = Math.min(srcY + height, src.height);
-    const dstMaxX = Math.min(dstX + width, dst.width);
-    const dstMaxY = Math.min(dstY + height, dst.height);
-    
-    // Calculate actual dimensions after clipping
-    const actualWidth = Math.min(srcMaxX - srcX, dstMaxX - dstX);
-    const actualHeight = Math.min(srcMaxY - srcY, dstMaxY - dstY);
+    // Process pixels in the correct order for overlapping regions: backwards
+    // along a row or column where the source starts before the destination
+    const { reverseX, reverseY } = this._getScanDirections(params);
+    const [yStart, yEnd, yStep] = reverseY ? ['height - 1', -1, -1] : [0, 'height', 1];
+    const [xStart, xEnd, xStep] = reverseX ? ['width - 1', -1, -1] : [0, 'width', 1];
     
-    // Check if source and destination are the same bitmap and regions overlap
-    const sameBuffer = src === dst;
-    const overlapHorizontal = sameBuffer && 
-      ((srcX < dstX && srcX + actualWidth > dstX) || // Source starts before dest and overlaps
-       (dstX < srcX && dstX + actualWidth > srcX));  // Dest starts before source and overlaps
-    const overlapVertical = sameBuffer && 
-      ((srcY < dstY && srcY + actualHeight > dstY) || // Source starts before dest and overlaps
-       (dstY < srcY && dstY + actualHeight > srcY));  // Dest starts before source and overlaps
+    // Generate the operation code based on the operation type; source pixels
+    // are read at their own depth and translated through the color map
+    const depth = dst.depth;
+    const srcDepth = src.depth;
+    const pixelMask = getPixelMaskLiteral(depth);
+    const colorMapAnalysis = this._analyzeColorMap(params);
+    const srcPixelCode = getColorMapExpression(
+      colorMapAnalysis, getPixelExpression('src.data[srcIntIndex]', 'srcBitIndex', srcDepth)
+    );
+    const operationCode = `(${getOpExpression(op, 'srcPixel', 'dstPixel', 'patPixel', depth)}) & ${pixelMask}`;
     
-    // Determine the direction to process pixels based on overlap
-    let xStart, xEnd, xStep;
-    let yStart, yEnd, yStep;
-    
-    if (overlapHorizontal && srcX < dstX) {
-      // Source is to the left of destination, process right-to-left
-      xStart = actualWidth - 1;
-      xEnd = -1;
-      xStep = -1;
-    } else {
-      // No horizontal overlap or source is to the right of destination, process left-to-right
-      xStart = 0;
-      xEnd = actualWidth;
-      xStep = 1;
-    }
+    // Only read the pattern when the operation depends on it; patterns are
+    // not part of the cache key, so their bit order is checked at run time
+    const patternCode = usesPattern(op) ? `
+            // Extract the pattern pixel, tiled from the destination origin
+            const patPixelX = (dstPixelX - dst.offsetX) % pattern.width + pattern.offsetX;
+            const patPixelY = (dstPixelY - dst.offsetY) % pattern.height + pattern.offsetY;
+            const patIntIndex = patPixelY * pattern.intsPerRow + Math.floor(patPixelX / ${32 / depth});
+            const patBitIndex = pattern.bitOrder === '${BitOrder.LSB_FIRST}'
+              ? ${getBitIndexExpression(BitOrder.LSB_FIRST, 'patPixelX', depth)}
+              : ${getBitIndexExpression(BitOrder.MSB_FIRST, 'patPixelX', depth)};
+            const patPixel = ${getPixelExpression('pattern.data[patIntIndex]', 'patBitIndex', depth)};
+            ` : '';
     
-    if (overlapVertical && srcY < dstY) {
-      // Source is above destination, process bottom-to-top
-      yStart = actualHeight - 1;
-      yEnd = -1;
-      yStep = -1;
-    } else {
-      // No vertical overlap or source is below destination, process top-to-bottom
-      yStart = 0;
-      yEnd = actualHeight;
-      yStep = 1;
-    }
+    // Leave pixels alone where the mask is 0
+    const maskCode = params.mask ? `
+            // Skip the pixel unless the mask selects it
+            const maskPixelX = maskX + x;
+            const maskIntIndex = (maskY + y) * mask.intsPerRow + Math.floor(maskPixelX / 32);
+            if (!(mask.data[maskIntIndex] & (1 << (${getBitIndexExpression(params.mask.bitOrder, 'maskPixelX')})))) {
+              continue;
+            }
+            ` : '';
     
-    // Generate the operation code based on the operation type
-    let operationCode;
-    switch (op) {
-      case BitBltOp.AND:
-        operationCode = 'srcPixel & dstPixel';
-        break;
-      case BitBltOp.OR:
-        operationCode = 'srcPixel | dstPixel';
-        break;
-      case BitBltOp.XOR:
-        operationCode = 'srcPixel ^ dstPixel';
-        break;
-      case BitBltOp.COPY:
-      default:
-        operationCode = 'srcPixel';
-        break;
-    }
+    // Leave pixels alone where the source holds the transparent key
+    const keyCode = hasKey(params) ? `
+            if (srcPixel === ${params.key}) {
+              continue;
+            }` : '';
     
     // Generate the function code
     const functionCode = `
       // Generated BitBLT function
-      return function(src, dst) {
+      return function(src, dst, pattern, mask, colorMap, rect) {
+        const { dstX, dstY, srcX, srcY, maskX, maskY, width, height } = rect;
+        
         // Process pixels in the correct order for overlapping regions
         for (let y = ${yStart}; y !== ${yEnd}; y += ${yStep}) {
           for (let x = ${xStart}; x !== ${xEnd}; x += ${xStep}) {
             // Calculate source and destination pixel positions
-            const srcPixelX = ${srcX} + x;
-            const srcPixelY = ${srcY} + y;
-            const dstPixelX = ${dstX} + x;
-            const dstPixelY = ${dstY} + y;
-            
+            const srcPixelX = srcX + x;
+            const srcPixelY = srcY + y;
+            const dstPixelX = dstX + x;
+            const dstPixelY = dstY + y;
+            ${maskCode}
             // Calculate which integers in the data arrays contain these pixels
-            const srcIntIndex = srcPixelY * src.intsPerRow + Math.floor(srcPixelX / 32);
-            const dstIntIndex = dstPixelY * dst.intsPerRow + Math.floor(dstPixelX / 32);
+            const srcIntIndex = srcPixelY * src.intsPerRow + Math.floor(srcPixelX / ${32 / srcDepth});
+            const dstIntIndex = dstPixelY * dst.intsPerRow + Math.floor(dstPixelX / ${32 / depth});
             
             // Calculate which bits within those integers represent these pixels
-            const srcBitIndex = 31 - (srcPixelX % 32);
-            const dstBitIndex = 31 - (dstPixelX % 32);
+            const srcBitIndex = ${getBitIndexExpression(src.bitOrder, 'srcPixelX', srcDepth)};
+            const dstBitIndex = ${getBitIndexExpression(dst.bitOrder, 'dstPixelX', depth)};
             
             // Extract the source and destination pixel values
-            const srcPixel = (src.data[srcIntIndex] & (1 << srcBitIndex)) ? 1 : 0;
-            const dstPixel = (dst.data[dstIntIndex] & (1 << dstBitIndex)) ? 1 : 0;
-            
+            const srcPixel = ${srcPixelCode};${keyCode}
+            const dstPixel = ${getPixelExpression('dst.data[dstIntIndex]', 'dstBitIndex', depth)};
+            ${patternCode}
             // Apply the operation
             const resultPixel = ${operationCode};
             
-            // Set the result pixel
-            if (resultPixel === 1) {
-              dst.data[dstIntIndex] |= (1 << dstBitIndex);
-            } else {
-              dst.data[dstIntIndex] &= ~(1 << dstBitIndex);
-            }
+            // Replace the destination pixel's bits with the result
+            dst.data[dstIntIndex] = (dst.data[dstIntIndex] & ~(${pixelMask} << dstBitIndex)) | (resultPixel << dstBitIndex);
           }
         }
       };
@@ -154,7 +142,7 @@ class JavaScriptGenerator extends CodeGeneratorInterface {
     
     // Create the function
     // eslint-disable-next-line no-new-func
-    const func = new Function('src', 'dst', functionCode)(src, dst);
+    const func = new Function(functionCode)();
     
     return {
       func,
@@ -172,97 +160,73 @@ class JavaScriptGenerator extends CodeGeneratorInterface {
    * @private
    */
   _generateAlignedCode(params) {
-    const {
-      dst, dstX, dstY, width, height, src, srcX, srcY, op
-    } = params;
+    const { dst, src, op } = params;
+    const depth = dst.depth;
 
-    // Calculate starting indices and how many integers per row to copy
-    const srcStartRow = srcY;
-    const dstStartRow = dstY;
-    const intsPerRow = width / 32;
+    // Process integers in the correct order for overlapping regions; whole
+    // words overlap exactly where their pixels do
+    const { reverseX, reverseY } = this._getScanDirections(params);
+    const [yStart, yEnd, yStep] = reverseY ? ['height - 1', -1, -1] : [0, 'height', 1];
+    const [iStart, iEnd, iStep] = reverseX ? ['intsPerRow - 1', -1, -1] : [0, 'intsPerRow', 1];
     
-    // Calculate starting integer indices
-    const srcStartIntX = srcX / 32;
-    const dstStartIntX = dstX / 32;
+    // Generate the operation code based on the operation type
+    const operationCode = getOpExpression(op, 'srcInt', 'dstInt', 'patInt', depth);
     
-    // Check if source and destination are the same bitmap and regions overlap
-    const sameBuffer = src === dst;
-    const overlapHorizontal = sameBuffer && 
-      ((srcStartIntX < dstStartIntX && srcStartIntX + intsPerRow > dstStartIntX) || // Source starts before dest and overlaps
-       (dstStartIntX < srcStartIntX && dstStartIntX + intsPerRow > srcStartIntX));  // Dest starts before source and overlaps
-    const overlapVertical = sameBuffer && 
-      ((srcStartRow < dstStartRow && srcStartRow + height > dstStartRow) || // Source starts before dest and overlaps
-       (dstStartRow < srcStartRow && dstStartRow + height > srcStartRow));  // Dest starts before source and overlaps
+    // Only expand the pattern when the operation depends on it
+    const needsPattern = usesPattern(op);
+    const tileCode = needsPattern ? `
+        // Expand the pattern into words tiled from the destination origin
+        const patternTile = createPatternTile(pattern, dst.offsetX, dst.offsetY, dst.bitOrder);` : '';
+    const patternRowCode = needsPattern ? `
+          const patRow = patternTile.rows[(dstY + y) % patternTile.height];` : '';
+    const patternCode = needsPattern ? `
+            const patInt = patRow[(dstStartIntX + i) % patternTile.wordsPerRow];` : '';
     
-    // Determine the direction to process integers based on overlap
-    let iStart, iEnd, iStep;
-    let yStart, yEnd, yStep;
+    // With a mask, merge the result into the destination through the mask word
+    const maskRowCode = params.mask ? `
+          const maskRowIndex = (maskY + y) * mask.intsPerRow + (maskX >>> 5);` : '';
+    const maskCode = params.mask ? `
+            const maskInt = ${readWord(params.mask, dst, 'mask.data[maskRowIndex + i]')};` : '';
     
-    if (overlapHorizontal && srcStartIntX < dstStartIntX) {
-      // Source is to the left of destination, process right-to-left
-      iStart = intsPerRow - 1;
-      iEnd = -1;
-      iStep = -1;
-    } else {
-      // No horizontal overlap or source is to the right of destination, process left-to-right
-      iStart = 0;
-      iEnd = intsPerRow;
-      iStep = 1;
-    }
-    
-    if (overlapVertical && srcStartRow < dstStartRow) {
-      // Source is above destination, process bottom-to-top
-      yStart = height - 1;
-      yEnd = -1;
-      yStep = -1;
-    } else {
-      // No vertical overlap or source is below destination, process top-to-bottom
-      yStart = 0;
-      yEnd = height;
-      yStep = 1;
-    }
-    
-    // Generate the operation code based on the operation type
-    let operationCode;
-    switch (op) {
-      case BitBltOp.AND:
-        operationCode = 'srcInt & dstInt';
-        break;
-      case BitBltOp.OR:
-        operationCode = 'srcInt | dstInt';
-        break;
-      case BitBltOp.XOR:
-        operationCode = 'srcInt ^ dstInt';
-        break;
-      case BitBltOp.COPY:
-      default:
-        operationCode = 'srcInt';
-        break;
-    }
+    // With a transparent key, merge through the pixels that differ from it
+    const keyCode = hasKey(params) ? `
+            const opaqueInt = ${getOpaqueMaskExpression('srcInt', params.key, depth)};` : '';
+    const writeMask = params.mask ? 'maskInt' : hasKey(params) ? 'opaqueInt' : null;
+    const resultCode = writeMask
+      ? `(dstInt & ~${writeMask}) | ((${operationCode}) & ${writeMask})`
+      : operationCode;
     
     // Generate the function code
     const functionCode = `
       // Generated aligned BitBLT function
-      return function(src, dst) {
+      return function(src, dst, pattern, mask, colorMap, rect) {
+        const { dstX, dstY, srcX, srcY, maskX, maskY, width, height } = rect;
+        
+        // Calculate how many integers per row to copy and the starting
+        // integer indices
+        const intsPerRow = (width * ${depth}) >>> 5;
+        const srcStartIntX = (srcX * ${depth}) >>> 5;
+        const dstStartIntX = (dstX * ${depth}) >>> 5;${tileCode}
+        
         // Process integers in the correct order for overlapping regions
         for (let y = ${yStart}; y !== ${yEnd}; y += ${yStep}) {
-          const srcRowIndex = (${srcStartRow} + y) * src.intsPerRow + ${srcStartIntX};
-          const dstRowIndex = (${dstStartRow} + y) * dst.intsPerRow + ${dstStartIntX};
+          const srcRowIndex = (srcY + y) * src.intsPerRow + srcStartIntX;
+          const dstRowIndex = (dstY + y) * dst.intsPerRow + dstStartIntX;${patternRowCode}${maskRowCode}
           
           for (let i = ${iStart}; i !== ${iEnd}; i += ${iStep}) {
-            const srcInt = src.data[srcRowIndex + i];
-            const dstInt = dst.data[dstRowIndex + i];
+            const srcInt = ${readWord(src, dst, 'src.data[srcRowIndex + i]')};
+            const dstInt = dst.data[dstRowIndex + i];${patternCode}${maskCode}${keyCode}
             
             // Apply the operation
-            dst.data[dstRowIndex + i] = ${operationCode};
+            dst.data[dstRowIndex + i] = ${resultCode};
           }
         }
       };
     `;
     
-    // Create the function
+    // Create the function, giving it access to the pattern and bit order helpers
     // eslint-disable-next-line no-new-func
-    const func = new Function('src', 'dst', functionCode)(src, dst);
+    const func = new Function('createPatternTile', 'reversePixels', functionCode)(createPatternTile, reversePixels);
     
     return {
       func,
@@ -273,4 +237,29 @@ class JavaScriptGenerator extends CodeGeneratorInterface {
   }
 }
 
+/**
+ * Checks whether an operation leaves out source pixels equal to a key.
+ * 
+ * @param {Object} params - Parameters for the BitBLT operation
+ * @returns {boolean} - True for transparent transfers
+ * @private
+ */
+function hasKey(params) {
+  return params.key !== undefined && params.key !== null;
+}
+
+/**
+ * Builds the expression that reads a word of a bitmap for combination with
+ * the destination, reversing it when the two bit orders disagree.
+ * 
+ * @param {Object} bitmap - Bitmap the word is read from
+ * @param {Object} dst - Destination bitmap
+ * @param {string} wordExpr - Expression for the stored word
+ * @returns {string} - Expression for the word in the destination's bit order
+ * @private
+ */
+function readWord(bitmap, dst, wordExpr) {
+  return bitmap.bitOrder !== dst.bitOrder ? `reversePixels(${wordExpr}, ${bitmap.depth})` : wordExpr;
+}
+
 module.exports = JavaScriptGenerator;
@@ -0,0 +1,325 @@
+/**
+ * Source-code fragments for BitBLT operations, shared by the code generators:
+ * the WebAssembly generator compiles the same integer expressions.
+ */
+const {
+  BitBltOp,
+  BitOrder,
+  ColorMapKind,
+  getRop3Code,
+  isArithmeticOp,
+  isBlendOp,
+  getConstantAlpha,
+  replicatePixel,
+} = require("../bitblt");
+
+/**
+ * Expression templates indexed by truth table, using `s` for the source and
+ * `d` for the destination operand.
+ */
+const EXPRESSION_TEMPLATES = [
+  "0", // 0000: clear
+  "~(s | d)", // 0001: nor
+  "~s & d", // 0010: and inverted
+  "~s", // 0011: copy inverted
+  "s & ~d", // 0100: and reverse
+  "~d", // 0101: invert
+  "s ^ d", // 0110: xor
+  "~(s & d)", // 0111: nand
+  "s & d", // 1000: and
+  "~(s ^ d)", // 1001: xnor
+  "d", // 1010: noop
+  "~s | d", // 1011: or inverted
+  "s", // 1100: copy
+  "s | ~d", // 1101: or reverse
+  "s | d", // 1110: or
+  "~0", // 1111: set
+];
+
+/**
+ * Builds a JavaScript expression that combines 32-bit words according to a
+ * BitBLT operation. Ternary raster operations are specialized per code: the
+ * pattern selects, bit by bit, between the two-operand functions that the
+ * code describes for pattern 0 and pattern 1. Arithmetic operations are
+ * specialized per depth and work on every pixel of the word at once.
+ *
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @param {string} srcExpr - Expression for the source operand
+ * @param {string} dstExpr - Expression for the destination operand
+ * @param {string} patExpr - Expression for the pattern operand
+ * @param {number} depth - Bits per pixel (only used by arithmetic operations)
+ * @returns {string} - JavaScript expression for the combined word
+ */
+function getOpExpression(op, srcExpr, dstExpr, patExpr = "0", depth = 1) {
+  if (isArithmeticOp(op)) {
+    return getArithmeticExpression(op, srcExpr, dstExpr, depth);
+  }
+
+  const code = getRop3Code(op);
+  const whenClear = code & 0xf;
+  const whenSet = code >> 4;
+
+  const clearExpr = getTableExpression(whenClear, srcExpr, dstExpr);
+  const setExpr = getTableExpression(whenSet, srcExpr, dstExpr);
+  const p = parenthesize(patExpr);
+
+  if (whenClear === whenSet) {
+    return clearExpr;
+  }
+  if (whenClear === 0) {
+    return whenSet === 0xf ? patExpr : `${p} & ${parenthesize(setExpr)}`;
+  }
+  if (whenSet === 0) {
+    return whenClear === 0xf ? `~${p}` : `~${p} & ${parenthesize(clearExpr)}`;
+  }
+  if (whenSet === 0xf) {
+    return `${p} | ${parenthesize(clearExpr)}`;
+  }
+  if (whenClear === 0xf) {
+    return `~${p} | ${parenthesize(setExpr)}`;
+  }
+  if ((whenClear ^ whenSet) === 0xf) {
+    return `${p} ^ ${parenthesize(clearExpr)}`;
+  }
+
+  const clear = parenthesize(clearExpr);
+  return `${clear} ^ (${p} & (${clear} ^ ${parenthesize(setExpr)}))`;
+}
+
+/**
+ * Builds an expression for the lowest bit of the word that holds a pixel.
+ *
+ * @param {string} bitOrder - Bit order of the bitmap (from BitOrder enum)
+ * @param {string} xExpr - Expression for the pixel's x coordinate in data coordinates
+ * @param {number} depth - Bits per pixel of the bitmap
+ * @returns {string} - JavaScript expression for the bit index
+ */
+function getBitIndexExpression(bitOrder, xExpr, depth = 1) {
+  const x = parenthesize(xExpr);
+  const bit = depth === 1 ? `${x} % 32` : `(${x} * ${depth}) % 32`;
+  return bitOrder === BitOrder.LSB_FIRST ? bit : `${32 - depth} - (${bit})`;
+}
+
+/**
+ * Builds an expression for a pixel value of the given depth stored in a word.
+ *
+ * @param {string} wordExpr - Expression for the word
+ * @param {string} bitIndexExpr - Expression for the pixel's lowest bit
+ * @param {number} depth - Bits per pixel
+ * @returns {string} - JavaScript expression for the pixel value
+ */
+function getPixelExpression(wordExpr, bitIndexExpr, depth) {
+  const word = parenthesize(wordExpr);
+  const bit = parenthesize(bitIndexExpr);
+  return depth === 32
+    ? `${word} >>> 0`
+    : `(${word} >>> ${bit}) & ${getPixelMaskLiteral(depth)}`;
+}
+
+/**
+ * Builds an expression that translates a source pixel through a color map.
+ * Expanding and thresholding maps become a choice between constants or a
+ * comparison; other maps read the `colorMap` table at run time.
+ *
+ * @param {Object} analysis - Color map analysis from analyzeColorMap(), or null
+ * @param {string} pixelExpr - Expression for the source pixel value
+ * @returns {string} - JavaScript expression for the destination pixel value
+ */
+function getColorMapExpression(analysis, pixelExpr) {
+  const pixel = parenthesize(pixelExpr);
+  switch (analysis ? analysis.kind : ColorMapKind.IDENTITY) {
+    case ColorMapKind.IDENTITY:
+      return pixelExpr;
+    case ColorMapKind.EXPAND:
+      return `(${pixel} ? ${analysis.foreground} : ${analysis.background})`;
+    case ColorMapKind.THRESHOLD:
+      return `(${pixel} >= ${analysis.threshold} ? 1 : 0)`;
+    default:
+      return `colorMap[${pixelExpr}]`;
+  }
+}
+
+/**
+ * Gets the mask of a single pixel of the given depth as a source literal.
+ *
+ * @param {number} depth - Bits per pixel
+ * @returns {string} - Hexadecimal literal for the largest pixel value
+ */
+function getPixelMaskLiteral(depth) {
+  return depth === 32 ? "0xffffffff" : `0x${((1 << depth) - 1).toString(16)}`;
+}
+
+/**
+ * Builds the expression for an arithmetic operation on the pixels packed in
+ * two words, following applyOp(): the low bits of each pixel are added or
+ * subtracted apart from its high bit, and the carry or borrow out of each
+ * high bit is spread over its pixel by multiplying with the pixel mask.
+ *
+ * @param {number} op - Operation to perform (an arithmetic BitBltOp)
+ * @param {string} srcExpr - Expression for the source operand
+ * @param {string} dstExpr - Expression for the destination operand
+ * @param {number} depth - Bits per pixel
+ * @returns {string} - JavaScript expression for the combined word
+ * @private
+ */
+function getArithmeticExpression(op, srcExpr, dstExpr, depth) {
+  if (isBlendOp(op)) {
+    return getBlendExpression(op, srcExpr, dstExpr, depth);
+  }
+
+  const s = parenthesize(srcExpr);
+  const d = parenthesize(dstExpr);
+  const high = toHex(replicatePixel(2 ** (depth - 1), depth));
+  const rest = toHex(~replicatePixel(2 ** (depth - 1), depth));
+  const notLow = toHex(~replicatePixel(1, depth));
+  const spread = (bits) =>
+    `(((${bits}) >>> ${depth - 1}) * ${getPixelMaskLiteral(depth)})`;
+
+  // Pixels where the destination is below the source
+  const difference = `((${d} | ${high}) - (${s} & ${rest}))`;
+  const below = spread(
+    `((~${d} & ${s}) | (~(${d} ^ ${s}) & ~${difference})) & ${high}`
+  );
+
+  switch (op) {
+    case BitBltOp.ADD: {
+      const sum = `((${s} & ${rest}) + (${d} & ${rest}))`;
+      const carry = `((${s} & ${d}) | ((${s} | ${d}) & ${sum})) & ${high}`;
+      return `(${sum} ^ ((${s} ^ ${d}) & ${high})) | ${spread(carry)}`;
+    }
+    case BitBltOp.SUBTRACT:
+      return `(${difference} ^ ((${d} ^ ~${s}) & ${high})) & ~${below}`;
+    case BitBltOp.MAX:
+      return `${d} ^ ((${d} ^ ${s}) & ${below})`;
+    case BitBltOp.MIN:
+      return `${s} ^ ((${s} ^ ${d}) & ${below})`;
+    case BitBltOp.AVERAGE:
+      return `(${s} & ${d}) + (((${s} ^ ${d}) & ${notLow}) >>> 1)`;
+    default: {
+      // PAINT: the source wherever its pixel is not 0
+      const nonZero = `(((${s} & ${rest}) + ${rest}) | ${s}) & ${high}`;
+      return `${d} ^ ((${d} ^ ${s}) & ${spread(nonZero)})`;
+    }
+  }
+}
+
+/**
+ * Builds the expression for an alpha blend of 32-bit ARGB pixels, following
+ * blendPixel() in bitblt.js: red and blue, then alpha and green, are weighted
+ * together in 16-bit lanes. Constant alphas are baked into the expression.
+ *
+ * @param {number} op - Blend operation (BLEND, BLEND_PREMULTIPLIED or from blendConstant())
+ * @param {string} srcExpr - Expression for the source pixel
+ * @param {string} dstExpr - Expression for the destination pixel
+ * @param {number} depth - Bits per pixel, which must be 32
+ * @returns {string} - JavaScript expression for the blended pixel
+ * @private
+ */
+function getBlendExpression(op, srcExpr, dstExpr, depth) {
+  if (depth !== 32) {
+    throw new Error(
+      `Blend operation ${op} needs 32-bit ARGB pixels, not ${depth}-bit`
+    );
+  }
+
+  const s = parenthesize(srcExpr);
+  const d = parenthesize(dstExpr);
+  const dstRB = `(${d} & 0xff00ff)`;
+  const dstAG = `((${d} >>> 8) & 0xff00ff)`;
+  const divide = (lanes) =>
+    `((((${lanes}) + 0x800080) + ((((${lanes}) + 0x800080) >>> 8) & 0xff00ff)) >>> 8) & 0xff00ff`;
+
+  if (op === BitBltOp.BLEND_PREMULTIPLIED) {
+    const weight = `(255 - (${s} >>> 24))`;
+    const rb = `(${s} & 0xff00ff) + (${divide(`${dstRB} * ${weight}`)})`;
+    const ag = `((${s} >>> 8) & 0xff00ff) + (${divide(
+      `${dstAG} * ${weight}`
+    )})`;
+    return `((${ag}) << 8) | (${rb})`;
+  }
+
+  let alpha, weight, srcAG;
+  if (op === BitBltOp.BLEND) {
+    alpha = `(${s} >>> 24)`;
+    weight = `(255 - ${alpha})`;
+    srcAG = `(((${s} >>> 8) & 0xff) | 0xff0000)`;
+  } else {
+    alpha = `${getConstantAlpha(op)}`;
+    weight = `${255 - getConstantAlpha(op)}`;
+    srcAG = `((${s} >>> 8) & 0xff00ff)`;
+  }
+  const rb = divide(`(${s} & 0xff00ff) * ${alpha} + ${dstRB} * ${weight}`);
+  const ag = divide(`${srcAG} * ${alpha} + ${dstAG} * ${weight}`);
+  return `((${ag}) << 8) | (${rb})`;
+}
+
+/**
+ * Builds an expression for a word with all bits set in every pixel of a
+ * source word that differs from a transparent key, so the generated code can
+ * merge whole words through it.
+ *
+ * @param {string} srcExpr - Expression for the source word
+ * @param {number} key - The transparent pixel value
+ * @param {number} depth - Bits per pixel
+ * @returns {string} - JavaScript expression for the opaque pixels
+ */
+function getOpaqueMaskExpression(srcExpr, key, depth) {
+  const s = parenthesize(srcExpr);
+  if (depth === 1) {
+    return key ? `~${s}` : s;
+  }
+
+  const keyWord = replicatePixel(key, depth);
+  const difference = keyWord ? `(${s} ^ ${toHex(keyWord)})` : s;
+  const high = toHex(replicatePixel(2 ** (depth - 1), depth));
+  const rest = toHex(~replicatePixel(2 ** (depth - 1), depth));
+  return `((((((${difference} & ${rest}) + ${rest}) | ${difference}) & ${high}) >>> ${
+    depth - 1
+  }) * ${getPixelMaskLiteral(depth)})`;
+}
+
+/**
+ * Formats a word as an unsigned hexadecimal literal.
+ *
+ * @param {number} word - The word
+ * @returns {string} - Hexadecimal literal
+ * @private
+ */
+function toHex(word) {
+  return `0x${(word >>> 0).toString(16)}`;
+}
+
+/**
+ * Builds the expression for a two-operand truth table.
+ *
+ * @param {number} table - 4-bit truth table, indexed by (2 * source + destination)
+ * @param {string} srcExpr - Expression for the source operand
+ * @param {string} dstExpr - Expression for the destination operand
+ * @returns {string} - JavaScript expression for the combined word
+ * @private
+ */
+function getTableExpression(table, srcExpr, dstExpr) {
+  return EXPRESSION_TEMPLATES[table].replace(/\b[sd]\b/g, (operand) =>
+    parenthesize(operand === "s" ? srcExpr : dstExpr)
+  );
+}
+
+/**
+ * Wraps an operand in parentheses unless it is a plain identifier or literal.
+ *
+ * @param {string} expr - Operand expression
+ * @returns {string} - Expression safe to embed in a larger expression
+ * @private
+ */
+function parenthesize(expr) {
+  return /^[\w.$]+$/.test(expr) ? expr : `(${expr})`;
+}
+
+module.exports = {
+  getOpExpression,
+  getBitIndexExpression,
+  getPixelExpression,
+  getPixelMaskLiteral,
+  getColorMapExpression,
+  getOpaqueMaskExpression,
+};
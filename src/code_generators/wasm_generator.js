@@ -3,20 +3,164 @@
  * This generator creates WebAssembly binary directly without going through WAT.
  */
 const CodeGeneratorInterface = require("./generator_interface");
-const { BitBltOp } = require("../bitblt");
+const {
+  FunctionBuilder,
+  ModuleBuilder,
+  formatModule,
+  disassemble,
+  supportsSimd,
+} = require("./wasm_module");
+const WasmMemoryAllocator = require("./wasm_memory");
+const {
+  getOpExpression,
+  getBitIndexExpression,
+  getPixelExpression,
+  getPixelMaskLiteral,
+  getColorMapExpression,
+  getOpaqueMaskExpression,
+} = require("./op_expressions");
+const {
+  ColorMapKind,
+  usesPattern,
+  applyOp,
+  getPixel,
+  setPixel,
+  getPatternPixel,
+  createPatternTile,
+} = require("../bitblt");
+
+/**
+ * Parameters of every generated function: the byte addresses of the words
+ * of each bitmap (and of the pattern tile and color map) in memory, the
+ * words per row of the bitmaps and the tile, and the rectangle to transfer
+ * in data coordinates (see getRect()), none of which are part of the cache
+ * key.
+ */
+const FUNCTION_PARAMS = [
+  "src",
+  "dst",
+  "pattern",
+  "mask",
+  "colorMap",
+  "srcStride",
+  "dstStride",
+  "maskStride",
+  "patternStride",
+  "patternHeight",
+  "dstX",
+  "dstY",
+  "srcX",
+  "srcY",
+  "maskX",
+  "maskY",
+  "width",
+  "height",
+];
+
+/** Words processed by each vector instruction */
+const WORDS_PER_VECTOR = 4;
+
+/**
+ * The swaps that reverse the order of the pixels in a word, as in
+ * reversePixels(): each exchanges neighbouring groups of `shift` bits.
+ */
+const REVERSE_STEPS = [
+  [1, "0x55555555"],
+  [2, "0x33333333"],
+  [4, "0x0f0f0f0f"],
+  [8, "0x00ff00ff"],
+  [16, "0x0000ffff"],
+];
 
 class WasmGenerator extends CodeGeneratorInterface {
   /**
-   * Generates WebAssembly code for a BitBLT operation.
+   * Creates a WebAssembly code generator. All generated modules share one
+   * memory, in which bitmaps can be allocated with createBitmap() so the
+   * generated code works on them in place.
+   *
+   * Aligned operations without a pattern use SIMD instructions when the
+   * engine supports them, which is detected here; setting `simd` to false
+   * makes later code scalar.
+   */
+  constructor() {
+    super();
+    this.allocator =
+      typeof WebAssembly === "undefined" ? null : new WasmMemoryAllocator();
+    this.memory = this.allocator ? this.allocator.memory : null;
+    this.simd = supportsSimd();
+  }
+
+  /**
+   * Generates a cache key for a BitBLT operation. Code generated with and
+   * without SIMD instructions is cached separately.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {string} - A unique key for the operation
+   */
+  getCacheKey(params) {
+    const key = super.getCacheKey(params);
+    return this.simd ? `${key},simd` : key;
+  }
+
+  /**
+   * Tells whether generateCode() returns the generated code itself: it
+   * returns a promise, as modules are instantiated asynchronously.
+   *
+   * @returns {boolean} - False
+   */
+  isSynchronous() {
+    return false;
+  }
+
+  /**
+   * Creates a bitmap in the generator's memory (see WasmMemoryAllocator).
+   *
+   * @param {number} width - Width of the bitmap in pixels
+   * @param {number} height - Height of the bitmap in pixels
+   * @param {Object} options - Options as for createBitmap(): depth, bitOrder and stride
+   * @returns {Object} - The bitmap object
+   */
+  createBitmap(width, height, options = {}) {
+    if (!this.allocator) {
+      throw new Error("WebAssembly is not available");
+    }
+    return this.allocator.createBitmap(width, height, options);
+  }
+
+  /**
+   * Frees a bitmap created by createBitmap().
+   *
+   * @param {Object} bitmap - The bitmap
+   */
+  freeBitmap(bitmap) {
+    if (!this.allocator) {
+      throw new Error("WebAssembly is not available");
+    }
+    this.allocator.freeBitmap(bitmap);
+  }
+
+  /**
+   * Generates WebAssembly code for a BitBLT operation. The function takes
+   * the rectangle to transfer when it is called, so it serves every
+   * operation with the same cache key.
    *
    * @param {Object} params - Parameters for the BitBLT operation
    * @returns {Promise<Object>} - An object containing the generated WebAssembly module and metadata
    */
   async generateCode(params) {
-    const { dst, dstX, dstY, width, height, src, srcX, srcY, op, aligned } =
-      params;
+    const { aligned } = params;
+
+    if (!this.allocator) {
+      return this._generatePlaceholder(params, aligned);
+    }
 
-    if (aligned) {
+    // Clipping can leave a rectangle that is no longer aligned, and
+    // translating pixels through a color map needs the per-pixel code
+    if (
+      aligned &&
+      this._isWordAligned(params, this.getRect(params)) &&
+      this._analyzeColorMap(params).kind === ColorMapKind.IDENTITY
+    ) {
       return this._generateAlignedCode(params);
     } else {
       return this._generateStandardCode(params);
@@ -24,177 +168,449 @@ class WasmGenerator extends CodeGeneratorInterface {
   }
 
   /**
-   * Executes the generated WebAssembly code.
+   * Executes the generated WebAssembly code. Bitmaps allocated in the
+   * generator's memory are read and written in place; the words of other
+   * bitmaps are copied into the memory for the call, and the destination's
+   * copied back.
    *
    * @param {Object} generatedCode - The code generated by generateCode()
    * @param {Object} dst - Destination bitmap
    * @param {Object} src - Source bitmap
+   * @param {Object} pattern - Pattern bitmap (optional)
+   * @param {Object} mask - Mask bitmap (optional)
+   * @param {Array|Uint32Array} colorMap - Color map (optional)
+   * @param {Object} rect - The rectangle from getRect()
    * @returns {void}
    */
-  executeCode(generatedCode, dst, src) {
+  executeCode(
+    generatedCode,
+    dst,
+    src,
+    pattern = null,
+    mask = null,
+    colorMap = null,
+    rect
+  ) {
     // If this is a placeholder, perform the operation in JavaScript
     if (generatedCode.placeholder) {
-      console.log(
-        `WebAssembly execution skipped: ${
-          generatedCode.message || "Placeholder"
-        }`
-      );
-
       // If we have parameters, perform the BitBLT operation in JavaScript
       if (generatedCode.params) {
-        this._performBitBltInJavaScript(generatedCode, dst, src);
+        this._performBitBltInJavaScript(
+          generatedCode,
+          dst,
+          src,
+          pattern,
+          mask,
+          colorMap,
+          rect
+        );
       }
 
       return;
     }
 
+    // Bitmaps in the memory are used in place; anything else the function
+    // reads is copied into blocks allocated for this call
+    const tile = generatedCode.usesPattern
+      ? createPatternTile(pattern, dst.offsetX, dst.offsetY, dst.bitOrder)
+      : null;
+    const copies = new Map();
+    const place = (words) => {
+      if (!words) {
+        return 0;
+      }
+      if (this.allocator.contains(words)) {
+        return words.byteOffset;
+      }
+      if (!copies.has(words)) {
+        copies.set(words, this.allocator.allocate(words.length));
+      }
+      return copies.get(words).address;
+    };
+
     try {
-      console.log("Executing WebAssembly BitBLT COPY operation");
+      const srcAddress = place(src.data);
+      const dstAddress = place(dst.data);
+      const patternAddress = place(tile && tile.rows.flat());
+      const maskAddress = place(mask && mask.data);
+      const mapAddress = place(generatedCode.usesColorMap && colorMap);
+
+      // Allocating can grow the memory, so fill the blocks once all are placed
+      for (const [words, allocation] of copies) {
+        allocation.words.set(words);
+      }
 
-      // Copy source and destination data to WebAssembly memory
-      const srcData = new Int32Array(
-        generatedCode.memory.buffer,
-        generatedCode.srcOffset,
-        src.data.length
-      );
-      const dstData = new Int32Array(
-        generatedCode.memory.buffer,
-        generatedCode.dstOffset,
-        dst.data.length
+      generatedCode.instance.exports.bitblt(
+        srcAddress,
+        dstAddress,
+        patternAddress,
+        maskAddress,
+        mapAddress,
+        src.intsPerRow,
+        dst.intsPerRow,
+        mask ? mask.intsPerRow : 0,
+        tile ? tile.wordsPerRow : 1,
+        tile ? tile.height : 1,
+        rect.dstX,
+        rect.dstY,
+        rect.srcX,
+        rect.srcY,
+        rect.maskX,
+        rect.maskY,
+        rect.width,
+        rect.height
       );
 
-      // Copy source data to WebAssembly memory
-      srcData.set(src.data);
+      if (copies.has(dst.data)) {
+        dst.data.set(copies.get(dst.data).words);
+      }
+    } finally {
+      for (const allocation of copies.values()) {
+        this.allocator.free(allocation);
+      }
+    }
+  }
 
-      // Copy destination data to WebAssembly memory
-      dstData.set(dst.data);
+  /**
+   * Generates WebAssembly code for standard (non-aligned) BitBLT operations,
+   * one pixel at a time.
+   *
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Promise<Object>} - An object containing the generated WebAssembly module and metadata
+   * @private
+   */
+  async _generateStandardCode(params) {
+    const { dst, src, mask, op } = params;
+
+    // Process pixels in the correct order for overlapping regions
+    const { reverseX, reverseY } = this._getScanDirections(params);
+    const [xStart, xEnd, xStep] = getScanOrder(reverseX, "width");
+    const [yStart, yEnd, yStep] = getScanOrder(reverseY, "height");
+
+    // Source pixels are read at their own depth and translated through the
+    // color map, as in the JavaScript generator
+    const depth = dst.depth;
+    const srcDepth = src.depth;
+    const pixelMask = getPixelMaskLiteral(depth);
+    const needsPattern = usesPattern(op);
+    const colorMapAnalysis = this._analyzeColorMap(params);
+
+    const f = new FunctionBuilder(FUNCTION_PARAMS);
+    f.declare(
+      "y",
+      "x",
+      "srcPixelX",
+      "dstPixelX",
+      "maskPixelX",
+      "srcIndex",
+      "dstIndex",
+      "srcBit",
+      "dstBit",
+      "srcPixel",
+      "dstPixel",
+      "patPixel"
+    );
 
-      // Call the WebAssembly function
-      if (
-        generatedCode.instance &&
-        generatedCode.instance.exports &&
-        generatedCode.instance.exports.copy
-      ) {
-        generatedCode.instance.exports.copy();
+    f.loop("y", yStart, yEnd, yStep, () => {
+      f.loop("x", xStart, xEnd, xStep, () => {
+        // Skipped pixels branch to the end of this block
+        f.block();
+        f.assign("srcPixelX", "srcX + x");
+        f.assign("dstPixelX", "dstX + x");
+
+        // Skip the pixel unless the mask selects it
+        if (mask) {
+          f.assign("maskPixelX", "maskX + x");
+          f.branchIf(
+            0,
+            `!((mask[(maskY + y) * maskStride + (maskPixelX >>> 5)] >>> (${getBitIndexExpression(
+              mask.bitOrder,
+              "maskPixelX"
+            )})) & 1)`
+          );
+        }
 
-        // Since our WebAssembly module is still a no-op, we'll perform the BitBLT operation in JavaScript
-        // In a real implementation, this would be done by the WebAssembly module
-        if (generatedCode.params) {
-          this._performBitBltInJavaScript(generatedCode, dst, src);
+        // Find the words and bits that hold the pixels
+        f.assign(
+          "srcIndex",
+          `(srcY + y) * srcStride + ${getWordIndexExpression(
+            "srcPixelX",
+            srcDepth
+          )}`
+        );
+        f.assign(
+          "dstIndex",
+          `(dstY + y) * dstStride + ${getWordIndexExpression(
+            "dstPixelX",
+            depth
+          )}`
+        );
+        f.assign(
+          "srcBit",
+          getBitIndexExpression(src.bitOrder, "srcPixelX", srcDepth)
+        );
+        f.assign(
+          "dstBit",
+          getBitIndexExpression(dst.bitOrder, "dstPixelX", depth)
+        );
+
+        // Extract the pixel values, leaving out a transparent source pixel
+        f.assign(
+          "srcPixel",
+          getColorMapExpression(
+            colorMapAnalysis,
+            getPixelExpression("src[srcIndex]", "srcBit", srcDepth)
+          )
+        );
+        if (params.key !== undefined && params.key !== null) {
+          f.branchIf(0, `srcPixel == ${params.key}`);
+        }
+        f.assign(
+          "dstPixel",
+          getPixelExpression("dst[dstIndex]", "dstBit", depth)
+        );
+
+        // The pattern tile is in the destination's bit order, with a word
+        // for each destination word, tiled from the destination origin
+        if (needsPattern) {
+          f.assign(
+            "patPixel",
+            getPixelExpression(
+              `pattern[((dstY + y) % patternHeight) * patternStride + ${getWordIndexExpression(
+                "dstPixelX",
+                depth
+              )} % patternStride]`,
+              "dstBit",
+              depth
+            )
+          );
         }
-      } else {
-        console.warn("WebAssembly copy function not found");
-        return;
-      }
 
-      // Copy the result back to the destination bitmap
-      for (let i = 0; i < dst.data.length; i++) {
-        dst.data[i] = dstData[i];
-      }
-    } catch (error) {
-      console.error("Error executing WebAssembly code:", error);
-    }
+        // Replace the destination pixel's bits with the result
+        const resultCode = `(${getOpExpression(
+          op,
+          "srcPixel",
+          "dstPixel",
+          "patPixel",
+          depth
+        )}) & ${pixelMask}`;
+        f.store(
+          "dst",
+          "dstIndex",
+          depth === 32
+            ? resultCode
+            : `(dst[dstIndex] & ~(${pixelMask} << dstBit)) | ((${resultCode}) << dstBit)`
+        );
+        f.end();
+      });
+    });
+
+    return this._instantiate(f, {
+      aligned: false,
+      simd: false,
+      usesPattern: needsPattern,
+      usesColorMap: colorMapAnalysis.kind === ColorMapKind.TABLE,
+    });
   }
 
   /**
-   * Generates WebAssembly code for standard (non-aligned) BitBLT operations.
+   * Generates WebAssembly code for aligned BitBLT operations, one word at a
+   * time.
    *
    * @param {Object} params - Parameters for the BitBLT operation
    * @returns {Promise<Object>} - An object containing the generated WebAssembly module and metadata
    * @private
    */
-  async _generateStandardCode(params) {
-    const { dst, dstX, dstY, width, height, src, srcX, srcY, op } = params;
-
-    // For now, we'll only implement the COPY operation
-    if (op !== BitBltOp.COPY) {
-      return {
-        type: "wasm",
-        aligned: false,
-        placeholder: true,
-        message: `WebAssembly code generation for operation ${op} not yet implemented`,
-      };
+  async _generateAlignedCode(params) {
+    const { dst, src, mask, op } = params;
+    const depth = dst.depth;
+
+    // Process integers in the correct order for overlapping regions; whole
+    // words overlap exactly where their pixels do
+    const { reverseX, reverseY } = this._getScanDirections(params);
+    const [yStart, yEnd, yStep] = getScanOrder(reverseY, "height");
+
+    const needsPattern = usesPattern(op);
+    const hasKey = params.key !== undefined && params.key !== null;
+
+    // Vectors of four words cover the start of each row and scalar code the
+    // rest. Pattern words wrap around the tile, so patterns stay scalar
+    const simd = this.simd && !needsPattern;
+
+    const f = new FunctionBuilder(FUNCTION_PARAMS);
+    f.declare(
+      "intsPerRow",
+      "srcStartIntX",
+      "dstStartIntX",
+      "vectorInts",
+      "y",
+      "i",
+      "srcRow",
+      "dstRow",
+      "patRow",
+      "maskRow",
+      "srcInt",
+      "dstInt",
+      "patInt",
+      "maskInt",
+      "opaqueInt"
+    );
+    if (simd) {
+      f.declareVector("srcVec", "dstVec", "maskVec", "opaqueVec");
     }
 
-    try {
-      // Clip the operation to the bounds of both bitmaps
-      const srcMaxX = Math.min(srcX + width, src.width);
-      const srcMaxY = Math.min(srcY + height, src.height);
-      const dstMaxX = Math.min(dstX + width, dst.width);
-      const dstMaxY = Math.min(dstY + height, dst.height);
-
-      // Calculate actual dimensions after clipping
-      const actualWidth = Math.min(srcMaxX - srcX, dstMaxX - dstX);
-      const actualHeight = Math.min(srcMaxY - srcY, dstMaxY - dstY);
-
-      // Create a memory to share between JS and WASM
-      const srcSize = src.data.length * 4; // 4 bytes per int
-      const dstSize = dst.data.length * 4; // 4 bytes per int
-      const memorySize = Math.ceil((srcSize + dstSize + 1024) / 65536); // In pages (64KB each)
-      const memory = new WebAssembly.Memory({ initial: memorySize });
-
-      // Define memory offsets
-      const srcOffset = 0;
-      const dstOffset = srcSize;
-
-      // For now, we'll use a minimal WebAssembly module
-      // In a real implementation, we would generate more complex code
-      // that actually performs the BitBLT operation
-
-      // For now, we'll use a simpler approach
-      // Instead of generating WebAssembly binary directly, we'll create a placeholder
-      // and perform the actual BitBLT operation in JavaScript
-
-      // In a real implementation, we would generate WebAssembly binary that performs the operation
-      // But for now, we'll just create a placeholder and do the work in executeCode
-
-      // Create a placeholder
-      return {
-        memory,
-        srcOffset,
-        dstOffset,
-        srcSize,
-        dstSize,
-        type: "wasm",
-        aligned: false,
-        placeholder: true,
-        message: "WebAssembly binary generation not yet implemented",
-        params: {
-          srcX,
-          srcY,
-          dstX,
-          dstY,
-          width: actualWidth,
-          height: actualHeight,
-          srcIntsPerRow: src.intsPerRow,
-          dstIntsPerRow: dst.intsPerRow,
-        },
-      };
-    } catch (error) {
-      console.error("Error generating WebAssembly code:", error);
-      return {
-        type: "wasm",
-        aligned: false,
-        placeholder: true,
-        error: error.message,
-      };
+    // Emits the code for the word (or vector of words) at index i
+    const emitWord = (vector) => {
+      const local = (name) => `${name}${vector ? "Vec" : "Int"}`;
+      f.assign(local("src"), "src[srcRow + i]");
+      if (src.bitOrder !== dst.bitOrder) {
+        reversePixels(f, local("src"), src.depth);
+      }
+      f.assign(local("dst"), "dst[dstRow + i]");
+      if (needsPattern) {
+        f.assign(
+          "patInt",
+          "pattern[patRow + (dstStartIntX + i) % patternStride]"
+        );
+      }
+
+      // With a mask or a transparent key, merge the result into the
+      // destination through the mask word or the opaque pixels
+      if (mask) {
+        f.assign(local("mask"), "mask[maskRow + i]");
+        if (mask.bitOrder !== dst.bitOrder) {
+          reversePixels(f, local("mask"), 1);
+        }
+      }
+      if (hasKey) {
+        f.assign(
+          local("opaque"),
+          getOpaqueMaskExpression(local("src"), params.key, depth)
+        );
+      }
+      const operationCode = getOpExpression(
+        op,
+        local("src"),
+        local("dst"),
+        "patInt",
+        depth
+      );
+      const writeMask = mask ? local("mask") : hasKey ? local("opaque") : null;
+      f.store(
+        "dst",
+        "dstRow + i",
+        writeMask
+          ? `(${local(
+              "dst"
+            )} & ~${writeMask}) | ((${operationCode}) & ${writeMask})`
+          : operationCode,
+        vector
+      );
+    };
+
+    // Words per row, where each row starts, and the words covered by vectors
+    f.assign("intsPerRow", `(width * ${depth}) >>> 5`);
+    f.assign("srcStartIntX", `(srcX * ${depth}) >>> 5`);
+    f.assign("dstStartIntX", `(dstX * ${depth}) >>> 5`);
+    if (simd) {
+      f.assign("vectorInts", `intsPerRow & ~${WORDS_PER_VECTOR - 1}`);
     }
+
+    f.loop("y", yStart, yEnd, yStep, () => {
+      f.assign("srcRow", "(srcY + y) * srcStride + srcStartIntX");
+      f.assign("dstRow", "(dstY + y) * dstStride + dstStartIntX");
+      if (needsPattern) {
+        f.assign("patRow", "((dstY + y) % patternHeight) * patternStride");
+      }
+      if (mask) {
+        f.assign("maskRow", "(maskY + y) * maskStride + (maskX >>> 5)");
+      }
+
+      // A vector is loaded whole before it is stored, so overlapping rows
+      // only need the vectors and the scalar tail taken in scan order;
+      // without vectors the tail is the whole row
+      const step = WORDS_PER_VECTOR;
+      if (!reverseX) {
+        if (simd) {
+          f.loop("i", 0, "vectorInts", step, () => emitWord(true));
+        }
+        f.loop("i", "vectorInts", "intsPerRow", 1, () => emitWord(false));
+      } else {
+        f.loop("i", "intsPerRow - 1", "vectorInts - 1", -1, () =>
+          emitWord(false)
+        );
+        if (simd) {
+          f.loop("i", `vectorInts - ${step}`, -step, -step, () =>
+            emitWord(true)
+          );
+        }
+      }
+    });
+
+    return this._instantiate(f, {
+      aligned: true,
+      simd,
+      usesPattern: needsPattern,
+      usesColorMap: false,
+    });
+  }
+
+  /**
+   * Builds a module that exports a function as `bitblt` over the
+   * generator's memory, and instantiates it. Besides the module, the code
+   * object keeps the module's IR (see ModuleBuilder.toIR()) and can print
+   * it with `toWat()`, which names the locals as the generator does, or
+   * disassemble the binary with `disassemble()`.
+   *
+   * @param {FunctionBuilder} f - The BitBLT function
+   * @param {Object} metadata - What the function reads, added to the result
+   * @returns {Promise<Object>} - The generated code object
+   * @private
+   */
+  async _instantiate(f, metadata) {
+    const builder = new ModuleBuilder();
+    builder.importMemory("env", "memory");
+    builder.addFunction(f, "bitblt");
+    const ir = builder.toIR();
+    const binary = builder.toBytes();
+
+    const { module, instance } = await WebAssembly.instantiate(binary, {
+      env: { memory: this.memory },
+    });
+
+    return {
+      type: "wasm",
+      binary,
+      module,
+      instance,
+      ir,
+      toWat: () => formatModule(ir),
+      disassemble: () => disassemble(binary),
+      ...metadata,
+    };
   }
 
   /**
-   * Generates WebAssembly code for aligned BitBLT operations.
+   * Creates a placeholder that carries everything needed to perform the
+   * operation in JavaScript where WebAssembly is not available.
    *
    * @param {Object} params - Parameters for the BitBLT operation
-   * @returns {Promise<Object>} - An object containing the generated WebAssembly module and metadata
+   * @param {boolean} aligned - Whether the operation is aligned to 32-bit boundaries
+   * @returns {Object} - Placeholder generated code object
    * @private
    */
-  async _generateAlignedCode(params) {
-    // For now, just return a placeholder
+  _generatePlaceholder(params, aligned) {
+    const { op, key } = params;
+
     return {
       type: "wasm",
-      aligned: true,
+      aligned,
       placeholder: true,
-      message: "WebAssembly code generation not yet implemented",
+      message: "WebAssembly is not available",
+      params: {
+        op,
+        key: key === undefined ? null : key,
+      },
     };
   }
 
@@ -204,112 +620,121 @@ class WasmGenerator extends CodeGeneratorInterface {
    * @param {Object} generatedCode - The generated code object
    * @param {Object} dst - Destination bitmap
    * @param {Object} src - Source bitmap
+   * @param {Object} pattern - Pattern bitmap (optional)
+   * @param {Object} mask - Mask bitmap (optional)
+   * @param {Array|Uint32Array} colorMap - Color map (optional)
+   * @param {Object} rect - The rectangle from getRect()
    * @private
    */
-  _performBitBltInJavaScript(generatedCode, dst, src) {
+  _performBitBltInJavaScript(
+    generatedCode,
+    dst,
+    src,
+    pattern = null,
+    mask = null,
+    colorMap = null,
+    rect
+  ) {
     // Extract parameters
-    const {
-      srcX,
-      srcY,
-      dstX,
-      dstY,
-      width,
-      height,
-      srcIntsPerRow,
-      dstIntsPerRow,
-    } = generatedCode.params;
-
-    // Create arrays to access the bitmap data
-    const srcData = new Int32Array(
-      generatedCode.memory.buffer,
-      generatedCode.srcOffset,
-      src.data.length
-    );
-    const dstData = new Int32Array(
-      generatedCode.memory.buffer,
-      generatedCode.dstOffset,
-      dst.data.length
-    );
+    const { op, key } = generatedCode.params;
+    const { srcX, srcY, dstX, dstY, maskX, maskY, width, height } = rect;
 
-    // Copy source data to WebAssembly memory
-    srcData.set(src.data);
-
-    // Copy destination data to WebAssembly memory
-    dstData.set(dst.data);
-
-    // Check if source and destination are the same bitmap and regions overlap
-    const sameBuffer = src === dst;
-    const overlapHorizontal =
-      sameBuffer &&
-      ((srcX < dstX && srcX + width > dstX) || // Source starts before dest and overlaps
-        (dstX < srcX && dstX + width > srcX)); // Dest starts before source and overlaps
-    const overlapVertical =
-      sameBuffer &&
-      ((srcY < dstY && srcY + height > dstY) || // Source starts before dest and overlaps
-        (dstY < srcY && dstY + height > srcY)); // Dest starts before source and overlaps
-
-    // Determine the direction to process pixels based on overlap
-    let xStart, xEnd, xStep;
-    let yStart, yEnd, yStep;
-
-    if (overlapHorizontal && srcX < dstX) {
-      // Source is to the left of destination, process right-to-left
-      xStart = width - 1;
-      xEnd = -1;
-      xStep = -1;
-    } else {
-      // No horizontal overlap or source is to the right of destination, process left-to-right
-      xStart = 0;
-      xEnd = width;
-      xStep = 1;
-    }
+    // Process pixels in the correct order for overlapping regions
+    const { reverseX, reverseY } = this._getScanDirections({ dst, src }, rect);
+    const [xStart, xEnd, xStep] = getScanOrder(reverseX, width);
+    const [yStart, yEnd, yStep] = getScanOrder(reverseY, height);
 
-    if (overlapVertical && srcY < dstY) {
-      // Source is above destination, process bottom-to-top
-      yStart = height - 1;
-      yEnd = -1;
-      yStep = -1;
-    } else {
-      // No vertical overlap or source is below destination, process top-to-bottom
-      yStart = 0;
-      yEnd = height;
-      yStep = 1;
-    }
+    // Perform the BitBLT operation, one pixel of any depth and bit order at a
+    // time; the positions are in data coordinates, the accessors take each
+    // bitmap's own coordinates
+    const pixelMask = dst.depth === 32 ? 0xffffffff : (1 << dst.depth) - 1;
 
-    // Perform the BitBLT operation
     for (let y = yStart; y !== yEnd; y += yStep) {
       for (let x = xStart; x !== xEnd; x += xStep) {
         // Calculate source and destination pixel positions
-        const srcPixelX = srcX + x;
-        const srcPixelY = srcY + y;
-        const dstPixelX = dstX + x;
-        const dstPixelY = dstY + y;
-
-        // Calculate which integers in the data arrays contain these pixels
-        const srcIntIndex =
-          srcPixelY * srcIntsPerRow + Math.floor(srcPixelX / 32);
-        const dstIntIndex =
-          dstPixelY * dstIntsPerRow + Math.floor(dstPixelX / 32);
-
-        // Calculate which bits within those integers represent these pixels
-        const srcBitIndex = 31 - (srcPixelX % 32);
-        const dstBitIndex = 31 - (dstPixelX % 32);
-
-        // Extract the source pixel value (0 or 1)
-        const srcPixel = srcData[srcIntIndex] & (1 << srcBitIndex) ? 1 : 0;
-
-        // Set or clear the destination pixel based on the source pixel
-        if (srcPixel) {
-          dstData[dstIntIndex] |= 1 << dstBitIndex;
-        } else {
-          dstData[dstIntIndex] &= ~(1 << dstBitIndex);
+        const srcPixelX = srcX + x - src.offsetX;
+        const srcPixelY = srcY + y - src.offsetY;
+        const dstPixelX = dstX + x - dst.offsetX;
+        const dstPixelY = dstY + y - dst.offsetY;
+
+        // Leave the pixel alone unless the mask selects it
+        if (
+          mask &&
+          !getPixel(mask, maskX + x - mask.offsetX, maskY + y - mask.offsetY)
+        ) {
+          continue;
         }
+
+        // Extract the source, destination and pattern pixel values,
+        // translating the source through the color map
+        const rawPixel = getPixel(src, srcPixelX, srcPixelY);
+        if (key !== null && rawPixel === key) {
+          continue; // Transparent source pixel
+        }
+        const srcPixel = colorMap ? colorMap[rawPixel] : rawPixel;
+        const dstPixel = getPixel(dst, dstPixelX, dstPixelY);
+        const patPixel = pattern
+          ? getPatternPixel(pattern, dstPixelX, dstPixelY)
+          : 0;
+
+        // Store the combined value in the destination pixel
+        setPixel(
+          dst,
+          dstPixelX,
+          dstPixelY,
+          applyOp(op, srcPixel, dstPixel, patPixel, dst.depth) & pixelMask
+        );
       }
     }
+  }
+}
+
+/**
+ * Gives the bounds of a scan over the rows or columns of a transfer in the
+ * direction chosen by _getScanDirections().
+ *
+ * @param {boolean} reverse - Whether to scan backwards
+ * @param {number|string} length - Number of rows or columns, or an expression for it
+ * @returns {Array} - First index, index that ends the scan, and step
+ * @private
+ */
+function getScanOrder(reverse, length) {
+  if (reverse) {
+    return [typeof length === "number" ? length - 1 : `${length} - 1`, -1, -1];
+  }
+  return [0, length, 1];
+}
 
-    // Copy the result back to the destination bitmap
-    for (let i = 0; i < dst.data.length; i++) {
-      dst.data[i] = dstData[i];
+/**
+ * Builds an expression for the index within its row of the word that holds
+ * a pixel.
+ *
+ * @param {string} xExpr - Expression for the pixel's x coordinate in data coordinates
+ * @param {number} depth - Bits per pixel
+ * @returns {string} - Expression for the word index
+ * @private
+ */
+function getWordIndexExpression(xExpr, depth) {
+  const shift = Math.log2(32 / depth);
+  return shift ? `(${xExpr} >>> ${shift})` : xExpr;
+}
+
+/**
+ * Emits the instructions that reverse the order of the pixels in a local,
+ * for words read from a bitmap whose bit order differs from the destination's.
+ *
+ * @param {FunctionBuilder} f - The function being built
+ * @param {string} name - Name of the local holding the word
+ * @param {number} depth - Bits per pixel
+ * @private
+ */
+function reversePixels(f, name, depth) {
+  for (const [shift, mask] of REVERSE_STEPS) {
+    if (shift >= depth) {
+      f.assign(
+        name,
+        `((${name} >>> ${shift}) & ${mask}) | ((${name} & ${mask}) << ${shift})`
+      );
     }
   }
 }
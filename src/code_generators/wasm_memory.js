@@ -0,0 +1,221 @@
+/**
+ * Allocator for bitmaps that live in a WebAssembly memory, so generated
+ * WebAssembly code can read and write them in place and JavaScript sees the
+ * result without copying.
+ */
+const { wrapBitmap } = require("../bitblt");
+const { PAGE_SIZE } = require("./wasm_module");
+
+/** Every block starts on a multiple of this many bytes */
+const BLOCK_ALIGNMENT = 16;
+
+class WasmMemoryAllocator {
+  /**
+   * Creates an allocator that hands out all of a memory.
+   *
+   * @param {WebAssembly.Memory} memory - The memory (default: a new memory of one page)
+   */
+  constructor(memory = new WebAssembly.Memory({ initial: 1 })) {
+    this.memory = memory;
+
+    // Free blocks sorted by address, never adjacent to each other
+    this.freeBlocks = [{ address: 0, size: memory.buffer.byteLength }];
+
+    // Live allocations, whose views are rebound when the memory grows
+    this.allocations = new Set();
+
+    // The allocation behind each bitmap created here
+    this.bitmapAllocations = new WeakMap();
+  }
+
+  /**
+   * Allocates words, growing the memory if no free block is large enough.
+   * Growing replaces the memory's buffer, so the words are reached through
+   * the `words` property of the allocation, which is rebound each time.
+   *
+   * @param {number} length - Number of 32-bit words
+   * @returns {Object} - The allocation, with its byte `address`, `size` in bytes and `words`
+   */
+  allocate(length) {
+    if (!Number.isInteger(length) || length < 0) {
+      throw new Error(`Invalid number of words to allocate: ${length}`);
+    }
+    const size =
+      Math.ceil(Math.max(length * 4, 1) / BLOCK_ALIGNMENT) * BLOCK_ALIGNMENT;
+
+    let index = this.freeBlocks.findIndex((block) => block.size >= size);
+    if (index === -1) {
+      this._grow(size);
+      index = this.freeBlocks.length - 1;
+    }
+
+    // Take the start of the first block that fits
+    const block = this.freeBlocks[index];
+    const allocation = { address: block.address, size, length, words: null };
+    if (block.size === size) {
+      this.freeBlocks.splice(index, 1);
+    } else {
+      block.address += size;
+      block.size -= size;
+    }
+
+    allocation.words = new Uint32Array(
+      this.memory.buffer,
+      allocation.address,
+      length
+    );
+    this.allocations.add(allocation);
+    return allocation;
+  }
+
+  /**
+   * Returns an allocation's block for reuse, merging it with free neighbours.
+   *
+   * @param {Object} allocation - An allocation from allocate()
+   */
+  free(allocation) {
+    if (!this.allocations.delete(allocation)) {
+      throw new Error(
+        "Memory has already been freed or was not allocated here"
+      );
+    }
+    allocation.words = null;
+
+    let index = this.freeBlocks.findIndex(
+      (block) => block.address > allocation.address
+    );
+    if (index === -1) {
+      index = this.freeBlocks.length;
+    }
+    this.freeBlocks.splice(index, 0, {
+      address: allocation.address,
+      size: allocation.size,
+    });
+
+    // Merge with the following block, then with the preceding one
+    for (const i of [index, index - 1]) {
+      const block = this.freeBlocks[i];
+      const next = this.freeBlocks[i + 1];
+      if (block && next && block.address + block.size === next.address) {
+        block.size += next.size;
+        this.freeBlocks.splice(i + 1, 1);
+      }
+    }
+  }
+
+  /**
+   * Creates a bitmap whose words are allocated in the memory, cleared to 0.
+   * Its `data` follows the words when the memory grows, and so do the `data`
+   * of its sub-bitmaps.
+   *
+   * @param {number} width - Width of the bitmap in pixels
+   * @param {number} height - Height of the bitmap in pixels
+   * @param {Object} options - Options as for createBitmap(): depth, bitOrder and stride
+   * @returns {Object} - The bitmap object
+   */
+  createBitmap(width, height, options = {}) {
+    if (options.buffer) {
+      throw new Error("Bitmaps in WebAssembly memory do not take a buffer");
+    }
+
+    // Check the depth, stride and bit order before allocating, with no rows
+    const depth = options.depth ?? 1;
+    const stride = options.stride ?? Math.ceil((width * depth) / 32);
+    const format = { depth, bitOrder: options.bitOrder };
+    wrapBitmap(new Uint32Array(0), width, 0, stride, format);
+
+    const allocation = this.allocate(height * stride);
+    allocation.words.fill(0);
+
+    const bitmap = wrapBitmap(allocation.words, width, height, stride, format);
+    Object.defineProperty(bitmap, "data", {
+      enumerable: true,
+      get() {
+        if (!allocation.words) {
+          throw new Error("Bitmap has been freed");
+        }
+        return allocation.words;
+      },
+    });
+
+    this.bitmapAllocations.set(bitmap, allocation);
+    return bitmap;
+  }
+
+  /**
+   * Frees the words of a bitmap created by createBitmap(). The bitmap and
+   * its sub-bitmaps can no longer be used.
+   *
+   * @param {Object} bitmap - The bitmap
+   */
+  freeBitmap(bitmap) {
+    const allocation = this.bitmapAllocations.get(bitmap);
+    if (!allocation) {
+      throw new Error("Bitmap was not created by this allocator");
+    }
+    this.bitmapAllocations.delete(bitmap);
+    this.free(allocation);
+  }
+
+  /**
+   * Checks whether words are in the memory, so generated code can use them
+   * in place.
+   *
+   * @param {Uint32Array} words - The words
+   * @returns {boolean} - True if the words are views of the memory's buffer
+   */
+  contains(words) {
+    return words.buffer === this.memory.buffer;
+  }
+
+  /**
+   * Gets statistics about the memory.
+   *
+   * @returns {Object} - Bytes of memory, allocated bytes, number of allocations and of free blocks
+   */
+  getStats() {
+    let allocatedBytes = 0;
+    for (const allocation of this.allocations) {
+      allocatedBytes += allocation.size;
+    }
+    return {
+      memoryBytes: this.memory.buffer.byteLength,
+      allocatedBytes,
+      allocations: this.allocations.size,
+      freeBlocks: this.freeBlocks.length,
+    };
+  }
+
+  /**
+   * Grows the memory so that its last free block holds at least the given
+   * number of bytes, and rebinds the words of every allocation to the new
+   * buffer.
+   *
+   * @param {number} size - Number of bytes needed
+   * @private
+   */
+  _grow(size) {
+    const end = this.memory.buffer.byteLength;
+    const last = this.freeBlocks[this.freeBlocks.length - 1];
+    const available = last && last.address + last.size === end ? last.size : 0;
+
+    const pages = Math.ceil((size - available) / PAGE_SIZE);
+    this.memory.grow(pages);
+
+    if (available) {
+      last.size += pages * PAGE_SIZE;
+    } else {
+      this.freeBlocks.push({ address: end, size: pages * PAGE_SIZE });
+    }
+
+    for (const allocation of this.allocations) {
+      allocation.words = new Uint32Array(
+        this.memory.buffer,
+        allocation.address,
+        allocation.length
+      );
+    }
+  }
+}
+
+module.exports = WasmMemoryAllocator;
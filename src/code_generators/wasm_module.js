@@ -0,0 +1,1262 @@
+/**
+ * Builder for WebAssembly binary modules, used by the WebAssembly code
+ * generator to emit BitBLT functions directly, without going through WAT.
+ * Function bodies are written as JavaScript-style integer expressions over
+ * named locals, so they can share the fragments in op_expressions.js.
+ *
+ * Functions are kept as lists of instructions, each an `{ op, immediates }`
+ * object naming the instruction as WAT does, so a module can be printed as
+ * WAT as well as encoded. Binaries can be decoded back to the same form and
+ * printed, to disassemble them.
+ */
+
+/** Bytes per page of WebAssembly memory */
+const PAGE_SIZE = 65536;
+
+/**
+ * Value types, by WAT name.
+ * @enum {number}
+ */
+const ValueType = {
+  i32: 0x7f,
+  v128: 0x7b,
+};
+
+/** Block type of blocks and loops that leave nothing on the stack */
+const EMPTY_BLOCK = 0x40;
+
+/**
+ * The instructions used by generated functions, as their WAT names.
+ * @enum {string}
+ */
+const Opcode = {
+  BLOCK: "block",
+  LOOP: "loop",
+  END: "end",
+  BR: "br",
+  BR_IF: "br_if",
+  CALL: "call",
+  SELECT: "select",
+  LOCAL_GET: "local.get",
+  LOCAL_SET: "local.set",
+  I32_LOAD: "i32.load",
+  I32_STORE: "i32.store",
+  I32_CONST: "i32.const",
+  I32_EQZ: "i32.eqz",
+  I32_EQ: "i32.eq",
+  I32_NE: "i32.ne",
+  I32_LT_U: "i32.lt_u",
+  I32_GT_U: "i32.gt_u",
+  I32_LE_U: "i32.le_u",
+  I32_GE_U: "i32.ge_u",
+  I32_ADD: "i32.add",
+  I32_SUB: "i32.sub",
+  I32_MUL: "i32.mul",
+  I32_REM_U: "i32.rem_u",
+  I32_AND: "i32.and",
+  I32_OR: "i32.or",
+  I32_XOR: "i32.xor",
+  I32_SHL: "i32.shl",
+  I32_SHR_S: "i32.shr_s",
+  I32_SHR_U: "i32.shr_u",
+  V128_LOAD: "v128.load",
+  V128_STORE: "v128.store",
+  I32X4_SPLAT: "i32x4.splat",
+  V128_NOT: "v128.not",
+  V128_AND: "v128.and",
+  V128_OR: "v128.or",
+  V128_XOR: "v128.xor",
+  I32X4_SHL: "i32x4.shl",
+  I32X4_SHR_S: "i32x4.shr_s",
+  I32X4_SHR_U: "i32x4.shr_u",
+  I32X4_ADD: "i32x4.add",
+  I32X4_SUB: "i32x4.sub",
+  I32X4_MUL: "i32x4.mul",
+};
+
+/**
+ * Kinds of immediate operands that follow an opcode.
+ * @enum {string}
+ */
+const Immediate = {
+  NONE: "none",
+  BLOCK_TYPE: "block type",
+  LABEL: "label",
+  FUNCTION: "function",
+  LOCAL: "local",
+  I32: "i32",
+  MEMORY: "memory",
+};
+
+/**
+ * Encoding of each instruction: its opcode bytes (SIMD instructions are the
+ * 0xfd prefix followed by a LEB128 sub-opcode), the kind of its immediates
+ * and, for loads and stores, the natural alignment as a power of two. Memory
+ * immediates are the alignment and the offset.
+ */
+const ENCODINGS = {
+  [Opcode.BLOCK]: [[0x02], Immediate.BLOCK_TYPE],
+  [Opcode.LOOP]: [[0x03], Immediate.BLOCK_TYPE],
+  [Opcode.END]: [[0x0b], Immediate.NONE],
+  [Opcode.BR]: [[0x0c], Immediate.LABEL],
+  [Opcode.BR_IF]: [[0x0d], Immediate.LABEL],
+  [Opcode.CALL]: [[0x10], Immediate.FUNCTION],
+  [Opcode.SELECT]: [[0x1b], Immediate.NONE],
+  [Opcode.LOCAL_GET]: [[0x20], Immediate.LOCAL],
+  [Opcode.LOCAL_SET]: [[0x21], Immediate.LOCAL],
+  [Opcode.I32_LOAD]: [[0x28], Immediate.MEMORY, 2],
+  [Opcode.I32_STORE]: [[0x36], Immediate.MEMORY, 2],
+  [Opcode.I32_CONST]: [[0x41], Immediate.I32],
+  [Opcode.I32_EQZ]: [[0x45], Immediate.NONE],
+  [Opcode.I32_EQ]: [[0x46], Immediate.NONE],
+  [Opcode.I32_NE]: [[0x47], Immediate.NONE],
+  [Opcode.I32_LT_U]: [[0x49], Immediate.NONE],
+  [Opcode.I32_GT_U]: [[0x4b], Immediate.NONE],
+  [Opcode.I32_LE_U]: [[0x4d], Immediate.NONE],
+  [Opcode.I32_GE_U]: [[0x4f], Immediate.NONE],
+  [Opcode.I32_ADD]: [[0x6a], Immediate.NONE],
+  [Opcode.I32_SUB]: [[0x6b], Immediate.NONE],
+  [Opcode.I32_MUL]: [[0x6c], Immediate.NONE],
+  [Opcode.I32_REM_U]: [[0x70], Immediate.NONE],
+  [Opcode.I32_AND]: [[0x71], Immediate.NONE],
+  [Opcode.I32_OR]: [[0x72], Immediate.NONE],
+  [Opcode.I32_XOR]: [[0x73], Immediate.NONE],
+  [Opcode.I32_SHL]: [[0x74], Immediate.NONE],
+  [Opcode.I32_SHR_S]: [[0x75], Immediate.NONE],
+  [Opcode.I32_SHR_U]: [[0x76], Immediate.NONE],
+  [Opcode.V128_LOAD]: [[0xfd, 0x00], Immediate.MEMORY, 4],
+  [Opcode.V128_STORE]: [[0xfd, 0x0b], Immediate.MEMORY, 4],
+  [Opcode.I32X4_SPLAT]: [[0xfd, 0x11], Immediate.NONE],
+  [Opcode.V128_NOT]: [[0xfd, 0x4d], Immediate.NONE],
+  [Opcode.V128_AND]: [[0xfd, 0x4e], Immediate.NONE],
+  [Opcode.V128_OR]: [[0xfd, 0x50], Immediate.NONE],
+  [Opcode.V128_XOR]: [[0xfd, 0x51], Immediate.NONE],
+  [Opcode.I32X4_SHL]: [[0xfd, 0xab, 0x01], Immediate.NONE],
+  [Opcode.I32X4_SHR_S]: [[0xfd, 0xac, 0x01], Immediate.NONE],
+  [Opcode.I32X4_SHR_U]: [[0xfd, 0xad, 0x01], Immediate.NONE],
+  [Opcode.I32X4_ADD]: [[0xfd, 0xae, 0x01], Immediate.NONE],
+  [Opcode.I32X4_SUB]: [[0xfd, 0xb1, 0x01], Immediate.NONE],
+  [Opcode.I32X4_MUL]: [[0xfd, 0xb5, 0x01], Immediate.NONE],
+};
+
+/** Instructions by their opcode bytes, joined with commas, for decoding */
+const OPCODES_BY_BYTES = new Map(
+  Object.entries(ENCODINGS).map(([op, [bytes]]) => [bytes.join(), op])
+);
+
+/** Prefix byte of the SIMD instructions */
+const SIMD_PREFIX = 0xfd;
+
+/**
+ * Section ids, in the order the sections must appear in a module.
+ * @enum {number}
+ */
+const Section = {
+  CUSTOM: 0,
+  TYPE: 1,
+  IMPORT: 2,
+  FUNCTION: 3,
+  EXPORT: 7,
+  CODE: 10,
+};
+
+/** Magic number and version that start every module */
+const MAGIC = [0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00];
+
+/** Form byte that starts a function type */
+const FUNCTION_TYPE = 0x60;
+
+/** Kind bytes of imports and exports */
+const ExternalKind = {
+  func: 0x00,
+  memory: 0x02,
+};
+
+/**
+ * Binary operators of the expression language with their precedence (higher
+ * binds tighter, as in JavaScript), instruction, and the instruction applying them
+ * to each word of a vector (null when there is none). Comparisons are
+ * unsigned. Vector shifts take a scalar shift count.
+ */
+const BINARY_OPERATORS = {
+  "|": [1, Opcode.I32_OR, Opcode.V128_OR],
+  "^": [2, Opcode.I32_XOR, Opcode.V128_XOR],
+  "&": [3, Opcode.I32_AND, Opcode.V128_AND],
+  "==": [4, Opcode.I32_EQ, null],
+  "===": [4, Opcode.I32_EQ, null],
+  "!=": [4, Opcode.I32_NE, null],
+  "!==": [4, Opcode.I32_NE, null],
+  "<": [5, Opcode.I32_LT_U, null],
+  ">": [5, Opcode.I32_GT_U, null],
+  "<=": [5, Opcode.I32_LE_U, null],
+  ">=": [5, Opcode.I32_GE_U, null],
+  "<<": [6, Opcode.I32_SHL, Opcode.I32X4_SHL],
+  ">>": [6, Opcode.I32_SHR_S, Opcode.I32X4_SHR_S],
+  ">>>": [6, Opcode.I32_SHR_U, Opcode.I32X4_SHR_U],
+  "+": [7, Opcode.I32_ADD, Opcode.I32X4_ADD],
+  "-": [7, Opcode.I32_SUB, Opcode.I32X4_SUB],
+  "*": [8, Opcode.I32_MUL, Opcode.I32X4_MUL],
+  "%": [8, Opcode.I32_REM_U, null],
+};
+
+const SHIFT_OPERATORS = new Set(["<<", ">>", ">>>"]);
+
+const TOKEN_PATTERN =
+  /\s*(0x[0-9a-f]+|\d+|[a-z_$][\w$]*|>>>|===|!==|>>|<<|<=|>=|==|!=|[~!&|^+\-*%()<>?:[\]])/iy;
+
+/**
+ * Encodes an unsigned integer as LEB128.
+ *
+ * @param {number} value - Integer from 0 to 2^32 - 1
+ * @returns {number[]} - The encoded bytes
+ */
+function encodeULEB128(value) {
+  const bytes = [];
+  let rest = value >>> 0;
+  do {
+    const byte = rest & 0x7f;
+    rest >>>= 7;
+    bytes.push(rest === 0 ? byte : byte | 0x80);
+  } while (rest !== 0);
+  return bytes;
+}
+
+/**
+ * Encodes a 32-bit integer as signed LEB128. Values from 2^31 up are taken
+ * as their two's complement, as i32 constants are.
+ *
+ * @param {number} value - Integer from -2^31 to 2^32 - 1
+ * @returns {number[]} - The encoded bytes
+ */
+function encodeSLEB128(value) {
+  const bytes = [];
+  let rest = value | 0;
+  for (;;) {
+    const byte = rest & 0x7f;
+    rest >>= 7;
+    const signBit = byte & 0x40;
+    if ((rest === 0 && !signBit) || (rest === -1 && signBit)) {
+      bytes.push(byte);
+      return bytes;
+    }
+    bytes.push(byte | 0x80);
+  }
+}
+
+/**
+ * Encodes a name as its length followed by its UTF-8 bytes.
+ *
+ * @param {string} name - The name
+ * @returns {number[]} - The encoded bytes
+ */
+function encodeName(name) {
+  const bytes = [...new TextEncoder().encode(name)];
+  return [...encodeULEB128(bytes.length), ...bytes];
+}
+
+/**
+ * Encodes a vector as its length followed by its encoded elements.
+ *
+ * @param {Array<number[]>} elements - The encoded elements
+ * @returns {number[]} - The encoded bytes
+ */
+function encodeVector(elements) {
+  return [...encodeULEB128(elements.length), ...elements.flat()];
+}
+
+/**
+ * Creates an instruction.
+ *
+ * @param {string} op - The instruction (from Opcode enum)
+ * @param {...number} immediates - Its immediate operands
+ * @returns {Object} - The instruction
+ */
+function instruction(op, ...immediates) {
+  return { op, immediates };
+}
+
+/**
+ * Encodes an instruction.
+ *
+ * @param {Object} instr - The instruction
+ * @returns {number[]} - Its opcode bytes followed by its immediates
+ */
+function encodeInstruction({ op, immediates }) {
+  const [opcode, kind] = ENCODINGS[op];
+  if (kind === Immediate.BLOCK_TYPE) {
+    return [...opcode, ...immediates];
+  }
+  const encode = kind === Immediate.I32 ? encodeSLEB128 : encodeULEB128;
+  return [...opcode, ...immediates.flatMap((value) => encode(value))];
+}
+
+/**
+ * Builds the body of a function whose parameters are i32 and that returns
+ * nothing. Locals are named and hold either an i32 or a vector of four
+ * words; instructions are added with the methods below, most of them taking
+ * an expression in the JavaScript integer subset described at
+ * compileExpression().
+ */
+class FunctionBuilder {
+  /**
+   * Creates a builder for a function with the given parameters.
+   *
+   * @param {string[]} paramNames - Names of the i32 parameters
+   */
+  constructor(paramNames) {
+    this.paramCount = paramNames.length;
+    this.locals = new Map();
+    this.instructions = [];
+    this.declare(...paramNames);
+  }
+
+  /**
+   * Declares i32 locals, which start out as 0.
+   *
+   * @param {...string} names - Names of the locals
+   * @returns {FunctionBuilder} - This builder
+   */
+  declare(...names) {
+    return this._declare(names, false);
+  }
+
+  /**
+   * Declares vector locals of four words, which start out as 0. Expressions
+   * assigned to them are compiled as vector expressions.
+   *
+   * @param {...string} names - Names of the locals
+   * @returns {FunctionBuilder} - This builder
+   */
+  declareVector(...names) {
+    return this._declare(names, true);
+  }
+
+  /**
+   * Gets the index of a local.
+   *
+   * @param {string} name - Name of the local
+   * @returns {number} - The local index
+   */
+  localIndex(name) {
+    return this._local(name).index;
+  }
+
+  /**
+   * Appends instructions.
+   *
+   * @param {...Object} instructions - Instructions from instruction()
+   * @returns {FunctionBuilder} - This builder
+   */
+  emit(...instructions) {
+    this.instructions.push(...instructions);
+    return this;
+  }
+
+  /**
+   * Pushes the value of an expression.
+   *
+   * @param {string} source - The expression
+   * @param {boolean} vector - Whether to compile it as a vector expression
+   * @returns {FunctionBuilder} - This builder
+   */
+  expression(source, vector = false) {
+    return this.emit(
+      ...compileExpression(source, (name) => this._local(name), vector)
+    );
+  }
+
+  /**
+   * Sets a local to the value of an expression.
+   *
+   * @param {string} name - Name of the local
+   * @param {string} source - The expression
+   * @returns {FunctionBuilder} - This builder
+   */
+  assign(name, source) {
+    this.expression(source, this._local(name).vector);
+    return this.emit(instruction(Opcode.LOCAL_SET, this.localIndex(name)));
+  }
+
+  /**
+   * Stores the value of an expression in a word of memory, or of a vector
+   * expression in four words. In expressions the word is read back as
+   * `base[index]`.
+   *
+   * @param {string} base - Name of the local holding the byte address of word 0
+   * @param {string} index - Expression for the word index
+   * @param {string} source - Expression for the value
+   * @param {boolean} vector - Whether to store four words
+   * @returns {FunctionBuilder} - This builder
+   */
+  store(base, index, source, vector = false) {
+    this.expression(`${base} + ((${index}) << 2)`);
+    this.expression(source, vector);
+    return this.emit(
+      instruction(vector ? Opcode.V128_STORE : Opcode.I32_STORE, 2, 0)
+    );
+  }
+
+  /**
+   * Starts a block; branching to it continues after its end.
+   *
+   * @returns {FunctionBuilder} - This builder
+   */
+  block() {
+    return this.emit(instruction(Opcode.BLOCK, EMPTY_BLOCK));
+  }
+
+  /**
+   * Ends the innermost block or loop.
+   *
+   * @returns {FunctionBuilder} - This builder
+   */
+  end() {
+    return this.emit(instruction(Opcode.END));
+  }
+
+  /**
+   * Branches out of an enclosing block when an expression is not 0.
+   *
+   * @param {number} depth - Number of enclosing blocks to skip (0 for the innermost)
+   * @param {string} source - The condition
+   * @returns {FunctionBuilder} - This builder
+   */
+  branchIf(depth, source) {
+    this.expression(source);
+    return this.emit(instruction(Opcode.BR_IF, depth));
+  }
+
+  /**
+   * Emits a counting loop: the local runs from start while it differs from
+   * end, moving by step after each pass of the body. End must be reached
+   * exactly, so it differs from start by a multiple of step. Start and end
+   * can be expressions, which are evaluated before each use.
+   *
+   * @param {string} name - Name of the counter local
+   * @param {number|string} start - First value
+   * @param {number|string} end - Value that ends the loop
+   * @param {number} step - Amount added to the counter, not 0
+   * @param {Function} body - Emits the body of the loop
+   * @returns {FunctionBuilder} - This builder
+   */
+  loop(name, start, end, step, body) {
+    this.assign(name, `${start}`);
+    this.block();
+    this.emit(instruction(Opcode.LOOP, EMPTY_BLOCK));
+    this.branchIf(1, `${name} == (${end})`);
+    body();
+    this.assign(name, step < 0 ? `${name} - ${-step}` : `${name} + ${step}`);
+    this.emit(instruction(Opcode.BR, 0));
+    this.end();
+    return this.end();
+  }
+
+  /**
+   * Describes the function as in the `functions` of a module's IR (see
+   * ModuleBuilder.toIR()), without its type.
+   *
+   * @returns {Object} - The types of the locals after the parameters, the names of all locals and the instructions
+   */
+  toIR() {
+    const locals = [...this.locals.values()];
+    return {
+      locals: locals
+        .slice(this.paramCount)
+        .map(({ vector }) => (vector ? "v128" : "i32")),
+      names: [...this.locals.keys()],
+      instructions: this.instructions,
+    };
+  }
+
+  /**
+   * Declares locals of one type.
+   *
+   * @param {string[]} names - Names of the locals
+   * @param {boolean} vector - Whether they are vectors
+   * @returns {FunctionBuilder} - This builder
+   * @private
+   */
+  _declare(names, vector) {
+    for (const name of names) {
+      if (!this.locals.has(name)) {
+        this.locals.set(name, { index: this.locals.size, vector });
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Looks up a local.
+   *
+   * @param {string} name - Name of the local
+   * @returns {Object} - Its `index` and whether it is a `vector`
+   * @private
+   */
+  _local(name) {
+    if (!this.locals.has(name)) {
+      throw new Error(`Unknown local ${name}`);
+    }
+    return this.locals.get(name);
+  }
+}
+
+/**
+ * Builds a module of functions over an imported memory.
+ */
+class ModuleBuilder {
+  /**
+   * Creates an empty module.
+   */
+  constructor() {
+    this.memoryImport = null;
+    this.functions = [];
+  }
+
+  /**
+   * Imports a memory, which the functions address from byte 0.
+   *
+   * @param {string} module - Module name of the import
+   * @param {string} name - Field name of the import
+   * @param {number} minimumPages - Smallest size of the memory in 64 KiB pages
+   * @returns {ModuleBuilder} - This builder
+   */
+  importMemory(module, name, minimumPages = 1) {
+    this.memoryImport = { module, name, minimumPages };
+    return this;
+  }
+
+  /**
+   * Adds a function, optionally exported under a name.
+   *
+   * @param {FunctionBuilder} builder - The function
+   * @param {string} exportName - Export name, or null to keep it internal
+   * @returns {number} - The function index, for calls
+   */
+  addFunction(builder, exportName = null) {
+    this.functions.push({ builder, exportName });
+    return this.functions.length - 1;
+  }
+
+  /**
+   * Describes the module. The IR has the module's function `types` (each
+   * with its `params` and `results` as value type names), `imports` (each
+   * with its `module`, `name`, `kind` and `minimumPages`), `functions` (each
+   * with its `type` index, the value types of its `locals` after the
+   * parameters, the `names` of all its locals or null, and its
+   * `instructions` without the final `end`) and `exports` (each with its
+   * `name`, `kind` and `index`). decodeModule() returns the same form.
+   *
+   * @returns {Object} - The IR of the module
+   */
+  toIR() {
+    // One function type per parameter count
+    const typeIndices = new Map();
+    for (const { builder } of this.functions) {
+      if (!typeIndices.has(builder.paramCount)) {
+        typeIndices.set(builder.paramCount, typeIndices.size);
+      }
+    }
+
+    const exports = [];
+    this.functions.forEach(({ exportName }, index) => {
+      if (exportName !== null) {
+        exports.push({ name: exportName, kind: "func", index });
+      }
+    });
+
+    return {
+      types: [...typeIndices.keys()].map((count) => ({
+        params: new Array(count).fill("i32"),
+        results: [],
+      })),
+      imports: this.memoryImport
+        ? [{ ...this.memoryImport, kind: "memory" }]
+        : [],
+      functions: this.functions.map(({ builder }) => ({
+        type: typeIndices.get(builder.paramCount),
+        ...builder.toIR(),
+      })),
+      exports,
+    };
+  }
+
+  /**
+   * Encodes the module.
+   *
+   * @returns {Uint8Array} - The module binary
+   */
+  toBytes() {
+    return encodeModule(this.toIR());
+  }
+
+  /**
+   * Prints the module as WAT, with the names of the locals.
+   *
+   * @returns {string} - The WAT text
+   */
+  toWat() {
+    return formatModule(this.toIR());
+  }
+}
+
+/**
+ * Encodes a module from its IR.
+ *
+ * @param {Object} ir - The IR, as from ModuleBuilder.toIR()
+ * @returns {Uint8Array} - The module binary
+ */
+function encodeModule(ir) {
+  const valueTypes = (types) =>
+    encodeVector(types.map((type) => [ValueType[type]]));
+
+  const types = ir.types.map(({ params, results }) => [
+    FUNCTION_TYPE,
+    ...valueTypes(params),
+    ...valueTypes(results),
+  ]);
+
+  const imports = ir.imports.map(({ module, name, kind, minimumPages }) => {
+    if (kind !== "memory") {
+      throw new Error(`Unsupported import kind: ${kind}`);
+    }
+    return [
+      ...encodeName(module),
+      ...encodeName(name),
+      ExternalKind.memory,
+      0x00, // no maximum
+      ...encodeULEB128(minimumPages),
+    ];
+  });
+
+  const exports = ir.exports.map(({ name, kind, index }) => [
+    ...encodeName(name),
+    ExternalKind[kind],
+    ...encodeULEB128(index),
+  ]);
+
+  const bodies = ir.functions.map(({ locals, instructions }) => {
+    // Runs of locals of the same type
+    const runs = [];
+    for (const type of locals) {
+      const last = runs[runs.length - 1];
+      if (last && last.type === type) {
+        last.count++;
+      } else {
+        runs.push({ type, count: 1 });
+      }
+    }
+    const body = [
+      ...encodeVector(
+        runs.map(({ type, count }) => [
+          ...encodeULEB128(count),
+          ValueType[type],
+        ])
+      ),
+      ...instructions.flatMap(encodeInstruction),
+      ...encodeInstruction(instruction(Opcode.END)),
+    ];
+    return [...encodeULEB128(body.length), ...body];
+  });
+
+  const sections = [
+    [Section.TYPE, types],
+    [Section.IMPORT, imports],
+    [Section.FUNCTION, ir.functions.map(({ type }) => encodeULEB128(type))],
+    [Section.EXPORT, exports],
+    [Section.CODE, bodies],
+  ];
+
+  const bytes = [...MAGIC];
+  for (const [id, elements] of sections) {
+    if (elements.length) {
+      const content = encodeVector(elements);
+      bytes.push(id, ...encodeULEB128(content.length), ...content);
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Compiles an integer expression to instructions that push its value. The
+ * language is the subset of JavaScript the BitBLT expressions use: decimal
+ * and hexadecimal literals, locals, parentheses, `~`, `!` and unary `-`,
+ * the binary operators in BINARY_OPERATORS, `c ? a : b` (which evaluates
+ * both branches) and `base[index]`, which loads word `index` of the memory
+ * from the byte address held in local `base`. Values are 32-bit words, so
+ * `x >>> 0` is `x`; comparisons, `%` and `>>>` treat them as unsigned.
+ *
+ * A vector expression computes four words at once: `base[index]` loads
+ * words `index` to `index + 3`, literals and i32 locals stand for four equal
+ * words, and the operators work on each word. Array indices and shift
+ * counts stay i32 expressions. Comparisons, `%`, `!` and `?:` have no
+ * vector form.
+ *
+ * @param {string} source - The expression
+ * @param {Function} resolve - Maps a local name to its `index` and whether it is a `vector`
+ * @param {boolean} vector - Whether to compile a vector expression
+ * @returns {Object[]} - The instructions
+ */
+function compileExpression(source, resolve, vector = false) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      if (source.slice(start).trim() === "") {
+        break;
+      }
+      throw new Error(
+        `Unexpected character in expression: ${source.slice(start)}`
+      );
+    }
+    tokens.push(match[1]);
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const expect = (token) => {
+    if (tokens[position] !== token) {
+      throw new Error(`Expected ${token} in expression: ${source}`);
+    }
+    position++;
+  };
+  const scalarOnly = (token, vector) => {
+    if (vector) {
+      throw new Error(`No vector form of ${token} in expression: ${source}`);
+    }
+  };
+  const splat = (code, vector) =>
+    vector ? [...code, instruction(Opcode.I32X4_SPLAT)] : code;
+
+  function parseConditional(vector) {
+    const condition = parseBinary(1, vector);
+    if (peek() !== "?") {
+      return condition;
+    }
+    scalarOnly("?:", vector);
+    position++;
+    const whenTrue = parseConditional(false);
+    expect(":");
+    const whenFalse = parseConditional(false);
+    return [
+      ...whenTrue,
+      ...whenFalse,
+      ...condition,
+      instruction(Opcode.SELECT),
+    ];
+  }
+
+  function parseBinary(minimumPrecedence, vector) {
+    let left = parseUnary(vector);
+    for (;;) {
+      const token = peek();
+      const operator = BINARY_OPERATORS[token];
+      if (!operator || operator[0] < minimumPrecedence) {
+        return left;
+      }
+      if (vector && !operator[2]) {
+        scalarOnly(token, vector);
+      }
+      position++;
+      const right = parseBinary(
+        operator[0] + 1,
+        vector && !SHIFT_OPERATORS.has(token)
+      );
+      left = [...left, ...right, instruction(operator[vector ? 2 : 1])];
+    }
+  }
+
+  function parseUnary(vector) {
+    const token = peek();
+    if (token === "~") {
+      position++;
+      return vector
+        ? [...parseUnary(true), instruction(Opcode.V128_NOT)]
+        : [
+            ...parseUnary(false),
+            instruction(Opcode.I32_CONST, -1),
+            instruction(Opcode.I32_XOR),
+          ];
+    }
+    if (token === "!") {
+      scalarOnly(token, vector);
+      position++;
+      return [...parseUnary(false), instruction(Opcode.I32_EQZ)];
+    }
+    if (token === "-") {
+      position++;
+      return [
+        ...splat([instruction(Opcode.I32_CONST, 0)], vector),
+        ...parseUnary(vector),
+        instruction(vector ? Opcode.I32X4_SUB : Opcode.I32_SUB),
+      ];
+    }
+    return parsePrimary(vector);
+  }
+
+  function parsePrimary(vector) {
+    const token = tokens[position++];
+    if (token === undefined) {
+      throw new Error(`Unexpected end of expression: ${source}`);
+    }
+    if (token === "(") {
+      const value = parseConditional(vector);
+      expect(")");
+      return value;
+    }
+    if (/^\d/.test(token)) {
+      return splat([instruction(Opcode.I32_CONST, Number(token) | 0)], vector);
+    }
+    if (!/^[a-z_$]/i.test(token)) {
+      throw new Error(`Unexpected ${token} in expression: ${source}`);
+    }
+
+    const { index: localIndex, vector: isVector } = resolve(token);
+    if (isVector && (!vector || peek() === "[")) {
+      throw new Error(
+        `Vector local ${token} used as an i32 in expression: ${source}`
+      );
+    }
+    const local = [instruction(Opcode.LOCAL_GET, localIndex)];
+    if (peek() !== "[") {
+      return isVector ? local : splat(local, vector);
+    }
+    position++;
+    const index = parseConditional(false);
+    expect("]");
+    return [
+      ...local,
+      ...index,
+      instruction(Opcode.I32_CONST, 2),
+      instruction(Opcode.I32_SHL),
+      instruction(Opcode.I32_ADD),
+      instruction(vector ? Opcode.V128_LOAD : Opcode.I32_LOAD, 2, 0),
+    ];
+  }
+
+  const instructions = parseConditional(vector);
+  if (position !== tokens.length) {
+    throw new Error(`Unexpected ${peek()} in expression: ${source}`);
+  }
+  return instructions;
+}
+
+/**
+ * Checks whether the engine supports the SIMD instructions that vector
+ * expressions compile to, by validating a function that uses them.
+ *
+ * @returns {boolean} - True if modules with vector code validate
+ */
+function supportsSimd() {
+  if (typeof WebAssembly === "undefined") {
+    return false;
+  }
+  const f = new FunctionBuilder(["address"]).declareVector("v");
+  f.assign("v", "~address[0] ^ (v >>> 1) & -address * 3 | v << 2");
+  f.store("address", "0", "v + 1", true);
+  const module = new ModuleBuilder().importMemory("env", "memory");
+  module.addFunction(f);
+  return WebAssembly.validate(module.toBytes());
+}
+
+/**
+ * Reads the values of a module binary in order.
+ */
+class ModuleReader {
+  /**
+   * Creates a reader for a range of bytes.
+   *
+   * @param {Uint8Array} bytes - The binary
+   * @param {number} position - Index of the first byte to read
+   * @param {number} end - Index after the last byte to read
+   */
+  constructor(bytes, position = 0, end = bytes.length) {
+    this.bytes = bytes;
+    this.position = position;
+    this.end = end;
+  }
+
+  /**
+   * Checks whether every byte has been read.
+   *
+   * @returns {boolean} - True at the end of the range
+   */
+  done() {
+    return this.position >= this.end;
+  }
+
+  /**
+   * Starts a reader for the next bytes and skips them here.
+   *
+   * @param {number} length - Number of bytes
+   * @returns {ModuleReader} - A reader for the bytes
+   */
+  take(length) {
+    const end = this.position + length;
+    if (end > this.end) {
+      throw new Error("Unexpected end of module");
+    }
+    const reader = new ModuleReader(this.bytes, this.position, end);
+    this.position = end;
+    return reader;
+  }
+
+  /**
+   * Reads a byte.
+   *
+   * @returns {number} - The byte
+   */
+  byte() {
+    if (this.done()) {
+      throw new Error("Unexpected end of module");
+    }
+    return this.bytes[this.position++];
+  }
+
+  /**
+   * Reads an unsigned LEB128 integer.
+   *
+   * @returns {number} - The integer
+   */
+  unsigned() {
+    let value = 0;
+    for (let shift = 0; ; shift += 7) {
+      const byte = this.byte();
+      value += (byte & 0x7f) * 2 ** shift;
+      if (!(byte & 0x80)) {
+        return value;
+      }
+    }
+  }
+
+  /**
+   * Reads a signed LEB128 integer of at most 32 bits.
+   *
+   * @returns {number} - The integer
+   */
+  signed() {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = this.byte();
+      value |= (byte & 0x7f) << shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return shift < 32 && byte & 0x40 ? value | (-1 << shift) : value | 0;
+  }
+
+  /**
+   * Reads a name.
+   *
+   * @returns {string} - The name
+   */
+  name() {
+    const { bytes, position, end } = this.take(this.unsigned());
+    return new TextDecoder().decode(bytes.subarray(position, end));
+  }
+
+  /**
+   * Reads a value type.
+   *
+   * @returns {string} - Its name (from ValueType enum)
+   */
+  valueType() {
+    const byte = this.byte();
+    const type = Object.keys(ValueType).find(
+      (name) => ValueType[name] === byte
+    );
+    if (!type) {
+      throw new Error(`Unsupported value type 0x${byte.toString(16)}`);
+    }
+    return type;
+  }
+
+  /**
+   * Reads a vector.
+   *
+   * @param {Function} readElement - Reads an element, given its index
+   * @returns {Array} - The elements
+   */
+  vector(readElement) {
+    const length = this.unsigned();
+    const elements = [];
+    for (let i = 0; i < length; i++) {
+      elements.push(readElement(i));
+    }
+    return elements;
+  }
+
+  /**
+   * Reads an instruction.
+   *
+   * @returns {Object} - The instruction
+   */
+  instruction() {
+    let bytes = [this.byte()];
+    if (bytes[0] === SIMD_PREFIX) {
+      bytes = [SIMD_PREFIX, ...encodeULEB128(this.unsigned())];
+    }
+    const op = OPCODES_BY_BYTES.get(bytes.join());
+    if (!op) {
+      throw new Error(
+        `Unsupported opcode ${bytes
+          .map((byte) => `0x${byte.toString(16)}`)
+          .join(" ")}`
+      );
+    }
+    switch (ENCODINGS[op][1]) {
+      case Immediate.NONE:
+        return instruction(op);
+      case Immediate.BLOCK_TYPE:
+        return instruction(op, this.byte());
+      case Immediate.I32:
+        return instruction(op, this.signed());
+      case Immediate.MEMORY:
+        return instruction(op, this.unsigned(), this.unsigned());
+      default:
+        return instruction(op, this.unsigned());
+    }
+  }
+}
+
+/**
+ * Decodes a module binary into the IR ModuleBuilder.toIR() describes, with
+ * no local names. Only the sections and instructions ModuleBuilder emits are
+ * supported; custom sections are skipped.
+ *
+ * @param {Uint8Array|ArrayBuffer} binary - The module binary
+ * @returns {Object} - The IR of the module
+ */
+function decodeModule(binary) {
+  const bytes = binary instanceof Uint8Array ? binary : new Uint8Array(binary);
+  if (!MAGIC.every((byte, i) => bytes[i] === byte)) {
+    throw new Error("Not a WebAssembly module of version 1");
+  }
+
+  const ir = { types: [], imports: [], functions: [], exports: [] };
+  let functionTypes = [];
+  const reader = new ModuleReader(bytes, MAGIC.length);
+  while (!reader.done()) {
+    const id = reader.byte();
+    const section = reader.take(reader.unsigned());
+
+    switch (id) {
+      case Section.CUSTOM:
+        continue;
+
+      case Section.TYPE:
+        ir.types = section.vector(() => {
+          if (section.byte() !== FUNCTION_TYPE) {
+            throw new Error("Expected a function type");
+          }
+          return {
+            params: section.vector(() => section.valueType()),
+            results: section.vector(() => section.valueType()),
+          };
+        });
+        break;
+
+      case Section.IMPORT:
+        ir.imports = section.vector(() => {
+          const module = section.name();
+          const name = section.name();
+          if (section.byte() !== ExternalKind.memory || section.byte() !== 0) {
+            throw new Error("Only memories without a maximum can be imported");
+          }
+          return {
+            module,
+            name,
+            minimumPages: section.unsigned(),
+            kind: "memory",
+          };
+        });
+        break;
+
+      case Section.FUNCTION:
+        functionTypes = section.vector(() => section.unsigned());
+        break;
+
+      case Section.EXPORT:
+        ir.exports = section.vector(() => {
+          const name = section.name();
+          const byte = section.byte();
+          const kind = Object.keys(ExternalKind).find(
+            (kind) => ExternalKind[kind] === byte
+          );
+          if (!kind) {
+            throw new Error(`Unsupported export kind ${byte}`);
+          }
+          return { name, kind, index: section.unsigned() };
+        });
+        break;
+
+      case Section.CODE:
+        ir.functions = section.vector((index) => {
+          const body = section.take(section.unsigned());
+          const locals = body
+            .vector(() => ({ count: body.unsigned(), type: body.valueType() }))
+            .flatMap(({ count, type }) => new Array(count).fill(type));
+          const instructions = [];
+          while (!body.done()) {
+            instructions.push(body.instruction());
+          }
+          if (!instructions.length || instructions.pop().op !== Opcode.END) {
+            throw new Error(`Function ${index} does not end`);
+          }
+          return {
+            type: functionTypes[index],
+            locals,
+            names: null,
+            instructions,
+          };
+        });
+        break;
+
+      default:
+        throw new Error(`Unsupported section ${id}`);
+    }
+
+    if (!section.done()) {
+      throw new Error(`Unexpected bytes at the end of section ${id}`);
+    }
+  }
+
+  return ir;
+}
+
+/**
+ * Prints an instruction as WAT.
+ *
+ * @param {Object} instr - The instruction
+ * @param {Function} localName - Gives the WAT name of a local from its index
+ * @returns {string} - The instruction text
+ */
+function formatInstruction({ op, immediates }, localName) {
+  const [, kind, naturalAlignment] = ENCODINGS[op];
+  switch (kind) {
+    case Immediate.NONE:
+      return op;
+    case Immediate.BLOCK_TYPE: {
+      const type = Object.keys(ValueType).find(
+        (name) => ValueType[name] === immediates[0]
+      );
+      return type ? `${op} (result ${type})` : op;
+    }
+    case Immediate.LOCAL:
+      return `${op} ${localName(immediates[0])}`;
+    case Immediate.I32:
+      return `${op} ${immediates[0] | 0}`;
+    case Immediate.MEMORY: {
+      const [alignment, offset] = immediates;
+      return [
+        op,
+        ...(offset ? [`offset=${offset}`] : []),
+        ...(alignment !== naturalAlignment ? [`align=${2 ** alignment}`] : []),
+      ].join(" ");
+    }
+    default:
+      return `${op} ${immediates[0]}`;
+  }
+}
+
+/**
+ * Prints a module as WAT from its IR. Locals are named `$name` when the IR
+ * has their names and are numbered otherwise.
+ *
+ * @param {Object} ir - The IR, as from ModuleBuilder.toIR() or decodeModule()
+ * @returns {string} - The WAT text
+ */
+function formatModule(ir) {
+  const list = (keyword, types) =>
+    types.length ? ` (${keyword} ${types.join(" ")})` : "";
+
+  const lines = ["(module"];
+  ir.types.forEach(({ params, results }, index) => {
+    lines.push(
+      `  (type (;${index};) (func${list("param", params)}${list(
+        "result",
+        results
+      )}))`
+    );
+  });
+
+  ir.imports.forEach(({ module, name, minimumPages }, index) => {
+    lines.push(
+      `  (import "${module}" "${name}" (memory (;${index};) ${minimumPages}))`
+    );
+  });
+
+  ir.functions.forEach(({ type, locals, names, instructions }, index) => {
+    const { params, results } = ir.types[type];
+    const localName = (i) => (names ? `$${names[i]}` : `${i}`);
+    const declarations = (keyword, types, first) =>
+      names
+        ? types
+            .map(
+              (valueType, i) =>
+                ` (${keyword} ${localName(first + i)} ${valueType})`
+            )
+            .join("")
+        : list(keyword, types);
+
+    lines.push(
+      `  (func (;${index};) (type ${type})${declarations(
+        "param",
+        params,
+        0
+      )}${list("result", results)}`
+    );
+    if (locals.length) {
+      lines.push(`   ${declarations("local", locals, params.length)}`);
+    }
+
+    let depth = 0;
+    for (const instr of instructions) {
+      if (instr.op === Opcode.END) {
+        depth--;
+      }
+      lines.push(
+        `    ${"  ".repeat(depth)}${formatInstruction(instr, localName)}`
+      );
+      if (instr.op === Opcode.BLOCK || instr.op === Opcode.LOOP) {
+        depth++;
+      }
+    }
+    lines.push("  )");
+  });
+
+  for (const { name, kind, index } of ir.exports) {
+    lines.push(`  (export "${name}" (${kind} ${index}))`);
+  }
+
+  lines.push(")");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Disassembles a module binary to WAT.
+ *
+ * @param {Uint8Array|ArrayBuffer} binary - The module binary
+ * @returns {string} - The WAT text, with numbered locals
+ */
+function disassemble(binary) {
+  return formatModule(decodeModule(binary));
+}
+
+module.exports = {
+  Opcode,
+  PAGE_SIZE,
+  FunctionBuilder,
+  ModuleBuilder,
+  instruction,
+  compileExpression,
+  decodeModule,
+  formatModule,
+  disassemble,
+  supportsSimd,
+  encodeULEB128,
+  encodeSLEB128,
+};
@@ -5,7 +5,10 @@
  * This is the first step toward more advanced JIT compilation strategies (WebAssembly, ARM, x86).
  */
 
-const { BitBltOp } = require('./bitblt');
+const { BitBltOp, clipBitBlt, reversePixels, usesPattern, validateDepths } = require('./bitblt');
+const {
+  getOpExpression, getBitIndexExpression, getPixelExpression, getPixelMaskLiteral
+} = require('./code_generators/op_expressions');
 
 /**
  * Generates a specialized JavaScript function for a specific BitBLT operation.
@@ -18,22 +21,30 @@ const { BitBltOp } = require('./bitblt');
  * @param {Object} src - Source bitmap
  * @param {number} srcX - X coordinate in source bitmap
  * @param {number} srcY - Y coordinate in source bitmap
- * @param {number} op - Operation to perform: BitBltOp.COPY, BitBltOp.AND, BitBltOp.OR, BitBltOp.XOR
+ * @param {number} op - Operation to perform (from BitBltOp enum)
+ * @param {Object} clipRect - Clip rectangle in destination coordinates, applied on top of dst.clipRect (optional)
  * @returns {Function} - A specialized function that performs the BitBLT operation
  */
-function generateBitBltFunction(dst, dstX, dstY, width, height, src, srcX, srcY, op) {
-  // Clip the operation to the bounds of both bitmaps
-  const srcMaxX = Math.min(srcX + width, src.width);
-  const srcMaxY = Math.min(srcY + height, src.height);
-  const dstMaxX = Math.min(dstX + width, dst.width);
-  const dstMaxY = Math.min(dstY + height, dst.height);
+function generateBitBltFunction(dst, dstX, dstY, width, height, src, srcX, srcY, op, clipRect = null) {
+  validateNoPattern(op);
+  validateDepths(dst, src);
+  
+  // Clip the operation to the clip rectangles and the bounds of both bitmaps
+  const clipped = clipBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, clipRect);
+  ({ dstX, dstY, srcX, srcY } = clipped);
+  
+  // Work in data coordinates, which sub-bitmaps share with their parent
+  dstX += dst.offsetX;
+  dstY += dst.offsetY;
+  srcX += src.offsetX;
+  srcY += src.offsetY;
   
   // Calculate actual dimensions after clipping
-  const actualWidth = Math.min(srcMaxX - srcX, dstMaxX - dstX);
-  const actualHeight = Math.min(srcMaxY - srcY, dstMaxY - dstY);
+  const actualWidth = clipped.width;
+  const actualHeight = clipped.height;
   
-  // Check if source and destination are the same bitmap and regions overlap
-  const sameBuffer = src === dst;
+  // Check if source and destination share data and regions overlap
+  const sameBuffer = src.data === dst.data;
   const overlapHorizontal = sameBuffer && 
     ((srcX < dstX && srcX + actualWidth > dstX) || // Source starts before dest and overlaps
      (dstX < srcX && dstX + actualWidth > srcX));  // Dest starts before source and overlaps
@@ -70,22 +81,9 @@ function generateBitBltFunction(dst, dstX, dstY, width, height, src, srcX, srcY,
   }
   
   // Generate the operation code based on the operation type
-  let operationCode;
-  switch (op) {
-    case BitBltOp.AND:
-      operationCode = 'srcPixel & dstPixel';
-      break;
-    case BitBltOp.OR:
-      operationCode = 'srcPixel | dstPixel';
-      break;
-    case BitBltOp.XOR:
-      operationCode = 'srcPixel ^ dstPixel';
-      break;
-    case BitBltOp.COPY:
-    default:
-      operationCode = 'srcPixel';
-      break;
-  }
+  const depth = dst.depth;
+  const pixelMask = getPixelMaskLiteral(depth);
+  const operationCode = `(${getOpExpression(op, 'srcPixel', 'dstPixel', '0', depth)}) & ${pixelMask}`;
   
   // Generate the function code
   const functionCode = `
@@ -101,26 +99,22 @@ function generateBitBltFunction(dst, dstX, dstY, width, height, src, srcX, srcY,
           const dstPixelY = ${dstY} + y;
           
           // Calculate which integers in the data arrays contain these pixels
-          const srcIntIndex = srcPixelY * src.intsPerRow + Math.floor(srcPixelX / 32);
-          const dstIntIndex = dstPixelY * dst.intsPerRow + Math.floor(dstPixelX / 32);
+          const srcIntIndex = srcPixelY * src.intsPerRow + Math.floor(srcPixelX / ${32 / depth});
+          const dstIntIndex = dstPixelY * dst.intsPerRow + Math.floor(dstPixelX / ${32 / depth});
           
           // Calculate which bits within those integers represent these pixels
-          const srcBitIndex = 31 - (srcPixelX % 32);
-          const dstBitIndex = 31 - (dstPixelX % 32);
+          const srcBitIndex = ${getBitIndexExpression(src.bitOrder, 'srcPixelX', depth)};
+          const dstBitIndex = ${getBitIndexExpression(dst.bitOrder, 'dstPixelX', depth)};
           
           // Extract the source and destination pixel values
-          const srcPixel = (src.data[srcIntIndex] & (1 << srcBitIndex)) ? 1 : 0;
-          const dstPixel = (dst.data[dstIntIndex] & (1 << dstBitIndex)) ? 1 : 0;
+          const srcPixel = ${getPixelExpression('src.data[srcIntIndex]', 'srcBitIndex', depth)};
+          const dstPixel = ${getPixelExpression('dst.data[dstIntIndex]', 'dstBitIndex', depth)};
           
           // Apply the operation
           const resultPixel = ${operationCode};
           
-          // Set the result pixel
-          if (resultPixel === 1) {
-            dst.data[dstIntIndex] |= (1 << dstBitIndex);
-          } else {
-            dst.data[dstIntIndex] &= ~(1 << dstBitIndex);
-          }
+          // Replace the destination pixel's bits with the result
+          dst.data[dstIntIndex] = (dst.data[dstIntIndex] & ~(${pixelMask} << dstBitIndex)) | (resultPixel << dstBitIndex);
         }
       }
     };
@@ -143,16 +137,18 @@ function generateBitBltFunction(dst, dstX, dstY, width, height, src, srcX, srcY,
  * @param {Object} src - Source bitmap
  * @param {number} srcX - X coordinate in source bitmap
  * @param {number} srcY - Y coordinate in source bitmap
- * @param {number} op - Operation to perform: BitBltOp.COPY, BitBltOp.AND, BitBltOp.OR, BitBltOp.XOR
+ * @param {number} op - Operation to perform (from BitBltOp enum)
+ * @param {Object} options - Additional options
+ * @param {Object} options.clipRect - Clip rectangle in destination coordinates, applied on top of dst.clipRect
  */
-function jitBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY) {
+function jitBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, options = {}) {
   // Validate input parameters
   if (width <= 0 || height <= 0) {
     return; // Nothing to do
   }
   
   // Generate a specialized function for this specific BitBLT operation
-  const bitBltFunction = generateBitBltFunction(dst, dstX, dstY, width, height, src, srcX, srcY, op);
+  const bitBltFunction = generateBitBltFunction(dst, dstX, dstY, width, height, src, srcX, srcY, op, options.clipRect);
   
   // Execute the generated function
   bitBltFunction(src, dst);
@@ -170,26 +166,48 @@ function jitBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltO
  * @param {Object} src - Source bitmap
  * @param {number} srcX - X coordinate in source bitmap (must be multiple of 32)
  * @param {number} srcY - Y coordinate in source bitmap
- * @param {number} op - Operation to perform: BitBltOp.COPY, BitBltOp.AND, BitBltOp.OR, BitBltOp.XOR
+ * @param {number} op - Operation to perform (from BitBltOp enum)
+ * @param {Object} options - Additional options
+ * @param {Object} options.clipRect - Clip rectangle in destination coordinates, applied on top of dst.clipRect
  */
-function jitBitBltAligned(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY) {
-  // Validate that coordinates are aligned to 32-bit boundaries
-  if (dstX % 32 !== 0 || srcX % 32 !== 0 || width % 32 !== 0) {
+function jitBitBltAligned(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, options = {}) {
+  validateNoPattern(op);
+  validateDepths(dst, src);
+  
+  // Clip first: the clipped rectangle decides whether the aligned code applies
+  const clipped = clipBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, options.clipRect);
+  
+  if (clipped.width === 0 || clipped.height === 0) {
+    return; // Nothing left after clipping
+  }
+  
+  // Validate that the data coordinates are aligned to 32-bit boundaries
+  const depth = dst.depth;
+  if (((clipped.dstX + dst.offsetX) * depth) % 32 !== 0 || ((clipped.srcX + src.offsetX) * depth) % 32 !== 0 ||
+      (clipped.width * depth) % 32 !== 0) {
     // Fall back to regular jitBitBlt for unaligned operations
-    return jitBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op);
+    return jitBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op, options);
   }
   
+  ({ dstX, dstY, srcX, srcY, width, height } = clipped);
+  
+  // Work in data coordinates, which sub-bitmaps share with their parent
+  dstX += dst.offsetX;
+  dstY += dst.offsetY;
+  srcX += src.offsetX;
+  srcY += src.offsetY;
+  
   // Calculate starting indices and how many integers per row to copy
   const srcStartRow = srcY;
   const dstStartRow = dstY;
-  const intsPerRow = width / 32;
+  const intsPerRow = (width * depth) / 32;
   
   // Calculate starting integer indices
-  const srcStartIntX = srcX / 32;
-  const dstStartIntX = dstX / 32;
+  const srcStartIntX = (srcX * depth) / 32;
+  const dstStartIntX = (dstX * depth) / 32;
   
-  // Check if source and destination are the same bitmap and regions overlap
-  const sameBuffer = src === dst;
+  // Check if source and destination share data and regions overlap
+  const sameBuffer = src.data === dst.data;
   const overlapHorizontal = sameBuffer && 
     ((srcStartIntX < dstStartIntX && srcStartIntX + intsPerRow > dstStartIntX) || // Source starts before dest and overlaps
      (dstStartIntX < srcStartIntX && dstStartIntX + intsPerRow > srcStartIntX));  // Dest starts before source and overlaps
@@ -226,22 +244,10 @@ function jitBitBltAligned(dst, dstX, dstY, width, height, src, srcX, srcY, op =
   }
   
   // Generate the operation code based on the operation type
-  let operationCode;
-  switch (op) {
-    case BitBltOp.AND:
-      operationCode = 'srcInt & dstInt';
-      break;
-    case BitBltOp.OR:
-      operationCode = 'srcInt | dstInt';
-      break;
-    case BitBltOp.XOR:
-      operationCode = 'srcInt ^ dstInt';
-      break;
-    case BitBltOp.COPY:
-    default:
-      operationCode = 'srcInt';
-      break;
-  }
+  const operationCode = getOpExpression(op, 'srcInt', 'dstInt', '0', depth);
+  
+  // Source words in the other bit order are reversed as they are read
+  const srcIntCode = src.bitOrder !== dst.bitOrder ? `reversePixels(src.data[srcRowIndex + i], ${depth})` : 'src.data[srcRowIndex + i]';
   
   // Generate the function code
   const functionCode = `
@@ -253,7 +259,7 @@ function jitBitBltAligned(dst, dstX, dstY, width, height, src, srcX, srcY, op =
         const dstRowIndex = (${dstStartRow} + y) * dst.intsPerRow + ${dstStartIntX};
         
         for (let i = ${iStart}; i !== ${iEnd}; i += ${iStep}) {
-          const srcInt = src.data[srcRowIndex + i];
+          const srcInt = ${srcIntCode};
           const dstInt = dst.data[dstRowIndex + i];
           
           // Apply the operation
@@ -265,10 +271,23 @@ function jitBitBltAligned(dst, dstX, dstY, width, height, src, srcX, srcY, op =
   
   // Create and execute the function
   // eslint-disable-next-line no-new-func
-  const bitBltFunction = new Function('src', 'dst', functionCode)(src, dst);
+  const bitBltFunction = new Function('reversePixels', functionCode)(reversePixels);
   bitBltFunction(src, dst);
 }
 
+/**
+ * Checks that an operation does not use a pattern, which this compiler
+ * takes no bitmap for.
+ * 
+ * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+ * @private
+ */
+function validateNoPattern(op) {
+  if (usesPattern(op)) {
+    throw new Error(`BitBLT operation ${op} uses a pattern, which the JIT compiler does not support; use jitBitBlt() from jit_executor.js`);
+  }
+}
+
 module.exports = {
   generateBitBltFunction,
   jitBitBlt,
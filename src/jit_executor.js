@@ -2,9 +2,14 @@
  * JIT executor for BitBLT operations.
  * This module manages code generators and caches generated code.
  */
-const { BitBltOp } = require('./bitblt');
+const {
+  BitBltOp, clipBitBlt, clipMaskBlt, bitblt, maskBlt, transparentBlt,
+  validatePattern, validateOp, validateDepths, validateKey
+} = require('./bitblt');
 const JavaScriptGenerator = require('./code_generators/js_generator');
 const WasmGenerator = require('./code_generators/wasm_generator');
+const CodeGeneratorInterface = require('./code_generators/generator_interface');
+const { CodeCache } = require('./code_cache');
 
 /**
  * Enum for code generator types
@@ -17,40 +22,324 @@ const CodeGeneratorType = {
   WASM: 'wasm'
 };
 
+/**
+ * Default generator type that picks the fastest code generator for each
+ * shape class of operation by measuring them (see
+ * JitExecutor.setDefaultGenerator())
+ */
+const AUTO_GENERATOR = 'auto';
+
+/** Default runs of each code generator measured per shape class in auto mode */
+const DEFAULT_AUTO_SAMPLES = 3;
+
+/** Version of the tables written by JitExecutor.exportGeneratorDecisions() */
+const DECISION_TABLE_VERSION = 1;
+
+/**
+ * Enum for the tiers at which operations run when tiering is on
+ * @enum {string}
+ */
+const ExecutionTier = {
+  /** The reference implementation in bitblt.js, without compiling */
+  INTERPRETER: 'interpreter',
+  /** Code from the JavaScript generator */
+  JAVASCRIPT: 'javascript',
+  /** Code from the WebAssembly generator */
+  WASM: 'wasm'
+};
+
+/**
+ * Default invocations of a shape of operation from which it runs at each
+ * compiled tier (see JitExecutor.setTiering())
+ */
+const DEFAULT_TIER_THRESHOLDS = {
+  [ExecutionTier.JAVASCRIPT]: 4,
+  [ExecutionTier.WASM]: 64
+};
+
 class JitExecutor {
   /**
    * Creates a new JIT executor.
+   * 
+   * @param {Object} options - Options
+   * @param {Object} options.cacheLimits - Limits of the code cache of each generator: maxEntries
+   *   and maxBytes (default: DEFAULT_CACHE_LIMITS in code_cache.js)
    */
-  constructor() {
-    // Initialize code generators
-    this.generators = {
-      [CodeGeneratorType.JAVASCRIPT]: new JavaScriptGenerator(),
-      [CodeGeneratorType.WASM]: new WasmGenerator()
-    };
-    
-    // Initialize code cache
-    this.codeCache = {
-      [CodeGeneratorType.JAVASCRIPT]: new Map(),
-      [CodeGeneratorType.WASM]: new Map()
-    };
+  constructor(options = {}) {
+    // Code generators and their code caches, by generator type
+    const { cacheLimits = {} } = options;
+    this.cacheLimits = cacheLimits;
+    this.generators = {};
+    this.codeCache = {};
+    this.registerGenerator(CodeGeneratorType.JAVASCRIPT, new JavaScriptGenerator());
+    this.registerGenerator(CodeGeneratorType.WASM, new WasmGenerator());
     
     // Set default generator
     this.defaultGenerator = CodeGeneratorType.JAVASCRIPT;
+    
+    // Tiering is off until setTiering() turns it on; shapes maps the cache
+    // keys of the JavaScript generator to how often and at which tier each
+    // shape of operation has run
+    this.tierThresholds = null;
+    this.shapes = new Map();
+    
+    // In auto mode, decisions maps each measured shape class to its fastest
+    // generator, and trials holds the run times of the classes still being
+    // measured; compiling holds the code compiled in the background for
+    // synchronous operations
+    this.autoSamples = DEFAULT_AUTO_SAMPLES;
+    this.decisions = new Map();
+    this.trials = new Map();
+    this.compiling = new Set();
+  }
+
+  /**
+   * Turns tiered execution on or off. With tiering on, operations that do
+   * not name a code generator type run at the tier their shape has reached:
+   * the reference implementation until the shape has run `javascript` times,
+   * JavaScript code from then on, and WebAssembly code once it has run `wasm`
+   * times and the module is compiled. Operations run with await wait for
+   * the module; synchronous ones (see executeSync()) keep running JavaScript
+   * code while it compiles. Turning tiering on or off forgets how often each
+   * shape has run.
+   * 
+   * @param {Object|null} thresholds - Invocations from which a shape runs at each tier, as in
+   *   DEFAULT_TIER_THRESHOLDS (Infinity to never reach a tier), or null to turn tiering off
+   */
+  setTiering(thresholds = {}) {
+    if (thresholds) {
+      const merged = { ...DEFAULT_TIER_THRESHOLDS, ...thresholds };
+      const javascript = merged[ExecutionTier.JAVASCRIPT];
+      const wasm = merged[ExecutionTier.WASM];
+      
+      if (!(javascript >= 1) || !(wasm >= javascript)) {
+        throw new Error(`Invalid tier thresholds: javascript ${javascript}, wasm ${wasm}`);
+      }
+      
+      this.tierThresholds = { [ExecutionTier.JAVASCRIPT]: javascript, [ExecutionTier.WASM]: wasm };
+    } else {
+      this.tierThresholds = null;
+    }
+    
+    this.shapes.clear();
+  }
+
+  /**
+   * Gets the tier thresholds and, for each shape of operation run since
+   * tiering was turned on, how often it has run and its current tier.
+   * 
+   * @returns {Object} - The thresholds (null while tiering is off) and a list of shapes, each with
+   *   its key, invocations, tier and whether its module failed to compile
+   */
+  getTierStats() {
+    return {
+      thresholds: this.tierThresholds && { ...this.tierThresholds },
+      shapes: [...this.shapes].map(([key, { invocations, tier, failed }]) => ({ key, invocations, tier, failed }))
+    };
+  }
+
+  /**
+   * Gets the tier at which an operation's shape currently runs.
+   * 
+   * @param {Object} operation - The operation, as for precompile()
+   * @returns {string|null} - The tier (from the ExecutionTier enum), or null while tiering is off
+   *   or if clipping leaves nothing
+   */
+  getTier(operation) {
+    const params = this.tierThresholds && this._prepareOperation(operation);
+    
+    if (!params) {
+      return null;
+    }
+    
+    const shape = this.shapes.get(this.generators[CodeGeneratorType.JAVASCRIPT].getCacheKey(params));
+    return shape ? shape.tier : ExecutionTier.INTERPRETER;
   }
 
   /**
    * Sets the default code generator type.
    * 
-   * @param {string} generatorType - The code generator type to use by default
+   * With AUTO_GENERATOR ('auto'), the first operations of each shape class
+   * (a cache key and a size, rounded up to a power of two pixels) run with
+   * each generator registered at the time in turn, `samples` times each,
+   * timing the generated code without its compilation. The generator with
+   * the fastest run is then used for the class. Synchronous operations skip
+   * generators whose code is still to be compiled, compiling it in the
+   * background. Tiering (see setTiering()), when on, takes precedence.
+   * 
+   * @param {string} generatorType - The code generator type to use by default, or AUTO_GENERATOR
+   * @param {Object} options - Options for AUTO_GENERATOR
+   * @param {number} options.samples - Runs of each generator to measure per shape class (default 3)
    */
-  setDefaultGenerator(generatorType) {
-    if (!this.generators[generatorType]) {
+  setDefaultGenerator(generatorType, options = {}) {
+    if (generatorType === AUTO_GENERATOR) {
+      const { samples = DEFAULT_AUTO_SAMPLES } = options;
+      
+      if (!Number.isInteger(samples) || samples < 1) {
+        throw new Error(`Invalid number of samples: ${samples}`);
+      }
+      
+      this.autoSamples = samples;
+    } else if (!this.generators[generatorType]) {
       throw new Error(`Unknown code generator type: ${generatorType}`);
     }
     
     this.defaultGenerator = generatorType;
   }
 
+  /**
+   * Exports the generators chosen for each shape class in auto mode, with
+   * the measured time of each generator, so that a later run can import
+   * them instead of measuring again.
+   * 
+   * @returns {string} - The decision table as JSON
+   */
+  exportGeneratorDecisions() {
+    const decisions = {};
+    for (const [shapeClass, { generator, times }] of this.decisions) {
+      decisions[shapeClass] = { generator, times: { ...times } };
+    }
+    
+    return JSON.stringify({ version: DECISION_TABLE_VERSION, decisions });
+  }
+
+  /**
+   * Imports a decision table from exportGeneratorDecisions(), replacing the
+   * decisions of the shape classes it has. Decisions for generators that
+   * are not registered are kept but ignored, so those classes are measured
+   * again.
+   * 
+   * @param {string|Object} table - The decision table, as JSON or parsed
+   * @returns {number} - The number of decisions imported
+   */
+  importGeneratorDecisions(table) {
+    const { version, decisions } = typeof table === 'string' ? JSON.parse(table) : table || {};
+    
+    if (version !== DECISION_TABLE_VERSION || !decisions || typeof decisions !== 'object') {
+      throw new Error(`Invalid generator decisions: expected version ${DECISION_TABLE_VERSION} and a table of decisions`);
+    }
+    
+    const entries = Object.entries(decisions);
+    for (const [shapeClass, decision] of entries) {
+      if (!decision || typeof decision.generator !== 'string') {
+        throw new Error(`Invalid generator decision for shape class ${shapeClass}`);
+      }
+    }
+    
+    for (const [shapeClass, { generator, times = {} }] of entries) {
+      this.decisions.set(shapeClass, { generator, times: { ...times } });
+      this.trials.delete(shapeClass);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Forgets the generators chosen in auto mode and the runs measured so far,
+   * so that every shape class is measured again.
+   */
+  clearGeneratorDecisions() {
+    this.decisions.clear();
+    this.trials.clear();
+  }
+
+  /**
+   * Adds a code generator under a new type name, with its own code cache
+   * (limited as the executor's caches are when it is created), so that
+   * operations can run its code by passing the name as their generator
+   * type. The generator must implement the public methods of
+   * CodeGeneratorInterface, most simply by extending it. Tiering (see
+   * setTiering()) only uses the built-in generators.
+   * 
+   * @param {string} name - The code generator type
+   * @param {Object} generator - The code generator
+   */
+  registerGenerator(name, generator) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`Invalid code generator type: ${name}`);
+    }
+    if (name === AUTO_GENERATOR) {
+      throw new Error(`Code generator type is reserved: ${name}`);
+    }
+    if (this.generators[name]) {
+      throw new Error(`Code generator type already registered: ${name}`);
+    }
+    this._validateGenerator(name, generator);
+    
+    this.generators[name] = generator;
+    this.codeCache[name] = new CodeCache(this.cacheLimits);
+  }
+
+  /**
+   * Removes a code generator added with registerGenerator(), and its cached
+   * code. The built-in generators and the default generator stay.
+   * 
+   * @param {string} name - The code generator type
+   */
+  unregisterGenerator(name) {
+    if (!this.generators[name]) {
+      throw new Error(`Unknown code generator type: ${name}`);
+    }
+    if (Object.values(CodeGeneratorType).includes(name)) {
+      throw new Error(`Cannot unregister the built-in code generator: ${name}`);
+    }
+    if (name === this.defaultGenerator) {
+      throw new Error(`Cannot unregister the default code generator: ${name}`);
+    }
+    
+    delete this.generators[name];
+    delete this.codeCache[name];
+    
+    // Shape classes that chose the generator are measured again, and those
+    // being measured go on without it
+    for (const [shapeClass, { generator }] of this.decisions) {
+      if (generator === name) {
+        this.decisions.delete(shapeClass);
+      }
+    }
+    for (const trial of this.trials.values()) {
+      trial.samples.delete(name);
+      this._decide(trial);
+    }
+  }
+
+  /**
+   * Gets the types of the registered code generators, built-in ones first.
+   * 
+   * @returns {string[]} - The code generator types
+   */
+  getGeneratorTypes() {
+    return Object.keys(this.generators);
+  }
+
+  /**
+   * Checks that an object implements the public methods of
+   * CodeGeneratorInterface, and does not leave its abstract ones to the
+   * interface.
+   * 
+   * @param {string} name - The code generator type, for error messages
+   * @param {Object} generator - The code generator
+   * @private
+   */
+  _validateGenerator(name, generator) {
+    if (!generator || typeof generator !== 'object') {
+      throw new Error(`Code generator ${name} must be an object, not ${generator}`);
+    }
+    
+    const methods = Object.getOwnPropertyNames(CodeGeneratorInterface.prototype)
+      .filter((method) => method !== 'constructor' && !method.startsWith('_'));
+    
+    for (const method of methods) {
+      if (typeof generator[method] !== 'function') {
+        throw new Error(`Code generator ${name} does not implement ${method}()`);
+      }
+    }
+    for (const method of ['generateCode', 'executeCode']) {
+      if (generator[method] === CodeGeneratorInterface.prototype[method]) {
+        throw new Error(`Code generator ${name} does not implement ${method}()`);
+      }
+    }
+  }
+
   /**
    * Executes a BitBLT operation using the specified code generator.
    * 
@@ -62,49 +351,745 @@ class JitExecutor {
    * @param {Object} src - Source bitmap
    * @param {number} srcX - X coordinate in source bitmap
    * @param {number} srcY - Y coordinate in source bitmap
-   * @param {number} op - Operation to perform: BitBltOp.COPY, BitBltOp.AND, BitBltOp.OR, BitBltOp.XOR
+   * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
    * @param {string} generatorType - The code generator type to use (optional)
+   * @param {Object} options - Additional options
+   * @param {Object} options.pattern - Pattern bitmap tiled across the destination (ternary raster operations only)
+   * @param {Object} options.clipRect - Clip rectangle in destination coordinates, applied on top of dst.clipRect
+   * @param {Array|Uint32Array} options.colorMap - Destination value for each source value, indexed by source value (optional)
    * @returns {Promise<void>}
    */
-  async execute(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, generatorType = null) {
-    // Use default generator if none specified
-    const generator = this.generators[generatorType || this.defaultGenerator];
+  async execute(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, generatorType = null, options = {}) {
+    const params = this._prepareBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op, generatorType, options);
+    
+    if (params) {
+      await this._run(params, generatorType);
+    }
+  }
+
+  /**
+   * Executes a BitBLT operation synchronously (see execute()). The JavaScript
+   * generator compiles code on first use; code from generators that compile
+   * asynchronously, such as WebAssembly, must have been compiled already by
+   * an earlier operation of the same shape, precompile() or warmup().
+   * 
+   * @param {...*} args - The arguments of execute()
+   * @returns {void}
+   */
+  executeSync(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, generatorType = null, options = {}) {
+    const params = this._prepareBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op, generatorType, options);
     
-    if (!generator) {
+    if (params) {
+      this._runSync(params, generatorType);
+    }
+  }
+
+  /**
+   * Checks that operations can run with a generator type.
+   * 
+   * @param {string} generatorType - The code generator type to use (default: the default generator)
+   * @private
+   */
+  _checkGeneratorType(generatorType) {
+    const type = generatorType || this.defaultGenerator;
+    
+    if (type !== AUTO_GENERATOR && !this.generators[type]) {
       throw new Error(`Unknown code generator type: ${generatorType}`);
     }
+  }
+
+  /**
+   * Validates and clips a BitBLT operation, giving the parameters to generate
+   * and run its code with.
+   * 
+   * @param {...*} args - The arguments of execute()
+   * @returns {Object|null} - Parameters for the code generators, or null if clipping leaves nothing
+   * @private
+   */
+  _prepareBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, generatorType = null, options = {}) {
+    this._checkGeneratorType(generatorType);
+    
+    const pattern = options.pattern || null;
+    const colorMap = options.colorMap || null;
+    validatePattern(op, pattern, dst);
+    validateOp(op, dst);
+    validateDepths(dst, src, colorMap);
+    
+    // Clip first, so alignment is decided for the rectangle actually transferred
+    const clipRect = options.clipRect || null;
+    const clipped = clipBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, clipRect);
+    
+    if (clipped.width === 0 || clipped.height === 0) {
+      return null; // Nothing left after clipping
+    }
     
-    // Check if the operation is aligned
-    const aligned = this._isAligned(dstX, srcX, width);
+    // Check if the operation is aligned, in data coordinates for sub-bitmaps;
+    // pixels translated through a color map are never copied word by word
+    const aligned = !colorMap && this._isAligned(clipped.dstX + dst.offsetX, clipped.srcX + src.offsetX, clipped.width, dst.depth);
     
     // Create parameters object
     const params = {
       dst,
-      dstX,
-      dstY,
-      width,
-      height,
+      dstX: clipped.dstX,
+      dstY: clipped.dstY,
+      width: clipped.width,
+      height: clipped.height,
+      src,
+      srcX: clipped.srcX,
+      srcY: clipped.srcY,
+      op,
+      pattern,
+      clipRect,
+      colorMap,
+      aligned
+    };
+    
+    return params;
+  }
+
+  /**
+   * Executes a masked BitBLT operation (see maskBlt() in bitblt.js) using the
+   * specified code generator. Only destination pixels whose mask pixel is 1 change.
+   * 
+   * @param {Object} dst - Destination bitmap
+   * @param {number} dstX - X coordinate in destination bitmap
+   * @param {number} dstY - Y coordinate in destination bitmap
+   * @param {number} width - Width of the rectangle to transfer
+   * @param {number} height - Height of the rectangle to transfer
+   * @param {Object} src - Source bitmap
+   * @param {number} srcX - X coordinate in source bitmap
+   * @param {number} srcY - Y coordinate in source bitmap
+   * @param {Object} mask - Mask bitmap selecting the destination pixels to change
+   * @param {number} maskX - X coordinate in mask bitmap
+   * @param {number} maskY - Y coordinate in mask bitmap
+   * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+   * @param {string} generatorType - The code generator type to use (optional)
+   * @param {Object} options - Additional options (see execute())
+   * @returns {Promise<void>}
+   */
+  async executeMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op = BitBltOp.COPY, generatorType = null, options = {}) {
+    const params = this._prepareMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, generatorType, options);
+    
+    if (params) {
+      await this._run(params, generatorType);
+    }
+  }
+
+  /**
+   * Executes a masked BitBLT operation synchronously (see executeMaskBlt()). The JavaScript
+   * generator compiles code on first use; code from generators that compile
+   * asynchronously, such as WebAssembly, must have been compiled already by
+   * an earlier operation of the same shape, precompile() or warmup().
+   * 
+   * @param {...*} args - The arguments of executeMaskBlt()
+   * @returns {void}
+   */
+  executeMaskBltSync(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op = BitBltOp.COPY, generatorType = null, options = {}) {
+    const params = this._prepareMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, generatorType, options);
+    
+    if (params) {
+      this._runSync(params, generatorType);
+    }
+  }
+
+  /**
+   * Validates and clips a masked BitBLT operation, giving the parameters to generate
+   * and run its code with.
+   * 
+   * @param {...*} args - The arguments of executeMaskBlt()
+   * @returns {Object|null} - Parameters for the code generators, or null if clipping leaves nothing
+   * @private
+   */
+  _prepareMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op = BitBltOp.COPY, generatorType = null, options = {}) {
+    this._checkGeneratorType(generatorType);
+    
+    const pattern = options.pattern || null;
+    const colorMap = options.colorMap || null;
+    validatePattern(op, pattern, dst);
+    validateOp(op, dst);
+    validateDepths(dst, src, colorMap);
+    
+    if (!mask) {
+      throw new Error('maskBlt requires a mask bitmap');
+    }
+    if (mask.depth !== 1) {
+      throw new Error('maskBlt requires a 1-bit mask bitmap');
+    }
+    
+    // Clip first, so alignment is decided for the rectangle actually transferred
+    const clipRect = options.clipRect || null;
+    const clipped = clipMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, clipRect);
+    
+    if (clipped.width === 0 || clipped.height === 0) {
+      return null; // Nothing left after clipping
+    }
+    
+    // The mask must line up with word boundaries too for the aligned code,
+    // which only happens for 1-bit pixels
+    const aligned = !colorMap && dst.depth === 1 &&
+      this._isAligned(clipped.dstX + dst.offsetX, clipped.srcX + src.offsetX, clipped.width) &&
+      (clipped.maskX + mask.offsetX) % 32 === 0;
+    
+    const params = {
+      dst,
+      dstX: clipped.dstX,
+      dstY: clipped.dstY,
+      width: clipped.width,
+      height: clipped.height,
       src,
-      srcX,
-      srcY,
+      srcX: clipped.srcX,
+      srcY: clipped.srcY,
+      mask,
+      maskX: clipped.maskX,
+      maskY: clipped.maskY,
       op,
+      pattern,
+      clipRect,
+      colorMap,
       aligned
     };
     
+    return params;
+  }
+
+  /**
+   * Executes a transparent BitBLT operation (see transparentBlt() in bitblt.js)
+   * using the specified code generator. Source pixels equal to the key are left out.
+   * 
+   * @param {Object} dst - Destination bitmap
+   * @param {number} dstX - X coordinate in destination bitmap
+   * @param {number} dstY - Y coordinate in destination bitmap
+   * @param {number} width - Width of the rectangle to transfer
+   * @param {number} height - Height of the rectangle to transfer
+   * @param {Object} src - Source bitmap
+   * @param {number} srcX - X coordinate in source bitmap
+   * @param {number} srcY - Y coordinate in source bitmap
+   * @param {number} key - Source pixel value that is transparent
+   * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+   * @param {string} generatorType - The code generator type to use (optional)
+   * @param {Object} options - Additional options (see execute(); color maps are not supported)
+   * @returns {Promise<void>}
+   */
+  async executeTransparentBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key, op = BitBltOp.COPY, generatorType = null, options = {}) {
+    const params = this._prepareTransparentBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, generatorType, options);
+    
+    if (params) {
+      await this._run(params, generatorType);
+    }
+  }
+
+  /**
+   * Executes a transparent BitBLT operation synchronously (see executeTransparentBlt()). The JavaScript
+   * generator compiles code on first use; code from generators that compile
+   * asynchronously, such as WebAssembly, must have been compiled already by
+   * an earlier operation of the same shape, precompile() or warmup().
+   * 
+   * @param {...*} args - The arguments of executeTransparentBlt()
+   * @returns {void}
+   */
+  executeTransparentBltSync(dst, dstX, dstY, width, height, src, srcX, srcY, key, op = BitBltOp.COPY, generatorType = null, options = {}) {
+    const params = this._prepareTransparentBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, generatorType, options);
+    
+    if (params) {
+      this._runSync(params, generatorType);
+    }
+  }
+
+  /**
+   * Validates and clips a transparent BitBLT operation, giving the parameters to generate
+   * and run its code with.
+   * 
+   * @param {...*} args - The arguments of executeTransparentBlt()
+   * @returns {Object|null} - Parameters for the code generators, or null if clipping leaves nothing
+   * @private
+   */
+  _prepareTransparentBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key, op = BitBltOp.COPY, generatorType = null, options = {}) {
+    this._checkGeneratorType(generatorType);
+    
+    const pattern = options.pattern || null;
+    validatePattern(op, pattern, dst);
+    validateOp(op, dst);
+    validateDepths(dst, src);
+    validateKey(key, src);
+    
+    if (options.colorMap) {
+      throw new Error('transparentBlt does not take a color map');
+    }
+    
+    // Copying 1-bit pixels around a key is an OR (key 0) or an AND (key 1)
+    if (dst.depth === 1 && op === BitBltOp.COPY) {
+      return this._prepareBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key ? BitBltOp.AND : BitBltOp.OR, generatorType, options);
+    }
+    
+    // Clip first, so alignment is decided for the rectangle actually transferred
+    const clipRect = options.clipRect || null;
+    const clipped = clipBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, clipRect);
+    
+    if (clipped.width === 0 || clipped.height === 0) {
+      return null; // Nothing left after clipping
+    }
+    
+    const aligned = this._isAligned(clipped.dstX + dst.offsetX, clipped.srcX + src.offsetX, clipped.width, dst.depth);
+    
+    const params = {
+      dst,
+      dstX: clipped.dstX,
+      dstY: clipped.dstY,
+      width: clipped.width,
+      height: clipped.height,
+      src,
+      srcX: clipped.srcX,
+      srcY: clipped.srcY,
+      op,
+      pattern,
+      clipRect,
+      key,
+      aligned
+    };
+    
+    return params;
+  }
+
+  /**
+   * Compiles the code for an operation ahead of time, so that operations of
+   * the same shape find it in the cache, including synchronous ones (see
+   * executeSync()). Code that is already cached is not compiled again.
+   * 
+   * @param {Object} operation - The operation, with the arguments of execute(), executeMaskBlt()
+   *   (with `mask`) or executeTransparentBlt() (with `key`) as properties: dst, dstX, dstY, width,
+   *   height, src, srcX, srcY, mask, maskX, maskY, key, op and options. Positions
+   *   default to 0, the size to the destination's and op to BitBltOp.COPY
+   * @param {string} generatorType - The code generator type to compile for (optional). In auto
+   *   mode, code is compiled for the generator chosen for the operation's shape class, or for every
+   *   generator while the class is still to be measured
+   * @returns {Promise<Object|null>} - The generated code (in auto mode, of the chosen generator or
+   *   else the JavaScript generator), or null if clipping leaves nothing
+   */
+  async precompile(operation, generatorType = null) {
+    const params = this._prepareOperation(operation, generatorType);
+    
+    if (!params) {
+      return null;
+    }
+    
+    const type = generatorType || this.defaultGenerator;
+    if (type !== AUTO_GENERATOR) {
+      return this._precompile(params, type);
+    }
+    
+    const decision = this.decisions.get(this._getShapeClass(params));
+    if (decision && this.generators[decision.generator]) {
+      return this._precompile(params, decision.generator);
+    }
+    
+    const codes = {};
+    for (const candidate of this.getGeneratorTypes()) {
+      codes[candidate] = await this._precompile(params, candidate);
+    }
+    return codes[CodeGeneratorType.JAVASCRIPT];
+  }
+
+  /**
+   * Compiles the code for a clipped operation unless it is cached.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {string} type - The code generator type
+   * @returns {Promise<Object>} - The generated code
+   * @private
+   */
+  async _precompile(params, type) {
+    // Compiling ahead of time is not a use of the code
+    const cacheKey = this.generators[type].getCacheKey(params);
+    return this.codeCache[type].peek(cacheKey) || this._compile(params, type, cacheKey, 0);
+  }
+
+  /**
+   * Validates and clips an operation given as an object (see precompile()).
+   * 
+   * @param {Object} operation - The operation
+   * @param {string} generatorType - The code generator type to use (optional)
+   * @returns {Object|null} - Parameters for the code generators, or null if clipping leaves nothing
+   * @private
+   */
+  _prepareOperation(operation, generatorType = null) {
+    const {
+      dst, dstX = 0, dstY = 0, width = dst.width, height = dst.height, src, srcX = 0, srcY = 0,
+      mask = null, maskX = 0, maskY = 0, key = null, op = BitBltOp.COPY, options = {}
+    } = operation;
+    
+    if (mask) {
+      return this._prepareMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, generatorType, options);
+    }
+    if (key !== null) {
+      return this._prepareTransparentBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, generatorType, options);
+    }
+    return this._prepareBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op, generatorType, options);
+  }
+
+  /**
+   * Compiles the code for a list of operations ahead of time, one after
+   * another (see precompile()).
+   * 
+   * @param {Object[]} operations - The operations, as for precompile()
+   * @param {string} generatorType - The code generator type to compile for (optional)
+   * @returns {Promise<void>}
+   */
+  async warmup(operations, generatorType = null) {
+    for (const operation of operations) {
+      await this.precompile(operation, generatorType);
+    }
+  }
+
+  /**
+   * Looks up or generates the code for a clipped operation and executes it.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {string} generatorType - The code generator type to use (optional)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _run(params, generatorType) {
+    if (!generatorType && this.tierThresholds) {
+      return this._runTiered(params, false);
+    }
+    
+    const type = generatorType || this.defaultGenerator;
+    if (type === AUTO_GENERATOR) {
+      return this._runAuto(params);
+    }
+    
+    const generator = this.generators[type];
+    
     // Get cache key
     const cacheKey = generator.getCacheKey(params);
     
-    // Check if code is already in cache
-    let generatedCode = this.codeCache[generatorType || this.defaultGenerator].get(cacheKey);
-    
     // Generate code if not in cache
+    const generatedCode = this.codeCache[type].get(cacheKey) || await this._compile(params, type, cacheKey);
+    
+    this._executeCode(generator, generatedCode, params);
+  }
+
+  /**
+   * Looks up or generates the code for a clipped operation and executes it
+   * synchronously. Only generators whose generateCode() is synchronous can
+   * compile code here.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {string} generatorType - The code generator type to use (optional)
+   * @private
+   */
+  _runSync(params, generatorType) {
+    if (!generatorType && this.tierThresholds) {
+      this._runTiered(params, true);
+      return;
+    }
+    
+    const type = generatorType || this.defaultGenerator;
+    if (type === AUTO_GENERATOR) {
+      this._runAutoSync(params);
+      return;
+    }
+    
+    const generator = this.generators[type];
+    const cacheKey = generator.getCacheKey(params);
+    let generatedCode = this.codeCache[type].get(cacheKey);
+    
     if (!generatedCode) {
-      generatedCode = await generator.generateCode(params);
-      this.codeCache[generatorType || this.defaultGenerator].set(cacheKey, generatedCode);
+      if (!generator.isSynchronous()) {
+        throw new Error(`No ${type} code compiled for this operation; precompile() it before running it synchronously`);
+      }
+      generatedCode = this._compile(params, type, cacheKey);
+    }
+    
+    this._executeCode(generator, generatedCode, params);
+  }
+
+  /**
+   * Counts an invocation of an operation's shape, promotes the shape to the
+   * tier its count has reached, and runs the operation at its tier (see
+   * setTiering()).
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {boolean} sync - Whether the operation runs synchronously
+   * @returns {Promise<void>|undefined} - For operations not run synchronously, a promise that
+   *   resolves once the operation has run
+   * @private
+   */
+  _runTiered(params, sync) {
+    const key = this.generators[CodeGeneratorType.JAVASCRIPT].getCacheKey(params);
+    let shape = this.shapes.get(key);
+    
+    if (!shape) {
+      shape = { invocations: 0, tier: ExecutionTier.INTERPRETER, promotion: null, failed: false };
+      this.shapes.set(key, shape);
+    }
+    shape.invocations++;
+    
+    // A shape whose module was evicted from the cache goes back to
+    // JavaScript code until it is compiled again
+    const wasm = this.generators[CodeGeneratorType.WASM];
+    if (shape.tier === ExecutionTier.WASM && !this.codeCache[CodeGeneratorType.WASM].has(wasm.getCacheKey(params))) {
+      shape.tier = ExecutionTier.JAVASCRIPT;
+    }
+    
+    if (shape.tier === ExecutionTier.INTERPRETER && shape.invocations >= this.tierThresholds[ExecutionTier.JAVASCRIPT]) {
+      shape.tier = ExecutionTier.JAVASCRIPT;
+    }
+    
+    // Compile the module in the background once the shape is hot enough. A
+    // shape whose module fails to compile stays at its tier for good
+    if (shape.tier !== ExecutionTier.WASM && !shape.promotion && !shape.failed &&
+        typeof WebAssembly !== 'undefined' && shape.invocations >= this.tierThresholds[ExecutionTier.WASM]) {
+      shape.promotion = this._precompile(params, CodeGeneratorType.WASM).then(
+        () => {
+          shape.tier = ExecutionTier.WASM;
+        },
+        () => {
+          shape.failed = true;
+        }
+      ).finally(() => {
+        shape.promotion = null;
+      });
+    }
+    
+    if (!sync && shape.promotion) {
+      return shape.promotion.then(() => this._runAtTier(params, shape.tier));
+    }
+    this._runAtTier(params, shape.tier);
+  }
+
+  /**
+   * Runs a clipped operation at a tier.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {string} tier - The tier (from the ExecutionTier enum)
+   * @private
+   */
+  _runAtTier(params, tier) {
+    if (tier !== ExecutionTier.INTERPRETER) {
+      this._runSync(params, tier);
+      return;
+    }
+    
+    const {
+      dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, key, op, pattern, clipRect, colorMap
+    } = params;
+    const options = { clipRect, colorMap };
+    
+    if (mask) {
+      maskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, pattern, options);
+    } else if (key !== undefined) {
+      transparentBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, pattern, options);
+    } else {
+      bitblt(dst, dstX, dstY, width, height, src, srcX, srcY, op, pattern, options);
+    }
+  }
+
+  /**
+   * Runs an operation in auto mode (see setDefaultGenerator()) with the
+   * generator chosen for its shape class, or while the class is measured,
+   * with the next generator to measure.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runAuto(params) {
+    const { type, trial } = this._chooseGenerator(params, false);
+    const generator = this.generators[type];
+    const cacheKey = generator.getCacheKey(params);
+    const generatedCode = this.codeCache[type].get(cacheKey) || await this._compile(params, type, cacheKey);
+    
+    this._executeMeasured(params, type, generatedCode, trial);
+  }
+
+  /**
+   * Runs an operation synchronously in auto mode (see _runAuto()).
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @private
+   */
+  _runAutoSync(params) {
+    const { type, trial } = this._chooseGenerator(params, true);
+    const generator = this.generators[type];
+    const cacheKey = generator.getCacheKey(params);
+    const generatedCode = this.codeCache[type].get(cacheKey) || this._compile(params, type, cacheKey);
+    
+    this._executeMeasured(params, type, generatedCode, trial);
+  }
+
+  /**
+   * Picks the generator to run an operation with in auto mode: the one
+   * chosen for its shape class, or the one measured fewest times so far.
+   * Synchronous operations pass over generators whose code they cannot
+   * compile, and compile it in the background for a later operation; a
+   * generator that fails to compile there is no longer measured.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {boolean} sync - Whether the operation runs synchronously
+   * @returns {Object} - The generator type, and the trial measuring the shape class (null once chosen)
+   * @private
+   */
+  _chooseGenerator(params, sync) {
+    const shapeClass = this._getShapeClass(params);
+    const decision = this.decisions.get(shapeClass);
+    const runnable = (type) => {
+      const generator = this.generators[type];
+      return !sync || generator.isSynchronous() || this.codeCache[type].has(generator.getCacheKey(params));
+    };
+    
+    if (decision && this.generators[decision.generator]) {
+      if (runnable(decision.generator)) {
+        return { type: decision.generator, trial: null };
+      }
+      this._compileInBackground(params, decision.generator);
+      return { type: CodeGeneratorType.JAVASCRIPT, trial: null };
+    }
+    
+    let trial = this.trials.get(shapeClass);
+    if (!trial) {
+      trial = { shapeClass, samples: new Map(this.getGeneratorTypes().map((type) => [type, []])) };
+      this.trials.set(shapeClass, trial);
     }
     
-    // Execute the generated code
-    generator.executeCode(generatedCode, dst, src);
+    let chosen = null;
+    const candidates = [...trial.samples].sort(([, a], [, b]) => a.length - b.length);
+    for (const [type] of candidates) {
+      if (runnable(type)) {
+        chosen = chosen || type;
+      } else {
+        this._compileInBackground(params, type, () => {
+          trial.samples.delete(type);
+          this._decide(trial);
+        });
+      }
+    }
+    
+    // Without a generator measured that can run synchronously, the
+    // operation runs unmeasured
+    return chosen ? { type: chosen, trial } : { type: CodeGeneratorType.JAVASCRIPT, trial: null };
+  }
+
+  /**
+   * Executes generated code, timing it while its shape class is measured.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {string} type - The code generator type
+   * @param {Object} generatedCode - The generated code
+   * @param {Object} trial - The trial measuring the shape class, or null
+   * @private
+   */
+  _executeMeasured(params, type, generatedCode, trial) {
+    const generator = this.generators[type];
+    
+    if (!trial) {
+      this._executeCode(generator, generatedCode, params);
+      return;
+    }
+    
+    const start = performance.now();
+    this._executeCode(generator, generatedCode, params);
+    const time = performance.now() - start;
+    
+    // The generator may have been unregistered while its code compiled
+    const samples = trial.samples.get(type);
+    if (samples) {
+      samples.push(time);
+      this._decide(trial);
+    }
+  }
+
+  /**
+   * Chooses the generator for a shape class once every generator has been
+   * measured often enough: the one with the fastest run.
+   * 
+   * @param {Object} trial - The trial measuring the shape class
+   * @private
+   */
+  _decide(trial) {
+    const times = {};
+    
+    for (const [type, samples] of trial.samples) {
+      if (samples.length < this.autoSamples) {
+        return;
+      }
+      times[type] = Math.min(...samples);
+    }
+    
+    const [generator] = Object.keys(times).sort((a, b) => times[a] - times[b]);
+    if (generator) {
+      this.decisions.set(trial.shapeClass, { generator, times });
+    }
+    this.trials.delete(trial.shapeClass);
+  }
+
+  /**
+   * Compiles the code for an operation in the background, once at a time
+   * per generator and cache key.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {string} type - The code generator type
+   * @param {Function} onError - Called if compiling fails (optional)
+   * @private
+   */
+  _compileInBackground(params, type, onError = () => {}) {
+    const key = `${type} ${this.generators[type].getCacheKey(params)}`;
+    
+    if (!this.compiling.has(key)) {
+      this.compiling.add(key);
+      this._precompile(params, type).catch(onError).finally(() => this.compiling.delete(key));
+    }
+  }
+
+  /**
+   * Gets the shape class of an operation for auto mode: the JavaScript
+   * generator's cache key and the number of pixels transferred, rounded up
+   * to a power of two, since which generator is faster depends on both.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @returns {string} - The shape class
+   * @private
+   */
+  _getShapeClass(params) {
+    const generator = this.generators[CodeGeneratorType.JAVASCRIPT];
+    const { width, height } = generator.getRect(params);
+    
+    return `${generator.getCacheKey(params)},${2 ** Math.ceil(Math.log2(width * height))}px`;
+  }
+
+  /**
+   * Generates the code for an operation and caches it, timing the
+   * compilation.
+   * 
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @param {string} type - The code generator type
+   * @param {string} cacheKey - The cache key of the operation
+   * @param {number} uses - Operations the code is generated for (default 1)
+   * @returns {Object|Promise<Object>} - The generated code, or a promise of it from asynchronous generators
+   * @private
+   */
+  _compile(params, type, cacheKey, uses = 1) {
+    const start = performance.now();
+    const cache = (generatedCode) => {
+      this.codeCache[type].set(cacheKey, generatedCode, performance.now() - start, uses);
+      return generatedCode;
+    };
+    
+    const generated = this.generators[type].generateCode(params);
+    return typeof generated.then === 'function' ? generated.then(cache) : cache(generated);
+  }
+
+  /**
+   * Executes generated code on an operation's rectangle.
+   * 
+   * @param {Object} generator - The code generator that generated the code
+   * @param {Object} generatedCode - The generated code
+   * @param {Object} params - Parameters for the BitBLT operation
+   * @private
+   */
+  _executeCode(generator, generatedCode, params) {
+    generator.executeCode(generatedCode, params.dst, params.src, params.pattern, params.mask || null,
+      params.colorMap || null, generator.getRect(params));
   }
 
   /**
@@ -118,11 +1103,12 @@ class JitExecutor {
    * @param {Object} src - Source bitmap
    * @param {number} srcX - X coordinate in source bitmap
    * @param {number} srcY - Y coordinate in source bitmap
-   * @param {number} op - Operation to perform: BitBltOp.COPY, BitBltOp.AND, BitBltOp.OR, BitBltOp.XOR
+   * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+   * @param {Object} options - Additional options (see execute())
    * @returns {Promise<void>}
    */
-  async executeJs(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY) {
-    return this.execute(dst, dstX, dstY, width, height, src, srcX, srcY, op, CodeGeneratorType.JAVASCRIPT);
+  async executeJs(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, options = {}) {
+    return this.execute(dst, dstX, dstY, width, height, src, srcX, srcY, op, CodeGeneratorType.JAVASCRIPT, options);
   }
 
   /**
@@ -136,11 +1122,12 @@ class JitExecutor {
    * @param {Object} src - Source bitmap
    * @param {number} srcX - X coordinate in source bitmap
    * @param {number} srcY - Y coordinate in source bitmap
-   * @param {number} op - Operation to perform: BitBltOp.COPY, BitBltOp.AND, BitBltOp.OR, BitBltOp.XOR
+   * @param {number} op - Operation to perform (from BitBltOp or Rop3 enum)
+   * @param {Object} options - Additional options (see execute())
    * @returns {Promise<void>}
    */
-  async executeWasm(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY) {
-    return this.execute(dst, dstX, dstY, width, height, src, srcX, srcY, op, CodeGeneratorType.WASM);
+  async executeWasm(dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, options = {}) {
+    return this.execute(dst, dstX, dstY, width, height, src, srcX, srcY, op, CodeGeneratorType.WASM, options);
   }
 
   /**
@@ -149,29 +1136,75 @@ class JitExecutor {
    * @param {number} dstX - X coordinate in destination bitmap
    * @param {number} srcX - X coordinate in source bitmap
    * @param {number} width - Width of the rectangle to transfer
+   * @param {number} depth - Bits per pixel (default 1)
    * @returns {boolean} - True if the operation is aligned, false otherwise
    * @private
    */
-  _isAligned(dstX, srcX, width) {
-    return dstX % 32 === 0 && srcX % 32 === 0 && width % 32 === 0;
+  _isAligned(dstX, srcX, width, depth = 1) {
+    return (dstX * depth) % 32 === 0 && (srcX * depth) % 32 === 0 && (width * depth) % 32 === 0;
+  }
+
+  /**
+   * Changes the limits of the code cache, evicting the least recently used
+   * code that no longer fits.
+   * 
+   * @param {Object} limits - The limits to change
+   * @param {number} limits.maxEntries - Maximum number of cached functions (Infinity for no limit)
+   * @param {number} limits.maxBytes - Maximum approximate bytes of generated source and modules (Infinity for no limit)
+   * @param {string} generatorType - The code generator type whose cache to change (default: all)
+   */
+  setCacheLimits(limits, generatorType = null) {
+    for (const cache of this._getCaches(generatorType)) {
+      cache.setLimits(limits);
+    }
+  }
+
+  /**
+   * Gets the statistics of the code cache (see CodeCache.getStats()): hits,
+   * misses, evictions, compile time in milliseconds, and the uses of each
+   * cached key.
+   * 
+   * @param {string} generatorType - The code generator type (default: all, by type)
+   * @returns {Object} - The statistics of that generator's cache, or of each cache by generator type
+   */
+  getCacheStats(generatorType = null) {
+    if (generatorType) {
+      const [cache] = this._getCaches(generatorType);
+      return cache.getStats();
+    }
+    
+    const stats = {};
+    for (const type in this.codeCache) {
+      stats[type] = this.codeCache[type].getStats();
+    }
+    return stats;
+  }
+
+  /**
+   * Gets the code cache of a generator type, or all of them.
+   * 
+   * @param {string} generatorType - The code generator type (optional)
+   * @returns {CodeCache[]} - The caches
+   * @private
+   */
+  _getCaches(generatorType) {
+    if (!generatorType) {
+      return Object.values(this.codeCache);
+    }
+    if (!this.codeCache[generatorType]) {
+      throw new Error(`Unknown code generator type: ${generatorType}`);
+    }
+    return [this.codeCache[generatorType]];
   }
 
   /**
-   * Clears the code cache.
+   * Clears the code cache. Its statistics are kept.
    * 
    * @param {string} generatorType - The code generator type to clear (optional)
    */
   clearCache(generatorType = null) {
-    if (generatorType) {
-      if (!this.codeCache[generatorType]) {
-        throw new Error(`Unknown code generator type: ${generatorType}`);
-      }
-      
-      this.codeCache[generatorType].clear();
-    } else {
-      for (const type in this.codeCache) {
-        this.codeCache[type].clear();
-      }
+    for (const cache of this._getCaches(generatorType)) {
+      cache.clear();
     }
   }
 }
@@ -181,28 +1214,105 @@ const jitExecutor = new JitExecutor();
 
 // Export the singleton instance, types, and convenience functions
 module.exports = {
-  // Singleton instance
+  // Singleton instance, and the class for executors with their own caches
   jitExecutor,
+  JitExecutor,
   
   // Types
   CodeGeneratorType,
+  ExecutionTier,
+  DEFAULT_TIER_THRESHOLDS,
+  AUTO_GENERATOR,
+  
+  // Base class of code generators (see JitExecutor.registerGenerator())
+  CodeGeneratorInterface,
+  
+  // Convenience functions, taking the arguments of bitblt(), maskBlt() and
+  // transparentBlt() in bitblt.js
+  jitBitBlt: async (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.execute(dst, dstX, dstY, width, height, src, srcX, srcY, op, null, { ...options, pattern });
+  },
+  
+  jitBitBltJs: async (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeJs(dst, dstX, dstY, width, height, src, srcX, srcY, op, { ...options, pattern });
+  },
+  
+  jitBitBltWasm: async (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeWasm(dst, dstX, dstY, width, height, src, srcX, srcY, op, { ...options, pattern });
+  },
+  
+  jitBitBltSync: (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeSync(dst, dstX, dstY, width, height, src, srcX, srcY, op, null, { ...options, pattern });
+  },
+  
+  jitBitBltJsSync: (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeSync(dst, dstX, dstY, width, height, src, srcX, srcY, op, CodeGeneratorType.JAVASCRIPT, { ...options, pattern });
+  },
+  
+  jitBitBltWasmSync: (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeSync(dst, dstX, dstY, width, height, src, srcX, srcY, op, CodeGeneratorType.WASM, { ...options, pattern });
+  },
+  
+  jitMaskBlt: async (dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, null, { ...options, pattern });
+  },
+  
+  jitMaskBltJs: async (dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, CodeGeneratorType.JAVASCRIPT, { ...options, pattern });
+  },
+  
+  jitMaskBltWasm: async (dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeMaskBlt(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, CodeGeneratorType.WASM, { ...options, pattern });
+  },
+  
+  jitMaskBltSync: (dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeMaskBltSync(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, null, { ...options, pattern });
+  },
+  
+  jitMaskBltJsSync: (dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeMaskBltSync(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, CodeGeneratorType.JAVASCRIPT, { ...options, pattern });
+  },
+  
+  jitMaskBltWasmSync: (dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeMaskBltSync(dst, dstX, dstY, width, height, src, srcX, srcY, mask, maskX, maskY, op, CodeGeneratorType.WASM, { ...options, pattern });
+  },
+  
+  jitTransparentBlt: async (dst, dstX, dstY, width, height, src, srcX, srcY, key, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeTransparentBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, null, { ...options, pattern });
+  },
+  
+  jitTransparentBltJs: async (dst, dstX, dstY, width, height, src, srcX, srcY, key, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeTransparentBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, CodeGeneratorType.JAVASCRIPT, { ...options, pattern });
+  },
+  
+  jitTransparentBltWasm: async (dst, dstX, dstY, width, height, src, srcX, srcY, key, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeTransparentBlt(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, CodeGeneratorType.WASM, { ...options, pattern });
+  },
+  
+  jitTransparentBltSync: (dst, dstX, dstY, width, height, src, srcX, srcY, key, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeTransparentBltSync(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, null, { ...options, pattern });
+  },
+  
+  jitTransparentBltJsSync: (dst, dstX, dstY, width, height, src, srcX, srcY, key, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeTransparentBltSync(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, CodeGeneratorType.JAVASCRIPT, { ...options, pattern });
+  },
   
-  // Convenience functions
-  jitBitBlt: async (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY) => {
-    return jitExecutor.execute(dst, dstX, dstY, width, height, src, srcX, srcY, op);
+  jitTransparentBltWasmSync: (dst, dstX, dstY, width, height, src, srcX, srcY, key, op = BitBltOp.COPY, pattern = null, options = {}) => {
+    return jitExecutor.executeTransparentBltSync(dst, dstX, dstY, width, height, src, srcX, srcY, key, op, CodeGeneratorType.WASM, { ...options, pattern });
   },
   
-  jitBitBltJs: async (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY) => {
-    return jitExecutor.executeJs(dst, dstX, dstY, width, height, src, srcX, srcY, op);
+  createWasmBitmap: (width, height, options = {}) => {
+    // Bitmaps in WebAssembly memory, which the WebAssembly generator uses in place
+    return jitExecutor.generators[CodeGeneratorType.WASM].createBitmap(width, height, options);
   },
   
-  jitBitBltWasm: async (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY) => {
-    return jitExecutor.executeWasm(dst, dstX, dstY, width, height, src, srcX, srcY, op);
+  freeWasmBitmap: (bitmap) => {
+    return jitExecutor.generators[CodeGeneratorType.WASM].freeBitmap(bitmap);
   },
   
-  jitBitBltAligned: async (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY) => {
+  jitBitBltAligned: async (dst, dstX, dstY, width, height, src, srcX, srcY, op = BitBltOp.COPY, pattern = null, options = {}) => {
     // This function is just for API compatibility with the original jitBitBltAligned
     // The JIT executor automatically detects aligned operations
-    return jitExecutor.execute(dst, dstX, dstY, width, height, src, srcX, srcY, op);
+    return jitExecutor.execute(dst, dstX, dstY, width, height, src, srcX, srcY, op, null, { ...options, pattern });
   }
 };
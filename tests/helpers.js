@@ -0,0 +1,153 @@
+/**
+ * Helpers shared by the test files
+ *
+ * Deterministic random numbers and bitmaps, copying and comparing bitmaps,
+ * and checking the errors functions throw.
+ */
+
+const { createBitmap, setPixel, getPixel } = require("../src/bitblt");
+
+/**
+ * Small deterministic pseudo-random number generator.
+ *
+ * @param {number} seed - Initial seed
+ * @returns {Function} - Returns an integer in [0, n) for each call with n
+ */
+function createRandom(seed) {
+  let state = seed;
+  return (n) => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state % n;
+  };
+}
+
+/**
+ * Picks a random pixel value of the given depth, covering all 32 bits of
+ * 32 bpp pixels.
+ *
+ * @param {number} depth - Bits per pixel
+ * @param {Function} random - Random number generator
+ * @returns {number} - The pixel value
+ */
+function randomValue(depth, random) {
+  if (depth === 32) {
+    return (random(0x10000) * 0x10000 + random(0x10000)) >>> 0;
+  }
+  return random(2 ** depth);
+}
+
+/**
+ * Creates a bitmap filled with random pixels.
+ *
+ * @param {number} width - Width of the bitmap
+ * @param {number} height - Height of the bitmap
+ * @param {number} depth - Bits per pixel
+ * @param {string} bitOrder - Bit order (from BitOrder enum)
+ * @param {Function} random - Random number generator
+ * @param {Function} pickValue - Picks each pixel value from the depth and random (randomValue() by default)
+ * @returns {Object} - The new bitmap
+ */
+function createRandomBitmap(
+  width,
+  height,
+  depth,
+  bitOrder,
+  random,
+  pickValue = randomValue
+) {
+  const bitmap = createBitmap(width, height, { depth, bitOrder });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      setPixel(bitmap, x, y, pickValue(depth, random));
+    }
+  }
+  return bitmap;
+}
+
+/**
+ * Creates a bitmap with a regular pattern of pixels set.
+ *
+ * @param {number} width - Width of the bitmap
+ * @param {number} height - Height of the bitmap
+ * @param {number} depth - Bits per pixel
+ * @param {number} seed - Varies the pattern
+ * @returns {Object} - The new bitmap
+ */
+function createTestBitmap(width, height, depth, seed) {
+  const bitmap = createBitmap(width, height, { depth });
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      setPixel(bitmap, x, y, ((x * 7 + y * 13 + seed) >> 2) % 2 ** depth);
+    }
+  }
+  return bitmap;
+}
+
+/**
+ * Copies the pixels of a bitmap or view into a new bitmap of the same depth
+ * and bit order.
+ *
+ * @param {Object} bitmap - The bitmap to copy
+ * @returns {Object} - The copy
+ */
+function cloneBitmap(bitmap) {
+  const copy = createBitmap(bitmap.width, bitmap.height, {
+    depth: bitmap.depth,
+    bitOrder: bitmap.bitOrder,
+  });
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      setPixel(copy, x, y, getPixel(bitmap, x, y));
+    }
+  }
+  return copy;
+}
+
+/**
+ * Compares the pixels of two bitmaps and returns true if they are identical.
+ *
+ * @param {Object} bitmap1 - First bitmap to compare
+ * @param {Object} bitmap2 - Second bitmap to compare
+ * @returns {boolean} - True if bitmaps are identical, false otherwise
+ */
+function compareBitmaps(bitmap1, bitmap2) {
+  if (bitmap1.width !== bitmap2.width || bitmap1.height !== bitmap2.height) {
+    return false;
+  }
+
+  for (let y = 0; y < bitmap1.height; y++) {
+    for (let x = 0; x < bitmap1.width; x++) {
+      if (getPixel(bitmap1, x, y) !== getPixel(bitmap2, x, y)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Checks whether a function throws an error whose message contains a string.
+ *
+ * @param {Function} fn - The function
+ * @param {string} message - Part of the expected message
+ * @returns {boolean} - True if it throws such an error
+ */
+function throwsWith(fn, message) {
+  try {
+    fn();
+  } catch (e) {
+    return e.message.includes(message);
+  }
+  return false;
+}
+
+module.exports = {
+  createRandom,
+  randomValue,
+  createRandomBitmap,
+  createTestBitmap,
+  cloneBitmap,
+  compareBitmaps,
+  throwsWith,
+};
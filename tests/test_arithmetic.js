@@ -0,0 +1,459 @@
+/**
+ * Test file for the arithmetic combination rules
+ *
+ * Runs ADD, SUBTRACT, MAX, MIN, AVERAGE and PAINT at every depth through
+ * every implementation, for aligned and unaligned transfers, masked
+ * transfers and fills, and compares each result with the rule applied to
+ * each pixel as a plain number. Also checks that the rules reduce to Boolean
+ * rules on 1-bit pixels.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  BitOrder,
+
+  // Functions
+  getTruthTable,
+  usesPattern,
+  isArithmeticOp,
+  applyOp,
+  createBitmap,
+  setPixel,
+  getPixel,
+  bitblt,
+  bitbltAligned,
+  maskBlt,
+  fillRect,
+  fillRectAligned,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const {
+  jitExecutor,
+  jitBitBltJs,
+  jitBitBltWasm,
+  jitMaskBltJs,
+  jitMaskBltWasm,
+} = require("../src/jit_executor");
+
+const {
+  createRandom,
+  randomValue,
+  createRandomBitmap,
+  cloneBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+const DEPTHS = [1, 2, 4, 8, 16, 32];
+
+// Each arithmetic rule on single pixel values, with the largest pixel value
+const RULES = {
+  ADD: (s, d, max) => Math.min(s + d, max),
+  SUBTRACT: (s, d) => Math.max(d - s, 0),
+  MAX: (s, d) => Math.max(s, d),
+  MIN: (s, d) => Math.min(s, d),
+  AVERAGE: (s, d) => Math.floor((s + d) / 2),
+  PAINT: (s, d) => (s !== 0 ? s : d),
+};
+
+/**
+ * Picks a random pixel value of the given depth, favouring 0 and the
+ * largest value so that saturation and transparency are exercised.
+ *
+ * @param {number} depth - Bits per pixel
+ * @param {Function} random - Random number generator
+ * @returns {number} - The pixel value
+ */
+function randomOperand(depth, random) {
+  switch (random(4)) {
+    case 0:
+      return 0;
+    case 1:
+      return 2 ** depth - 1;
+    default:
+      return randomValue(depth, random);
+  }
+}
+
+/**
+ * Applies a transfer pixel by pixel to a copy of the destination. The
+ * rectangle is assumed to lie inside both bitmaps.
+ *
+ * @param {Object} dst - Destination bitmap (before the transfer)
+ * @param {Object} src - Source bitmap
+ * @param {Object} mask - 1-bit mask bitmap, or null
+ * @param {Object} r - Rectangle and rule name of the transfer
+ * @returns {Object} - The expected destination bitmap
+ */
+function expectedResult(dst, src, mask, r) {
+  const expected = cloneBitmap(dst);
+  const max = 2 ** dst.depth - 1;
+
+  for (let y = 0; y < r.height; y++) {
+    for (let x = 0; x < r.width; x++) {
+      if (mask && !getPixel(mask, r.srcX + x, r.srcY + y)) {
+        continue;
+      }
+      const dstX = r.dstX + x;
+      const dstY = r.dstY + y;
+      const s = getPixel(src, r.srcX + x, r.srcY + y);
+      const d = getPixel(dst, dstX, dstY);
+      setPixel(expected, dstX, dstY, RULES[r.rule](s, d, max));
+    }
+  }
+
+  return expected;
+}
+
+// The transfers under test, each called with an optional mask;
+// implementations are only given the arguments they support
+const implementations = [
+  {
+    name: "bitblt",
+    masks: true,
+    run: (dst, src, mask, r, op) =>
+      mask
+        ? maskBlt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            op
+          )
+        : bitblt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            op
+          ),
+  },
+  {
+    name: "bitbltAligned",
+    masks: false,
+    run: (dst, src, mask, r, op) =>
+      bitbltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        op
+      ),
+  },
+  {
+    name: "jit_compiler",
+    masks: false,
+    run: (dst, src, mask, r, op) =>
+      jitBitBlt(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        op
+      ),
+  },
+  {
+    name: "jit_compiler aligned",
+    masks: false,
+    run: (dst, src, mask, r, op) =>
+      jitBitBltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        op
+      ),
+  },
+  {
+    name: "JavaScript generator",
+    masks: true,
+    run: (dst, src, mask, r, op) =>
+      mask
+        ? jitMaskBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            op
+          )
+        : jitBitBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            op
+          ),
+  },
+  {
+    name: "WebAssembly generator",
+    masks: true,
+    run: (dst, src, mask, r, op) =>
+      mask
+        ? jitMaskBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            op
+          )
+        : jitBitBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            op
+          ),
+  },
+];
+
+const orders = [BitOrder.MSB_FIRST, BitOrder.LSB_FIRST];
+
+async function runTests() {
+  console.log("Testing arithmetic combination rules...\n");
+
+  const random = createRandom(13);
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const depth of DEPTHS) {
+    const pixelsPerWord = 32 / depth;
+
+    for (const impl of implementations) {
+      const description = `${impl.name} at ${depth} bpp`;
+      let passed = true;
+
+      for (const rule of Object.keys(RULES)) {
+        for (let n = 0; n < 4; n++) {
+          totalTests++;
+
+          const aligned = n % 2 === 0;
+          const withMask = impl.masks && n === 3;
+          const srcOrder = orders[random(2)];
+          const dstOrder = orders[random(2)];
+
+          const src = createRandomBitmap(
+            40,
+            5,
+            depth,
+            srcOrder,
+            random,
+            randomOperand
+          );
+          const dst = createRandomBitmap(
+            48,
+            5,
+            depth,
+            dstOrder,
+            random,
+            randomOperand
+          );
+          const mask = withMask
+            ? createRandomBitmap(
+                40,
+                5,
+                1,
+                orders[random(2)],
+                random,
+                randomOperand
+              )
+            : null;
+
+          // Aligned rectangles start and end on word boundaries
+          const unit = aligned ? pixelsPerWord : 1;
+          const width = unit * (1 + random(Math.floor(32 / unit)));
+          const r = {
+            dstX: unit * random(Math.floor((48 - width) / unit) + 1),
+            dstY: random(3),
+            srcX: unit * random(Math.floor((40 - width) / unit) + 1),
+            srcY: random(3),
+            width,
+            height: 1 + random(2),
+            rule,
+          };
+
+          const expected = expectedResult(dst, src, mask, r);
+
+          await impl.run(dst, src, mask, r, BitBltOp[rule]);
+
+          if (compareBitmaps(dst, expected)) {
+            passedTests++;
+          } else {
+            passed = false;
+            console.log(
+              `❌ FAIL: ${description} from ${srcOrder} to ${dstOrder}${
+                mask ? " through a mask" : ""
+              } with ${JSON.stringify(r)}`
+            );
+            console.log("\nActual:");
+            console.log(bitmapToString(dst));
+            console.log("Expected:");
+            console.log(bitmapToString(expected));
+          }
+        }
+      }
+
+      if (passed) {
+        console.log(`✅ PASS: ${description}`);
+      }
+    }
+
+    // Fills combine a pixel value with the destination
+    for (const [name, fill] of [
+      ["fillRect", fillRect],
+      ["fillRectAligned", fillRectAligned],
+    ]) {
+      totalTests++;
+      let passed = true;
+
+      for (const rule of Object.keys(RULES)) {
+        const bitmap = createRandomBitmap(
+          40,
+          4,
+          depth,
+          orders[random(2)],
+          random,
+          randomOperand
+        );
+        const unit = random(2) === 0 ? pixelsPerWord : 1;
+        const x = unit * random(Math.floor(20 / unit));
+        const width = unit * (1 + random(Math.floor(20 / unit)));
+        const value = randomOperand(depth, random);
+
+        const expected = cloneBitmap(bitmap);
+        for (let j = 1; j < 3; j++) {
+          for (let i = x; i < x + width; i++) {
+            const d = getPixel(bitmap, i, j);
+            setPixel(expected, i, j, RULES[rule](value, d, 2 ** depth - 1));
+          }
+        }
+
+        fill(bitmap, x, 1, width, 2, value, BitBltOp[rule]);
+        passed = passed && compareBitmaps(bitmap, expected);
+      }
+
+      if (passed) {
+        passedTests++;
+        console.log(`✅ PASS: ${name} at ${depth} bpp`);
+      } else {
+        console.log(`❌ FAIL: ${name} at ${depth} bpp`);
+      }
+    }
+  }
+
+  // On 1-bit pixels the rules reduce to Boolean rules
+  for (const [rule, booleanOp] of [
+    ["ADD", BitBltOp.OR],
+    ["SUBTRACT", BitBltOp.AND_INVERTED],
+    ["MAX", BitBltOp.OR],
+    ["MIN", BitBltOp.AND],
+    ["AVERAGE", BitBltOp.AND],
+    ["PAINT", BitBltOp.OR],
+  ]) {
+    totalTests++;
+    const s = 0x0ff0f00f;
+    const d = 0x3c3c3c3c;
+    const actual = applyOp(BitBltOp[rule], s, d, 0, 1) >>> 0;
+    const expected = applyOp(booleanOp, s, d) >>> 0;
+    if (actual === expected) {
+      passedTests++;
+      console.log(`✅ PASS: ${rule} on 1-bit pixels`);
+    } else {
+      console.log(`❌ FAIL: ${rule} on 1-bit pixels`);
+    }
+  }
+
+  // Aligned transfers run word-parallel code from the JavaScript generator
+  totalTests++;
+  jitExecutor.clearCache();
+  {
+    const src = createBitmap(32, 2, { depth: 8 });
+    const dst = createBitmap(32, 2, { depth: 8 });
+    await jitBitBltJs(dst, 4, 0, 16, 2, src, 8, 0, BitBltOp.ADD);
+    const [generatedCode] = jitExecutor.codeCache.javascript.values();
+    if (generatedCode.aligned && generatedCode.code.includes("0x80808080")) {
+      passedTests++;
+      console.log("✅ PASS: aligned arithmetic code works a word at a time");
+    } else {
+      console.log("❌ FAIL: aligned arithmetic code works a word at a time");
+    }
+  }
+
+  // Arithmetic rules are not Boolean and never read a pattern
+  totalTests++;
+  const arithmetic = Object.keys(RULES).map((rule) => BitBltOp[rule]);
+  let throwsForAll = true;
+  for (const op of arithmetic) {
+    try {
+      getTruthTable(op);
+      throwsForAll = false;
+    } catch (error) {
+      // Expected
+    }
+  }
+  if (
+    throwsForAll &&
+    arithmetic.every((op) => isArithmeticOp(op) && !usesPattern(op)) &&
+    !isArithmeticOp(BitBltOp.COPY)
+  ) {
+    passedTests++;
+    console.log("✅ PASS: arithmetic rules have no truth table or pattern");
+  } else {
+    console.log("❌ FAIL: arithmetic rules have no truth table or pattern");
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,268 @@
+/**
+ * Test file for automatic code generator selection
+ *
+ * Runs shapes of operation with the default generator set to "auto" and
+ * checks that each generator is measured on the first runs of a shape
+ * class, that the fastest one is used afterwards, and that the decision
+ * table can be exported and imported as JSON.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+
+  // Functions
+  bitblt,
+} = require("../src/bitblt");
+
+const {
+  JitExecutor,
+  CodeGeneratorType,
+  CodeGeneratorInterface,
+  AUTO_GENERATOR,
+} = require("../src/jit_executor");
+
+const JavaScriptGenerator = require("../src/code_generators/js_generator");
+
+const { createTestBitmap, compareBitmaps, throwsWith } = require("./helpers");
+
+/**
+ * A generator whose code takes at least two milliseconds to run, so that
+ * it never wins, counting how often its code runs.
+ */
+class SlowGenerator extends CodeGeneratorInterface {
+  constructor() {
+    super();
+    this.backend = new JavaScriptGenerator();
+    this.executed = 0;
+  }
+
+  generateCode(params) {
+    return this.backend.generateCode(params);
+  }
+
+  executeCode(generatedCode, dst, src, pattern, mask, colorMap, rect) {
+    this.executed++;
+    const end = performance.now() + 2;
+    while (performance.now() < end) {
+      // Wait
+    }
+    this.backend.executeCode(
+      generatedCode,
+      dst,
+      src,
+      pattern,
+      mask,
+      colorMap,
+      rect
+    );
+  }
+}
+
+/**
+ * Creates an executor in auto mode with the slow generator registered.
+ *
+ * @param {number} samples - Runs of each generator to measure
+ * @returns {Object} - The executor and the slow generator
+ */
+function createAutoExecutor(samples) {
+  const executor = new JitExecutor();
+  const slow = new SlowGenerator();
+  executor.registerGenerator("slow", slow);
+  executor.setDefaultGenerator(AUTO_GENERATOR, { samples });
+  return { executor, slow };
+}
+
+async function runTests() {
+  console.log("Testing automatic code generator selection...\n");
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  const src = createTestBitmap(128, 32, 1, 1);
+  const dst = createTestBitmap(128, 32, 1, 2);
+  const expected = createTestBitmap(128, 32, 1, 2);
+  const run = async (executor, x) => {
+    bitblt(expected, x, 2, 48, 10, src, 5, 1, BitBltOp.XOR);
+    await executor.execute(dst, x, 2, 48, 10, src, 5, 1, BitBltOp.XOR);
+  };
+  const decisionsOf = (executor) =>
+    JSON.parse(executor.exportGeneratorDecisions()).decisions;
+
+  check(
+    "invalid sample counts and the reserved name are rejected",
+    throwsWith(
+      () =>
+        new JitExecutor().setDefaultGenerator(AUTO_GENERATOR, { samples: 0 }),
+      "Invalid number of samples"
+    ) &&
+      throwsWith(
+        () =>
+          new JitExecutor().registerGenerator(
+            AUTO_GENERATOR,
+            new SlowGenerator()
+          ),
+        "reserved"
+      )
+  );
+
+  // Each generator is measured twice, then the fastest is used
+  const { executor, slow } = createAutoExecutor(2);
+  let matches = true;
+  for (let i = 0; i < 6; i++) {
+    await run(executor, 1 + i);
+    matches = matches && compareBitmaps(dst, expected);
+    if (i === 4) {
+      check(
+        "no generator is chosen while the shape class is measured",
+        Object.keys(decisionsOf(executor)).length === 0
+      );
+    }
+  }
+  const decisions = decisionsOf(executor);
+  const [shapeClass] = Object.keys(decisions);
+  const decision = decisions[shapeClass];
+  check("measured runs match bitblt", matches);
+  check(
+    "every generator runs its share of the measured runs",
+    slow.executed === 2 &&
+      executor.getCacheStats(CodeGeneratorType.JAVASCRIPT).keys[0].uses === 2 &&
+      executor.getCacheStats(CodeGeneratorType.WASM).keys[0].uses === 2
+  );
+  check(
+    "the fastest generator is chosen for the shape class",
+    Object.keys(decisions).length === 1 &&
+      decision.generator !== "slow" &&
+      decision.times.slow >= 2 &&
+      Object.values(decision.times).every(
+        (time) => time >= decision.times[decision.generator]
+      )
+  );
+
+  matches = true;
+  for (let i = 0; i < 3; i++) {
+    await run(executor, 2 + i);
+    matches = matches && compareBitmaps(dst, expected);
+  }
+  check(
+    "later runs use the chosen generator only",
+    matches &&
+      slow.executed === 2 &&
+      executor.getCacheStats(decision.generator).keys[0].uses === 5
+  );
+
+  bitblt(expected, 0, 0, 120, 30, src, 1, 1, BitBltOp.XOR);
+  await executor.execute(dst, 0, 0, 120, 30, src, 1, 1, BitBltOp.XOR);
+  check(
+    "larger operations of the same shape are measured apart",
+    compareBitmaps(dst, expected) &&
+      Object.keys(decisionsOf(executor)).length === 1 &&
+      slow.executed === 2
+  );
+
+  // Decisions saved by one run can be loaded by the next
+  const table = executor.exportGeneratorDecisions();
+  const next = createAutoExecutor(2);
+  check(
+    "the decision table round-trips as JSON",
+    next.executor.importGeneratorDecisions(table) === 1 &&
+      next.executor.exportGeneratorDecisions() === table
+  );
+  await run(next.executor, 3);
+  check(
+    "imported decisions are used without measuring",
+    compareBitmaps(dst, expected) &&
+      next.slow.executed === 0 &&
+      next.executor.getCacheStats(decision.generator).entries === 1 &&
+      Object.keys(next.executor.getCacheStats()).every(
+        (type) =>
+          type === decision.generator ||
+          next.executor.getCacheStats(type).entries === 0
+      )
+  );
+  check(
+    "invalid decision tables are rejected",
+    throwsWith(
+      () => next.executor.importGeneratorDecisions({ version: 2 }),
+      "Invalid generator decisions"
+    ) &&
+      throwsWith(
+        () =>
+          next.executor.importGeneratorDecisions({
+            version: 1,
+            decisions: { [shapeClass]: { times: {} } },
+          }),
+        "Invalid generator decision"
+      )
+  );
+
+  // Unregistering a chosen generator sends its shape classes back to measuring
+  next.executor.importGeneratorDecisions({
+    version: 1,
+    decisions: { [shapeClass]: { generator: "slow" } },
+  });
+  next.executor.unregisterGenerator("slow");
+  check(
+    "decisions for unregistered generators are dropped",
+    Object.keys(decisionsOf(next.executor)).length === 0
+  );
+  check(
+    "clearing forgets every decision",
+    (() => {
+      executor.clearGeneratorDecisions();
+      return Object.keys(decisionsOf(executor)).length === 0;
+    })()
+  );
+
+  // Compiling ahead of time in auto mode
+  const ahead = new JitExecutor();
+  ahead.setDefaultGenerator(AUTO_GENERATOR);
+  const code = await ahead.precompile({ dst, width: 40, height: 4, src });
+  check(
+    "precompiling a shape class still to be measured compiles every generator",
+    code.type === CodeGeneratorType.JAVASCRIPT &&
+      ahead.getCacheStats(CodeGeneratorType.JAVASCRIPT).entries === 1 &&
+      ahead.getCacheStats(CodeGeneratorType.WASM).entries === 1
+  );
+
+  // Synchronous operations measure other generators while code compiles
+  const sync = new JitExecutor();
+  sync.setDefaultGenerator(AUTO_GENERATOR, { samples: 1 });
+  const runSync = (x) => {
+    bitblt(expected, x, 4, 33, 7, src, 2, 0, BitBltOp.OR);
+    sync.executeSync(dst, x, 4, 33, 7, src, 2, 0, BitBltOp.OR);
+  };
+  runSync(1);
+  const measured = Object.keys(decisionsOf(sync)).length;
+  for (
+    let i = 0;
+    i < 100 && sync.getCacheStats(CodeGeneratorType.WASM).entries === 0;
+    i++
+  ) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  runSync(2);
+  check(
+    "synchronous operations measure a generator once its code is compiled",
+    measured === 0 &&
+      Object.keys(decisionsOf(sync)).length === 1 &&
+      compareBitmaps(dst, expected)
+  );
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,464 @@
+/**
+ * Test file for MSB-first and LSB-first bitmaps
+ *
+ * Runs random transfers, masked transfers and fills between bitmaps of every
+ * combination of bit orders through every implementation, and compares each
+ * result with the operation applied pixel by pixel through getPixel/setPixel.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+  BitOrder,
+
+  // Functions
+  applyOp,
+  createBitmap,
+  wrapBitmap,
+  createSubBitmap,
+  reverseBits,
+  setPixel,
+  getPixel,
+  getPatternPixel,
+  bitblt,
+  bitbltAligned,
+  maskBlt,
+  fillRect,
+  fillRectAligned,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const {
+  jitBitBltJs,
+  jitBitBltWasm,
+  jitMaskBltJs,
+  jitMaskBltWasm,
+} = require("../src/jit_executor");
+
+const {
+  createRandom,
+  createRandomBitmap,
+  cloneBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+/**
+ * Applies a transfer pixel by pixel to a copy of the destination. The
+ * rectangle is assumed to lie inside both bitmaps.
+ *
+ * @param {Object} dst - Destination bitmap (before the transfer)
+ * @param {Object} src - Source bitmap
+ * @param {Object} mask - Mask bitmap, or null
+ * @param {Object} pattern - Pattern bitmap, or null
+ * @param {Object} r - Rectangle and operation of the transfer
+ * @returns {Object} - The expected destination bitmap
+ */
+function expectedResult(dst, src, mask, pattern, r) {
+  const expected = cloneBitmap(dst);
+
+  for (let y = 0; y < r.height; y++) {
+    for (let x = 0; x < r.width; x++) {
+      if (mask && !getPixel(mask, r.srcX + x, r.srcY + y)) {
+        continue;
+      }
+      const dstX = r.dstX + x;
+      const dstY = r.dstY + y;
+      const s = getPixel(src, r.srcX + x, r.srcY + y);
+      const d = getPixel(dst, dstX, dstY);
+      const p = pattern ? getPatternPixel(pattern, dstX, dstY) : 0;
+      setPixel(expected, dstX, dstY, applyOp(r.op, s, d, p) & 1);
+    }
+  }
+
+  return expected;
+}
+
+// The transfers under test, each called with an optional mask and pattern;
+// implementations are only given the arguments they support
+const implementations = [
+  {
+    name: "bitblt",
+    masks: true,
+    patterns: true,
+    run: (dst, src, mask, pattern, r) =>
+      mask
+        ? maskBlt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          )
+        : bitblt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          ),
+  },
+  {
+    name: "bitbltAligned",
+    masks: false,
+    patterns: true,
+    run: (dst, src, mask, pattern, r) =>
+      bitbltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op,
+        pattern
+      ),
+  },
+  {
+    name: "jit_compiler",
+    masks: false,
+    patterns: false,
+    run: (dst, src, mask, pattern, r) =>
+      jitBitBlt(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "jit_compiler aligned",
+    masks: false,
+    patterns: false,
+    run: (dst, src, mask, pattern, r) =>
+      jitBitBltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "JavaScript generator",
+    masks: true,
+    patterns: true,
+    run: (dst, src, mask, pattern, r) =>
+      mask
+        ? jitMaskBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          )
+        : jitBitBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          ),
+  },
+  {
+    name: "WebAssembly generator",
+    masks: true,
+    patterns: true,
+    run: (dst, src, mask, pattern, r) =>
+      mask
+        ? jitMaskBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          )
+        : jitBitBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          ),
+  },
+];
+
+const orders = [BitOrder.MSB_FIRST, BitOrder.LSB_FIRST];
+
+async function runTests() {
+  console.log("Testing MSB-first and LSB-first bitmaps...\n");
+
+  const random = createRandom(23);
+  const ops = [BitBltOp.COPY, BitBltOp.AND_INVERTED, BitBltOp.XOR];
+  const patternOps = [Rop3.PATINVERT, Rop3.DSPDxax];
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const impl of implementations) {
+    for (const srcOrder of orders) {
+      for (const dstOrder of orders) {
+        const description = `${impl.name} from ${srcOrder} to ${dstOrder}`;
+        let passed = true;
+
+        for (let n = 0; n < 24; n++) {
+          totalTests++;
+
+          const aligned = n % 2 === 0;
+          const withMask = impl.masks && n % 3 === 0;
+          const withPattern = impl.patterns && n % 4 === 1;
+          const maskOrder = orders[random(2)];
+
+          const src = createRandomBitmap(96, 10, 1, srcOrder, random);
+          const dst = createRandomBitmap(128, 10, 1, dstOrder, random);
+          const mask = withMask
+            ? createRandomBitmap(96, 10, 1, maskOrder, random)
+            : null;
+          const pattern = withPattern
+            ? createRandomBitmap(8, 8, 1, orders[random(2)], random)
+            : null;
+
+          const width = aligned ? 32 * (1 + random(2)) : 1 + random(64);
+          const r = {
+            dstX: aligned ? 32 * random(3) : random(128 - width),
+            dstY: random(5),
+            srcX: aligned
+              ? 32 * random(96 / 32 - width / 32 + 1)
+              : random(96 - width),
+            srcY: random(5),
+            width,
+            height: 1 + random(5),
+            op: withPattern
+              ? patternOps[random(patternOps.length)]
+              : ops[random(ops.length)],
+          };
+
+          const expected = expectedResult(dst, src, mask, pattern, r);
+
+          await impl.run(dst, src, mask, pattern, r);
+
+          if (compareBitmaps(dst, expected)) {
+            passedTests++;
+          } else {
+            passed = false;
+            const maskNote = mask ? ` through a ${maskOrder} mask` : "";
+            console.log(
+              `❌ FAIL: ${description}${maskNote} with ${JSON.stringify(r)}`
+            );
+            console.log("\nActual:");
+            console.log(bitmapToString(dst));
+            console.log("Expected:");
+            console.log(bitmapToString(expected));
+          }
+        }
+
+        if (passed) {
+          console.log(`✅ PASS: ${description}`);
+        }
+      }
+    }
+  }
+
+  // Overlapping transfers within one LSB-first bitmap, in every direction
+  for (const impl of implementations) {
+    totalTests++;
+    let passed = true;
+
+    for (const [dx, dy] of [
+      [5, 0],
+      [-7, 0],
+      [3, 2],
+      [-3, -2],
+    ]) {
+      const bitmap = createRandomBitmap(100, 12, 1, BitOrder.LSB_FIRST, random);
+      const r = {
+        srcX: 10,
+        srcY: 3,
+        dstX: 10 + dx,
+        dstY: 3 + dy,
+        width: 70,
+        height: 6,
+        op: BitBltOp.COPY,
+      };
+      const expected = expectedResult(
+        bitmap,
+        cloneBitmap(bitmap),
+        null,
+        null,
+        r
+      );
+
+      await impl.run(bitmap, bitmap, null, null, r);
+
+      passed = passed && compareBitmaps(bitmap, expected);
+    }
+
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${impl.name} overlapping LSB-first transfers`);
+    } else {
+      console.log(`❌ FAIL: ${impl.name} overlapping LSB-first transfers`);
+    }
+  }
+
+  // Fills at any alignment, including sub-bitmaps of an LSB-first parent
+  for (const [name, fill] of [
+    ["fillRect", fillRect],
+    ["fillRectAligned", fillRectAligned],
+  ]) {
+    totalTests++;
+    let passed = true;
+
+    for (let n = 0; n < 40; n++) {
+      const parent = createRandomBitmap(120, 8, 1, BitOrder.LSB_FIRST, random);
+      const bitmap =
+        n % 2 === 0
+          ? parent
+          : createSubBitmap(parent, 3 + random(20), 1, 90, 6);
+      const aligned = n % 4 < 2;
+      const x = aligned ? 32 * random(2) : random(bitmap.width);
+      const y = random(bitmap.height);
+      const width = aligned ? 32 : 1 + random(bitmap.width - x);
+      const height = 1 + random(bitmap.height - y);
+      const op = ops[random(ops.length)];
+
+      const expected = cloneBitmap(bitmap);
+      for (let j = y; j < Math.min(y + height, bitmap.height); j++) {
+        for (let i = x; i < Math.min(x + width, bitmap.width); i++) {
+          const d = getPixel(bitmap, i, j);
+          setPixel(expected, i, j, applyOp(op, 1, d, 0) & 1);
+        }
+      }
+
+      fill(bitmap, x, y, width, height, 1, op);
+      passed = passed && compareBitmaps(bitmap, expected);
+    }
+
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${name} on LSB-first bitmaps`);
+    } else {
+      console.log(`❌ FAIL: ${name} on LSB-first bitmaps`);
+    }
+  }
+
+  // An XBM image stores the leftmost pixel in the least significant bit
+  totalTests++;
+  const xbm = wrapBitmap(new Uint32Array([0x00000005, 0x80000000]), 32, 2, 1, {
+    bitOrder: BitOrder.LSB_FIRST,
+  });
+  const screen = createBitmap(32, 2);
+  bitblt(screen, 0, 0, 32, 2, xbm, 0, 0);
+  if (
+    getPixel(xbm, 0, 0) === 1 &&
+    getPixel(xbm, 1, 0) === 0 &&
+    getPixel(xbm, 2, 0) === 1 &&
+    getPixel(xbm, 31, 1) === 1 &&
+    screen.data[0] === 0xa0000000 &&
+    screen.data[1] === 0x00000001
+  ) {
+    passedTests++;
+    console.log("✅ PASS: LSB-first words convert to MSB-first");
+  } else {
+    console.log("❌ FAIL: LSB-first words convert to MSB-first");
+  }
+
+  totalTests++;
+  if (
+    reverseBits(0x00000001) === 0x80000000 &&
+    reverseBits(0x12345678) === 0x1e6a2c48 &&
+    reverseBits(reverseBits(0xdeadbeef)) === 0xdeadbeef
+  ) {
+    passedTests++;
+    console.log("✅ PASS: reverseBits");
+  } else {
+    console.log("❌ FAIL: reverseBits");
+  }
+
+  totalTests++;
+  const defaults = createBitmap(8, 8);
+  const child = createSubBitmap(
+    createBitmap(64, 8, { bitOrder: BitOrder.LSB_FIRST }),
+    4,
+    4,
+    8,
+    4
+  );
+  if (
+    defaults.bitOrder === BitOrder.MSB_FIRST &&
+    child.bitOrder === BitOrder.LSB_FIRST
+  ) {
+    passedTests++;
+    console.log("✅ PASS: bitmaps default to MSB-first and views inherit");
+  } else {
+    console.log("❌ FAIL: bitmaps default to MSB-first and views inherit");
+  }
+
+  totalTests++;
+  try {
+    createBitmap(8, 8, { bitOrder: "middle" });
+    console.log("❌ FAIL: an unknown bit order should throw");
+  } catch (error) {
+    passedTests++;
+    console.log("✅ PASS: an unknown bit order throws");
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,567 @@
+/**
+ * Test file for alpha-blended 32-bit ARGB transfers
+ *
+ * Runs source-over blends with straight and premultiplied alpha, and blends
+ * with constant alphas, through every implementation, with and without clip
+ * rectangles and masks, and compares each result with the blend worked out
+ * channel by channel. Also checks overlapping blends, translucent fills,
+ * the specialized JavaScript generator code and the errors for blends into
+ * bitmaps that are not 32-bit.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  BitOrder,
+
+  // Functions
+  blendConstant,
+  isBlendOp,
+  argb,
+  createBitmap,
+  setPixel,
+  getPixel,
+  bitblt,
+  bitbltAligned,
+  maskBlt,
+  fillRect,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const {
+  jitExecutor,
+  jitBitBltJs,
+  jitBitBltWasm,
+  jitMaskBltJs,
+  jitMaskBltWasm,
+} = require("../src/jit_executor");
+
+const { createRandom, createRandomBitmap, cloneBitmap } = require("./helpers");
+
+/**
+ * Picks a random ARGB pixel, favouring fully transparent and fully opaque
+ * alphas. Premultiplied pixels have no channel above their alpha.
+ *
+ * @param {Function} random - Random number generator
+ * @param {boolean} premultiplied - Whether to premultiply the colors
+ * @returns {number} - The pixel
+ */
+function randomPixel(random, premultiplied = false) {
+  const alpha = [0, 255, random(256)][random(3)];
+  const channel = () =>
+    premultiplied ? Math.floor((random(256) * alpha) / 255) : random(256);
+  return argb(alpha, channel(), channel(), channel());
+}
+
+/**
+ * Creates a 32-bit bitmap filled with random ARGB pixels.
+ *
+ * @param {number} width - Width of the bitmap
+ * @param {number} height - Height of the bitmap
+ * @param {Function} random - Random number generator
+ * @param {boolean} premultiplied - Whether to premultiply the colors
+ * @returns {Object} - The new bitmap
+ */
+function createArgbBitmap(width, height, random, premultiplied = false) {
+  return createRandomBitmap(width, height, 32, BitOrder.MSB_FIRST, random, () =>
+    randomPixel(random, premultiplied)
+  );
+}
+
+/**
+ * Finds the first pixel at which two bitmaps differ.
+ *
+ * @param {Object} bitmap1 - First bitmap to compare
+ * @param {Object} bitmap2 - Second bitmap to compare
+ * @returns {string|null} - Description of the difference, or null if identical
+ */
+function findDifference(bitmap1, bitmap2) {
+  for (let y = 0; y < bitmap1.height; y++) {
+    for (let x = 0; x < bitmap1.width; x++) {
+      const pixel1 = getPixel(bitmap1, x, y);
+      const pixel2 = getPixel(bitmap2, x, y);
+      if (pixel1 !== pixel2) {
+        return `(${x}, ${y}): ${pixel1.toString(
+          16
+        )} instead of ${pixel2.toString(16)}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Blends one pixel channel by channel, as the blend modes are documented.
+ *
+ * @param {number} op - Blend operation
+ * @param {number} src - Source pixel
+ * @param {number} dst - Destination pixel
+ * @returns {number} - The blended pixel
+ */
+function blend(op, src, dst) {
+  const channel = (pixel, shift) => (pixel >>> shift) & 0xff;
+  const srcAlpha = channel(src, 24);
+  let result = 0;
+
+  for (const shift of [0, 8, 16, 24]) {
+    const s = channel(src, shift);
+    const d = channel(dst, shift);
+    let value;
+    if (op === BitBltOp.BLEND) {
+      value =
+        shift === 24
+          ? srcAlpha + Math.round((d * (255 - srcAlpha)) / 255)
+          : Math.round((s * srcAlpha + d * (255 - srcAlpha)) / 255);
+    } else if (op === BitBltOp.BLEND_PREMULTIPLIED) {
+      value = s + Math.round((d * (255 - srcAlpha)) / 255);
+    } else {
+      const alpha = op - blendConstant(0);
+      value = Math.round((s * alpha + d * (255 - alpha)) / 255);
+    }
+    result += value * 2 ** shift;
+  }
+
+  return result;
+}
+
+/**
+ * Applies a blend pixel by pixel to a copy of the destination, inside the
+ * clip rectangle and where the mask is 1.
+ *
+ * @param {Object} dst - Destination bitmap (before the transfer)
+ * @param {Object} src - Source bitmap
+ * @param {Object} mask - 1-bit mask bitmap, or null
+ * @param {Object} r - Rectangle, operation and clip rectangle of the transfer
+ * @returns {Object} - The expected destination bitmap
+ */
+function expectedResult(dst, src, mask, r) {
+  const expected = cloneBitmap(dst);
+  const clip = r.clipRect || {
+    x: 0,
+    y: 0,
+    width: dst.width,
+    height: dst.height,
+  };
+
+  for (let y = 0; y < r.height; y++) {
+    for (let x = 0; x < r.width; x++) {
+      const dstX = r.dstX + x;
+      const dstY = r.dstY + y;
+      if (
+        dstX < clip.x ||
+        dstY < clip.y ||
+        dstX >= clip.x + clip.width ||
+        dstY >= clip.y + clip.height ||
+        (mask && !getPixel(mask, r.srcX + x, r.srcY + y))
+      ) {
+        continue;
+      }
+      const s = getPixel(src, r.srcX + x, r.srcY + y);
+      const d = getPixel(dst, dstX, dstY);
+      setPixel(expected, dstX, dstY, blend(r.op, s, d));
+    }
+  }
+
+  return expected;
+}
+
+// The transfers under test; implementations are only given the masks and
+// clip rectangles they support
+const implementations = [
+  {
+    name: "bitblt",
+    masks: true,
+    clips: true,
+    run: (dst, src, mask, r) =>
+      mask
+        ? maskBlt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { clipRect: r.clipRect }
+          )
+        : bitblt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { clipRect: r.clipRect }
+          ),
+  },
+  {
+    name: "bitbltAligned",
+    masks: false,
+    clips: true,
+    run: (dst, src, mask, r) =>
+      bitbltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op,
+        null,
+        { clipRect: r.clipRect }
+      ),
+  },
+  {
+    name: "jit_compiler",
+    masks: false,
+    clips: false,
+    run: (dst, src, mask, r) =>
+      jitBitBlt(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "jit_compiler aligned",
+    masks: false,
+    clips: false,
+    run: (dst, src, mask, r) =>
+      jitBitBltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "JavaScript generator",
+    masks: true,
+    clips: true,
+    run: (dst, src, mask, r) =>
+      mask
+        ? jitMaskBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { clipRect: r.clipRect }
+          )
+        : jitBitBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { clipRect: r.clipRect }
+          ),
+  },
+  {
+    name: "WebAssembly generator",
+    masks: true,
+    clips: true,
+    run: (dst, src, mask, r) =>
+      mask
+        ? jitMaskBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { clipRect: r.clipRect }
+          )
+        : jitBitBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { clipRect: r.clipRect }
+          ),
+  },
+];
+
+const modes = [
+  { name: "source over", op: BitBltOp.BLEND },
+  { name: "premultiplied source over", op: BitBltOp.BLEND_PREMULTIPLIED },
+  { name: "constant alpha 0", op: blendConstant(0) },
+  { name: "constant alpha 96", op: blendConstant(96) },
+  { name: "constant alpha 255", op: blendConstant(255) },
+];
+
+async function runTests() {
+  console.log("Testing alpha-blended ARGB transfers...\n");
+
+  const random = createRandom(14);
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const mode of modes) {
+    const premultiplied = mode.op === BitBltOp.BLEND_PREMULTIPLIED;
+
+    for (const impl of implementations) {
+      const description = `${impl.name} ${mode.name}`;
+      let passed = true;
+
+      for (let n = 0; n < 8; n++) {
+        totalTests++;
+
+        const withMask = impl.masks && n % 4 === 3;
+        const src = createArgbBitmap(24, 6, random, premultiplied);
+        const dst = createArgbBitmap(28, 6, random);
+        const mask = withMask
+          ? createBitmap(24, 6, { bitOrder: BitOrder.LSB_FIRST })
+          : null;
+        if (mask) {
+          for (let i = 0; i < mask.data.length; i++) {
+            mask.data[i] = random(0x10000) * 0x10000 + random(0x10000);
+          }
+        }
+
+        const width = 1 + random(20);
+        const r = {
+          dstX: random(28 - width + 1),
+          dstY: random(3),
+          srcX: random(24 - width + 1),
+          srcY: random(3),
+          width,
+          height: 1 + random(3),
+          op: mode.op,
+          clipRect:
+            impl.clips && n % 2 === 1
+              ? { x: random(8), y: 1, width: 4 + random(16), height: 3 }
+              : null,
+        };
+
+        const expected = expectedResult(dst, src, mask, r);
+
+        await impl.run(dst, src, mask, r);
+
+        const difference = findDifference(dst, expected);
+        if (difference === null) {
+          passedTests++;
+        } else {
+          passed = false;
+          console.log(
+            `❌ FAIL: ${description}${
+              mask ? " through a mask" : ""
+            } with ${JSON.stringify(r)} at ${difference}`
+          );
+        }
+      }
+
+      if (passed) {
+        console.log(`✅ PASS: ${description}`);
+      }
+    }
+  }
+
+  // Overlapping blends within one bitmap read each source pixel before
+  // it is blended into
+  for (const impl of implementations.filter((impl) => impl.clips)) {
+    totalTests++;
+    let passed = true;
+
+    for (const [dx, dy] of [
+      [3, 0],
+      [-2, 1],
+    ]) {
+      const bitmap = createArgbBitmap(24, 6, random);
+      const r = {
+        srcX: 4,
+        srcY: 1,
+        dstX: 4 + dx,
+        dstY: 1 + dy,
+        width: 14,
+        height: 3,
+        op: BitBltOp.BLEND,
+      };
+      const expected = expectedResult(bitmap, cloneBitmap(bitmap), null, r);
+
+      await impl.run(bitmap, bitmap, null, r);
+
+      passed = passed && findDifference(bitmap, expected) === null;
+    }
+
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${impl.name} overlapping blend`);
+    } else {
+      console.log(`❌ FAIL: ${impl.name} overlapping blend`);
+    }
+  }
+
+  // A translucent fill blends one color over the rectangle
+  totalTests++;
+  {
+    const bitmap = createArgbBitmap(12, 4, random);
+    const color = argb(0x80, 0xff, 0x40, 0x00);
+    const expected = cloneBitmap(bitmap);
+    for (let y = 1; y < 3; y++) {
+      for (let x = 2; x < 9; x++) {
+        setPixel(
+          expected,
+          x,
+          y,
+          blend(BitBltOp.BLEND, color, getPixel(bitmap, x, y))
+        );
+      }
+    }
+    fillRect(bitmap, 2, 1, 7, 2, color, BitBltOp.BLEND);
+    if (findDifference(bitmap, expected) === null) {
+      passedTests++;
+      console.log("✅ PASS: translucent fill");
+    } else {
+      console.log("❌ FAIL: translucent fill");
+    }
+  }
+
+  // Opaque pixels replace the destination and transparent pixels leave it
+  totalTests++;
+  {
+    const dst = createBitmap(2, 1, { depth: 32 });
+    const src = createBitmap(2, 1, { depth: 32 });
+    setPixel(dst, 0, 0, argb(255, 1, 2, 3));
+    setPixel(dst, 1, 0, argb(255, 1, 2, 3));
+    setPixel(src, 0, 0, argb(255, 200, 100, 50));
+    setPixel(src, 1, 0, argb(0, 200, 100, 50));
+    bitblt(dst, 0, 0, 2, 1, src, 0, 0, BitBltOp.BLEND);
+    if (
+      getPixel(dst, 0, 0) === argb(255, 200, 100, 50) &&
+      getPixel(dst, 1, 0) === argb(255, 1, 2, 3)
+    ) {
+      passedTests++;
+      console.log("✅ PASS: opaque and transparent source pixels");
+    } else {
+      console.log("❌ FAIL: opaque and transparent source pixels");
+    }
+  }
+
+  // The JavaScript generator specializes the code per blend mode, baking
+  // constant alphas in
+  for (const mode of modes) {
+    totalTests++;
+    jitExecutor.clearCache();
+
+    const dst = createBitmap(8, 2, { depth: 32 });
+    const src = createBitmap(8, 2, { depth: 32 });
+    await jitBitBltJs(dst, 0, 0, 8, 2, src, 0, 0, mode.op);
+
+    const [generatedCode] = jitExecutor.codeCache.javascript.values();
+    const readsSourceAlpha = generatedCode.code.includes(">>> 24");
+    const constant = mode.op >= blendConstant(0);
+    if (readsSourceAlpha !== constant) {
+      passedTests++;
+      console.log(`✅ PASS: generated code for ${mode.name}`);
+    } else {
+      console.log(`❌ FAIL: generated code for ${mode.name}`);
+    }
+  }
+
+  // Blends need 32-bit destinations and valid constant alphas
+  for (const [description, fn] of [
+    [
+      "a blend into 8-bit pixels",
+      () => {
+        const grey = createBitmap(4, 4, { depth: 8 });
+        bitblt(grey, 0, 0, 4, 4, grey, 0, 0, BitBltOp.BLEND);
+      },
+    ],
+    [
+      "a blended fill of 1-bit pixels",
+      () => fillRect(createBitmap(4, 4), 0, 0, 4, 4, 1, blendConstant(10)),
+    ],
+    ["a constant alpha of 256", () => blendConstant(256)],
+  ]) {
+    totalTests++;
+    try {
+      fn();
+      console.log(`❌ FAIL: ${description} should throw`);
+    } catch (error) {
+      passedTests++;
+      console.log(`✅ PASS: ${description} throws`);
+    }
+  }
+
+  totalTests++;
+  try {
+    const grey = createBitmap(4, 4, { depth: 8 });
+    await jitBitBltJs(grey, 0, 0, 4, 4, grey, 0, 0, BitBltOp.BLEND);
+    console.log("❌ FAIL: a JIT blend into 8-bit pixels should throw");
+  } catch (error) {
+    passedTests++;
+    console.log("✅ PASS: a JIT blend into 8-bit pixels throws");
+  }
+
+  totalTests++;
+  if (
+    isBlendOp(BitBltOp.BLEND) &&
+    isBlendOp(blendConstant(7)) &&
+    !isBlendOp(BitBltOp.ADD)
+  ) {
+    passedTests++;
+    console.log("✅ PASS: isBlendOp");
+  } else {
+    console.log("❌ FAIL: isBlendOp");
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,404 @@
+/**
+ * Test file for the cache keys of the JIT code generators
+ *
+ * Runs transfers of one shape at many positions and sizes through both code
+ * generators, checking that they match the reference implementation and
+ * share one compiled function, and that the keys tell apart what generated
+ * code builds in: scan direction, alignment, depth and bit order.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+  BitOrder,
+
+  // Functions
+  createBitmap,
+  createSubBitmap,
+  bitblt,
+  maskBlt,
+  transparentBlt,
+} = require("../src/bitblt");
+
+const {
+  jitExecutor,
+  CodeGeneratorType,
+  jitBitBltJs,
+  jitBitBltWasm,
+  jitMaskBltJs,
+  jitMaskBltWasm,
+  jitTransparentBltJs,
+  jitTransparentBltWasm,
+} = require("../src/jit_executor");
+
+const {
+  createRandom,
+  createRandomBitmap,
+  cloneBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+/**
+ * The shapes of transfer that are run at many positions: each builds its
+ * bitmaps and returns the bitmap drawn into, the destination within it,
+ * picks a rectangle, and runs the transfer with one of its JIT functions
+ * (for each generator) or the reference implementation.
+ */
+const SHAPES = [
+  [
+    "aligned copy",
+    (random) => {
+      const src = createRandomBitmap(256, 24, 1, BitOrder.MSB_FIRST, random);
+      const dst = createRandomBitmap(256, 24, 1, BitOrder.MSB_FIRST, random);
+      return {
+        screen: dst,
+        view: (bitmap) => bitmap,
+        pick: () => ({
+          dstX: random(5) * 32,
+          dstY: random(12),
+          srcX: random(5) * 32,
+          srcY: random(12),
+          width: (1 + random(3)) * 32,
+          height: 1 + random(12),
+        }),
+        jit: { javascript: jitBitBltJs, wasm: jitBitBltWasm },
+        run: (blt, d, r) =>
+          blt(d, r.dstX, r.dstY, r.width, r.height, src, r.srcX, r.srcY),
+      };
+    },
+  ],
+  [
+    "unaligned XOR at 1 bpp",
+    (random) => {
+      const src = createRandomBitmap(100, 24, 1, BitOrder.MSB_FIRST, random);
+      const dst = createRandomBitmap(100, 24, 1, BitOrder.MSB_FIRST, random);
+      return {
+        screen: dst,
+        view: (bitmap) => bitmap,
+        pick: () => ({
+          dstX: 1 + random(40),
+          dstY: random(12),
+          srcX: random(40),
+          srcY: random(12),
+          width: 1 + random(50),
+          height: 1 + random(12),
+        }),
+        jit: { javascript: jitBitBltJs, wasm: jitBitBltWasm },
+        run: (blt, d, r) =>
+          blt(
+            d,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            BitBltOp.XOR
+          ),
+      };
+    },
+  ],
+  [
+    "aligned pattern at 8 bpp",
+    (random) => {
+      const src = createRandomBitmap(64, 16, 8, BitOrder.MSB_FIRST, random);
+      const dst = createRandomBitmap(64, 16, 8, BitOrder.MSB_FIRST, random);
+      const pattern = createRandomBitmap(8, 8, 8, BitOrder.MSB_FIRST, random);
+      return {
+        screen: dst,
+        view: (bitmap) => bitmap,
+        pick: () => ({
+          dstX: random(8) * 4,
+          dstY: random(8),
+          srcX: random(8) * 4,
+          srcY: random(8),
+          width: (1 + random(8)) * 4,
+          height: 1 + random(8),
+        }),
+        jit: { javascript: jitBitBltJs, wasm: jitBitBltWasm },
+        run: (blt, d, r) =>
+          blt(
+            d,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            Rop3.PATINVERT,
+            pattern
+          ),
+      };
+    },
+  ],
+  [
+    "masked copy",
+    (random) => {
+      const src = createRandomBitmap(128, 16, 1, BitOrder.MSB_FIRST, random);
+      const dst = createRandomBitmap(128, 16, 1, BitOrder.MSB_FIRST, random);
+      const mask = createRandomBitmap(128, 16, 1, BitOrder.LSB_FIRST, random);
+      return {
+        screen: dst,
+        view: (bitmap) => bitmap,
+        pick: () => ({
+          dstX: random(40),
+          dstY: random(8),
+          srcX: random(40),
+          srcY: random(8),
+          maskX: random(40),
+          maskY: random(8),
+          width: 1 + random(80),
+          height: 1 + random(8),
+        }),
+        jit: { javascript: jitMaskBltJs, wasm: jitMaskBltWasm },
+        run: (blt, d, r) =>
+          blt(
+            d,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.maskX,
+            r.maskY
+          ),
+      };
+    },
+  ],
+  [
+    "transparent add into a sub-bitmap at 4 bpp",
+    (random) => {
+      const src = createRandomBitmap(64, 16, 4, BitOrder.MSB_FIRST, random);
+      const screen = createRandomBitmap(96, 24, 4, BitOrder.MSB_FIRST, random);
+      return {
+        screen,
+        view: (bitmap) => createSubBitmap(bitmap, 5, 3, 80, 16),
+        pick: () => ({
+          dstX: random(30),
+          dstY: random(8),
+          srcX: random(30),
+          srcY: random(8),
+          width: 1 + random(40),
+          height: 1 + random(8),
+        }),
+        jit: { javascript: jitTransparentBltJs, wasm: jitTransparentBltWasm },
+        run: (blt, d, r) =>
+          blt(
+            d,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            3,
+            BitBltOp.ADD
+          ),
+      };
+    },
+  ],
+];
+
+/**
+ * The reference implementation of each kind of JIT transfer.
+ */
+const REFERENCE = new Map([
+  [jitBitBltJs, bitblt],
+  [jitBitBltWasm, bitblt],
+  [jitMaskBltJs, maskBlt],
+  [jitMaskBltWasm, maskBlt],
+  [jitTransparentBltJs, transparentBlt],
+  [jitTransparentBltWasm, transparentBlt],
+]);
+
+async function runTests() {
+  console.log("Testing JIT cache keys...\n");
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  const types = [CodeGeneratorType.JAVASCRIPT];
+  if (typeof WebAssembly !== "undefined") {
+    types.push(CodeGeneratorType.WASM);
+  }
+
+  // One function serves a shape at every position and size
+  for (const type of types) {
+    for (const [description, build] of SHAPES) {
+      const random = createRandom(20);
+      const { screen, view, pick, jit, run } = build(random);
+      const blt = jit[type];
+      const expected = cloneBitmap(screen);
+      const dst = view(screen);
+      const expectedDst = view(expected);
+
+      jitExecutor.clearCache();
+      for (let i = 0; i < 20; i++) {
+        const rect = pick();
+        run(REFERENCE.get(blt), expectedDst, rect);
+        await run(blt, dst, rect);
+      }
+      check(
+        `${type}: ${description} matches the reference at 20 positions`,
+        compareBitmaps(screen, expected)
+      );
+      check(
+        `${type}: ${description} compiles one function`,
+        jitExecutor.codeCache[type].size === 1
+      );
+    }
+  }
+
+  // Scrolling a bitmap over itself scans in the direction that reads each
+  // pixel before it is overwritten. Scrolling right and down scan backwards
+  // and get their own keys, shared by every distance; scrolling left and up
+  // scan forwards, as transfers between bitmaps do
+  for (const type of types) {
+    const blt = type === CodeGeneratorType.WASM ? jitBitBltWasm : jitBitBltJs;
+    for (const depth of [1, 8]) {
+      const random = createRandom(depth);
+      const pixelsPerWord = 32 / depth;
+      const bitmap = createRandomBitmap(
+        4 * pixelsPerWord,
+        20,
+        depth,
+        BitOrder.MSB_FIRST,
+        random
+      );
+      const expected = cloneBitmap(bitmap);
+      const keys = new Set();
+      jitExecutor.clearCache();
+      for (const [dx, dy] of [
+        [1, 0],
+        [-1, 0],
+        [0, 1],
+        [0, -1],
+      ]) {
+        for (const distance of [1, 3, pixelsPerWord]) {
+          const dstX = Math.max(0, dx * distance);
+          const dstY = Math.max(0, dy * distance);
+          const srcX = dstX - dx * distance;
+          const srcY = dstY - dy * distance;
+          const width = bitmap.width - distance * Math.abs(dx);
+          const height = bitmap.height - distance * Math.abs(dy);
+          bitblt(expected, dstX, dstY, width, height, expected, srcX, srcY);
+          await blt(bitmap, dstX, dstY, width, height, bitmap, srcX, srcY);
+          keys.add(
+            jitExecutor.generators[type].getCacheKey({
+              dst: bitmap,
+              dstX,
+              dstY,
+              width,
+              height,
+              src: bitmap,
+              srcX,
+              srcY,
+              op: BitBltOp.COPY,
+              aligned: false,
+            })
+          );
+        }
+      }
+      check(
+        `${type}: scrolls at ${depth} bpp match bitblt`,
+        compareBitmaps(bitmap, expected)
+      );
+      check(
+        `${type}: scrolls at ${depth} bpp have a key per scan direction`,
+        keys.size === 3
+      );
+    }
+  }
+
+  // Keys are made of the shape, not the position
+  const generator = jitExecutor.generators[CodeGeneratorType.JAVASCRIPT];
+  const a = createBitmap(128, 16);
+  const b = createBitmap(128, 16);
+  const lsb = createBitmap(128, 16, { bitOrder: BitOrder.LSB_FIRST });
+  const deep = createBitmap(128, 16, { depth: 2 });
+  const params = (overrides) => ({
+    dst: a,
+    dstX: 0,
+    dstY: 0,
+    width: 64,
+    height: 8,
+    src: b,
+    srcX: 32,
+    srcY: 4,
+    op: BitBltOp.COPY,
+    aligned: true,
+    ...overrides,
+  });
+  const key = generator.getCacheKey(params({}));
+  check(
+    "positions and sizes do not change the key",
+    generator.getCacheKey(
+      params({ dstX: 64, dstY: 5, width: 32, height: 3, srcY: 0 })
+    ) === key
+  );
+  for (const [description, overrides] of [
+    ["the operation", { op: BitBltOp.XOR }],
+    ["alignment", { dstX: 1, aligned: false }],
+    ["the bit order", { dst: lsb }],
+    ["the depth", { dst: deep, src: createBitmap(128, 16, { depth: 2 }) }],
+    ["sharing data without overlap", { src: a }],
+    ["scanning backwards", { src: a, dstX: 32, srcX: 0 }],
+  ]) {
+    check(
+      `${description} changes the key`,
+      generator.getCacheKey(params(overrides)) !== key
+    );
+  }
+
+  // A rectangle that clipping leaves unaligned gets the per-pixel code, even
+  // when the caller asks for aligned code
+  const clipped = params({ clipRect: { x: 3, y: 0, width: 100, height: 16 } });
+  check(
+    "clipping to an unaligned rectangle changes the key",
+    generator.getCacheKey(clipped) !== key
+  );
+  const clippedCode = generator.generateCode(clipped);
+  const expected = cloneBitmap(a);
+  bitblt(expected, 0, 0, 64, 8, b, 32, 4, BitBltOp.COPY, null, {
+    clipRect: clipped.clipRect,
+  });
+  generator.executeCode(
+    clippedCode,
+    a,
+    b,
+    null,
+    null,
+    null,
+    generator.getRect(clipped)
+  );
+  check(
+    "clipped rectangles use per-pixel code",
+    !clippedCode.aligned && compareBitmaps(a, expected)
+  );
+
+  jitExecutor.clearCache();
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
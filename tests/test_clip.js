@@ -0,0 +1,256 @@
+/**
+ * Test file for clip rectangles and negative coordinates
+ *
+ * Runs transfers and fills with clip rectangles attached to the destination,
+ * passed by the caller, or both, and with origins that start off the bitmap.
+ * Every implementation is compared with a pixel-by-pixel reference.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  BitOrder,
+
+  // Functions
+  getRop3Code,
+  setClipRect,
+  clearClipRect,
+  createBitmap,
+  setPixel,
+  getPixel,
+  bitblt,
+  bitbltAligned,
+  fillRect,
+  fillRectAligned,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const { jitBitBltJs, jitBitBltWasm } = require("../src/jit_executor");
+
+const {
+  createRandom,
+  createRandomBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+/**
+ * Checks whether a point lies inside a rectangle.
+ *
+ * @param {Object} rect - Rectangle (x, y, width, height), or null for no rectangle
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {boolean} - True if the point is inside, or there is no rectangle
+ */
+function insideRect(rect, x, y) {
+  return (
+    !rect ||
+    (x >= rect.x &&
+      y >= rect.y &&
+      x < rect.x + rect.width &&
+      y < rect.y + rect.height)
+  );
+}
+
+/**
+ * Reference BitBLT that only writes destination pixels inside both clip
+ * rectangles and with a source pixel inside the source bitmap.
+ */
+function referenceBitBlt(
+  dst,
+  dstX,
+  dstY,
+  width,
+  height,
+  src,
+  srcX,
+  srcY,
+  op,
+  clipRect
+) {
+  const code = getRop3Code(op);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = srcX + x;
+      const sy = srcY + y;
+      const dx = dstX + x;
+      const dy = dstY + y;
+
+      if (sx < 0 || sy < 0 || sx >= src.width || sy >= src.height) {
+        continue; // Outside the source
+      }
+      if (dx < 0 || dy < 0 || dx >= dst.width || dy >= dst.height) {
+        continue; // Outside the destination
+      }
+      if (!insideRect(dst.clipRect, dx, dy) || !insideRect(clipRect, dx, dy)) {
+        continue; // Clipped
+      }
+
+      const s = getPixel(src, sx, sy);
+      const d = getPixel(dst, dx, dy);
+      setPixel(dst, dx, dy, (code >> (2 * s + d)) & 1);
+    }
+  }
+}
+
+// The transfer implementations under test, each called with an options object
+const blits = [
+  {
+    name: "bitblt",
+    blit: (...args) => bitblt(...args.slice(0, 9), null, args[9]),
+  },
+  {
+    name: "bitbltAligned",
+    blit: (...args) => bitbltAligned(...args.slice(0, 9), null, args[9]),
+  },
+  { name: "jit_compiler", blit: jitBitBlt },
+  { name: "jit_compiler aligned", blit: jitBitBltAligned },
+  {
+    name: "JavaScript generator",
+    blit: (...args) => jitBitBltJs(...args.slice(0, 9), null, args[9]),
+  },
+  {
+    name: "WebAssembly generator",
+    blit: (...args) => jitBitBltWasm(...args.slice(0, 9), null, args[9]),
+  },
+];
+
+async function runTests() {
+  console.log("Testing clip rectangles...\n");
+
+  const random = createRandom(11);
+  const ops = [BitBltOp.COPY, BitBltOp.XOR, BitBltOp.OR_INVERTED];
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const { name, blit } of blits) {
+    let implPassed = true;
+
+    for (let n = 0; n < 80; n++) {
+      totalTests++;
+
+      const src = createRandomBitmap(96, 16, 1, BitOrder.MSB_FIRST, random);
+      const dst = createRandomBitmap(128, 16, 1, BitOrder.MSB_FIRST, random);
+      const expected = createBitmap(128, 16);
+      for (let y = 0; y < 16; y++) {
+        for (let x = 0; x < 128; x++) {
+          setPixel(expected, x, y, getPixel(dst, x, y));
+        }
+      }
+
+      // Attach a clip rectangle to the destination, pass one, both or neither
+      if (n % 2 === 0) {
+        setClipRect(dst, random(64) - 8, random(8) - 2, random(96), random(14));
+        expected.clipRect = dst.clipRect;
+      }
+      const clipRect =
+        n % 4 < 2
+          ? {
+              x: random(96) - 8,
+              y: random(10) - 2,
+              width: random(100),
+              height: random(14),
+            }
+          : null;
+
+      // Aligned origins half of the time, so the aligned paths get clipped too
+      const alignedRect = n % 3 === 0;
+      const dstX = alignedRect ? 32 * random(3) : random(150) - 30;
+      const srcX = alignedRect ? 32 * random(2) : random(120) - 30;
+      const width = alignedRect ? 32 * (1 + random(3)) : 1 + random(120);
+      const dstY = random(20) - 4;
+      const srcY = random(20) - 4;
+      const height = 1 + random(16);
+      const op = ops[random(ops.length)];
+
+      referenceBitBlt(
+        expected,
+        dstX,
+        dstY,
+        width,
+        height,
+        src,
+        srcX,
+        srcY,
+        op,
+        clipRect
+      );
+
+      await blit(dst, dstX, dstY, width, height, src, srcX, srcY, op, {
+        clipRect,
+      });
+
+      if (compareBitmaps(dst, expected)) {
+        passedTests++;
+      } else {
+        implPassed = false;
+        console.log(
+          `❌ FAIL: ${name}(dst, ${dstX}, ${dstY}, ${width}, ${height}, src, ${srcX}, ${srcY}, ${op}) clipped to ${JSON.stringify(
+            dst.clipRect
+          )} and ${JSON.stringify(clipRect)}`
+        );
+        console.log("\nActual:");
+        console.log(bitmapToString(dst));
+        console.log("Expected:");
+        console.log(bitmapToString(expected));
+      }
+    }
+
+    if (implPassed) {
+      console.log(`✅ PASS: ${name} clips`);
+    }
+  }
+
+  // Fills are clipped the same way
+  for (const fill of [fillRect, fillRectAligned]) {
+    totalTests++;
+
+    const bitmap = createBitmap(128, 16);
+    setClipRect(bitmap, 10, 2, 50, 8);
+    fill(bitmap, 0, 0, 96, 16, 1, BitBltOp.COPY, null, {
+      clipRect: { x: -5, y: 4, width: 40, height: 40 },
+    });
+    clearClipRect(bitmap);
+
+    const expected = createBitmap(128, 16);
+    for (let y = 4; y < 10; y++) {
+      for (let x = 10; x < 35; x++) {
+        setPixel(expected, x, y, 1);
+      }
+    }
+
+    if (compareBitmaps(bitmap, expected)) {
+      console.log(`✅ PASS: ${fill.name} clips`);
+      passedTests++;
+    } else {
+      console.log(`❌ FAIL: ${fill.name} clips`);
+      console.log("\nActual:");
+      console.log(bitmapToString(bitmap));
+      console.log("Expected:");
+      console.log(bitmapToString(expected));
+    }
+  }
+
+  // A negative destination origin advances the source origin with it
+  totalTests++;
+  const src = createBitmap(32, 4);
+  setPixel(src, 5, 0, 1);
+  const dst = createBitmap(32, 4);
+  bitblt(dst, -3, 0, 10, 1, src, 0, 0);
+  if (getPixel(dst, 2, 0) === 1) {
+    console.log("✅ PASS: negative destination origin");
+    passedTests++;
+  } else {
+    console.log("❌ FAIL: negative destination origin");
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
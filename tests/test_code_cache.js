@@ -0,0 +1,189 @@
+/**
+ * Test file for the bounded code cache of the JIT executor
+ *
+ * Checks least-recently-used eviction by entry count and by bytes of
+ * generated code, the statistics of a cache, and that executors with small
+ * caches still produce the right results when code is evicted and compiled
+ * again.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+
+  // Functions
+  createBitmap,
+  setPixel,
+  bitblt,
+} = require("../src/bitblt");
+
+const { JitExecutor, CodeGeneratorType } = require("../src/jit_executor");
+
+const { CodeCache, DEFAULT_CACHE_LIMITS } = require("../src/code_cache");
+
+const { throwsWith } = require("./helpers");
+
+/**
+ * Creates a code object of a given size, as a JavaScript generator would.
+ *
+ * @param {number} bytes - Length of the source
+ * @returns {Object} - The code object
+ */
+function fakeCode(bytes) {
+  return { type: "javascript", code: "x".repeat(bytes) };
+}
+
+async function runTests() {
+  console.log("Testing the JIT code cache...\n");
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  // Least recently used entries go first once there are too many
+  const cache = new CodeCache({ maxEntries: 3 });
+  cache.set("a", fakeCode(10), 2);
+  cache.set("b", fakeCode(20), 3);
+  cache.set("c", fakeCode(30), 4);
+  cache.get("a");
+  cache.set("d", fakeCode(40), 5);
+  check(
+    "the least recently used entry is evicted",
+    !cache.has("b") && [...cache.keys()].join() === "c,a,d"
+  );
+  check("the cache counts the bytes of its entries", cache.bytes === 80);
+  check(
+    "values() gives the cached code",
+    [...cache.values()][2].code.length === 40
+  );
+
+  cache.get("a");
+  cache.get("b");
+  const stats = cache.getStats();
+  check(
+    "hits, misses and evictions are counted",
+    stats.hits === 2 && stats.misses === 1 && stats.evictions === 1
+  );
+  check("compile times add up", stats.compileTime === 14);
+  check(
+    "keys are listed most recently used first with their uses",
+    stats.keys.map(({ key, uses }) => `${key}${uses}`).join() === "a3,d1,c1"
+  );
+  check(
+    "has() and values() do not count as uses",
+    cache.has("c") && cache.getStats().hits === 2
+  );
+
+  // Bytes of generated code, including WebAssembly binaries
+  const small = new CodeCache({ maxBytes: 100 });
+  small.set("js", fakeCode(60));
+  small.set("wasm", { type: "wasm", binary: new Uint8Array(50) });
+  check(
+    "entries are evicted to stay within the byte limit",
+    !small.has("js") && small.bytes === 50
+  );
+  small.set("huge", fakeCode(500));
+  check(
+    "an entry larger than the limit is kept on its own",
+    small.size === 1 && small.has("huge")
+  );
+
+  // Limits can change, and the cache shrinks to fit
+  cache.setLimits({ maxEntries: 1 });
+  check(
+    "lowering the limits evicts entries",
+    cache.size === 1 && cache.has("a") && cache.getStats().evictions === 3
+  );
+  check(
+    "invalid limits are rejected",
+    throwsWith(() => cache.setLimits({ maxEntries: 0 }), "Invalid") &&
+      throwsWith(() => new CodeCache({ maxBytes: NaN }), "Invalid")
+  );
+  cache.clear();
+  check(
+    "clearing keeps the statistics",
+    cache.size === 0 && cache.bytes === 0 && cache.getStats().hits === 2
+  );
+  cache.resetStats();
+  check(
+    "statistics can be reset",
+    cache.getStats().hits === 0 && cache.getStats().evictions === 0
+  );
+  const defaults = new CodeCache().getStats();
+  check(
+    "caches have default limits",
+    defaults.maxEntries === DEFAULT_CACHE_LIMITS.maxEntries &&
+      defaults.maxBytes === DEFAULT_CACHE_LIMITS.maxBytes
+  );
+
+  // An executor with room for two functions, running three shapes in turn
+  const executor = new JitExecutor({ cacheLimits: { maxEntries: 2 } });
+  const src = createBitmap(64, 8);
+  const dst = createBitmap(64, 8);
+  const expected = createBitmap(64, 8);
+  for (let i = 0; i < 64; i += 3) {
+    setPixel(src, i, i % 8, 1);
+  }
+  const ops = [BitBltOp.COPY, BitBltOp.XOR, BitBltOp.OR];
+  for (let round = 0; round < 2; round++) {
+    for (const op of ops) {
+      for (const x of [1, 5]) {
+        bitblt(expected, x, 0, 40, 8, src, 0, 0, op);
+        await executor.execute(dst, x, 0, 40, 8, src, 0, 0, op);
+      }
+    }
+  }
+  check(
+    "evicted code is compiled again with the right results",
+    dst.data.every((word, i) => word === expected.data[i])
+  );
+  const jsStats = executor.getCacheStats(CodeGeneratorType.JAVASCRIPT);
+  check(
+    "the executor counts hits, misses and evictions",
+    jsStats.entries === 2 &&
+      jsStats.hits === 6 &&
+      jsStats.misses === 6 &&
+      jsStats.evictions === 4
+  );
+  check(
+    "the executor times compilation",
+    jsStats.compileTime > 0 && jsStats.keys.every((k) => k.compileTime > 0)
+  );
+  check(
+    "the executor reports the uses and source size of each key",
+    jsStats.keys.length === 2 &&
+      jsStats.keys.every((k) => k.uses === 2 && k.bytes > 0)
+  );
+  check(
+    "stats can be had for every generator",
+    executor.getCacheStats()[CodeGeneratorType.WASM].entries === 0
+  );
+
+  executor.setCacheLimits({ maxEntries: 1 }, CodeGeneratorType.JAVASCRIPT);
+  check(
+    "the executor's limits can change per generator",
+    executor.getCacheStats(CodeGeneratorType.JAVASCRIPT).entries === 1 &&
+      executor.getCacheStats(CodeGeneratorType.WASM).maxEntries === 2
+  );
+  check(
+    "unknown generator types are rejected",
+    throwsWith(() => executor.getCacheStats("asm.js"), "Unknown") &&
+      throwsWith(() => executor.setCacheLimits({}, "asm.js"), "Unknown")
+  );
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
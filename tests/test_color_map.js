@@ -0,0 +1,553 @@
+/**
+ * Test file for color maps
+ *
+ * Runs random transfers between bitmaps of different depths through every
+ * implementation that accepts a color map: 1-bit sources expanded to
+ * foreground and background values, deeper sources thresholded to 1 bit and
+ * arbitrary translation tables. Each result is compared with the source
+ * translated and combined pixel by pixel through getPixel/setPixel. Also
+ * checks how color maps are classified and specialized by the JavaScript
+ * generator.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  BitOrder,
+  ColorMapKind,
+
+  // Functions
+  applyOp,
+  createBitmap,
+  setPixel,
+  getPixel,
+  bitblt,
+  bitbltAligned,
+  maskBlt,
+  expandColorMap,
+  thresholdColorMap,
+  analyzeColorMap,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const {
+  jitExecutor,
+  jitBitBltJs,
+  jitBitBltWasm,
+  jitMaskBltJs,
+  jitMaskBltWasm,
+} = require("../src/jit_executor");
+
+const JavaScriptGenerator = require("../src/code_generators/js_generator");
+
+const {
+  createRandom,
+  createRandomBitmap,
+  cloneBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+/**
+ * Applies a transfer pixel by pixel to a copy of the destination, translating
+ * each source pixel through the color map. The rectangle is assumed to lie
+ * inside both bitmaps.
+ *
+ * @param {Object} dst - Destination bitmap (before the transfer)
+ * @param {Object} src - Source bitmap
+ * @param {Object} mask - 1-bit mask bitmap, or null
+ * @param {Uint32Array} colorMap - The color map
+ * @param {Object} r - Rectangle and operation of the transfer
+ * @returns {Object} - The expected destination bitmap
+ */
+function expectedResult(dst, src, mask, colorMap, r) {
+  const expected = cloneBitmap(dst);
+  const pixelMask = 2 ** dst.depth - 1;
+
+  for (let y = 0; y < r.height; y++) {
+    for (let x = 0; x < r.width; x++) {
+      if (mask && !getPixel(mask, r.srcX + x, r.srcY + y)) {
+        continue;
+      }
+      const dstX = r.dstX + x;
+      const dstY = r.dstY + y;
+      const s = colorMap[getPixel(src, r.srcX + x, r.srcY + y)] & pixelMask;
+      const d = getPixel(dst, dstX, dstY);
+      setPixel(expected, dstX, dstY, applyOp(r.op, s, d, 0));
+    }
+  }
+
+  return expected;
+}
+
+// The transfers under test, each called with an optional mask and the color
+// map in the options
+const implementations = [
+  {
+    name: "bitblt",
+    masks: true,
+    run: (dst, src, mask, colorMap, r) =>
+      mask
+        ? maskBlt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { colorMap }
+          )
+        : bitblt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { colorMap }
+          ),
+  },
+  {
+    name: "bitbltAligned",
+    masks: false,
+    run: (dst, src, mask, colorMap, r) =>
+      bitbltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op,
+        null,
+        { colorMap }
+      ),
+  },
+  {
+    name: "JavaScript generator",
+    masks: true,
+    run: (dst, src, mask, colorMap, r) =>
+      mask
+        ? jitMaskBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { colorMap }
+          )
+        : jitBitBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { colorMap }
+          ),
+  },
+  {
+    name: "WebAssembly generator",
+    masks: true,
+    run: (dst, src, mask, colorMap, r) =>
+      mask
+        ? jitMaskBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { colorMap }
+          )
+        : jitBitBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            null,
+            { colorMap }
+          ),
+  },
+];
+
+const orders = [BitOrder.MSB_FIRST, BitOrder.LSB_FIRST];
+
+/**
+ * Builds a random color map of the given kind.
+ *
+ * @param {string} kind - Kind of map (from ColorMapKind enum)
+ * @param {number} srcDepth - Bits per pixel of the source
+ * @param {number} dstDepth - Bits per pixel of the destination
+ * @param {Function} random - Random number generator
+ * @returns {Uint32Array} - The color map
+ */
+function createColorMap(kind, srcDepth, dstDepth, random) {
+  const dstValues = 2 ** dstDepth;
+  switch (kind) {
+    case ColorMapKind.EXPAND:
+      return expandColorMap(random(dstValues), random(dstValues));
+    case ColorMapKind.THRESHOLD:
+      return thresholdColorMap(srcDepth, 1 + random(2 ** srcDepth - 1));
+    default:
+      return Uint32Array.from({ length: 2 ** srcDepth }, () =>
+        random(dstValues)
+      );
+  }
+}
+
+// Source and destination depths for each kind of map
+const conversions = [
+  { kind: ColorMapKind.EXPAND, srcDepth: 1, dstDepth: 2 },
+  { kind: ColorMapKind.EXPAND, srcDepth: 1, dstDepth: 8 },
+  { kind: ColorMapKind.EXPAND, srcDepth: 1, dstDepth: 32 },
+  { kind: ColorMapKind.THRESHOLD, srcDepth: 4, dstDepth: 1 },
+  { kind: ColorMapKind.THRESHOLD, srcDepth: 8, dstDepth: 1 },
+  { kind: ColorMapKind.TABLE, srcDepth: 2, dstDepth: 16 },
+  { kind: ColorMapKind.TABLE, srcDepth: 8, dstDepth: 4 },
+  { kind: ColorMapKind.TABLE, srcDepth: 4, dstDepth: 4 },
+];
+
+async function runTests() {
+  console.log("Testing color maps...\n");
+
+  const random = createRandom(12);
+  const ops = [BitBltOp.COPY, BitBltOp.OR, BitBltOp.XOR];
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const { kind, srcDepth, dstDepth } of conversions) {
+    for (const impl of implementations) {
+      const description = `${impl.name} ${kind} map from ${srcDepth} to ${dstDepth} bpp`;
+      let passed = true;
+
+      for (let n = 0; n < 12; n++) {
+        totalTests++;
+
+        const withMask = impl.masks && n % 3 === 0;
+        const srcOrder = orders[random(2)];
+        const dstOrder = orders[random(2)];
+
+        const src = createRandomBitmap(40, 6, srcDepth, srcOrder, random);
+        const dst = createRandomBitmap(48, 6, dstDepth, dstOrder, random);
+        const mask = withMask
+          ? createRandomBitmap(40, 6, 1, orders[random(2)], random)
+          : null;
+        const colorMap = createColorMap(kind, srcDepth, dstDepth, random);
+
+        // Every other transfer is aligned at the destination depth
+        const unit = n % 2 === 0 ? Math.max(32 / dstDepth, 1) : 1;
+        const width = Math.max(unit, unit * random(Math.floor(40 / unit)));
+        const r = {
+          dstX: unit * random(Math.floor((48 - width) / unit) + 1),
+          dstY: random(3),
+          srcX: unit * random(Math.floor((40 - width) / unit) + 1),
+          srcY: random(3),
+          width,
+          height: 1 + random(3),
+          op: ops[random(ops.length)],
+        };
+
+        const expected = expectedResult(dst, src, mask, colorMap, r);
+
+        await impl.run(dst, src, mask, colorMap, r);
+
+        if (compareBitmaps(dst, expected)) {
+          passedTests++;
+        } else {
+          passed = false;
+          console.log(
+            `❌ FAIL: ${description} from ${srcOrder} to ${dstOrder}${
+              mask ? " through a mask" : ""
+            } with ${JSON.stringify(r)}`
+          );
+          console.log("\nActual:");
+          console.log(bitmapToString(dst));
+          console.log("Expected:");
+          console.log(bitmapToString(expected));
+        }
+      }
+
+      if (passed) {
+        console.log(`✅ PASS: ${description}`);
+      }
+    }
+  }
+
+  // Color map classification
+  for (const [description, actual, expected] of [
+    [
+      "an expanding map",
+      analyzeColorMap(expandColorMap(7, 2), 1, 4),
+      { kind: ColorMapKind.EXPAND, background: 2, foreground: 7 },
+    ],
+    [
+      "a thresholding map",
+      analyzeColorMap(thresholdColorMap(4, 9), 4, 1),
+      { kind: ColorMapKind.THRESHOLD, threshold: 9 },
+    ],
+    [
+      "an identity map",
+      analyzeColorMap(Uint32Array.of(0, 1, 2, 3), 2, 2),
+      { kind: ColorMapKind.IDENTITY },
+    ],
+    [
+      "a table",
+      analyzeColorMap(Uint32Array.of(3, 1, 2, 0), 2, 2),
+      { kind: ColorMapKind.TABLE },
+    ],
+    [
+      "a 1-bit inverting map",
+      analyzeColorMap(Uint32Array.of(1, 0), 1, 1),
+      { kind: ColorMapKind.EXPAND, background: 1, foreground: 0 },
+    ],
+  ]) {
+    totalTests++;
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+      passedTests++;
+      console.log(`✅ PASS: analyzeColorMap recognizes ${description}`);
+    } else {
+      console.log(
+        `❌ FAIL: analyzeColorMap recognizes ${description}: ${JSON.stringify(
+          actual
+        )}`
+      );
+    }
+  }
+
+  // The JavaScript generator bakes expanding and thresholding maps into the
+  // code, and only reads the table for other maps
+  for (const { kind, srcDepth, dstDepth } of conversions) {
+    totalTests++;
+    jitExecutor.clearCache();
+
+    const src = createBitmap(16, 2, { depth: srcDepth });
+    const dst = createBitmap(16, 2, { depth: dstDepth });
+    const colorMap = createColorMap(kind, srcDepth, dstDepth, random);
+    await jitBitBltJs(dst, 1, 0, 13, 2, src, 0, 0, BitBltOp.COPY, null, {
+      colorMap,
+    });
+
+    const [generatedCode] = jitExecutor.codeCache.javascript.values();
+    const readsTable = generatedCode.code.includes("colorMap[");
+    if (readsTable === (kind === ColorMapKind.TABLE)) {
+      passedTests++;
+      console.log(
+        `✅ PASS: generated code for a ${kind} map from ${srcDepth} to ${dstDepth} bpp`
+      );
+    } else {
+      console.log(
+        `❌ FAIL: generated code for a ${kind} map from ${srcDepth} to ${dstDepth} bpp`
+      );
+    }
+  }
+
+  // Maps that differ only in their table contents share generated code
+  totalTests++;
+  jitExecutor.clearCache();
+  {
+    const src = createRandomBitmap(16, 2, 2, BitOrder.MSB_FIRST, random);
+    const first = createBitmap(16, 2, { depth: 8 });
+    const second = createBitmap(16, 2, { depth: 8 });
+    await jitBitBltJs(first, 0, 0, 16, 2, src, 0, 0, BitBltOp.COPY, null, {
+      colorMap: Uint32Array.of(10, 20, 30, 40),
+    });
+    await jitBitBltJs(second, 0, 0, 16, 2, src, 0, 0, BitBltOp.COPY, null, {
+      colorMap: Uint32Array.of(50, 60, 70, 80),
+    });
+    const shared = jitExecutor.codeCache.javascript.size === 1;
+    const correct =
+      getPixel(first, 3, 1) === 10 + 10 * getPixel(src, 3, 1) &&
+      getPixel(second, 3, 1) === 50 + 10 * getPixel(src, 3, 1);
+    if (shared && correct) {
+      passedTests++;
+      console.log("✅ PASS: tables of one shape share generated code");
+    } else {
+      console.log("❌ FAIL: tables of one shape share generated code");
+    }
+  }
+
+  // A map is analyzed once per operation, and again when the next operation
+  // finds it changed
+  totalTests++;
+  jitExecutor.clearCache();
+  {
+    const generator = new JavaScriptGenerator();
+    const src = createRandomBitmap(16, 2, 1, BitOrder.MSB_FIRST, random);
+    const dst = createBitmap(16, 2, { depth: 8 });
+    const colorMap = expandColorMap(7, 0);
+    const params = {
+      dst,
+      width: 16,
+      height: 2,
+      src,
+      op: BitBltOp.COPY,
+      colorMap,
+    };
+    const once =
+      generator._analyzeColorMap(params) === generator._analyzeColorMap(params);
+    await jitBitBltJs(dst, 0, 0, 16, 2, src, 0, 0, BitBltOp.COPY, null, {
+      colorMap,
+    });
+    colorMap[0] = 9;
+    await jitBitBltJs(dst, 0, 0, 16, 2, src, 0, 0, BitBltOp.COPY, null, {
+      colorMap,
+    });
+    const changed =
+      generator._analyzeColorMap({ ...params }).background === 9 &&
+      getPixel(dst, 5, 1) === (getPixel(src, 5, 1) ? 7 : 9);
+    if (once && changed) {
+      passedTests++;
+      console.log("✅ PASS: color maps are analyzed once per operation");
+    } else {
+      console.log("❌ FAIL: color maps are analyzed once per operation");
+    }
+  }
+
+  // Overlapping transfer within one bitmap through a table
+  totalTests++;
+  {
+    const bitmap = createRandomBitmap(40, 4, 4, BitOrder.MSB_FIRST, random);
+    const colorMap = createColorMap(ColorMapKind.TABLE, 4, 4, random);
+    const r = {
+      srcX: 3,
+      srcY: 0,
+      dstX: 8,
+      dstY: 1,
+      width: 25,
+      height: 3,
+      op: BitBltOp.COPY,
+    };
+    const expected = expectedResult(
+      bitmap,
+      cloneBitmap(bitmap),
+      null,
+      colorMap,
+      r
+    );
+    bitblt(bitmap, 8, 1, 25, 3, bitmap, 3, 0, BitBltOp.COPY, null, {
+      colorMap,
+    });
+    if (compareBitmaps(bitmap, expected)) {
+      passedTests++;
+      console.log("✅ PASS: overlapping transfer through a color map");
+    } else {
+      console.log("❌ FAIL: overlapping transfer through a color map");
+    }
+  }
+
+  // Invalid color maps and missing conversions
+  const glyph = createBitmap(8, 8);
+  const screen = createBitmap(8, 8, { depth: 8 });
+  for (const [description, fn] of [
+    [
+      "a transfer between depths without a color map",
+      () => bitblt(screen, 0, 0, 8, 8, glyph, 0, 0),
+    ],
+    [
+      "a color map with the wrong number of entries",
+      () =>
+        bitblt(screen, 0, 0, 8, 8, glyph, 0, 0, BitBltOp.COPY, null, {
+          colorMap: [0, 1, 2],
+        }),
+    ],
+    [
+      "a color map for a 32-bit source",
+      () =>
+        bitblt(
+          screen,
+          0,
+          0,
+          8,
+          8,
+          createBitmap(8, 8, { depth: 32 }),
+          0,
+          0,
+          BitBltOp.COPY,
+          null,
+          { colorMap: [0, 1] }
+        ),
+    ],
+    ["a threshold map for a 32-bit source", () => thresholdColorMap(32, 1)],
+  ]) {
+    totalTests++;
+    try {
+      fn();
+      console.log(`❌ FAIL: ${description} should throw`);
+    } catch (error) {
+      passedTests++;
+      console.log(`✅ PASS: ${description} throws`);
+    }
+  }
+
+  // The JIT rejects the same transfers with the same errors
+  const wide = createBitmap(8, 8, { depth: 32 });
+  for (const [description, source, colorMap] of [
+    ["a wrong-sized color map", glyph, [0, 1, 2, 3]],
+    ["a color map for a 32-bit source", wide, [0, 1]],
+  ]) {
+    totalTests++;
+    const messages = [];
+    for (const run of [bitblt, jitBitBltJs]) {
+      try {
+        await run(screen, 0, 0, 8, 8, source, 0, 0, BitBltOp.COPY, null, {
+          colorMap,
+        });
+      } catch (error) {
+        messages.push(error.message);
+      }
+    }
+    if (messages.length === 2 && messages[0] === messages[1]) {
+      passedTests++;
+      console.log(`✅ PASS: a JIT transfer with ${description} throws`);
+    } else {
+      console.log(
+        `❌ FAIL: a JIT transfer with ${description} should throw like bitblt`
+      );
+    }
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,540 @@
+/**
+ * Test file for multi-bit pixel depths
+ *
+ * Runs random transfers, masked transfers and fills on 1, 2, 4, 8, 16 and
+ * 32 bpp bitmaps in both bit orders through every implementation, and
+ * compares each result with the operation applied pixel by pixel through
+ * getPixel/setPixel. Also checks how pixels are packed into words.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+  BitOrder,
+
+  // Functions
+  applyOp,
+  createBitmap,
+  wrapBitmap,
+  createSubBitmap,
+  setPixel,
+  getPixel,
+  getPatternPixel,
+  bitblt,
+  bitbltAligned,
+  maskBlt,
+  fillRect,
+  fillRectAligned,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const {
+  jitBitBltJs,
+  jitBitBltWasm,
+  jitMaskBltJs,
+  jitMaskBltWasm,
+} = require("../src/jit_executor");
+
+const {
+  createRandom,
+  randomValue,
+  createRandomBitmap,
+  cloneBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+const DEPTHS = [1, 2, 4, 8, 16, 32];
+
+/**
+ * Gets the largest value of a pixel of the given depth.
+ *
+ * @param {number} depth - Bits per pixel
+ * @returns {number} - The largest pixel value
+ */
+function maxValue(depth) {
+  return 2 ** depth - 1;
+}
+
+/**
+ * Applies a transfer pixel by pixel to a copy of the destination. The
+ * rectangle is assumed to lie inside both bitmaps.
+ *
+ * @param {Object} dst - Destination bitmap (before the transfer)
+ * @param {Object} src - Source bitmap
+ * @param {Object} mask - 1-bit mask bitmap, or null
+ * @param {Object} pattern - Pattern bitmap, or null
+ * @param {Object} r - Rectangle and operation of the transfer
+ * @returns {Object} - The expected destination bitmap
+ */
+function expectedResult(dst, src, mask, pattern, r) {
+  const expected = cloneBitmap(dst);
+
+  for (let y = 0; y < r.height; y++) {
+    for (let x = 0; x < r.width; x++) {
+      if (mask && !getPixel(mask, r.srcX + x, r.srcY + y)) {
+        continue;
+      }
+      const dstX = r.dstX + x;
+      const dstY = r.dstY + y;
+      const s = getPixel(src, r.srcX + x, r.srcY + y);
+      const d = getPixel(dst, dstX, dstY);
+      const p = pattern ? getPatternPixel(pattern, dstX, dstY) : 0;
+      setPixel(expected, dstX, dstY, applyOp(r.op, s, d, p));
+    }
+  }
+
+  return expected;
+}
+
+// The transfers under test, each called with an optional mask and pattern;
+// implementations are only given the arguments they support
+const implementations = [
+  {
+    name: "bitblt",
+    masks: true,
+    patterns: true,
+    run: (dst, src, mask, pattern, r) =>
+      mask
+        ? maskBlt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          )
+        : bitblt(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          ),
+  },
+  {
+    name: "bitbltAligned",
+    masks: false,
+    patterns: true,
+    run: (dst, src, mask, pattern, r) =>
+      bitbltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op,
+        pattern
+      ),
+  },
+  {
+    name: "jit_compiler",
+    masks: false,
+    patterns: false,
+    run: (dst, src, mask, pattern, r) =>
+      jitBitBlt(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "jit_compiler aligned",
+    masks: false,
+    patterns: false,
+    run: (dst, src, mask, pattern, r) =>
+      jitBitBltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "JavaScript generator",
+    masks: true,
+    patterns: true,
+    run: (dst, src, mask, pattern, r) =>
+      mask
+        ? jitMaskBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          )
+        : jitBitBltJs(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          ),
+  },
+  {
+    name: "WebAssembly generator",
+    masks: true,
+    patterns: true,
+    run: (dst, src, mask, pattern, r) =>
+      mask
+        ? jitMaskBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            mask,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          )
+        : jitBitBltWasm(
+            dst,
+            r.dstX,
+            r.dstY,
+            r.width,
+            r.height,
+            src,
+            r.srcX,
+            r.srcY,
+            r.op,
+            pattern
+          ),
+  },
+];
+
+const orders = [BitOrder.MSB_FIRST, BitOrder.LSB_FIRST];
+
+async function runTests() {
+  console.log("Testing multi-bit pixel depths...\n");
+
+  const random = createRandom(31);
+  const ops = [BitBltOp.COPY, BitBltOp.AND_INVERTED, BitBltOp.XOR];
+  const patternOps = [Rop3.PATINVERT, Rop3.DSPDxax];
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const depth of DEPTHS) {
+    const pixelsPerWord = 32 / depth;
+
+    for (const impl of implementations) {
+      const description = `${impl.name} at ${depth} bpp`;
+      let passed = true;
+
+      for (let n = 0; n < 16; n++) {
+        totalTests++;
+
+        const aligned = n % 2 === 0;
+        const withMask = impl.masks && n % 3 === 0;
+        const withPattern = impl.patterns && n % 4 === 1;
+        const srcOrder = orders[random(2)];
+        const dstOrder = orders[random(2)];
+
+        const src = createRandomBitmap(40, 6, depth, srcOrder, random);
+        const dst = createRandomBitmap(48, 6, depth, dstOrder, random);
+        const mask = withMask
+          ? createRandomBitmap(40, 6, 1, orders[random(2)], random)
+          : null;
+        const pattern = withPattern
+          ? createRandomBitmap(
+              3 + random(6),
+              4,
+              depth,
+              orders[random(2)],
+              random
+            )
+          : null;
+
+        // Aligned rectangles start and end on word boundaries, which at
+        // deeper pixels are every 32 / depth pixels
+        const unit = aligned ? pixelsPerWord : 1;
+        const width = unit * (1 + random(Math.floor(32 / unit)));
+        const r = {
+          dstX: unit * random(Math.floor((48 - width) / unit) + 1),
+          dstY: random(3),
+          srcX: unit * random(Math.floor((40 - width) / unit) + 1),
+          srcY: random(3),
+          width,
+          height: 1 + random(3),
+          op: withPattern
+            ? patternOps[random(patternOps.length)]
+            : ops[random(ops.length)],
+        };
+
+        const expected = expectedResult(dst, src, mask, pattern, r);
+
+        await impl.run(dst, src, mask, pattern, r);
+
+        if (compareBitmaps(dst, expected)) {
+          passedTests++;
+        } else {
+          passed = false;
+          console.log(
+            `❌ FAIL: ${description} from ${srcOrder} to ${dstOrder}${
+              mask ? " through a mask" : ""
+            } with ${JSON.stringify(r)}`
+          );
+          console.log("\nActual:");
+          console.log(bitmapToString(dst));
+          console.log("Expected:");
+          console.log(bitmapToString(expected));
+        }
+      }
+
+      if (passed) {
+        console.log(`✅ PASS: ${description}`);
+      }
+    }
+
+    // Overlapping transfers within one bitmap, in every direction
+    for (const impl of implementations) {
+      totalTests++;
+      let passed = true;
+
+      for (const [dx, dy] of [
+        [3, 0],
+        [-5, 0],
+        [2, 1],
+        [-2, -1],
+      ]) {
+        const order = orders[random(2)];
+        const bitmap = createRandomBitmap(40, 6, depth, order, random);
+        const r = {
+          srcX: 6,
+          srcY: 2,
+          dstX: 6 + dx,
+          dstY: 2 + dy,
+          width: 25,
+          height: 3,
+          op: BitBltOp.COPY,
+        };
+        const expected = expectedResult(
+          bitmap,
+          cloneBitmap(bitmap),
+          null,
+          null,
+          r
+        );
+
+        await impl.run(bitmap, bitmap, null, null, r);
+
+        passed = passed && compareBitmaps(bitmap, expected);
+      }
+
+      if (passed) {
+        passedTests++;
+        console.log(`✅ PASS: ${impl.name} overlapping at ${depth} bpp`);
+      } else {
+        console.log(`❌ FAIL: ${impl.name} overlapping at ${depth} bpp`);
+      }
+    }
+
+    // Fills with a pixel value at any alignment, including sub-bitmaps
+    for (const [name, fill] of [
+      ["fillRect", fillRect],
+      ["fillRectAligned", fillRectAligned],
+    ]) {
+      totalTests++;
+      let passed = true;
+
+      for (let n = 0; n < 24; n++) {
+        const parent = createRandomBitmap(50, 6, depth, orders[n % 2], random);
+        const bitmap =
+          n % 3 === 0
+            ? createSubBitmap(parent, 1 + random(9), 1, 36, 4)
+            : parent;
+        const unit = n % 4 < 2 ? pixelsPerWord : 1;
+        const x = unit * random(Math.floor(bitmap.width / unit));
+        const y = random(bitmap.height);
+        const width =
+          unit * (1 + random(Math.floor((bitmap.width - x) / unit)));
+        const height = 1 + random(bitmap.height - y);
+        const value = randomValue(depth, random);
+        const op = ops[random(ops.length)];
+
+        const expected = cloneBitmap(bitmap);
+        for (let j = y; j < y + height; j++) {
+          for (let i = x; i < x + width; i++) {
+            const d = getPixel(bitmap, i, j);
+            setPixel(expected, i, j, applyOp(op, value, d, 0));
+          }
+        }
+
+        fill(bitmap, x, y, width, height, value, op);
+        passed = passed && compareBitmaps(bitmap, expected);
+      }
+
+      if (passed) {
+        passedTests++;
+        console.log(`✅ PASS: ${name} at ${depth} bpp`);
+      } else {
+        console.log(`❌ FAIL: ${name} at ${depth} bpp`);
+      }
+    }
+  }
+
+  // Pixels are packed from the most significant end of each word by default
+  totalTests++;
+  const gray = createBitmap(9, 2, { depth: 4 });
+  setPixel(gray, 0, 0, 0xa);
+  setPixel(gray, 7, 0, 0x3);
+  setPixel(gray, 8, 0, 0xf);
+  setPixel(gray, 1, 1, 0x17);
+  const lsbBytes = createBitmap(4, 1, {
+    depth: 8,
+    bitOrder: BitOrder.LSB_FIRST,
+  });
+  setPixel(lsbBytes, 0, 0, 0x12);
+  setPixel(lsbBytes, 3, 0, 0xab);
+  if (
+    gray.intsPerRow === 2 &&
+    gray.data[0] === 0xa0000003 &&
+    gray.data[1] === 0xf0000000 &&
+    gray.data[2] === 0x07000000 &&
+    lsbBytes.data[0] === 0xab000012 &&
+    getPixel(gray, 0, 0) === 0xa &&
+    getPixel(gray, 1, 1) === 0x7
+  ) {
+    passedTests++;
+    console.log("✅ PASS: pixels are packed 32 / depth to a word");
+  } else {
+    console.log("❌ FAIL: pixels are packed 32 / depth to a word");
+  }
+
+  totalTests++;
+  const argb = wrapBitmap(new Uint32Array([0xff00ff00, 0x80123456]), 2, 1, 2, {
+    depth: 32,
+  });
+  if (
+    getPixel(argb, 0, 0) === 0xff00ff00 &&
+    getPixel(argb, 1, 0) === 0x80123456 &&
+    argb.intsPerRow === 2
+  ) {
+    passedTests++;
+    console.log("✅ PASS: 32 bpp pixels read as unsigned words");
+  } else {
+    console.log("❌ FAIL: 32 bpp pixels read as unsigned words");
+  }
+
+  totalTests++;
+  const ramp = createBitmap(4, 1, { depth: 2 });
+  for (let x = 0; x < 4; x++) {
+    setPixel(ramp, x, 0, x);
+  }
+  const rampString = bitmapToString(ramp);
+  if (rampString === " ░▓█\n") {
+    passedTests++;
+    console.log("✅ PASS: bitmapToString shades deeper pixels");
+  } else {
+    console.log(`❌ FAIL: bitmapToString shades deeper pixels: ${rampString}`);
+  }
+
+  for (const [description, fn] of [
+    ["an unsupported depth", () => createBitmap(8, 8, { depth: 3 })],
+    [
+      "a stride too small for the depth",
+      () => createBitmap(8, 2, { depth: 8, stride: 1 }),
+    ],
+    [
+      "a transfer between depths",
+      () =>
+        bitblt(
+          createBitmap(8, 8, { depth: 8 }),
+          0,
+          0,
+          8,
+          8,
+          createBitmap(8, 8, { depth: 4 }),
+          0,
+          0
+        ),
+    ],
+    [
+      "a mask deeper than 1 bit",
+      () => {
+        const deep = createBitmap(8, 8, { depth: 8 });
+        maskBlt(deep, 0, 0, 8, 8, deep, 0, 0, deep, 0, 0);
+      },
+    ],
+  ]) {
+    totalTests++;
+    try {
+      fn();
+      console.log(`❌ FAIL: ${description} should throw`);
+    } catch (error) {
+      passedTests++;
+      console.log(`✅ PASS: ${description} throws`);
+    }
+  }
+
+  totalTests++;
+  try {
+    await jitBitBltJs(
+      createBitmap(8, 8, { depth: 8 }),
+      0,
+      0,
+      8,
+      8,
+      createBitmap(8, 8, { depth: 16 }),
+      0,
+      0
+    );
+    console.log("❌ FAIL: a JIT transfer between depths should throw");
+  } catch (error) {
+    passedTests++;
+    console.log("✅ PASS: a JIT transfer between depths throws");
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
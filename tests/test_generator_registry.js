@@ -0,0 +1,283 @@
+/**
+ * Test file for registering code generators with the JIT executor
+ *
+ * Plugs in generators that are not built in, one extending
+ * CodeGeneratorInterface and one that only has its methods, checks that
+ * operations run their code through a cache of their own, and that
+ * generators which do not implement the interface are rejected.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+
+  // Functions
+  bitblt,
+  maskBlt,
+} = require("../src/bitblt");
+
+const {
+  JitExecutor,
+  CodeGeneratorType,
+  CodeGeneratorInterface,
+} = require("../src/jit_executor");
+
+const JavaScriptGenerator = require("../src/code_generators/js_generator");
+
+const { createTestBitmap, compareBitmaps, throwsWith } = require("./helpers");
+
+/**
+ * A generator that counts the code it generates and runs, generating it
+ * with the JavaScript generator.
+ */
+class CountingGenerator extends CodeGeneratorInterface {
+  constructor() {
+    super();
+    this.backend = new JavaScriptGenerator();
+    this.generated = 0;
+    this.executed = 0;
+  }
+
+  generateCode(params) {
+    this.generated++;
+    return { ...this.backend.generateCode(params), type: "counting" };
+  }
+
+  executeCode(generatedCode, dst, src, pattern, mask, colorMap, rect) {
+    this.executed++;
+    this.backend.executeCode(
+      generatedCode,
+      dst,
+      src,
+      pattern,
+      mask,
+      colorMap,
+      rect
+    );
+  }
+}
+
+/**
+ * Creates a generator that is not a CodeGeneratorInterface but has its
+ * methods, and generates code asynchronously.
+ *
+ * @returns {Object} - The generator
+ */
+function createAsyncGenerator() {
+  const backend = new JavaScriptGenerator();
+  return {
+    generateCode: async (params) => backend.generateCode(params),
+    isSynchronous: () => false,
+    executeCode: (...args) => backend.executeCode(...args),
+    getCacheKey: (params) => backend.getCacheKey(params),
+    getRect: (params) => backend.getRect(params),
+  };
+}
+
+async function runTests() {
+  console.log("Testing the code generator registry...\n");
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  const executor = new JitExecutor({ cacheLimits: { maxEntries: 8 } });
+  const src = createTestBitmap(96, 16, 1, 1);
+  const dst = createTestBitmap(96, 16, 1, 2);
+  const expected = createTestBitmap(96, 16, 1, 2);
+
+  check(
+    "the built-in generators are registered",
+    executor.getGeneratorTypes().join() ===
+      `${CodeGeneratorType.JAVASCRIPT},${CodeGeneratorType.WASM}`
+  );
+
+  // A generator extending the interface
+  const counting = new CountingGenerator();
+  executor.registerGenerator("counting", counting);
+  check(
+    "a registered generator gets a cache with the executor's limits",
+    executor.getGeneratorTypes().includes("counting") &&
+      executor.getCacheStats("counting").entries === 0 &&
+      executor.getCacheStats("counting").maxEntries === 8
+  );
+
+  for (const x of [1, 5, 9]) {
+    bitblt(expected, x, 2, 50, 9, src, 3, 1, BitBltOp.XOR);
+    await executor.execute(
+      dst,
+      x,
+      2,
+      50,
+      9,
+      src,
+      3,
+      1,
+      BitBltOp.XOR,
+      "counting"
+    );
+  }
+  check(
+    "operations run the registered generator's code",
+    compareBitmaps(dst, expected) &&
+      counting.generated === 1 &&
+      counting.executed === 3
+  );
+  check(
+    "its code is cached apart from the built-in generators",
+    executor.getCacheStats("counting").hits === 2 &&
+      executor.getCacheStats(CodeGeneratorType.JAVASCRIPT).misses === 0
+  );
+
+  const mask = createTestBitmap(96, 16, 1, 3);
+  maskBlt(expected, 0, 0, 64, 8, src, 2, 2, mask, 1, 1, BitBltOp.OR);
+  executor.executeMaskBltSync(
+    dst,
+    0,
+    0,
+    64,
+    8,
+    src,
+    2,
+    2,
+    mask,
+    1,
+    1,
+    BitBltOp.OR,
+    "counting"
+  );
+  check(
+    "synchronous generators compile when operations run synchronously",
+    compareBitmaps(dst, expected) && counting.generated === 2
+  );
+
+  executor.setDefaultGenerator("counting");
+  bitblt(expected, 7, 3, 20, 4, src, 0, 0, BitBltOp.AND);
+  await executor.execute(dst, 7, 3, 20, 4, src, 0, 0, BitBltOp.AND);
+  check(
+    "a registered generator can be the default",
+    compareBitmaps(dst, expected) && counting.generated === 3
+  );
+  check(
+    "the default generator cannot be unregistered",
+    throwsWith(() => executor.unregisterGenerator("counting"), "default")
+  );
+  executor.setDefaultGenerator(CodeGeneratorType.JAVASCRIPT);
+
+  // A generator that only has the interface's methods, and is asynchronous
+  executor.registerGenerator("async", createAsyncGenerator());
+  const operation = {
+    dst,
+    dstX: 4,
+    width: 40,
+    height: 6,
+    src,
+    op: BitBltOp.XOR,
+  };
+  check(
+    "asynchronous generators need their code compiled first to run synchronously",
+    throwsWith(
+      () =>
+        executor.executeSync(
+          dst,
+          4,
+          0,
+          40,
+          6,
+          src,
+          0,
+          0,
+          BitBltOp.XOR,
+          "async"
+        ),
+      "precompile()"
+    )
+  );
+  await executor.precompile(operation, "async");
+  bitblt(expected, 4, 0, 40, 6, src, 0, 0, BitBltOp.XOR);
+  executor.executeSync(dst, 4, 0, 40, 6, src, 0, 0, BitBltOp.XOR, "async");
+  check(
+    "objects with the interface's methods can be registered",
+    compareBitmaps(dst, expected) &&
+      executor.getCacheStats("async").entries === 1
+  );
+
+  // Invalid registrations
+  check(
+    "names must be new non-empty strings",
+    throwsWith(
+      () => executor.registerGenerator("", new CountingGenerator()),
+      "Invalid"
+    ) &&
+      throwsWith(
+        () => executor.registerGenerator("counting", new CountingGenerator()),
+        "already registered"
+      ) &&
+      throwsWith(
+        () =>
+          executor.registerGenerator(
+            CodeGeneratorType.WASM,
+            new CountingGenerator()
+          ),
+        "already registered"
+      )
+  );
+  const { getRect, ...withoutRect } = createAsyncGenerator();
+  check(
+    "generators must implement every public method of the interface",
+    throwsWith(
+      () => executor.registerGenerator("partial", withoutRect),
+      "getRect()"
+    ) && throwsWith(() => executor.registerGenerator("none", null), "object")
+  );
+  check(
+    "generators must implement the abstract methods",
+    throwsWith(
+      () =>
+        executor.registerGenerator("abstract", new CodeGeneratorInterface()),
+      "generateCode()"
+    ) && !executor.getGeneratorTypes().includes("abstract")
+  );
+
+  // Unregistering
+  executor.unregisterGenerator("async");
+  check(
+    "unregistered generators and their caches are gone",
+    !executor.getGeneratorTypes().includes("async") &&
+      throwsWith(() => executor.getCacheStats("async"), "Unknown")
+  );
+  let rejected = false;
+  try {
+    await executor.execute(dst, 0, 0, 8, 8, src, 0, 0, BitBltOp.COPY, "async");
+  } catch (e) {
+    rejected = e.message.includes("Unknown code generator type");
+  }
+  check("operations cannot use an unregistered generator", rejected);
+  check(
+    "built-in and unknown generators cannot be unregistered",
+    throwsWith(
+      () => executor.unregisterGenerator(CodeGeneratorType.WASM),
+      "built-in"
+    ) && throwsWith(() => executor.unregisterGenerator("async"), "Unknown")
+  );
+  check(
+    "other executors are not affected",
+    new JitExecutor().getGeneratorTypes().length === 2
+  );
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,243 @@
+/**
+ * Test file for masked BitBLT (maskBlt)
+ *
+ * Runs maskBlt and the JIT-generated masked transfers at aligned and random
+ * alignments, including negative origins, clip rectangles, masks smaller than
+ * the transfer and overlapping transfers within the same bitmap, and compares
+ * every result with a pixel-by-pixel reference.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+  BitOrder,
+
+  // Functions
+  getRop3Code,
+  createBitmap,
+  setPixel,
+  getPixel,
+  getPatternPixel,
+  maskBlt,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { jitMaskBltJs, jitMaskBltWasm } = require("../src/jit_executor");
+
+const {
+  createRandom,
+  createRandomBitmap,
+  cloneBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+/**
+ * Reference masked BitBLT that reads the source from a snapshot, so
+ * overlapping transfers behave as if source and destination were separate.
+ */
+function referenceMaskBlt(
+  dst,
+  dstX,
+  dstY,
+  width,
+  height,
+  src,
+  srcX,
+  srcY,
+  mask,
+  maskX,
+  maskY,
+  op,
+  pattern,
+  clipRect
+) {
+  const code = getRop3Code(op);
+  const srcCopy = cloneBitmap(src);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = srcX + x;
+      const sy = srcY + y;
+      const dx = dstX + x;
+      const dy = dstY + y;
+      const mx = maskX + x;
+      const my = maskY + y;
+
+      if (sx < 0 || sy < 0 || sx >= src.width || sy >= src.height) {
+        continue; // Outside the source
+      }
+      if (mx < 0 || my < 0 || mx >= mask.width || my >= mask.height) {
+        continue; // Outside the mask
+      }
+      if (dx < 0 || dy < 0 || dx >= dst.width || dy >= dst.height) {
+        continue; // Outside the destination
+      }
+      if (
+        clipRect &&
+        (dx < clipRect.x ||
+          dy < clipRect.y ||
+          dx >= clipRect.x + clipRect.width ||
+          dy >= clipRect.y + clipRect.height)
+      ) {
+        continue; // Clipped
+      }
+      if (!getPixel(mask, mx, my)) {
+        continue; // Not selected by the mask
+      }
+
+      const p = pattern ? getPatternPixel(pattern, dx, dy) : 0;
+      const s = getPixel(srcCopy, sx, sy);
+      const d = getPixel(dst, dx, dy);
+      setPixel(dst, dx, dy, (code >> (4 * p + 2 * s + d)) & 1);
+    }
+  }
+}
+
+// The implementations under test, each called like maskBlt
+const implementations = [
+  { name: "maskBlt", blit: maskBlt },
+  { name: "JavaScript generator", blit: jitMaskBltJs },
+  { name: "WebAssembly generator", blit: jitMaskBltWasm },
+];
+
+async function runTests() {
+  console.log("Testing masked BitBLT...\n");
+
+  const random = createRandom(5);
+  const ops = [
+    BitBltOp.COPY,
+    BitBltOp.XOR,
+    BitBltOp.AND_INVERTED,
+    Rop3.PSDPxax,
+  ];
+  const pattern = createRandomBitmap(8, 8, 1, BitOrder.MSB_FIRST, random);
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const { name, blit } of implementations) {
+    let implPassed = true;
+
+    for (let n = 0; n < 120; n++) {
+      totalTests++;
+
+      // Aligned origins a third of the time, to cover the fast paths
+      const aligned = n % 3 === 0;
+      const sameBuffer = n % 5 === 4;
+      const dst = createRandomBitmap(128, 16, 1, BitOrder.MSB_FIRST, random);
+      const src = sameBuffer
+        ? dst
+        : createRandomBitmap(96, 16, 1, BitOrder.MSB_FIRST, random);
+      const mask = createRandomBitmap(
+        aligned ? 64 : 40 + random(60),
+        8 + random(10),
+        1,
+        BitOrder.MSB_FIRST,
+        random
+      );
+      const expected = cloneBitmap(dst);
+
+      const width = aligned ? 32 * (1 + random(3)) : 1 + random(120);
+      const height = 1 + random(16);
+      const dstX = aligned ? 32 * random(3) : random(150) - 30;
+      const srcX = aligned ? 32 * random(2) : random(120) - 30;
+      const maskX = aligned ? 32 * random(2) : random(60) - 10;
+      const dstY = random(20) - 4;
+      const srcY = random(20) - 4;
+      const maskY = random(12) - 2;
+      const op = ops[random(ops.length)];
+      const clipRect =
+        n % 4 === 1
+          ? {
+              x: random(64),
+              y: random(8),
+              width: random(96),
+              height: random(14),
+            }
+          : null;
+
+      referenceMaskBlt(
+        expected,
+        dstX,
+        dstY,
+        width,
+        height,
+        sameBuffer ? expected : src,
+        srcX,
+        srcY,
+        mask,
+        maskX,
+        maskY,
+        op,
+        pattern,
+        clipRect
+      );
+
+      await blit(
+        dst,
+        dstX,
+        dstY,
+        width,
+        height,
+        src,
+        srcX,
+        srcY,
+        mask,
+        maskX,
+        maskY,
+        op,
+        pattern,
+        { clipRect }
+      );
+
+      if (compareBitmaps(dst, expected)) {
+        passedTests++;
+      } else {
+        implPassed = false;
+        console.log(
+          `❌ FAIL: ${name}(dst, ${dstX}, ${dstY}, ${width}, ${height}, ${
+            sameBuffer ? "dst" : "src"
+          }, ${srcX}, ${srcY}, mask, ${maskX}, ${maskY}, ${op})`
+        );
+        console.log("\nActual:");
+        console.log(bitmapToString(dst));
+        console.log("Expected:");
+        console.log(bitmapToString(expected));
+      }
+    }
+
+    if (implPassed) {
+      console.log(`✅ PASS: ${name}`);
+    }
+  }
+
+  // A mask is required
+  totalTests++;
+  try {
+    maskBlt(
+      createBitmap(32, 8),
+      0,
+      0,
+      8,
+      8,
+      createBitmap(32, 8),
+      0,
+      0,
+      null,
+      0,
+      0
+    );
+    console.log("❌ FAIL: maskBlt without a mask should throw");
+  } catch (error) {
+    console.log("✅ PASS: maskBlt without a mask throws");
+    passedTests++;
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
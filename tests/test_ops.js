@@ -0,0 +1,153 @@
+/**
+ * Test file for the 16 Boolean combination rules
+ *
+ * Every operation is run through the reference, aligned, JIT-compiled and
+ * code-generator implementations, and each result is compared with the
+ * operation's truth table applied pixel by pixel.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+
+  // Functions
+  getTruthTable,
+  isArithmeticOp,
+  createBitmap,
+  setPixel,
+  getPixel,
+  bitblt,
+  bitbltAligned,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const { jitBitBltJs, jitBitBltWasm } = require("../src/jit_executor");
+
+const { compareBitmaps } = require("./helpers");
+
+/**
+ * Fills a bitmap with a deterministic pattern that mixes 0s and 1s.
+ *
+ * @param {Object} bitmap - The bitmap to fill
+ * @param {number} seed - Seed that selects the pattern
+ */
+function fillPattern(bitmap, seed) {
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      setPixel(bitmap, x, y, ((x * 7 + y * 13 + seed) % 5) < 2 ? 1 : 0);
+    }
+  }
+}
+
+/**
+ * Builds the expected result of a blit by applying the truth table of the
+ * operation to each pixel in the blit rectangle.
+ *
+ * @param {Object} src - Source bitmap
+ * @param {Object} dst - Destination bitmap (before the blit)
+ * @param {Object} rect - Blit rectangle (dstX, dstY, srcX, srcY, width, height)
+ * @param {number} op - Operation (from BitBltOp enum)
+ * @returns {Object} - The expected destination bitmap
+ */
+function expectedResult(src, dst, rect, op) {
+  const table = getTruthTable(op);
+  const expected = createBitmap(dst.width, dst.height);
+
+  for (let y = 0; y < dst.height; y++) {
+    for (let x = 0; x < dst.width; x++) {
+      setPixel(expected, x, y, getPixel(dst, x, y));
+    }
+  }
+
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      const s = getPixel(src, rect.srcX + x, rect.srcY + y);
+      const d = getPixel(dst, rect.dstX + x, rect.dstY + y);
+      const result = (table >> (2 * s + d)) & 1;
+      setPixel(expected, rect.dstX + x, rect.dstY + y, result);
+    }
+  }
+
+  return expected;
+}
+
+// The implementations under test, each called like bitblt
+const implementations = [
+  { name: "bitblt", blit: bitblt },
+  { name: "bitbltAligned", blit: bitbltAligned },
+  { name: "jit_compiler", blit: jitBitBlt },
+  { name: "jit_compiler aligned", blit: jitBitBltAligned },
+  { name: "JavaScript generator", blit: jitBitBltJs },
+  { name: "WebAssembly generator", blit: jitBitBltWasm },
+];
+
+// An unaligned and an aligned rectangle for every implementation
+const rects = [
+  { name: "unaligned", dstX: 7, dstY: 2, srcX: 3, srcY: 1, width: 45, height: 9 },
+  { name: "aligned", dstX: 32, dstY: 2, srcX: 0, srcY: 1, width: 64, height: 9 },
+];
+
+async function runTests() {
+  console.log("Testing all 16 BitBLT combination rules...\n");
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  // Arithmetic operations have no truth table; see test_arithmetic.js
+  const booleanOps = Object.entries(BitBltOp).filter(
+    ([, op]) => !isArithmeticOp(op)
+  );
+
+  for (const [opName, op] of booleanOps) {
+    const passedBefore = passedTests;
+    const testsBefore = totalTests;
+
+    for (const rect of rects) {
+      for (const impl of implementations) {
+        totalTests++;
+
+        const src = createBitmap(128, 16);
+        const dst = createBitmap(128, 16);
+        fillPattern(src, 1);
+        fillPattern(dst, 3);
+
+        const expected = expectedResult(src, dst, rect, op);
+
+        await impl.blit(
+          dst,
+          rect.dstX,
+          rect.dstY,
+          rect.width,
+          rect.height,
+          src,
+          rect.srcX,
+          rect.srcY,
+          op
+        );
+
+        if (compareBitmaps(dst, expected)) {
+          passedTests++;
+        } else {
+          console.log(`❌ FAIL: ${opName} (${rect.name}, ${impl.name})`);
+          console.log("\nActual:");
+          console.log(bitmapToString(dst));
+          console.log("Expected:");
+          console.log(bitmapToString(expected));
+        }
+      }
+    }
+
+    if (passedTests - passedBefore === totalTests - testsBefore) {
+      console.log(`✅ PASS: ${opName}`);
+    }
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
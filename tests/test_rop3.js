@@ -0,0 +1,241 @@
+/**
+ * Test file for ternary raster operations (ROP3) with a tiled pattern
+ *
+ * Every one of the 256 codes is run through the reference, aligned and
+ * code-generator implementations with an 8x8 pattern and an odd-sized
+ * pattern, and each result is compared with the code applied pixel by pixel.
+ */
+
+const {
+  // Enums
+  Rop3,
+
+  // Functions
+  rop3,
+  createBitmap,
+  setPixel,
+  getPixel,
+  getPatternPixel,
+  bitblt,
+  bitbltAligned,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const {
+  jitExecutor,
+  CodeGeneratorType,
+  jitBitBltJs,
+  jitBitBltWasm,
+} = require("../src/jit_executor");
+
+const { compareBitmaps } = require("./helpers");
+
+/**
+ * Fills a bitmap with a deterministic pattern that mixes 0s and 1s.
+ *
+ * @param {Object} bitmap - The bitmap to fill
+ * @param {number} seed - Seed that selects the pattern
+ */
+function fillPattern(bitmap, seed) {
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      setPixel(bitmap, x, y, (x * 7 + y * 13 + seed) % 5 < 2 ? 1 : 0);
+    }
+  }
+}
+
+/**
+ * Builds the expected result of a blit by looking up each pixel's
+ * (pattern, source, destination) combination in the ternary code.
+ *
+ * @param {Object} src - Source bitmap
+ * @param {Object} dst - Destination bitmap (before the blit)
+ * @param {Object} pattern - Pattern bitmap
+ * @param {Object} rect - Blit rectangle (dstX, dstY, srcX, srcY, width, height)
+ * @param {number} code - Ternary raster operation code
+ * @returns {Object} - The expected destination bitmap
+ */
+function expectedResult(src, dst, pattern, rect, code) {
+  const expected = createBitmap(dst.width, dst.height);
+
+  for (let y = 0; y < dst.height; y++) {
+    for (let x = 0; x < dst.width; x++) {
+      setPixel(expected, x, y, getPixel(dst, x, y));
+    }
+  }
+
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      const dx = rect.dstX + x;
+      const dy = rect.dstY + y;
+      const p = getPatternPixel(pattern, dx, dy);
+      const s = getPixel(src, rect.srcX + x, rect.srcY + y);
+      const d = getPixel(dst, dx, dy);
+      setPixel(expected, dx, dy, (code >> (4 * p + 2 * s + d)) & 1);
+    }
+  }
+
+  return expected;
+}
+
+// The implementations under test, each called like bitblt
+const implementations = [
+  { name: "bitblt", blit: bitblt },
+  { name: "bitbltAligned", blit: bitbltAligned },
+  { name: "JavaScript generator", blit: jitBitBltJs },
+  { name: "WebAssembly generator", blit: jitBitBltWasm },
+];
+
+// An unaligned and an aligned rectangle for every implementation
+const rects = [
+  { name: "unaligned", dstX: 7, dstY: 2, srcX: 3, srcY: 1, width: 45, height: 9 },
+  { name: "aligned", dstX: 32, dstY: 2, srcX: 0, srcY: 1, width: 64, height: 9 },
+];
+
+// An 8x8 halftone and an odd-sized pattern that does not divide a word
+const halftone = createBitmap(8, 8);
+for (let y = 0; y < 8; y++) {
+  for (let x = 0; x < 8; x++) {
+    setPixel(halftone, x, y, (x + y) % 2);
+  }
+}
+const oddPattern = createBitmap(5, 3);
+fillPattern(oddPattern, 2);
+
+const patterns = [
+  { name: "8x8", bitmap: halftone },
+  { name: "5x3", bitmap: oddPattern },
+];
+
+async function runTests() {
+  console.log("Testing ternary raster operations...\n");
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const pattern of patterns) {
+    const passedBefore = passedTests;
+    const testsBefore = totalTests;
+
+    for (let code = 0; code < 256; code++) {
+      for (const rect of rects) {
+        for (const impl of implementations) {
+          totalTests++;
+
+          const src = createBitmap(128, 16);
+          const dst = createBitmap(128, 16);
+          fillPattern(src, 1);
+          fillPattern(dst, 3);
+
+          const expected = expectedResult(src, dst, pattern.bitmap, rect, code);
+
+          await impl.blit(
+            dst,
+            rect.dstX,
+            rect.dstY,
+            rect.width,
+            rect.height,
+            src,
+            rect.srcX,
+            rect.srcY,
+            rop3(code),
+            pattern.bitmap
+          );
+
+          if (compareBitmaps(dst, expected)) {
+            passedTests++;
+          } else {
+            console.log(
+              `❌ FAIL: 0x${code.toString(16)} with ${pattern.name} pattern (${rect.name}, ${impl.name})`
+            );
+            console.log("\nActual:");
+            console.log(bitmapToString(dst));
+            console.log("Expected:");
+            console.log(bitmapToString(expected));
+          }
+        }
+      }
+    }
+
+    if (passedTests - passedBefore === totalTests - testsBefore) {
+      console.log(`✅ PASS: all 256 codes with ${pattern.name} pattern`);
+    }
+  }
+
+  // Operations that read the pattern must be given one
+  totalTests++;
+  try {
+    bitblt(createBitmap(32, 8), 0, 0, 8, 8, createBitmap(32, 8), 0, 0, Rop3.PATCOPY);
+    console.log("❌ FAIL: PATCOPY without a pattern should throw");
+  } catch (error) {
+    console.log("✅ PASS: PATCOPY without a pattern throws");
+    passedTests++;
+  }
+
+  // Patterns must be bitmaps
+  totalTests++;
+  try {
+    bitblt(createBitmap(32, 8), 0, 0, 8, 8, createBitmap(32, 8), 0, 0, Rop3.SRCCOPY, "wasm");
+    console.log("❌ FAIL: a pattern that is not a bitmap should throw");
+  } catch (error) {
+    if (error.message.includes("Pattern must be a bitmap")) {
+      console.log("✅ PASS: a pattern that is not a bitmap throws");
+      passedTests++;
+    } else {
+      console.log(`❌ FAIL: unexpected error ${error.message}`);
+    }
+  }
+
+  // The executor takes the generator type after the operation, and the
+  // pattern among its options
+  totalTests++;
+  const src = createBitmap(64, 4);
+  fillPattern(src, 1);
+  const typed = createBitmap(64, 4);
+  const patterned = createBitmap(64, 8);
+  const patternedExpected = createBitmap(64, 8);
+  bitblt(patternedExpected, 3, 0, 50, 8, src, 0, 0, Rop3.PATINVERT, halftone);
+  let unknownTypeRejected = false;
+  try {
+    await jitExecutor.execute(typed, 0, 0, 64, 4, src, 0, 0, Rop3.SRCCOPY, CodeGeneratorType.WASM);
+    await jitExecutor.execute(patterned, 3, 0, 50, 8, src, 0, 0, Rop3.PATINVERT, null, { pattern: halftone });
+    await jitExecutor.execute(typed, 0, 0, 64, 4, src, 0, 0, Rop3.SRCCOPY, "asm.js");
+  } catch (error) {
+    unknownTypeRejected = error.message.includes("Unknown code generator type");
+  }
+  if (
+    compareBitmaps(typed, src) &&
+    compareBitmaps(patterned, patternedExpected) &&
+    unknownTypeRejected
+  ) {
+    console.log("✅ PASS: execute() takes the generator type after the operation and the pattern as an option");
+    passedTests++;
+  } else {
+    console.log("❌ FAIL: execute() takes the generator type after the operation and the pattern as an option");
+  }
+
+  // The JIT compiler takes no pattern, so it rejects operations that use one
+  for (const [name, run] of [["jitBitBlt", jitBitBlt], ["jitBitBltAligned", jitBitBltAligned]]) {
+    totalTests++;
+    try {
+      run(createBitmap(32, 4), 0, 0, 32, 4, createBitmap(32, 4), 0, 0, Rop3.PATCOPY);
+      console.log(`❌ FAIL: ${name} should reject an operation that uses a pattern`);
+    } catch (error) {
+      if (error.message.includes("uses a pattern")) {
+        console.log(`✅ PASS: ${name} rejects an operation that uses a pattern`);
+        passedTests++;
+      } else {
+        console.log(`❌ FAIL: ${name} threw ${error.message}`);
+      }
+    }
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
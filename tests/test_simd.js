@@ -0,0 +1,387 @@
+/**
+ * Test file for the SIMD code of the WebAssembly generator
+ *
+ * Runs random aligned transfers of every width from 1 to 13 words, so rows
+ * end in every length of scalar tail, through the WebAssembly generator and
+ * compares them with bitblt, maskBlt and transparentBlt. Also checks
+ * overlapping transfers, that patterns and SIMD-less engines fall back to
+ * scalar code, and the vector form of the expression compiler.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+  BitOrder,
+
+  // Functions
+  createBitmap,
+  setPixel,
+  bitblt,
+  maskBlt,
+  transparentBlt,
+  blendConstant,
+} = require("../src/bitblt");
+
+const {
+  jitExecutor,
+  CodeGeneratorType,
+  jitBitBltWasm,
+  jitMaskBltWasm,
+  jitTransparentBltWasm,
+  createWasmBitmap,
+  freeWasmBitmap,
+} = require("../src/jit_executor");
+
+const {
+  FunctionBuilder,
+  ModuleBuilder,
+  supportsSimd,
+} = require("../src/code_generators/wasm_module");
+
+const {
+  createRandom,
+  createRandomBitmap,
+  cloneBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+const DEPTHS = [1, 2, 4, 8, 16, 32];
+
+const orders = [BitOrder.MSB_FIRST, BitOrder.LSB_FIRST];
+
+/**
+ * Gets the code the WebAssembly generator cached for the only transfer run
+ * since the cache was cleared.
+ *
+ * @returns {Object} - The generated code
+ */
+function lastGeneratedCode() {
+  const [generatedCode] =
+    jitExecutor.codeCache[CodeGeneratorType.WASM].values();
+  return generatedCode;
+}
+
+/**
+ * Runs a transfer through the WebAssembly generator and through the
+ * reference implementation on a copy of the destination.
+ *
+ * @param {Function} run - Runs the transfer with the JIT
+ * @param {Function} reference - Runs the same transfer without the JIT
+ * @param {Object} dst - The destination bitmap
+ * @returns {Promise<Object>} - Whether the results match and the generated code
+ */
+async function compareWithReference(run, reference, dst) {
+  const expected = cloneBitmap(dst);
+  reference(expected);
+  jitExecutor.clearCache();
+  await run(dst);
+  return { matches: compareBitmaps(dst, expected), code: lastGeneratedCode() };
+}
+
+/**
+ * Gets the operations to test at a depth.
+ *
+ * @param {number} depth - Bits per pixel
+ * @returns {number[]} - The operations
+ */
+function opsForDepth(depth) {
+  const ops = [
+    BitBltOp.COPY,
+    BitBltOp.XOR,
+    BitBltOp.AND_INVERTED,
+    Rop3.SRCPAINT,
+  ];
+  if (depth > 1) {
+    ops.push(BitBltOp.ADD, BitBltOp.AVERAGE, BitBltOp.MAX);
+  }
+  if (depth === 32) {
+    ops.push(BitBltOp.BLEND, blendConstant(100));
+  }
+  return ops;
+}
+
+async function runTests() {
+  console.log("Testing the SIMD code of the WebAssembly generator...\n");
+
+  if (typeof WebAssembly === "undefined") {
+    console.log("WebAssembly is not supported in this environment.");
+    process.exit(0);
+  }
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  const generator = jitExecutor.generators[CodeGeneratorType.WASM];
+  const simd = supportsSimd();
+  check("SIMD support is detected at startup", generator.simd === simd);
+  if (!simd) {
+    console.log("SIMD is not supported in this environment.");
+    console.log("\nTest Results:");
+    console.log(`${passedTests} of ${totalTests} tests passed`);
+    process.exit(passedTests === totalTests ? 0 : 1);
+  }
+
+  const random = createRandom(18);
+
+  // Every width from 1 to 13 words, with random bit orders and positions
+  for (const depth of DEPTHS) {
+    const pixelsPerWord = 32 / depth;
+    for (const op of opsForDepth(depth)) {
+      let passed = true;
+      let vectorCode = true;
+      for (let words = 1; words <= 13; words++) {
+        const width = words * pixelsPerWord;
+        const src = createRandomBitmap(
+          16 * pixelsPerWord,
+          4,
+          depth,
+          orders[random(2)],
+          random
+        );
+        const dst = createRandomBitmap(
+          16 * pixelsPerWord,
+          4,
+          depth,
+          orders[random(2)],
+          random
+        );
+        const srcX = random(17 - words) * pixelsPerWord;
+        const dstX = random(17 - words) * pixelsPerWord;
+        const { matches, code } = await compareWithReference(
+          (d) => jitBitBltWasm(d, dstX, 1, width, 3, src, srcX, 0, op),
+          (d) => bitblt(d, dstX, 1, width, 3, src, srcX, 0, op),
+          dst
+        );
+        passed = passed && matches;
+        vectorCode = vectorCode && code.aligned && code.simd;
+      }
+      check(`op ${op} at ${depth} bpp matches bitblt`, passed);
+      check(`op ${op} at ${depth} bpp uses vector code`, vectorCode);
+    }
+  }
+
+  // Code for rows that do not overlap, run on a row copied onto itself one
+  // word to the right, repeats a word through every scalar copy but not
+  // within a vector, which is loaded whole before it is stored. The words
+  // that come out show which went through vectors: none in rows narrower
+  // than a vector, and all but a scalar tail in wider rows
+  for (const depth of DEPTHS) {
+    const pixelsPerWord = 32 / depth;
+    const code = await generator.generateCode({
+      dst: createBitmap(16 * pixelsPerWord, 1, { depth }),
+      dstX: 0,
+      dstY: 0,
+      width: 8 * pixelsPerWord,
+      height: 1,
+      src: createBitmap(16 * pixelsPerWord, 1, { depth }),
+      srcX: 0,
+      srcY: 0,
+      op: BitBltOp.COPY,
+      aligned: true,
+    });
+    let split = true;
+    for (let words = 1; words <= 13; words++) {
+      const row = createWasmBitmap(16 * pixelsPerWord, 1, { depth });
+      const expected = [];
+      for (let i = 0; i < 16; i++) {
+        row.data[i] = i + 1;
+        expected.push(i + 1);
+      }
+      const vectorWords = words - (words % 4);
+      for (let i = 0; i < vectorWords; i += 4) {
+        expected.splice(i + 1, 4, ...expected.slice(i, i + 4));
+      }
+      for (let i = vectorWords; i < words; i++) {
+        expected[i + 1] = expected[i];
+      }
+      generator.executeCode(code, row, row, null, null, null, {
+        dstX: pixelsPerWord,
+        dstY: 0,
+        srcX: 0,
+        srcY: 0,
+        width: words * pixelsPerWord,
+        height: 1,
+      });
+      split = split && row.data.every((word, i) => word === expected[i]);
+      freeWasmBitmap(row);
+    }
+    check(
+      `rows at ${depth} bpp use vectors from 4 words and a scalar tail`,
+      code.simd && split
+    );
+  }
+
+  // Masks and transparent keys merge whole vectors
+  for (const maskOrder of orders) {
+    const src = createRandomBitmap(320, 5, 1, BitOrder.MSB_FIRST, random);
+    const dst = createRandomBitmap(320, 5, 1, BitOrder.LSB_FIRST, random);
+    const mask = createRandomBitmap(320, 5, 1, maskOrder, random);
+    const { matches, code } = await compareWithReference(
+      (d) =>
+        jitMaskBltWasm(d, 32, 1, 224, 4, src, 64, 0, mask, 0, 1, BitBltOp.XOR),
+      (d) => maskBlt(d, 32, 1, 224, 4, src, 64, 0, mask, 0, 1, BitBltOp.XOR),
+      dst
+    );
+    check(`${maskOrder} masks match maskBlt`, matches && code.simd);
+  }
+  for (const depth of [4, 8, 32]) {
+    const key = depth === 32 ? 0xff00ff : 3;
+    const src = createRandomBitmap(40, 4, depth, BitOrder.MSB_FIRST, random);
+    for (let x = 0; x < 40; x += 3) {
+      setPixel(src, x, x % 4, key);
+    }
+    const dst = createRandomBitmap(40, 4, depth, BitOrder.MSB_FIRST, random);
+    const width = (32 / depth) * 9;
+    const { matches, code } = await compareWithReference(
+      (d) => jitTransparentBltWasm(d, 0, 0, width, 4, src, 0, 0, key),
+      (d) => transparentBlt(d, 0, 0, width, 4, src, 0, 0, key),
+      dst
+    );
+    check(
+      `transparent keys at ${depth} bpp match transparentBlt`,
+      matches && code.simd
+    );
+  }
+
+  // Overlapping transfers read each vector before any of it is overwritten
+  for (const depth of [1, 8, 32]) {
+    const pixelsPerWord = 32 / depth;
+    let passed = true;
+    for (const [dx, dy] of [
+      [1, 0],
+      [-1, 0],
+      [2, 0],
+      [-3, 0],
+      [5, 0],
+      [-6, 0],
+      [0, 1],
+      [4, -1],
+    ]) {
+      const bitmap = createRandomBitmap(
+        24 * pixelsPerWord,
+        6,
+        depth,
+        BitOrder.MSB_FIRST,
+        random
+      );
+      const srcX = 7 * pixelsPerWord;
+      const dstX = srcX + dx * pixelsPerWord;
+      const width = 11 * pixelsPerWord;
+      const { matches } = await compareWithReference(
+        (d) => jitBitBltWasm(d, dstX, 2 + dy, width, 3, d, srcX, 2),
+        (d) => bitblt(d, dstX, 2 + dy, width, 3, cloneBitmap(d), srcX, 2),
+        bitmap
+      );
+      passed = passed && matches;
+    }
+    check(`overlapping transfers at ${depth} bpp`, passed);
+  }
+
+  // Pattern words wrap around the tile, so patterns use scalar code
+  {
+    const src = createRandomBitmap(256, 4, 8, BitOrder.MSB_FIRST, random);
+    const dst = createRandomBitmap(256, 4, 8, BitOrder.MSB_FIRST, random);
+    const pattern = createRandomBitmap(12, 3, 8, BitOrder.MSB_FIRST, random);
+    const { matches, code } = await compareWithReference(
+      (d) =>
+        jitBitBltWasm(d, 16, 0, 200, 4, src, 8, 0, Rop3.PATINVERT, pattern),
+      (d) => bitblt(d, 16, 0, 200, 4, src, 8, 0, Rop3.PATINVERT, pattern),
+      dst
+    );
+    check("patterns use scalar code", matches && code.aligned && !code.simd);
+  }
+
+  // Without SIMD the same transfers run scalar code, cached separately
+  {
+    const src = createRandomBitmap(256, 4, 8, BitOrder.MSB_FIRST, random);
+    const dst = createRandomBitmap(256, 4, 8, BitOrder.MSB_FIRST, random);
+    const params = {
+      dst,
+      dstX: 0,
+      dstY: 0,
+      width: 256,
+      height: 4,
+      src,
+      srcX: 0,
+      srcY: 0,
+      op: BitBltOp.XOR,
+      aligned: true,
+    };
+    const simdKey = generator.getCacheKey(params);
+    generator.simd = false;
+    try {
+      const { matches, code } = await compareWithReference(
+        (d) => jitBitBltWasm(d, 0, 0, 256, 4, src, 0, 0, BitBltOp.XOR),
+        (d) => bitblt(d, 0, 0, 256, 4, src, 0, 0, BitBltOp.XOR),
+        dst
+      );
+      check(
+        "scalar fallback matches bitblt",
+        matches && code.aligned && !code.simd
+      );
+      check(
+        "scalar code has its own cache key",
+        generator.getCacheKey(params) !== simdKey
+      );
+    } finally {
+      generator.simd = true;
+    }
+  }
+
+  // Vector expressions
+  {
+    const f = new FunctionBuilder(["words", "count"]);
+    f.declareVector("v");
+    f.assign("v", "(words[0] >>> count) * 3 + -words[4] ^ ~5");
+    f.store("words", "8", "v", true);
+    const module = new ModuleBuilder().importMemory("env", "memory");
+    module.addFunction(f, "run");
+    const memory = new WebAssembly.Memory({ initial: 1 });
+    const instance = new WebAssembly.Instance(
+      new WebAssembly.Module(module.toBytes()),
+      { env: { memory } }
+    );
+    const words = new Uint32Array(memory.buffer, 0, 12);
+    words.set([1, 0xffffffff, 0x80000000, 12345, 7, 0, 0x10, 0xfffffffe]);
+    instance.exports.run(0, 2);
+    const expected = [0, 1, 2, 3].map(
+      (i) => (((words[i] >>> 2) * 3 + -words[i + 4]) ^ ~5) >>> 0
+    );
+    check(
+      "vector expressions compute each word",
+      expected.every((value, i) => words[8 + i] === value)
+    );
+  }
+  for (const [description, source] of [
+    ["comparisons have no vector form", "v < v"],
+    ["conditionals have no vector form", "v ? v : 1"],
+    ["vector locals are not i32 values", "words[v]"],
+  ]) {
+    const f = new FunctionBuilder(["words"]).declareVector("v");
+    let threw = false;
+    try {
+      f.assign("v", source);
+    } catch (error) {
+      threw = true;
+    }
+    check(`${description}`, threw);
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,304 @@
+/**
+ * Test file for bitmaps with padded rows
+ *
+ * Runs the same transfers and fills on bitmaps with minimal rows and on
+ * bitmaps whose rows are padded to a larger stride, and checks that both give
+ * the same pixels and that the padding words are never written.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+
+  // Functions
+  createBitmap,
+  wrapBitmap,
+  setPixel,
+  getPixel,
+  bitblt,
+  bitbltAligned,
+  maskBlt,
+  fillRect,
+  fillRectAligned,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const { jitBitBltJs, jitBitBltWasm } = require("../src/jit_executor");
+
+const { createRandom, compareBitmaps } = require("./helpers");
+
+// Value of every padding word, so writes into the padding show up
+const PADDING = 0xa5a5a5a5;
+
+/**
+ * Creates a pair of bitmaps with the same random pixels, one with minimal
+ * rows and one with rows padded to the given stride.
+ *
+ * @param {number} width - Width of the bitmaps
+ * @param {number} height - Height of the bitmaps
+ * @param {number} stride - Stride of the padded bitmap, in words
+ * @param {Function} random - Random number generator
+ * @returns {Object[]} - The minimal and the padded bitmap
+ */
+function createRandomPair(width, height, stride, random) {
+  const minimal = createBitmap(width, height);
+  const padded = createBitmap(width, height, { stride });
+  padded.data.fill(PADDING);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = random(2);
+      setPixel(minimal, x, y, value);
+      setPixel(padded, x, y, value);
+    }
+  }
+
+  return [minimal, padded];
+}
+
+/**
+ * Checks that the padding words after the pixel words of each row are intact.
+ *
+ * @param {Object} bitmap - Padded bitmap
+ * @returns {boolean} - True if no padding word changed
+ */
+function paddingIntact(bitmap) {
+  const used = Math.ceil(bitmap.width / 32);
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let i = used; i < bitmap.intsPerRow; i++) {
+      if (bitmap.data[y * bitmap.intsPerRow + i] !== PADDING) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+// The operations under test, each applied to a destination and a source
+const implementations = [
+  {
+    name: "bitblt",
+    run: (dst, src, r) =>
+      bitblt(dst, r.dstX, r.dstY, r.width, r.height, src, r.srcX, r.srcY, r.op),
+  },
+  {
+    name: "bitbltAligned",
+    run: (dst, src, r) =>
+      bitbltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "jit_compiler",
+    run: (dst, src, r) =>
+      jitBitBlt(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "jit_compiler aligned",
+    run: (dst, src, r) =>
+      jitBitBltAligned(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "JavaScript generator",
+    run: (dst, src, r) =>
+      jitBitBltJs(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "WebAssembly generator",
+    run: (dst, src, r) =>
+      jitBitBltWasm(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        r.op
+      ),
+  },
+  {
+    name: "maskBlt",
+    run: (dst, src, r) =>
+      maskBlt(
+        dst,
+        r.dstX,
+        r.dstY,
+        r.width,
+        r.height,
+        src,
+        r.srcX,
+        r.srcY,
+        src,
+        r.srcY,
+        r.srcX,
+        r.op
+      ),
+  },
+  {
+    name: "fillRect",
+    run: (dst, src, r) =>
+      fillRect(dst, r.dstX, r.dstY, r.width, r.height, 1, r.op),
+  },
+  {
+    name: "fillRectAligned",
+    run: (dst, src, r) =>
+      fillRectAligned(dst, r.dstX, r.dstY, r.width, r.height, 1, r.op),
+  },
+];
+
+async function runTests() {
+  console.log("Testing bitmaps with padded rows...\n");
+
+  const random = createRandom(17);
+  const ops = [BitBltOp.COPY, BitBltOp.XOR, BitBltOp.NAND];
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const { name, run } of implementations) {
+    let implPassed = true;
+
+    for (let n = 0; n < 60; n++) {
+      totalTests++;
+
+      // Rows padded to 4 words, to 16 words (64 bytes) or by a single word
+      const stride = [4, 16, 5][n % 3];
+      const aligned = n % 2 === 0;
+      const [dst, paddedDst] = createRandomPair(100, 12, stride, random);
+      const [src, paddedSrc] = createRandomPair(96, 12, stride + 1, random);
+      const rect = {
+        dstX: aligned ? 32 * random(3) : random(110) - 5,
+        dstY: random(14) - 2,
+        srcX: aligned ? 32 * random(2) : random(100) - 5,
+        srcY: random(14) - 2,
+        width: aligned ? 32 * (1 + random(3)) : 1 + random(110),
+        height: 1 + random(12),
+        op: ops[random(ops.length)],
+      };
+
+      await run(dst, src, rect);
+      await run(paddedDst, paddedSrc, rect);
+
+      if (compareBitmaps(dst, paddedDst) && paddingIntact(paddedDst)) {
+        passedTests++;
+      } else {
+        implPassed = false;
+        console.log(
+          `❌ FAIL: ${name} with stride ${stride} and ${JSON.stringify(rect)}`
+        );
+        console.log("\nActual:");
+        console.log(bitmapToString(paddedDst));
+        console.log("Expected:");
+        console.log(bitmapToString(dst));
+      }
+    }
+
+    if (implPassed) {
+      console.log(`✅ PASS: ${name} with padded rows`);
+    }
+  }
+
+  // Wrapping existing words, as read from a BMP file with rows padded to 4 bytes
+  totalTests++;
+  const rows = new Uint32Array([0x80000000, 0x40000000, 0xffffffff]);
+  const wrapped = wrapBitmap(rows, 24, 3);
+  const wrappedBuffer = wrapBitmap(rows.buffer, 2, 3, 1);
+  if (
+    wrapped.data === rows &&
+    getPixel(wrapped, 0, 0) === 1 &&
+    getPixel(wrapped, 1, 1) === 1 &&
+    getPixel(wrapped, 23, 2) === 1 &&
+    getPixel(wrappedBuffer, 1, 1) === 1
+  ) {
+    passedTests++;
+    console.log("✅ PASS: wrapBitmap shares existing words");
+  } else {
+    console.log("❌ FAIL: wrapBitmap shares existing words");
+  }
+
+  // Rows padded to 64 bytes in a framebuffer, with only the last row unpadded
+  totalTests++;
+  const framebuffer = new Uint32Array(16 * 2 + 2);
+  const screen = wrapBitmap(framebuffer, 50, 3, 16);
+  fillRect(screen, 0, 0, 50, 3, 1);
+  if (
+    framebuffer[32] === 0xffffffff &&
+    framebuffer[33] === 0xffffc000 &&
+    framebuffer[2] === 0
+  ) {
+    passedTests++;
+    console.log("✅ PASS: fills use the stride of a wrapped framebuffer");
+  } else {
+    console.log("❌ FAIL: fills use the stride of a wrapped framebuffer");
+  }
+
+  for (const [description, fn] of [
+    [
+      "a stride too small for the width",
+      () => createBitmap(100, 2, { stride: 3 }),
+    ],
+    ["a fractional stride", () => wrapBitmap(new Uint32Array(8), 32, 2, 1.5)],
+    [
+      "too few words for the stride",
+      () => wrapBitmap(new Uint32Array(8), 32, 2, 8),
+    ],
+  ]) {
+    totalTests++;
+    try {
+      fn();
+      console.log(`❌ FAIL: ${description} should throw`);
+    } catch (error) {
+      passedTests++;
+      console.log(`✅ PASS: ${description} throws`);
+    }
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
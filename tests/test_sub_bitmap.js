@@ -0,0 +1,318 @@
+/**
+ * Test file for sub-bitmap views
+ *
+ * Draws into views of a larger bitmap at word-aligned and unaligned offsets,
+ * including transfers between overlapping views of the same parent, and
+ * compares the parent with a reference computed in parent coordinates. Pixels
+ * outside the destination view must never change.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+  BitOrder,
+
+  // Functions
+  getRop3Code,
+  createBitmap,
+  createSubBitmap,
+  setPixel,
+  getPixel,
+  bitblt,
+  bitbltAligned,
+  maskBlt,
+  fillRect,
+  fillRectAligned,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const {
+  jitBitBltJs,
+  jitBitBltWasm,
+  jitMaskBltJs,
+} = require("../src/jit_executor");
+
+const {
+  createRandom,
+  createRandomBitmap,
+  cloneBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+/**
+ * Reference transfer between two windows of the same parent, computed in
+ * parent coordinates from a snapshot of the parent.
+ *
+ * @param {Object} parent - Parent bitmap to update
+ * @param {Object} dstView - Destination window (x, y, width, height in the parent)
+ * @param {Object} srcView - Source window (x, y, width, height in the parent)
+ * @param {Object} rect - Transfer rectangle in window coordinates
+ * @param {number} op - Operation (from BitBltOp or Rop3 enum)
+ * @param {Object} pattern - Pattern bitmap aligned to the destination window, or null
+ */
+function referenceBitBlt(parent, dstView, srcView, rect, op, pattern) {
+  const code = getRop3Code(op);
+  const snapshot = cloneBitmap(parent);
+
+  for (let y = 0; y < rect.height; y++) {
+    for (let x = 0; x < rect.width; x++) {
+      const sx = rect.srcX + x;
+      const sy = rect.srcY + y;
+      const dx = rect.dstX + x;
+      const dy = rect.dstY + y;
+
+      if (sx < 0 || sy < 0 || sx >= srcView.width || sy >= srcView.height) {
+        continue; // Outside the source window
+      }
+      if (dx < 0 || dy < 0 || dx >= dstView.width || dy >= dstView.height) {
+        continue; // Outside the destination window
+      }
+
+      const p = pattern
+        ? getPixel(pattern, dx % pattern.width, dy % pattern.height)
+        : 0;
+      const s = getPixel(snapshot, srcView.x + sx, srcView.y + sy);
+      const d = getPixel(parent, dstView.x + dx, dstView.y + dy);
+      setPixel(
+        parent,
+        dstView.x + dx,
+        dstView.y + dy,
+        (code >> (4 * p + 2 * s + d)) & 1
+      );
+    }
+  }
+}
+
+/**
+ * Picks a random window of the parent, word-aligned when requested.
+ */
+function randomView(random, aligned) {
+  const x = aligned ? 32 * random(3) : random(100);
+  const y = random(8);
+  const width = 1 + random(160 - x - 1);
+  const height = 1 + random(24 - y - 1);
+  return { x, y, width, height };
+}
+
+// The transfer implementations under test, each called like bitblt (the
+// jit_compiler functions take no pattern)
+const implementations = [
+  { name: "bitblt", blit: bitblt, patterns: true },
+  { name: "bitbltAligned", blit: bitbltAligned, patterns: true },
+  { name: "jit_compiler", blit: jitBitBlt, patterns: false },
+  { name: "jit_compiler aligned", blit: jitBitBltAligned, patterns: false },
+  { name: "JavaScript generator", blit: jitBitBltJs, patterns: true },
+  { name: "WebAssembly generator", blit: jitBitBltWasm, patterns: true },
+];
+
+async function runTests() {
+  console.log("Testing sub-bitmap views...\n");
+
+  const random = createRandom(23);
+  const ops = [BitBltOp.COPY, BitBltOp.XOR, BitBltOp.OR_REVERSE, Rop3.PSDPxax];
+  const pattern = createRandomBitmap(5, 3, 1, BitOrder.MSB_FIRST, random);
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const { name, blit, patterns } of implementations) {
+    let implPassed = true;
+
+    for (let n = 0; n < 100; n++) {
+      totalTests++;
+
+      const aligned = n % 3 === 0;
+      const parent = createRandomBitmap(160, 24, 1, BitOrder.MSB_FIRST, random);
+      const expected = cloneBitmap(parent);
+
+      // Half of the transfers read from another window of the same parent
+      const dstView = randomView(random, aligned);
+      const srcView = n % 2 === 0 ? randomView(random, aligned) : null;
+      const other = srcView
+        ? null
+        : createRandomBitmap(96, 16, 1, BitOrder.MSB_FIRST, random);
+      const dst = createSubBitmap(
+        parent,
+        dstView.x,
+        dstView.y,
+        dstView.width,
+        dstView.height
+      );
+      const src = srcView
+        ? createSubBitmap(
+            parent,
+            srcView.x,
+            srcView.y,
+            srcView.width,
+            srcView.height
+          )
+        : other;
+
+      const rect = {
+        dstX: aligned ? 32 * random(3) : random(dstView.width + 10) - 5,
+        dstY: random(dstView.height + 4) - 2,
+        srcX: aligned ? 32 * random(2) : random(src.width + 10) - 5,
+        srcY: random(src.height + 4) - 2,
+        width: aligned ? 32 * (1 + random(3)) : 1 + random(120),
+        height: 1 + random(20),
+      };
+      const op = ops[random(patterns ? ops.length : ops.length - 1)];
+      const usePattern = op === Rop3.PSDPxax ? pattern : null;
+
+      if (srcView) {
+        referenceBitBlt(expected, dstView, srcView, rect, op, usePattern);
+      } else {
+        // Put the other bitmap to the right of a copy of the parent, so the
+        // reference can read both from one bitmap
+        const combined = createBitmap(256, 24);
+        for (let y = 0; y < 24; y++) {
+          for (let x = 0; x < 160; x++) {
+            setPixel(combined, x, y, getPixel(expected, x, y));
+          }
+          for (let x = 0; x < 96; x++) {
+            setPixel(combined, 160 + x, y, getPixel(other, x, y));
+          }
+        }
+        referenceBitBlt(
+          combined,
+          dstView,
+          { x: 160, y: 0, width: 96, height: 16 },
+          rect,
+          op,
+          usePattern
+        );
+        for (let y = 0; y < 24; y++) {
+          for (let x = 0; x < 160; x++) {
+            setPixel(expected, x, y, getPixel(combined, x, y));
+          }
+        }
+      }
+
+      await blit(
+        dst,
+        rect.dstX,
+        rect.dstY,
+        rect.width,
+        rect.height,
+        src,
+        rect.srcX,
+        rect.srcY,
+        ...(patterns ? [op, usePattern] : [op])
+      );
+
+      if (compareBitmaps(parent, expected)) {
+        passedTests++;
+      } else {
+        implPassed = false;
+        console.log(
+          `❌ FAIL: ${name} into ${JSON.stringify(
+            dstView
+          )} from ${JSON.stringify(srcView || "other")} with ${JSON.stringify(
+            rect
+          )}, op ${op}`
+        );
+        console.log("\nActual:");
+        console.log(bitmapToString(parent));
+        console.log("Expected:");
+        console.log(bitmapToString(expected));
+      }
+    }
+
+    if (implPassed) {
+      console.log(`✅ PASS: ${name} on sub-bitmaps`);
+    }
+  }
+
+  // Pixel accessors, fills and masked transfers address the parent's data
+  totalTests++;
+  const parent = createBitmap(96, 8);
+  const view = createSubBitmap(parent, 37, 2, 40, 5);
+  const inner = createSubBitmap(view, 3, 1, 30, 3);
+  setPixel(inner, 0, 0, 1);
+  const accessorsPass =
+    getPixel(parent, 40, 3) === 1 &&
+    getPixel(view, 3, 1) === 1 &&
+    getPixel(inner, 0, 0) === 1;
+  if (accessorsPass) {
+    passedTests++;
+    console.log("✅ PASS: getPixel/setPixel on nested sub-bitmaps");
+  } else {
+    console.log("❌ FAIL: getPixel/setPixel on nested sub-bitmaps");
+  }
+
+  for (const fill of [fillRect, fillRectAligned]) {
+    totalTests++;
+    const filled = createBitmap(128, 8);
+    const window = createSubBitmap(filled, 32, 1, 64, 4);
+    fill(window, 0, 0, 200, 200, 1);
+    let fillPass = true;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 128; x++) {
+        const inside = x >= 32 && x < 96 && y >= 1 && y < 5;
+        fillPass = fillPass && getPixel(filled, x, y) === (inside ? 1 : 0);
+      }
+    }
+    if (fillPass) {
+      passedTests++;
+      console.log(`✅ PASS: ${fill.name} stays inside the sub-bitmap`);
+    } else {
+      console.log(`❌ FAIL: ${fill.name} stays inside the sub-bitmap`);
+      console.log(bitmapToString(filled));
+    }
+  }
+
+  for (const [name, blit] of [
+    ["maskBlt", maskBlt],
+    ["JavaScript generator maskBlt", jitMaskBltJs],
+  ]) {
+    totalTests++;
+    const target = createBitmap(128, 4);
+    const ones = createBitmap(64, 4);
+    fillRect(ones, 0, 0, 64, 4, 1);
+    const maskParent = createBitmap(96, 4);
+    fillRect(maskParent, 40, 0, 8, 4, 1);
+    await blit(
+      createSubBitmap(target, 5, 0, 100, 4),
+      0,
+      0,
+      64,
+      4,
+      ones,
+      0,
+      0,
+      createSubBitmap(maskParent, 32, 0, 64, 4),
+      0,
+      0
+    );
+    let maskPass = true;
+    for (let x = 0; x < 128; x++) {
+      maskPass =
+        maskPass && getPixel(target, x, 2) === (x >= 13 && x < 21 ? 1 : 0);
+    }
+    if (maskPass) {
+      passedTests++;
+      console.log(`✅ PASS: ${name} with sub-bitmap destination and mask`);
+    } else {
+      console.log(`❌ FAIL: ${name} with sub-bitmap destination and mask`);
+    }
+  }
+
+  totalTests++;
+  try {
+    createSubBitmap(parent, 90, 0, 10, 4);
+    console.log("❌ FAIL: sub-bitmaps outside the parent should throw");
+  } catch (error) {
+    passedTests++;
+    console.log("✅ PASS: sub-bitmaps outside the parent throw");
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,245 @@
+/**
+ * Test file for synchronous JIT execution and ahead-of-time compilation
+ *
+ * Checks that the synchronous transfers match the reference implementation
+ * with both code generators, that the JavaScript generator compiles on first
+ * use while WebAssembly code must be compiled ahead of time with
+ * precompile() or warmup(), and how compiling ahead of time shows in the
+ * cache statistics.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+
+  // Functions
+  createBitmap,
+  bitblt,
+  maskBlt,
+  transparentBlt,
+} = require("../src/bitblt");
+
+const {
+  jitExecutor,
+  JitExecutor,
+  CodeGeneratorType,
+  jitBitBltSync,
+  jitBitBltJsSync,
+  jitMaskBltJsSync,
+  jitTransparentBltJsSync,
+  jitBitBltWasmSync,
+  jitMaskBltWasmSync,
+  jitTransparentBltWasmSync,
+} = require("../src/jit_executor");
+
+const { createTestBitmap, compareBitmaps, throwsWith } = require("./helpers");
+
+/**
+ * The transfers run synchronously: the JIT transfer for each generator and
+ * the reference implementation, both taking the destination.
+ */
+const TRANSFERS = [
+  [
+    "aligned copy",
+    (src) => [(f, d) => f(d, 32, 2, 64, 8, src, 0, 0), bitblt],
+    { javascript: jitBitBltJsSync, wasm: jitBitBltWasmSync },
+  ],
+  [
+    "unaligned XOR",
+    (src) => [(f, d) => f(d, 3, 1, 50, 9, src, 7, 2, BitBltOp.XOR), bitblt],
+    { javascript: jitBitBltJsSync, wasm: jitBitBltWasmSync },
+  ],
+  [
+    "masked copy",
+    (src, mask) => [
+      (f, d) => f(d, 5, 0, 60, 10, src, 1, 1, mask, 2, 0),
+      maskBlt,
+    ],
+    { javascript: jitMaskBltJsSync, wasm: jitMaskBltWasmSync },
+  ],
+  [
+    "transparent copy",
+    (src) => [(f, d) => f(d, 9, 3, 40, 8, src, 0, 0, 1), transparentBlt],
+    { javascript: jitTransparentBltJsSync, wasm: jitTransparentBltWasmSync },
+  ],
+];
+
+async function runTests() {
+  console.log("Testing synchronous JIT execution...\n");
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  const src = createTestBitmap(128, 16, 1, 1);
+  const mask = createTestBitmap(128, 16, 1, 2);
+
+  // The JavaScript generator compiles when the operation first runs
+  for (const [description, build, jit] of TRANSFERS) {
+    const [run, reference] = build(src, mask);
+    const dst = createTestBitmap(128, 16, 1, 3);
+    const expected = createTestBitmap(128, 16, 1, 3);
+    run(reference, expected);
+    jitExecutor.clearCache();
+    const result = run(jit.javascript, dst);
+    check(
+      `javascript: synchronous ${description} matches the reference`,
+      result === undefined && compareBitmaps(dst, expected)
+    );
+  }
+  check(
+    "the default generator runs synchronously",
+    (() => {
+      const dst = createBitmap(64, 8);
+      const expected = createBitmap(64, 8);
+      bitblt(expected, 1, 1, 40, 4, src, 0, 0, BitBltOp.OR);
+      jitBitBltSync(dst, 1, 1, 40, 4, src, 0, 0, BitBltOp.OR);
+      return compareBitmaps(dst, expected);
+    })()
+  );
+  check(
+    "synchronous operations throw invalid arguments",
+    throwsWith(
+      () =>
+        jitBitBltJsSync(
+          createBitmap(8, 8),
+          0,
+          0,
+          8,
+          8,
+          src,
+          0,
+          0,
+          Rop3.PATCOPY
+        ),
+      "requires a pattern bitmap"
+    ) &&
+      throwsWith(
+        () =>
+          new JitExecutor().executeSync(
+            src,
+            0,
+            0,
+            8,
+            8,
+            src,
+            0,
+            0,
+            BitBltOp.COPY,
+            "asm.js"
+          ),
+        "Unknown code generator type"
+      )
+  );
+
+  if (typeof WebAssembly === "undefined") {
+    console.log("WebAssembly is not supported in this environment.");
+  } else {
+    // WebAssembly code must be compiled first
+    const executor = new JitExecutor();
+    const wasm = CodeGeneratorType.WASM;
+    const dst = createBitmap(128, 16);
+    check(
+      "wasm: running uncompiled code synchronously throws",
+      throwsWith(
+        () =>
+          executor.executeSync(
+            dst,
+            0,
+            0,
+            64,
+            8,
+            src,
+            0,
+            0,
+            BitBltOp.COPY,
+            wasm
+          ),
+        "precompile()"
+      ) && compareBitmaps(dst, createBitmap(128, 16))
+    );
+
+    const code = await executor.precompile(
+      { dst, width: 64, height: 8, src },
+      wasm
+    );
+    const stats = executor.getCacheStats(wasm);
+    check(
+      "precompile() compiles and caches the code without using it",
+      code.type === "wasm" &&
+        stats.entries === 1 &&
+        stats.misses === 1 &&
+        stats.keys[0].uses === 0 &&
+        stats.compileTime > 0
+    );
+    check(
+      "precompiling cached code returns it without compiling again",
+      (await executor.precompile(
+        { dst, dstX: 32, width: 32, height: 2, src },
+        wasm
+      )) === code && executor.getCacheStats(wasm).entries === 1
+    );
+    check(
+      "precompiling an operation clipped away gives null",
+      (await executor.precompile({ dst, dstX: 200, src }, wasm)) === null
+    );
+
+    const expected = createBitmap(128, 16);
+    bitblt(expected, 32, 4, 64, 8, src, 0, 0);
+    executor.executeSync(dst, 32, 4, 64, 8, src, 0, 0, BitBltOp.COPY, wasm);
+    check(
+      "precompiled code runs synchronously",
+      compareBitmaps(dst, expected) &&
+        executor.getCacheStats(wasm).hits === 1 &&
+        executor.getCacheStats(wasm).keys[0].uses === 1
+    );
+
+    // The convenience functions use the shared executor
+    const operations = [
+      { dst, width: 64, height: 8, src },
+      { dst, dstX: 3, width: 50, src, op: BitBltOp.XOR },
+      { dst, dstX: 5, src, mask },
+      { dst, dstX: 9, src, key: 1 },
+    ];
+    jitExecutor.clearCache();
+    await jitExecutor.warmup(operations, wasm);
+    const warm = jitExecutor.getCacheStats(wasm);
+    check(
+      "warmup() compiles a list of operations",
+      warm.entries === 4 && warm.keys.every((k) => k.uses === 0)
+    );
+
+    for (const [description, build, jit] of TRANSFERS) {
+      const [run, reference] = build(src, mask);
+      const dst = createTestBitmap(128, 16, 1, 3);
+      const expected = createTestBitmap(128, 16, 1, 3);
+      run(reference, expected);
+      run(jit.wasm, dst);
+      check(
+        `wasm: synchronous ${description} matches the reference`,
+        compareBitmaps(dst, expected)
+      );
+    }
+    check(
+      "warmed-up operations compile nothing more",
+      jitExecutor.getCacheStats(wasm).entries === 4
+    );
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,299 @@
+/**
+ * Test file for tiered execution in the JIT executor
+ *
+ * Runs shapes of operation repeatedly with tiering on and checks that each
+ * runs the reference implementation, then JavaScript code, then WebAssembly
+ * code as it crosses the thresholds, with the same results as bitblt
+ * throughout, and that the tiers and thresholds are reported.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+
+  // Functions
+  bitblt,
+  maskBlt,
+  transparentBlt,
+  expandColorMap,
+} = require("../src/bitblt");
+
+const {
+  JitExecutor,
+  CodeGeneratorType,
+  ExecutionTier,
+  DEFAULT_TIER_THRESHOLDS,
+} = require("../src/jit_executor");
+
+const { createTestBitmap, compareBitmaps, throwsWith } = require("./helpers");
+
+async function runTests() {
+  console.log("Testing tiered JIT execution...\n");
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  const hasWasm = typeof WebAssembly !== "undefined";
+  const src = createTestBitmap(96, 16, 1, 1);
+  const dst = createTestBitmap(96, 16, 1, 2);
+  const expected = createTestBitmap(96, 16, 1, 2);
+  const xor = (x) => ({
+    dst,
+    dstX: x,
+    dstY: 1,
+    width: 40,
+    height: 9,
+    src,
+    srcX: 3,
+    srcY: 2,
+    op: BitBltOp.XOR,
+  });
+  const run = (executor, x) =>
+    executor.execute(dst, x, 1, 40, 9, src, 3, 2, BitBltOp.XOR);
+
+  // Tiering is off until turned on
+  const executor = new JitExecutor();
+  check(
+    "tiering is off by default",
+    executor.getTier(xor(1)) === null &&
+      executor.getTierStats().thresholds === null
+  );
+  check(
+    "invalid thresholds are rejected",
+    throwsWith(() => executor.setTiering({ javascript: 0 }), "Invalid") &&
+      throwsWith(
+        () => executor.setTiering({ javascript: 5, wasm: 4 }),
+        "Invalid"
+      )
+  );
+  executor.setTiering();
+  check(
+    "the default thresholds apply",
+    executor.getTierStats().thresholds.javascript ===
+      DEFAULT_TIER_THRESHOLDS.javascript &&
+      executor.getTierStats().thresholds.wasm === DEFAULT_TIER_THRESHOLDS.wasm
+  );
+
+  // One shape at different positions climbs through the tiers
+  executor.setTiering({ javascript: 3, wasm: 6 });
+  const tiers = [];
+  let matches = true;
+  for (let i = 0; i < 8; i++) {
+    const x = 1 + (i % 5);
+    bitblt(expected, x, 1, 40, 9, src, 3, 2, BitBltOp.XOR);
+    await run(executor, x);
+    matches = matches && compareBitmaps(dst, expected);
+    tiers.push(executor.getTier(xor(x)));
+    if (i === 1) {
+      check(
+        "cold shapes run without compiling",
+        executor.getCacheStats(CodeGeneratorType.JAVASCRIPT).misses === 0
+      );
+    }
+  }
+  check("every tier matches bitblt", matches);
+  const climb = hasWasm
+    ? "interpreter,interpreter,javascript,javascript,javascript,wasm,wasm,wasm"
+    : "interpreter,interpreter,javascript,javascript,javascript,javascript,javascript,javascript";
+  check("a shape runs at each tier in turn", tiers.join() === climb);
+  const stats = executor.getTierStats();
+  check(
+    "the tier stats list each shape with its invocations and tier",
+    stats.thresholds.javascript === 3 &&
+      stats.shapes.length === 1 &&
+      stats.shapes[0].invocations === 8 &&
+      stats.shapes[0].tier === tiers[7]
+  );
+  check(
+    "JavaScript code is compiled once and used until the promotion",
+    executor.getCacheStats(CodeGeneratorType.JAVASCRIPT).misses === 1 &&
+      executor.getCacheStats(CodeGeneratorType.JAVASCRIPT).hits === 2
+  );
+
+  // Other shapes keep their own counts, and named generators skip tiering
+  bitblt(expected, 0, 0, 64, 8, src, 0, 0);
+  await executor.execute(dst, 0, 0, 64, 8, src, 0, 0);
+  check(
+    "each shape starts in the interpreter",
+    executor.getTier({ dst, width: 64, height: 8, src }) ===
+      ExecutionTier.INTERPRETER && executor.getTierStats().shapes.length === 2
+  );
+  await executor.executeJs(dst, 0, 0, 64, 8, src, 0, 0);
+  check(
+    "operations with a named generator are not counted",
+    executor.getTierStats().shapes[1].invocations === 1
+  );
+
+  // Masks, keys and color maps in the interpreter
+  const mask = createTestBitmap(96, 16, 1, 3);
+  maskBlt(expected, 2, 3, 50, 8, src, 1, 0, mask, 4, 2, BitBltOp.OR);
+  await executor.executeMaskBlt(
+    dst,
+    2,
+    3,
+    50,
+    8,
+    src,
+    1,
+    0,
+    mask,
+    4,
+    2,
+    BitBltOp.OR
+  );
+  const deep = createTestBitmap(64, 16, 4, 4);
+  const deepExpected = createTestBitmap(64, 16, 4, 4);
+  const src4 = createTestBitmap(64, 16, 4, 5);
+  transparentBlt(deepExpected, 3, 1, 30, 9, src4, 0, 2, 7, BitBltOp.ADD);
+  await executor.executeTransparentBlt(
+    deep,
+    3,
+    1,
+    30,
+    9,
+    src4,
+    0,
+    2,
+    7,
+    BitBltOp.ADD
+  );
+  const options = { colorMap: expandColorMap(0xc, 0x3) };
+  bitblt(deepExpected, 5, 0, 20, 8, src, 0, 0, BitBltOp.COPY, null, options);
+  await executor.execute(
+    deep,
+    5,
+    0,
+    20,
+    8,
+    src,
+    0,
+    0,
+    BitBltOp.COPY,
+    null,
+    options
+  );
+  check(
+    "masked, transparent and color-mapped operations are interpreted like bitblt",
+    compareBitmaps(dst, expected) &&
+      compareBitmaps(deep, deepExpected) &&
+      executor
+        .getTierStats()
+        .shapes.every(
+          (shape) => shape.key.includes(",") && shape.invocations >= 1
+        ) &&
+      executor.getTierStats().shapes.length === 5
+  );
+
+  if (hasWasm) {
+    // A shape whose module is evicted runs JavaScript code until the
+    // module is compiled again
+    executor.clearCache(CodeGeneratorType.WASM);
+    bitblt(expected, 2, 1, 40, 9, src, 3, 2, BitBltOp.XOR);
+    await run(executor, 2);
+    check(
+      "evicted modules are compiled again",
+      compareBitmaps(dst, expected) &&
+        executor.getTier(xor(2)) === ExecutionTier.WASM &&
+        executor.getCacheStats(CodeGeneratorType.WASM).entries === 1
+    );
+
+    // Synchronous operations keep running JavaScript code while the module
+    // compiles in the background
+    const sync = new JitExecutor();
+    sync.setTiering({ javascript: 1, wasm: 2 });
+    const runSync = (x) => {
+      bitblt(expected, x, 1, 40, 9, src, 3, 2, BitBltOp.XOR);
+      sync.executeSync(dst, x, 1, 40, 9, src, 3, 2, BitBltOp.XOR);
+    };
+    runSync(1);
+    const first = sync.getTier(xor(1));
+    runSync(2);
+    const second = sync.getTier(xor(2));
+    for (
+      let i = 0;
+      i < 100 && sync.getTier(xor(1)) !== ExecutionTier.WASM;
+      i++
+    ) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    runSync(3);
+    check(
+      "synchronous operations start compiled and are promoted once the module is ready",
+      first === ExecutionTier.JAVASCRIPT &&
+        second === ExecutionTier.JAVASCRIPT &&
+        sync.getTier(xor(3)) === ExecutionTier.WASM &&
+        sync.getCacheStats(CodeGeneratorType.WASM).hits === 1 &&
+        compareBitmaps(dst, expected)
+    );
+  }
+
+  if (hasWasm) {
+    // A shape whose module fails to compile keeps running JavaScript code
+    const failing = new JitExecutor();
+    let compiles = 0;
+    failing.generators[CodeGeneratorType.WASM].generateCode = async () => {
+      compiles++;
+      throw new Error("wasm compile failed");
+    };
+    failing.setTiering({ javascript: 1, wasm: 2 });
+    let thrown = null;
+    matches = true;
+    for (let i = 0; i < 4; i++) {
+      const x = 1 + i;
+      bitblt(expected, x, 1, 40, 9, src, 3, 2, BitBltOp.XOR);
+      try {
+        await run(failing, x);
+      } catch (e) {
+        thrown = e;
+      }
+      matches = matches && compareBitmaps(dst, expected);
+    }
+    bitblt(expected, 2, 1, 40, 9, src, 3, 2, BitBltOp.XOR);
+    failing.executeSync(dst, 2, 1, 40, 9, src, 3, 2, BitBltOp.XOR);
+    const [shape] = failing.getTierStats().shapes;
+    check(
+      "operations run when the module fails to compile",
+      thrown === null && matches && compareBitmaps(dst, expected)
+    );
+    check(
+      "a shape whose module fails to compile is not promoted again",
+      compiles === 1 &&
+        shape.failed &&
+        shape.tier === ExecutionTier.JAVASCRIPT &&
+        failing.getCacheStats(CodeGeneratorType.WASM).entries === 0
+    );
+  }
+
+  // Turning tiering off forgets the counts and uses the default generator
+  executor.setTiering(null);
+  await run(executor, 1);
+  check(
+    "with tiering off operations use the default generator",
+    executor.getTier(xor(1)) === null &&
+      executor.getTierStats().shapes.length === 0
+  );
+  check(
+    "operations clipped away have no tier",
+    (() => {
+      executor.setTiering();
+      return executor.getTier({ dst, dstX: 500, src }) === null;
+    })()
+  );
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
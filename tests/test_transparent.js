@@ -0,0 +1,335 @@
+/**
+ * Test file for transparent (color-keyed) transfers
+ *
+ * Runs random transparent transfers at every depth and in both bit orders
+ * through transparentBlt and the JIT code generators, and compares each
+ * result with the operation applied pixel by pixel to the source pixels
+ * that differ from the key. Also checks that 1-bit copies reduce to OR and
+ * AND, overlapping transfers, the masked-word generated code and invalid keys.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+  BitOrder,
+
+  // Functions
+  applyOp,
+  createBitmap,
+  setPixel,
+  getPixel,
+  getPatternPixel,
+  bitblt,
+  transparentBlt,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const {
+  jitExecutor,
+  jitTransparentBlt,
+  jitTransparentBltJs,
+  jitTransparentBltWasm,
+} = require("../src/jit_executor");
+
+const {
+  createRandom,
+  randomValue,
+  createRandomBitmap,
+  cloneBitmap,
+  compareBitmaps,
+} = require("./helpers");
+
+const DEPTHS = [1, 2, 4, 8, 16, 32];
+
+/**
+ * Creates a bitmap filled with random pixels, about half of them the key so
+ * that transparent runs are common.
+ *
+ * @param {number} width - Width of the bitmap
+ * @param {number} height - Height of the bitmap
+ * @param {number} depth - Bits per pixel
+ * @param {string} bitOrder - Bit order (from BitOrder enum)
+ * @param {number} key - Value to favour
+ * @param {Function} random - Random number generator
+ * @returns {Object} - The new bitmap
+ */
+function createKeyedBitmap(width, height, depth, bitOrder, key, random) {
+  return createRandomBitmap(width, height, depth, bitOrder, random, () =>
+    random(2) === 0 ? key : randomValue(depth, random)
+  );
+}
+
+/**
+ * Applies a transparent transfer pixel by pixel to a copy of the
+ * destination. The rectangle is assumed to lie inside both bitmaps.
+ *
+ * @param {Object} dst - Destination bitmap (before the transfer)
+ * @param {Object} src - Source bitmap
+ * @param {Object} pattern - Pattern bitmap, or null
+ * @param {Object} r - Rectangle, key and operation of the transfer
+ * @returns {Object} - The expected destination bitmap
+ */
+function expectedResult(dst, src, pattern, r) {
+  const expected = cloneBitmap(dst);
+  const pixelMask = 2 ** dst.depth - 1;
+
+  for (let y = 0; y < r.height; y++) {
+    for (let x = 0; x < r.width; x++) {
+      const s = getPixel(src, r.srcX + x, r.srcY + y);
+      if (s === r.key) {
+        continue;
+      }
+      const dstX = r.dstX + x;
+      const dstY = r.dstY + y;
+      const d = getPixel(dst, dstX, dstY);
+      const p = pattern ? getPatternPixel(pattern, dstX, dstY) : 0;
+      setPixel(expected, dstX, dstY, applyOp(r.op, s, d, p) & pixelMask);
+    }
+  }
+
+  return expected;
+}
+
+// The transfers under test, all called like transparentBlt
+const implementations = [
+  { name: "transparentBlt", run: transparentBlt },
+  { name: "JavaScript generator", run: jitTransparentBltJs },
+  { name: "WebAssembly generator", run: jitTransparentBltWasm },
+];
+
+const orders = [BitOrder.MSB_FIRST, BitOrder.LSB_FIRST];
+
+async function runTests() {
+  console.log("Testing transparent transfers...\n");
+
+  const random = createRandom(15);
+  const ops = [BitBltOp.COPY, BitBltOp.COPY, BitBltOp.XOR, Rop3.DSPDxax];
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  for (const depth of DEPTHS) {
+    const pixelsPerWord = 32 / depth;
+
+    for (const impl of implementations) {
+      const description = `${impl.name} at ${depth} bpp`;
+      let passed = true;
+
+      for (let n = 0; n < 16; n++) {
+        totalTests++;
+
+        const key = depth === 1 ? n % 2 : randomValue(depth, random);
+        const op = ops[n % ops.length];
+        const srcOrder = orders[random(2)];
+        const dstOrder = orders[random(2)];
+
+        const src = createKeyedBitmap(40, 5, depth, srcOrder, key, random);
+        const dst = createKeyedBitmap(48, 5, depth, dstOrder, key, random);
+        const pattern =
+          op === Rop3.DSPDxax
+            ? createKeyedBitmap(5, 3, depth, orders[random(2)], key, random)
+            : null;
+
+        // Aligned rectangles start and end on word boundaries
+        const unit = n % 3 === 0 ? pixelsPerWord : 1;
+        const width = unit * (1 + random(Math.floor(32 / unit)));
+        const r = {
+          dstX: unit * random(Math.floor((48 - width) / unit) + 1),
+          dstY: random(3),
+          srcX: unit * random(Math.floor((40 - width) / unit) + 1),
+          srcY: random(3),
+          width,
+          height: 1 + random(2),
+          key,
+          op,
+        };
+
+        const expected = expectedResult(dst, src, pattern, r);
+
+        await impl.run(
+          dst,
+          r.dstX,
+          r.dstY,
+          r.width,
+          r.height,
+          src,
+          r.srcX,
+          r.srcY,
+          key,
+          op,
+          pattern
+        );
+
+        if (compareBitmaps(dst, expected)) {
+          passedTests++;
+        } else {
+          passed = false;
+          console.log(
+            `❌ FAIL: ${description} from ${srcOrder} to ${dstOrder} with ${JSON.stringify(
+              r
+            )}`
+          );
+          console.log("\nActual:");
+          console.log(bitmapToString(dst));
+          console.log("Expected:");
+          console.log(bitmapToString(expected));
+        }
+      }
+
+      if (passed) {
+        console.log(`✅ PASS: ${description}`);
+      }
+    }
+
+    // Overlapping transfers read each source pixel before it is overwritten
+    for (const impl of implementations) {
+      totalTests++;
+      let passed = true;
+
+      for (const [dx, dy] of [
+        [3, 0],
+        [-5, 1],
+      ]) {
+        const key = depth === 1 ? 0 : 1;
+        const bitmap = createKeyedBitmap(
+          40,
+          5,
+          depth,
+          orders[random(2)],
+          key,
+          random
+        );
+        const r = {
+          srcX: 6,
+          srcY: 1,
+          dstX: 6 + dx,
+          dstY: 1 + dy,
+          width: 25,
+          height: 3,
+          key,
+          op: BitBltOp.COPY,
+        };
+        const expected = expectedResult(bitmap, cloneBitmap(bitmap), null, r);
+
+        await impl.run(bitmap, r.dstX, r.dstY, 25, 3, bitmap, 6, 1, key);
+
+        passed = passed && compareBitmaps(bitmap, expected);
+      }
+
+      if (passed) {
+        passedTests++;
+        console.log(`✅ PASS: ${impl.name} overlapping at ${depth} bpp`);
+      } else {
+        console.log(`❌ FAIL: ${impl.name} overlapping at ${depth} bpp`);
+      }
+    }
+  }
+
+  // On 1-bit pixels, copying around key 0 is an OR and around key 1 an AND
+  for (const [key, op, name] of [
+    [0, BitBltOp.OR, "OR"],
+    [1, BitBltOp.AND, "AND"],
+  ]) {
+    totalTests++;
+    const src = createKeyedBitmap(70, 3, 1, BitOrder.MSB_FIRST, 0, random);
+    const dst = createKeyedBitmap(70, 3, 1, BitOrder.MSB_FIRST, 0, random);
+    const viaBitblt = cloneBitmap(dst);
+    transparentBlt(dst, 5, 0, 60, 3, src, 3, 0, key);
+    bitblt(viaBitblt, 5, 0, 60, 3, src, 3, 0, op);
+    if (compareBitmaps(dst, viaBitblt)) {
+      passedTests++;
+      console.log(`✅ PASS: 1-bit copy around key ${key} is an ${name}`);
+    } else {
+      console.log(`❌ FAIL: 1-bit copy around key ${key} is an ${name}`);
+    }
+  }
+
+  // The OR or AND runs on the generator asked for
+  totalTests++;
+  jitExecutor.clearCache();
+  {
+    const src = createKeyedBitmap(70, 3, 1, BitOrder.MSB_FIRST, 0, random);
+    const dst = createKeyedBitmap(70, 3, 1, BitOrder.MSB_FIRST, 0, random);
+    const expected = cloneBitmap(dst);
+    transparentBlt(expected, 5, 0, 60, 3, src, 3, 0, 1);
+    await jitTransparentBltWasm(dst, 5, 0, 60, 3, src, 3, 0, 1);
+    if (
+      compareBitmaps(dst, expected) &&
+      jitExecutor.codeCache.wasm.size === 1 &&
+      jitExecutor.codeCache.javascript.size === 0
+    ) {
+      passedTests++;
+      console.log("✅ PASS: 1-bit copies around a key keep their generator");
+    } else {
+      console.log("❌ FAIL: 1-bit copies around a key keep their generator");
+    }
+  }
+
+  // Aligned transfers merge whole words through the pixels that differ from the key
+  totalTests++;
+  jitExecutor.clearCache();
+  {
+    const src = createBitmap(16, 2, { depth: 8 });
+    const dst = createBitmap(16, 2, { depth: 8 });
+    setPixel(src, 5, 1, 0x42);
+    await jitTransparentBlt(dst, 4, 0, 8, 2, src, 4, 0, 0x42);
+    const [generatedCode] = jitExecutor.codeCache.javascript.values();
+    if (
+      generatedCode.aligned &&
+      generatedCode.code.includes("opaqueInt") &&
+      getPixel(dst, 5, 1) === 0
+    ) {
+      passedTests++;
+      console.log("✅ PASS: aligned transparent code merges whole words");
+    } else {
+      console.log("❌ FAIL: aligned transparent code merges whole words");
+    }
+  }
+
+  // Keys must be pixel values of the source, and color maps are not supported,
+  // in the interpreter and the JIT alike
+  const sprite = createBitmap(8, 8, { depth: 4 });
+  for (const [description, key, options] of [
+    ["a key above the largest pixel value", 16, {}],
+    ["a negative key", -1, {}],
+    ["a key that is not an integer", 1.5, {}],
+    ["a color map", 0, { colorMap: new Uint32Array(16) }],
+  ]) {
+    totalTests++;
+    const messages = [];
+    for (const run of [transparentBlt, jitTransparentBltJs]) {
+      try {
+        await run(
+          sprite,
+          0,
+          0,
+          8,
+          8,
+          sprite,
+          0,
+          0,
+          key,
+          BitBltOp.COPY,
+          null,
+          options
+        );
+      } catch (error) {
+        messages.push(error.message);
+      }
+    }
+    if (messages.length === 2 && messages[0] === messages[1]) {
+      passedTests++;
+      console.log(`✅ PASS: ${description} throws the same error in both`);
+    } else {
+      console.log(`❌ FAIL: ${description} should throw`);
+    }
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
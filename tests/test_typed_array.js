@@ -0,0 +1,160 @@
+/**
+ * Test file for Uint32Array-backed bitmaps
+ *
+ * Checks that bitmaps store unsigned 32-bit words, that they can live in a
+ * caller-supplied ArrayBuffer or SharedArrayBuffer at a byte offset, and that
+ * every implementation writes through to that storage.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+
+  // Functions
+  createBitmap,
+  setPixel,
+  getPixel,
+  bitblt,
+  bitbltAligned,
+  maskBlt,
+  fillRect,
+  fillRectAligned,
+} = require("../src/bitblt");
+
+const { jitBitBlt, jitBitBltAligned } = require("../src/jit_compiler");
+
+const { jitBitBltJs, jitBitBltWasm } = require("../src/jit_executor");
+
+let totalTests = 0;
+let passedTests = 0;
+
+/**
+ * Records the result of a single check.
+ *
+ * @param {string} name - Description of the check
+ * @param {boolean} passed - Whether the check passed
+ */
+function check(name, passed) {
+  totalTests++;
+  if (passed) {
+    passedTests++;
+    console.log(`✅ PASS: ${name}`);
+  } else {
+    console.log(`❌ FAIL: ${name}`);
+  }
+}
+
+/**
+ * Checks that a function throws an error.
+ *
+ * @param {string} name - Description of the check
+ * @param {Function} fn - Function expected to throw
+ */
+function checkThrows(name, fn) {
+  try {
+    fn();
+    check(name, false);
+  } catch (error) {
+    check(name, true);
+  }
+}
+
+// The transfer implementations under test, each called like bitblt
+const implementations = [
+  { name: "bitblt", blit: bitblt },
+  { name: "bitbltAligned", blit: bitbltAligned },
+  { name: "jit_compiler", blit: jitBitBlt },
+  { name: "jit_compiler aligned", blit: jitBitBltAligned },
+  { name: "JavaScript generator", blit: jitBitBltJs },
+  { name: "WebAssembly generator", blit: jitBitBltWasm },
+];
+
+async function runTests() {
+  console.log("Testing typed-array bitmaps...\n");
+
+  // Bitmaps hold unsigned words
+  const bitmap = createBitmap(64, 4);
+  check(
+    "createBitmap stores a Uint32Array",
+    bitmap.data instanceof Uint32Array
+  );
+  fillRect(bitmap, 0, 0, 64, 1, 1);
+  check(
+    "full words read back unsigned",
+    bitmap.data[0] === 0xffffffff && bitmap.data[1] === 0xffffffff
+  );
+  fillRectAligned(bitmap, 0, 1, 32, 1, 1, BitBltOp.XOR);
+  check("aligned fills store unsigned words", bitmap.data[2] === 0xffffffff);
+
+  // Bitmaps in a caller-supplied buffer share its storage
+  const buffer = new ArrayBuffer(64);
+  const words = new Uint32Array(buffer);
+  const inBuffer = createBitmap(40, 3, { buffer, byteOffset: 8 });
+  setPixel(inBuffer, 0, 0, 1);
+  setPixel(inBuffer, 39, 2, 1);
+  check(
+    "pixels are written into the supplied buffer at the byte offset",
+    words[2] === 0x80000000 &&
+      words[7] === 0x01000000 &&
+      words[0] === 0 &&
+      words[8] === 0
+  );
+  words[4] = 0x40000000;
+  check(
+    "the buffer's contents are the bitmap's pixels",
+    getPixel(inBuffer, 1, 1) === 1
+  );
+
+  if (typeof SharedArrayBuffer !== "undefined") {
+    const shared = new SharedArrayBuffer(32);
+    const sharedBitmap = createBitmap(32, 8, { buffer: shared });
+    fillRect(sharedBitmap, 0, 0, 32, 8, 1);
+    check(
+      "bitmaps can live in a SharedArrayBuffer",
+      new Uint32Array(shared).every((word) => word === 0xffffffff)
+    );
+  }
+
+  checkThrows("an unaligned byte offset is rejected", () =>
+    createBitmap(32, 1, { buffer, byteOffset: 2 })
+  );
+  checkThrows("a buffer that is too small is rejected", () =>
+    createBitmap(64, 8, { buffer, byteOffset: 8 })
+  );
+
+  // Every implementation writes through to buffer-backed bitmaps
+  for (const { name, blit } of implementations) {
+    const storage = new ArrayBuffer(4 * 2 * 8 + 4);
+    const src = createBitmap(64, 8);
+    const dst = createBitmap(64, 8, { buffer: storage, byteOffset: 4 });
+    fillRect(src, 0, 0, 64, 8, 1);
+
+    await blit(dst, 0, 2, 64, 4, src, 0, 0, BitBltOp.COPY);
+
+    const stored = new Uint32Array(storage, 4);
+    check(
+      `${name} writes through to the buffer`,
+      stored.every((word, i) => word === (i >= 4 && i < 12 ? 0xffffffff : 0))
+    );
+  }
+
+  // maskBlt reads the mask from typed-array storage too
+  const maskStorage = new ArrayBuffer(16);
+  const mask = createBitmap(32, 4, { buffer: maskStorage });
+  new Uint32Array(maskStorage).fill(0x0000ffff);
+  const masked = createBitmap(32, 4);
+  const ones = createBitmap(32, 4);
+  fillRect(ones, 0, 0, 32, 4, 1);
+  maskBlt(masked, 0, 0, 32, 4, ones, 0, 0, mask, 0, 0);
+  check(
+    "maskBlt merges through buffer-backed masks",
+    masked.data.every((word) => word === 0x0000ffff)
+  );
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,160 @@
+/**
+ * Test file for the word-at-a-time shifted BitBLT engine
+ *
+ * Runs bitblt at many random alignments, including negative origins and
+ * overlapping transfers within the same bitmap, and compares every result with
+ * a pixel-by-pixel reference. Finishes with a performance comparison between
+ * unaligned and aligned transfers.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+
+  // Functions
+  getRop3Code,
+  createBitmap,
+  setPixel,
+  getPixel,
+  getPatternPixel,
+  bitblt,
+  bitbltAligned,
+  fillRect,
+  bitmapToString,
+} = require("../src/bitblt");
+
+const { createRandom, cloneBitmap, compareBitmaps } = require("./helpers");
+
+/**
+ * Reference BitBLT that reads the source from a snapshot, so overlapping
+ * transfers behave as if source and destination were separate bitmaps.
+ */
+function referenceBitBlt(dst, dstX, dstY, width, height, src, srcX, srcY, op, pattern) {
+  const code = getRop3Code(op);
+  const srcCopy = cloneBitmap(src);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sx = srcX + x;
+      const sy = srcY + y;
+      const dx = dstX + x;
+      const dy = dstY + y;
+
+      if (sx < 0 || sy < 0 || sx >= src.width || sy >= src.height) {
+        continue; // Outside the source
+      }
+      if (dx < 0 || dy < 0 || dx >= dst.width || dy >= dst.height) {
+        continue; // Outside the destination
+      }
+
+      const p = pattern ? getPatternPixel(pattern, dx, dy) : 0;
+      const s = getPixel(srcCopy, sx, sy);
+      const d = getPixel(dst, dx, dy);
+      setPixel(dst, dx, dy, (code >> (4 * p + 2 * s + d)) & 1);
+    }
+  }
+}
+
+/**
+ * Fills a bitmap with random pixels.
+ *
+ * @param {Object} bitmap - The bitmap to fill
+ * @param {Function} random - Random number generator
+ */
+function fillRandom(bitmap, random) {
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      setPixel(bitmap, x, y, random(2));
+    }
+  }
+}
+
+console.log("Testing unaligned BitBLT word engine...\n");
+
+const random = createRandom(42);
+const ops = [BitBltOp.COPY, BitBltOp.XOR, BitBltOp.AND_INVERTED, BitBltOp.SET, Rop3.DSPDxax];
+const pattern = createBitmap(8, 8);
+fillRandom(pattern, random);
+
+const scenarios = [
+  { name: "Separate bitmaps", sameBitmap: false },
+  { name: "Overlapping within the same bitmap", sameBitmap: true },
+];
+
+let totalTests = 0;
+let passedTests = 0;
+
+for (const scenario of scenarios) {
+  let scenarioPassed = true;
+
+  for (let n = 0; n < 400; n++) {
+    totalTests++;
+
+    const src = createBitmap(100 + random(60), 20);
+    const dst = scenario.sameBitmap ? src : createBitmap(90 + random(70), 20);
+    fillRandom(src, random);
+    if (!scenario.sameBitmap) {
+      fillRandom(dst, random);
+    }
+
+    const expected = cloneBitmap(dst);
+    const expectedSrc = scenario.sameBitmap ? expected : src;
+
+    const width = 1 + random(110);
+    const height = 1 + random(12);
+    const srcX = random(120) - 20;
+    const srcY = random(16) - 4;
+    const dstX = scenario.sameBitmap ? srcX + random(70) - 35 : random(120) - 20;
+    const dstY = scenario.sameBitmap ? srcY + random(5) - 2 : random(16) - 4;
+    const op = ops[random(ops.length)];
+
+    referenceBitBlt(expected, dstX, dstY, width, height, expectedSrc, srcX, srcY, op, pattern);
+    bitblt(dst, dstX, dstY, width, height, src, srcX, srcY, op, pattern);
+
+    if (compareBitmaps(dst, expected)) {
+      passedTests++;
+    } else {
+      scenarioPassed = false;
+      console.log(
+        `❌ FAIL: ${scenario.name} bitblt(dst, ${dstX}, ${dstY}, ${width}, ${height}, src, ${srcX}, ${srcY}, ${op})`
+      );
+      console.log("\nActual:");
+      console.log(bitmapToString(dst));
+      console.log("Expected:");
+      console.log(bitmapToString(expected));
+    }
+  }
+
+  if (scenarioPassed) {
+    console.log(`✅ PASS: ${scenario.name}`);
+  }
+}
+
+// Performance comparison
+console.log("\nPerformance Test:");
+console.log("================");
+
+const ITERATIONS = 10;
+const largeSrc = createBitmap(1024, 1024);
+const largeDst = createBitmap(1024, 1024);
+fillRect(largeSrc, 0, 0, 512, 512, 1);
+
+const alignedStart = Date.now();
+for (let i = 0; i < ITERATIONS; i++) {
+  bitbltAligned(largeDst, 0, 0, 992, 1024, largeSrc, 0, 0, BitBltOp.COPY);
+}
+const alignedTime = (Date.now() - alignedStart) / ITERATIONS;
+console.log(`Aligned BitBLT took ${alignedTime.toFixed(2)}ms`);
+
+const unalignedStart = Date.now();
+for (let i = 0; i < ITERATIONS; i++) {
+  bitblt(largeDst, 5, 0, 992, 1024, largeSrc, 13, 0, BitBltOp.COPY);
+}
+const unalignedTime = (Date.now() - unalignedStart) / ITERATIONS;
+console.log(`Unaligned BitBLT took ${unalignedTime.toFixed(2)}ms`);
+
+console.log("\nTest Results:");
+console.log(`${passedTests} of ${totalTests} tests passed`);
+
+process.exit(passedTests === totalTests ? 0 : 1);
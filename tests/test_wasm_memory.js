@@ -0,0 +1,350 @@
+/**
+ * Test file for bitmaps in WebAssembly memory
+ *
+ * Checks the allocator's free list and growth, that bitmaps and their
+ * sub-bitmaps follow their words when the memory grows, and that the
+ * WebAssembly generator works on bitmaps in its memory in place, without
+ * copying them, with the same results as bitblt on ordinary bitmaps.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+  BitOrder,
+
+  // Functions
+  createBitmap,
+  createSubBitmap,
+  setPixel,
+  getPixel,
+  bitblt,
+  maskBlt,
+  transparentBlt,
+  thresholdColorMap,
+} = require("../src/bitblt");
+
+const {
+  jitExecutor,
+  CodeGeneratorType,
+  jitBitBltWasm,
+  jitBitBltJs,
+  jitMaskBltWasm,
+  jitTransparentBltWasm,
+  createWasmBitmap,
+  freeWasmBitmap,
+} = require("../src/jit_executor");
+
+const WasmMemoryAllocator = require("../src/code_generators/wasm_memory");
+
+const { createRandom, cloneBitmap, compareBitmaps } = require("./helpers");
+
+/**
+ * Fills a bitmap with random pixels.
+ *
+ * @param {Object} bitmap - The bitmap to fill
+ * @param {Function} random - Random number generator
+ * @returns {Object} - The bitmap
+ */
+function fillRandom(bitmap, random) {
+  for (let y = 0; y < bitmap.height; y++) {
+    for (let x = 0; x < bitmap.width; x++) {
+      setPixel(
+        bitmap,
+        x,
+        y,
+        bitmap.depth === 32
+          ? random(0x10000) * 0x10000 + random(0x10000)
+          : random(2 ** bitmap.depth)
+      );
+    }
+  }
+  return bitmap;
+}
+
+/**
+ * Checks that code threw.
+ *
+ * @param {Function} run - The code
+ * @returns {boolean} - True if it threw
+ */
+function throws(run) {
+  try {
+    run();
+  } catch (error) {
+    return true;
+  }
+  return false;
+}
+
+async function runTests() {
+  console.log("Testing bitmaps in WebAssembly memory...\n");
+
+  if (typeof WebAssembly === "undefined") {
+    console.log("WebAssembly is not supported in this environment.");
+    process.exit(0);
+  }
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  const random = createRandom(17);
+
+  // The free list reuses and merges blocks
+  {
+    const allocator = new WasmMemoryAllocator();
+    const blocks = [5, 100, 3, 64].map((length) => allocator.allocate(length));
+    check(
+      "blocks are aligned and do not overlap",
+      blocks.every(
+        (block, i) =>
+          block.address % 16 === 0 &&
+          block.words.length === [5, 100, 3, 64][i] &&
+          (i === 0 ||
+            block.address >= blocks[i - 1].address + blocks[i - 1].size)
+      )
+    );
+
+    const address = blocks[1].address;
+    allocator.free(blocks[1]);
+    const reused = allocator.allocate(90);
+    check("freed blocks are reused", reused.address === address);
+
+    for (const block of [blocks[0], blocks[2], blocks[3], reused]) {
+      allocator.free(block);
+    }
+    const stats = allocator.getStats();
+    check(
+      "freed neighbours merge into one block",
+      stats.freeBlocks === 1 &&
+        stats.allocations === 0 &&
+        stats.allocatedBytes === 0
+    );
+    check(
+      "freeing twice throws",
+      throws(() => allocator.free(reused))
+    );
+  }
+
+  // Growing the memory rebinds bitmaps and their sub-bitmaps
+  {
+    const allocator = new WasmMemoryAllocator();
+    const bitmap = fillRandom(
+      allocator.createBitmap(70, 40, { depth: 4 }),
+      random
+    );
+    const view = createSubBitmap(bitmap, 10, 5, 30, 20);
+    const before = cloneBitmap(bitmap);
+
+    const large = allocator.allocate(100000);
+    const memoryBytes = allocator.getStats().memoryBytes;
+    check(
+      "the memory grows for large allocations",
+      memoryBytes > 65536 &&
+        large.address + large.size <= memoryBytes &&
+        large.words.length === 100000
+    );
+    check(
+      "bitmaps keep their pixels when the memory grows",
+      bitmap.data.buffer === allocator.memory.buffer &&
+        compareBitmaps(bitmap, before)
+    );
+    setPixel(view, 0, 0, 9);
+    check(
+      "sub-bitmaps follow the words of their parent",
+      view.data === bitmap.data && getPixel(bitmap, 10, 5) === 9
+    );
+
+    allocator.freeBitmap(bitmap);
+    check(
+      "freed bitmaps and their sub-bitmaps throw",
+      throws(() => getPixel(bitmap, 0, 0)) && throws(() => view.data)
+    );
+    check(
+      "only bitmaps from the allocator can be freed",
+      throws(() => allocator.freeBitmap(createBitmap(8, 8)))
+    );
+  }
+
+  // Transfers between bitmaps in the generator's memory copy nothing
+  {
+    const allocator = jitExecutor.generators[CodeGeneratorType.WASM].allocator;
+    const src = fillRandom(createWasmBitmap(200, 100, { depth: 8 }), random);
+    const dst = fillRandom(createWasmBitmap(300, 100, { depth: 8 }), random);
+    const expected = cloneBitmap(dst);
+    const allocations = allocator.getStats().allocations;
+
+    const allocate = allocator.allocate;
+    let copies = 0;
+    allocator.allocate = function (length) {
+      copies++;
+      return allocate.call(this, length);
+    };
+    await jitBitBltWasm(dst, 7, 3, 150, 90, src, 20, 5, BitBltOp.ADD);
+    await jitBitBltWasm(dst, 150, 50, 1, 1, src, 0, 0);
+    check("bitmaps in memory are used in place", copies === 0);
+
+    const plain = cloneBitmap(src);
+    await jitBitBltWasm(dst, 0, 0, 8, 8, plain, 0, 0);
+    allocator.allocate = allocate;
+    check(
+      "other bitmaps are copied, and the copies freed",
+      copies === 1 && allocator.getStats().allocations === allocations
+    );
+
+    bitblt(expected, 7, 3, 150, 90, cloneBitmap(src), 20, 5, BitBltOp.ADD);
+    bitblt(expected, 150, 50, 1, 1, src, 0, 0);
+    bitblt(expected, 0, 0, 8, 8, plain, 0, 0);
+    check("results appear in the bitmap", compareBitmaps(dst, expected));
+
+    freeWasmBitmap(src);
+    freeWasmBitmap(dst);
+  }
+
+  // Random transfers with bitmaps in memory give the same results as bitblt
+  for (const depth of [1, 4, 32]) {
+    let passed = true;
+    for (let n = 0; n < 12; n++) {
+      const order = n % 2 ? BitOrder.LSB_FIRST : BitOrder.MSB_FIRST;
+      const src = fillRandom(
+        createWasmBitmap(90, 12, { depth, bitOrder: order }),
+        random
+      );
+      const dst = fillRandom(createWasmBitmap(100, 12, { depth }), random);
+      const expected = cloneBitmap(dst);
+      const plainSrc = cloneBitmap(src);
+      const dstX = random(40);
+      const srcX = n % 3 === 0 ? dstX : random(40);
+
+      if (n % 4 === 0) {
+        // Overlapping transfer within one bitmap
+        await jitBitBltWasm(dst, dstX, 1, 50, 9, dst, srcX, 3, BitBltOp.XOR);
+        bitblt(expected, dstX, 1, 50, 9, expected, srcX, 3, BitBltOp.XOR);
+      } else if (n % 4 === 1) {
+        const mask = fillRandom(createWasmBitmap(64, 12), random);
+        await jitMaskBltWasm(dst, dstX, 0, 50, 12, src, srcX, 0, mask, 3, 0);
+        maskBlt(expected, dstX, 0, 50, 12, plainSrc, srcX, 0, mask, 3, 0);
+        freeWasmBitmap(mask);
+      } else if (n % 4 === 2 && depth < 32) {
+        const key = random(2 ** depth);
+        await jitTransparentBltWasm(dst, dstX, 2, 50, 8, src, srcX, 0, key);
+        transparentBlt(expected, dstX, 2, 50, 8, plainSrc, srcX, 0, key);
+      } else {
+        // The pattern is expanded into a tile, which is copied
+        const pattern = fillRandom(createBitmap(3, 5, { depth }), random);
+        const view = createSubBitmap(dst, 5, 2, 80, 9);
+        await jitBitBltWasm(
+          view,
+          dstX,
+          0,
+          50,
+          9,
+          src,
+          srcX,
+          1,
+          Rop3.DSPDxax,
+          pattern
+        );
+        bitblt(
+          createSubBitmap(expected, 5, 2, 80, 9),
+          dstX,
+          0,
+          50,
+          9,
+          plainSrc,
+          srcX,
+          1,
+          Rop3.DSPDxax,
+          pattern
+        );
+      }
+
+      passed = passed && compareBitmaps(dst, expected);
+      freeWasmBitmap(src);
+      freeWasmBitmap(dst);
+    }
+    check(`random transfers in memory at ${depth} bpp`, passed);
+  }
+
+  // A copy that grows the memory during the call still lands in the bitmap
+  {
+    const dst = createWasmBitmap(40, 40, { depth: 32 });
+    const keep = fillRandom(createWasmBitmap(40, 40, { depth: 32 }), random);
+    const large = fillRandom(createBitmap(400, 400, { depth: 32 }), random);
+    const kept = cloneBitmap(keep);
+    await jitBitBltWasm(dst, 0, 0, 40, 40, large, 300, 300);
+    const expected = createBitmap(40, 40, { depth: 32 });
+    bitblt(expected, 0, 0, 40, 40, large, 300, 300);
+    check(
+      "transfers that grow the memory",
+      compareBitmaps(dst, expected) && compareBitmaps(keep, kept)
+    );
+    freeWasmBitmap(dst);
+    freeWasmBitmap(keep);
+  }
+
+  // Bitmaps in memory work with the other implementations too
+  {
+    const src = fillRandom(createWasmBitmap(50, 10, { depth: 2 }), random);
+    const dst = fillRandom(createWasmBitmap(50, 10, { depth: 8 }), random);
+    const expected = cloneBitmap(dst);
+    const colorMap = thresholdColorMap(2, 2);
+    const options = { colorMap };
+    await jitBitBltJs(dst, 3, 0, 40, 10, src, 0, 0, BitBltOp.OR, null, options);
+    bitblt(dst, 0, 5, 20, 5, src, 10, 0, BitBltOp.COPY, null, options);
+    bitblt(
+      expected,
+      3,
+      0,
+      40,
+      10,
+      cloneBitmap(src),
+      0,
+      0,
+      BitBltOp.OR,
+      null,
+      options
+    );
+    bitblt(
+      expected,
+      0,
+      5,
+      20,
+      5,
+      cloneBitmap(src),
+      10,
+      0,
+      BitBltOp.COPY,
+      null,
+      options
+    );
+    check(
+      "the JavaScript generator and bitblt use bitmaps in memory",
+      compareBitmaps(dst, expected)
+    );
+    freeWasmBitmap(src);
+    freeWasmBitmap(dst);
+  }
+
+  check(
+    "bitmaps in memory do not take a buffer",
+    throws(() => createWasmBitmap(8, 8, { buffer: new ArrayBuffer(64) }))
+  );
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
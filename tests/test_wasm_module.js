@@ -0,0 +1,287 @@
+/**
+ * Test file for the WebAssembly module builder
+ *
+ * Checks the LEB128 encodings, then compiles the expressions of every
+ * operation, at every depth, into one module and compares what each function
+ * stores with the same expression evaluated in JavaScript. Also checks loops,
+ * branches, word loads and stores, and expression errors.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  ColorMapKind,
+  BitOrder,
+
+  // Functions
+  rop3,
+  blendConstant,
+} = require("../src/bitblt");
+
+const {
+  FunctionBuilder,
+  ModuleBuilder,
+  encodeULEB128,
+  encodeSLEB128,
+} = require("../src/code_generators/wasm_module");
+
+const {
+  getOpExpression,
+  getPixelExpression,
+  getBitIndexExpression,
+  getColorMapExpression,
+  getOpaqueMaskExpression,
+} = require("../src/code_generators/op_expressions");
+
+/**
+ * Small deterministic pseudo-random number generator.
+ *
+ * @param {number} seed - Initial seed
+ * @returns {Function} - Returns a random 32-bit word for each call
+ */
+function createRandom(seed) {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state >>> 8;
+  };
+  return () => ((next() << 16) ^ next()) >>> 0;
+}
+
+/**
+ * Instantiates a module over a fresh memory.
+ *
+ * @param {ModuleBuilder} builder - The module
+ * @returns {Object} - The instance exports, the memory and the module binary
+ */
+function instantiate(builder) {
+  const memory = new WebAssembly.Memory({ initial: 1 });
+  const binary = builder.toBytes();
+  const module = new WebAssembly.Module(binary);
+  const instance = new WebAssembly.Instance(module, { env: { memory } });
+  return { exports: instance.exports, memory, binary };
+}
+
+/**
+ * Collects the expressions the code generators compile, with operands
+ * `s`, `d` and `p`.
+ *
+ * @returns {Array<Object>} - Name and source of each expression
+ */
+function collectExpressions() {
+  const expressions = [];
+
+  for (let code = 0; code < 256; code++) {
+    expressions.push({
+      name: `ROP3 0x${code.toString(16)}`,
+      source: getOpExpression(rop3(code), "s", "d", "p"),
+    });
+  }
+
+  const arithmetic = [
+    BitBltOp.ADD,
+    BitBltOp.SUBTRACT,
+    BitBltOp.MAX,
+    BitBltOp.MIN,
+    BitBltOp.AVERAGE,
+    BitBltOp.PAINT,
+  ];
+  for (const depth of [2, 4, 8, 16, 32]) {
+    for (const op of arithmetic) {
+      expressions.push({
+        name: `op ${op} at ${depth} bpp`,
+        source: getOpExpression(op, "s", "d", "p", depth),
+      });
+    }
+    expressions.push({
+      name: `opaque pixels around key 1 at ${depth} bpp`,
+      source: getOpaqueMaskExpression("s", 1, depth),
+    });
+  }
+
+  for (const op of [
+    BitBltOp.BLEND,
+    BitBltOp.BLEND_PREMULTIPLIED,
+    blendConstant(77),
+  ]) {
+    expressions.push({
+      name: `blend ${op}`,
+      source: getOpExpression(op, "s", "d", "p", 32),
+    });
+  }
+
+  // Pixel access and the color maps that are baked into the code
+  const bit = getBitIndexExpression(BitOrder.MSB_FIRST, "p & 31", 4);
+  expressions.push(
+    { name: "4-bit pixel", source: getPixelExpression("s", bit, 4) },
+    { name: "32-bit pixel", source: getPixelExpression("s", "0", 32) },
+    {
+      name: "expanding color map",
+      source: getColorMapExpression(
+        { kind: ColorMapKind.EXPAND, foreground: 0xfff, background: 7 },
+        "s & 1"
+      ),
+    },
+    {
+      name: "thresholding color map",
+      source: getColorMapExpression(
+        { kind: ColorMapKind.THRESHOLD, threshold: 0x80000000 },
+        "s"
+      ),
+    },
+    { name: "negative literal", source: "s + -5 - -d" },
+    { name: "comparisons", source: "(s < d) + (s <= d) * 2 + (s > d) * 4" }
+  );
+
+  return expressions;
+}
+
+function runTests() {
+  console.log("Testing the WebAssembly module builder...\n");
+
+  if (typeof WebAssembly === "undefined") {
+    console.log("WebAssembly is not supported in this environment.");
+    process.exit(0);
+  }
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  // LEB128
+  const same = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+  check(
+    "unsigned LEB128",
+    same(encodeULEB128(0), [0]) &&
+      same(encodeULEB128(127), [0x7f]) &&
+      same(encodeULEB128(128), [0x80, 0x01]) &&
+      same(encodeULEB128(624485), [0xe5, 0x8e, 0x26]) &&
+      same(encodeULEB128(0xffffffff), [0xff, 0xff, 0xff, 0xff, 0x0f])
+  );
+  check(
+    "signed LEB128",
+    same(encodeSLEB128(0), [0]) &&
+      same(encodeSLEB128(63), [0x3f]) &&
+      same(encodeSLEB128(64), [0xc0, 0x00]) &&
+      same(encodeSLEB128(-1), [0x7f]) &&
+      same(encodeSLEB128(-123456), [0xc0, 0xbb, 0x78]) &&
+      same(encodeSLEB128(0xffffffff), [0x7f]) &&
+      same(encodeSLEB128(0x80000000), [0x80, 0x80, 0x80, 0x80, 0x78])
+  );
+
+  // Every expression as a function of one module, storing its value at `out`
+  const expressions = collectExpressions();
+  const builder = new ModuleBuilder().importMemory("env", "memory");
+  for (let i = 0; i < expressions.length; i++) {
+    const f = new FunctionBuilder(["s", "d", "p", "out"]);
+    f.store("out", "0", expressions[i].source);
+    builder.addFunction(f, `e${i}`);
+  }
+  const { exports, memory, binary } = instantiate(builder);
+  check("module with many functions validates", WebAssembly.validate(binary));
+
+  const random = createRandom(16);
+  const words = new Uint32Array(memory.buffer, 0, 1);
+  let failures = 0;
+  for (let i = 0; i < expressions.length; i++) {
+    // eslint-disable-next-line no-new-func
+    const expected = new Function(
+      "s",
+      "d",
+      "p",
+      `return (${expressions[i].source}) >>> 0;`
+    );
+    for (let n = 0; n < 40; n++) {
+      // Small and extreme operands besides random words
+      const operands =
+        n < 4
+          ? [
+              [0, 0, 0],
+              [0xffffffff, 0xffffffff, 0xffffffff],
+              [0xffffffff, 0, 0x55555555],
+              [0x00ff00ff, 0xff00ff00, 1],
+            ][n]
+          : [random(), random(), random()];
+      exports[`e${i}`](...operands, 0);
+      if (words[0] !== expected(...operands)) {
+        failures++;
+        console.log(
+          `❌ ${expressions[i].name} of ${operands} gives ${
+            words[0]
+          }, not ${expected(...operands)}`
+        );
+        break;
+      }
+    }
+  }
+  check(
+    `${expressions.length} compiled expressions match JavaScript`,
+    failures === 0
+  );
+
+  // Loops, branches and word loads and stores: sum the odd words of a table
+  {
+    const f = new FunctionBuilder(["table", "out"]);
+    f.declare("i", "sum");
+    f.loop("i", 0, 10, 1, () => {
+      f.block();
+      f.branchIf(0, "!(table[i] & 1)");
+      f.assign("sum", "sum + table[i]");
+      f.end();
+    });
+    f.store("out", "0", "sum");
+    const down = new FunctionBuilder(["out"]);
+    down.declare("i");
+    down.loop("i", 4, -1, -1, () => {
+      down.store("out", "4 - i", "i * 10");
+    });
+    const module = new ModuleBuilder().importMemory("env", "memory");
+    module.addFunction(f, "sumOdd");
+    module.addFunction(down, "countDown");
+    const { exports: loops, memory: loopMemory } = instantiate(module);
+
+    const table = new Uint32Array(loopMemory.buffer, 64, 10);
+    table.set([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    loops.sumOdd(64, 0);
+    loops.countDown(128);
+    const results = new Uint32Array(loopMemory.buffer);
+    check("loops skip through branches", results[0] === 25);
+    check(
+      "loops count down",
+      same([...results.subarray(32, 37)], [40, 30, 20, 10, 0])
+    );
+  }
+
+  // Expression errors
+  for (const [description, source] of [
+    ["unknown locals", "s + q"],
+    ["unbalanced parentheses", "(s + d"],
+    ["unsupported operators", "s / d"],
+    ["trailing tokens", "s d"],
+  ]) {
+    const f = new FunctionBuilder(["s", "d"]);
+    let threw = false;
+    try {
+      f.expression(source);
+    } catch (error) {
+      threw = true;
+    }
+    check(`${description} throw`, threw);
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();
@@ -0,0 +1,278 @@
+/**
+ * Test file for WAT output and disassembly of generated WebAssembly
+ *
+ * Checks the WAT printed for a small module against a snapshot, that the
+ * code objects of the WebAssembly generator print their IR and disassemble
+ * their binary to the same text (up to local names), that decoding a binary
+ * gives back the IR it was encoded from, and decoding errors.
+ */
+
+const {
+  // Enums
+  BitBltOp,
+  Rop3,
+  BitOrder,
+
+  // Functions
+  createBitmap,
+  thresholdColorMap,
+} = require("../src/bitblt");
+
+const {
+  jitExecutor,
+  CodeGeneratorType,
+  jitBitBltWasm,
+  jitMaskBltWasm,
+  jitTransparentBltWasm,
+} = require("../src/jit_executor");
+
+const {
+  FunctionBuilder,
+  ModuleBuilder,
+  decodeModule,
+  formatModule,
+  disassemble,
+} = require("../src/code_generators/wasm_module");
+
+// The WAT of the module built by buildSampleModule()
+const SAMPLE_WAT = `(module
+  (type (;0;) (func (param i32 i32)))
+  (import "env" "memory" (memory (;0;) 1))
+  (func (;0;) (type 0) (param $words i32) (param $count i32)
+    (local $i i32) (local $v v128)
+    i32.const 0
+    local.set $i
+    block
+      loop
+        local.get $i
+        i32.const 8
+        i32.eq
+        br_if 1
+        local.get $words
+        local.get $i
+        i32.const 2
+        i32.shl
+        i32.add
+        v128.load align=4
+        v128.not
+        local.set $v
+        local.get $words
+        local.get $i
+        i32.const 2
+        i32.shl
+        i32.add
+        local.get $v
+        v128.store align=4
+        local.get $i
+        i32.const 4
+        i32.add
+        local.set $i
+        br 0
+      end
+    end
+    local.get $words
+    i32.const 0
+    i32.const 2
+    i32.shl
+    i32.add
+    i32.const 0
+    i32.const 1
+    i32.sub
+    local.get $count
+    i32.const 1
+    i32.and
+    local.get $count
+    i32.const 2
+    i32.lt_u
+    select
+    i32.store
+  )
+  (export "invert" (func 0))
+)
+`;
+
+/**
+ * Builds a small module with a loop, vector code and a conditional.
+ *
+ * @returns {ModuleBuilder} - The module
+ */
+function buildSampleModule() {
+  const f = new FunctionBuilder(["words", "count"]);
+  f.declare("i").declareVector("v");
+  f.loop("i", 0, 8, 4, () => {
+    f.assign("v", "~words[i]");
+    f.store("words", "i", "v", true);
+  });
+  f.store("words", "0", "count < 2 ? -1 : count & 1");
+  const module = new ModuleBuilder().importMemory("env", "memory");
+  module.addFunction(f, "invert");
+  return module;
+}
+
+/**
+ * Strips the names of the locals from a module's IR, as they are not in
+ * the binary.
+ *
+ * @param {Object} ir - The IR
+ * @returns {Object} - The IR without local names
+ */
+function withoutNames(ir) {
+  return {
+    ...ir,
+    functions: ir.functions.map((f) => ({ ...f, names: null })),
+  };
+}
+
+async function runTests() {
+  console.log("Testing WAT output and disassembly...\n");
+
+  if (typeof WebAssembly === "undefined") {
+    console.log("WebAssembly is not supported in this environment.");
+    process.exit(0);
+  }
+
+  let totalTests = 0;
+  let passedTests = 0;
+
+  const check = (description, passed) => {
+    totalTests++;
+    if (passed) {
+      passedTests++;
+      console.log(`✅ PASS: ${description}`);
+    } else {
+      console.log(`❌ FAIL: ${description}`);
+    }
+  };
+
+  // Snapshot of a small module, which the disassembler reproduces with
+  // numbered locals
+  const sample = buildSampleModule();
+  const wat = sample.toWat();
+  check("WAT of a small module matches the snapshot", wat === SAMPLE_WAT);
+  if (wat !== SAMPLE_WAT) {
+    console.log(wat);
+  }
+  const numbered = SAMPLE_WAT.replace(
+    "(param $words i32) (param $count i32)",
+    "(param i32 i32)"
+  )
+    .replace("(local $i i32) (local $v v128)", "(local i32 v128)")
+    .replace(/\$words/g, "0")
+    .replace(/\$count/g, "1")
+    .replace(/\$i\b/g, "2")
+    .replace(/\$v\b/g, "3");
+  check(
+    "disassembly of the small module matches the snapshot",
+    disassemble(sample.toBytes()) === numbered
+  );
+
+  // Code generated for different kinds of transfer
+  const generator = jitExecutor.generators[CodeGeneratorType.WASM];
+  const src = createBitmap(96, 8, { depth: 8 });
+  const dst = createBitmap(96, 8, { depth: 8, bitOrder: BitOrder.LSB_FIRST });
+  const mask = createBitmap(96, 8);
+  const pattern = createBitmap(8, 8, { depth: 8 });
+  const store = generator.simd ? "v128.store" : "i32.store";
+  const and = generator.simd ? "v128.and" : "i32.and";
+  const transfers = [
+    ["aligned copy", store, () => jitBitBltWasm(dst, 0, 0, 64, 8, src, 8, 0)],
+    [
+      "unaligned add",
+      "i32.store",
+      () => jitBitBltWasm(dst, 3, 1, 50, 5, src, 1, 0, BitBltOp.ADD),
+    ],
+    [
+      "pattern",
+      "i32.rem_u",
+      () => jitBitBltWasm(dst, 4, 0, 40, 8, src, 4, 0, Rop3.PATCOPY, pattern),
+    ],
+    [
+      "mask",
+      "br_if 0",
+      () => jitMaskBltWasm(dst, 1, 0, 30, 8, src, 0, 0, mask, 2, 0),
+    ],
+    [
+      "transparent key",
+      and,
+      () => jitTransparentBltWasm(dst, 0, 0, 64, 8, src, 0, 0, 7),
+    ],
+    [
+      "color map",
+      "select",
+      () =>
+        jitBitBltWasm(mask, 0, 0, 40, 8, src, 0, 0, BitBltOp.COPY, null, {
+          colorMap: thresholdColorMap(8, 0x80),
+        }),
+    ],
+  ];
+
+  for (const [description, expectedInstruction, run] of transfers) {
+    jitExecutor.clearCache();
+    await run();
+    const [code] = jitExecutor.codeCache[CodeGeneratorType.WASM].values();
+    const text = code.toWat();
+    const decoded = decodeModule(code.binary);
+
+    check(
+      `${description}: WAT names the locals and shows ${expectedInstruction}`,
+      text.startsWith("(module\n") &&
+        text.includes("(param $src i32)") &&
+        text.includes("local.get $dst") &&
+        text
+          .split("\n")
+          .some((line) => line.trim().startsWith(expectedInstruction)) &&
+        text.includes('(export "bitblt" (func 0))')
+    );
+    check(
+      `${description}: decoding the binary gives back the IR`,
+      JSON.stringify(decoded) === JSON.stringify(withoutNames(code.ir))
+    );
+    check(
+      `${description}: disassembly prints the binary`,
+      code.disassemble() === formatModule(withoutNames(code.ir)) &&
+        code.disassemble() !== text
+    );
+  }
+
+  // Decoding skips custom sections and rejects what it cannot read
+  const binary = sample.toBytes();
+  const withCustom = new Uint8Array([
+    ...binary,
+    0, // custom section
+    5,
+    4,
+    ...new TextEncoder().encode("note"),
+  ]);
+  check(
+    "custom sections are skipped",
+    disassemble(withCustom) === disassemble(binary)
+  );
+
+  // The last instruction before the final end is the i32.store
+  const unknownOpcode = Uint8Array.from(binary);
+  unknownOpcode[unknownOpcode.length - 4] = 0xff;
+  for (const [description, bytes, message] of [
+    ["binaries without the magic number", new Uint8Array(8), "Not a"],
+    [
+      "truncated binaries",
+      binary.subarray(0, binary.length - 3),
+      "Unexpected end",
+    ],
+    ["unknown opcodes", unknownOpcode, "Unsupported opcode 0xff"],
+  ]) {
+    let error = null;
+    try {
+      disassemble(bytes);
+    } catch (e) {
+      error = e;
+    }
+    check(`${description} throw`, error && error.message.includes(message));
+  }
+
+  console.log("\nTest Results:");
+  console.log(`${passedTests} of ${totalTests} tests passed`);
+
+  process.exit(passedTests === totalTests ? 0 : 1);
+}
+
+runTests();